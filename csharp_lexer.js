@@ -0,0 +1,435 @@
+/**
+ * C# Lexer
+ * Tokenizes C# source code into a flat token stream. Understands every literal and
+ * comment form the parsers need to skip over: regular, verbatim, interpolated and raw
+ * string literals, char literals, line/block/doc comments and preprocessor directives.
+ * Every token keeps its character offsets into the original source so callers can
+ * slice the exact text of a member, a body or a call site.
+ */
+
+const TokenType = Object.freeze({
+  WHITESPACE: 'whitespace',
+  COMMENT: 'comment',
+  PREPROCESSOR: 'preprocessor',
+  STRING: 'string',
+  CHAR: 'char',
+  NUMBER: 'number',
+  IDENTIFIER: 'identifier',
+  KEYWORD: 'keyword',
+  PUNCTUATION: 'punctuation',
+});
+
+// Reserved C# keywords. Contextual keywords (var, async, await, partial, record, where,
+// get, set, init, add, remove, value, nameof, ...) are reported as identifiers.
+const KEYWORDS = new Set([
+  'abstract', 'as', 'base', 'bool', 'break', 'byte', 'case', 'catch', 'char', 'checked',
+  'class', 'const', 'continue', 'decimal', 'default', 'delegate', 'do', 'double', 'else',
+  'enum', 'event', 'explicit', 'extern', 'false', 'finally', 'fixed', 'float', 'for',
+  'foreach', 'goto', 'if', 'implicit', 'in', 'int', 'interface', 'internal', 'is', 'lock',
+  'long', 'namespace', 'new', 'null', 'object', 'operator', 'out', 'override', 'params',
+  'private', 'protected', 'public', 'readonly', 'ref', 'return', 'sbyte', 'sealed',
+  'short', 'sizeof', 'stackalloc', 'static', 'string', 'struct', 'switch', 'this', 'throw',
+  'true', 'try', 'typeof', 'uint', 'ulong', 'unchecked', 'unsafe', 'ushort', 'using',
+  'virtual', 'void', 'volatile', 'while',
+]);
+
+// Multi-character punctuators, longest first. '>>' is never combined so that nested
+// generic argument lists such as List<List<int>> close one level at a time.
+const PUNCTUATORS = [
+  '??=', '<<=', '...',
+  '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '::', '++', '--', '+=', '-=', '*=',
+  '/=', '%=', '&=', '|=', '^=', '->', '..', '<<',
+];
+
+const OPENING = { '{': '}', '(': ')', '[': ']' };
+
+function isIdentifierStart(char) {
+  return /[A-Za-z_À-￿]/.test(char);
+}
+
+function isIdentifierPart(char) {
+  return /[A-Za-z0-9_À-￿]/.test(char);
+}
+
+class Lexer {
+  constructor(source) {
+    this.source = source;
+    this.pos = 0;
+    this.atLineStart = true;
+  }
+
+  peek(offset = 0) {
+    return this.source[this.pos + offset];
+  }
+
+  tokenize() {
+    const tokens = [];
+    while (this.pos < this.source.length) {
+      tokens.push(this.readToken());
+    }
+    return tokens;
+  }
+
+  readToken() {
+    const start = this.pos;
+    const char = this.peek();
+    const next = this.peek(1);
+
+    if (/\s/.test(char)) {
+      while (this.pos < this.source.length && /\s/.test(this.peek())) {
+        if (this.peek() === '\n') {
+          this.atLineStart = true;
+        }
+        this.pos++;
+      }
+      return this.makeToken(TokenType.WHITESPACE, start);
+    }
+
+    const lineStart = this.atLineStart;
+    this.atLineStart = false;
+
+    if (char === '#' && lineStart) {
+      this.skipToLineEnd();
+      return this.makeToken(TokenType.PREPROCESSOR, start);
+    }
+
+    if (char === '/' && next === '/') {
+      this.skipToLineEnd();
+      return this.makeToken(TokenType.COMMENT, start);
+    }
+
+    if (char === '/' && next === '*') {
+      const end = this.source.indexOf('*/', this.pos + 2);
+      this.pos = end === -1 ? this.source.length : end + 2;
+      return this.makeToken(TokenType.COMMENT, start);
+    }
+
+    const stringToken = this.tryReadString(start);
+    if (stringToken) {
+      return stringToken;
+    }
+
+    if (char === '\'') {
+      this.readCharLiteral();
+      return this.makeToken(TokenType.CHAR, start);
+    }
+
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(next || ''))) {
+      this.readNumber();
+      return this.makeToken(TokenType.NUMBER, start);
+    }
+
+    if (isIdentifierStart(char) || (char === '@' && next && isIdentifierStart(next))) {
+      this.pos++;
+      while (this.pos < this.source.length && isIdentifierPart(this.peek())) {
+        this.pos++;
+      }
+      const value = this.source.slice(start, this.pos);
+      const type = KEYWORDS.has(value) ? TokenType.KEYWORD : TokenType.IDENTIFIER;
+      return this.makeToken(type, start);
+    }
+
+    const punctuator = PUNCTUATORS.find(p => this.source.startsWith(p, this.pos));
+    this.pos += punctuator ? punctuator.length : 1;
+    return this.makeToken(TokenType.PUNCTUATION, start);
+  }
+
+  makeToken(type, start, extra = {}) {
+    return { type, value: this.source.slice(start, this.pos), start, end: this.pos, ...extra };
+  }
+
+  skipToLineEnd() {
+    while (this.pos < this.source.length && this.peek() !== '\n' && this.peek() !== '\r') {
+      this.pos++;
+    }
+  }
+
+  readCharLiteral() {
+    this.pos++; // opening quote
+    while (this.pos < this.source.length) {
+      const char = this.peek();
+      if (char === '\\') {
+        this.pos += 2;
+        continue;
+      }
+      if (char === '\n') {
+        return;
+      }
+      this.pos++;
+      if (char === '\'') {
+        return;
+      }
+    }
+  }
+
+  readNumber() {
+    if (this.peek() === '0' && /[xXbB]/.test(this.peek(1) || '')) {
+      this.pos += 2;
+      while (/[0-9A-Fa-f_]/.test(this.peek() || '')) this.pos++;
+    } else {
+      while (/[0-9_]/.test(this.peek() || '')) this.pos++;
+      if (this.peek() === '.' && /[0-9]/.test(this.peek(1) || '')) {
+        this.pos++;
+        while (/[0-9_]/.test(this.peek() || '')) this.pos++;
+      }
+      if (/[eE]/.test(this.peek() || '') && /[0-9+-]/.test(this.peek(1) || '')) {
+        this.pos += 2;
+        while (/[0-9_]/.test(this.peek() || '')) this.pos++;
+      }
+    }
+    while (/[uUlLfFdDmM]/.test(this.peek() || '')) this.pos++;
+  }
+
+  /**
+   * Read any string literal form starting at the current position.
+   * Handles "...", @"...", $"...", $@"...", @$"...", """raw""" and $$"""raw""".
+   * @param {number} start - Start offset of the token
+   * @returns {Object|null} String token, or null if no string literal starts here
+   */
+  tryReadString(start) {
+    let i = this.pos;
+    let dollarCount = 0;
+    let verbatim = false;
+
+    while (this.source[i] === '$' || this.source[i] === '@') {
+      if (this.source[i] === '$') dollarCount++;
+      else verbatim = true;
+      i++;
+    }
+    if (this.source[i] !== '"' || (verbatim && dollarCount > 1)) {
+      return null;
+    }
+
+    let quoteCount = 0;
+    while (this.source[i + quoteCount] === '"') quoteCount++;
+
+    this.pos = i;
+    const interpolations = [];
+    if (quoteCount >= 3 && !verbatim) {
+      this.readRawString(quoteCount, dollarCount, interpolations);
+    } else {
+      this.readQuotedString(verbatim, dollarCount > 0, interpolations);
+    }
+
+    // UTF-8 string literal suffix
+    if (/[uU]/.test(this.peek() || '') && this.peek(1) === '8') {
+      this.pos += 2;
+    }
+
+    const extra = dollarCount > 0 ? { interpolations } : {};
+    return this.makeToken(TokenType.STRING, start, extra);
+  }
+
+  readQuotedString(verbatim, interpolated, interpolations) {
+    this.pos++; // opening quote
+    while (this.pos < this.source.length) {
+      const char = this.peek();
+      if (!verbatim && char === '\\') {
+        this.pos += 2;
+        continue;
+      }
+      if (char === '"') {
+        if (verbatim && this.peek(1) === '"') {
+          this.pos += 2;
+          continue;
+        }
+        this.pos++;
+        return;
+      }
+      if (!verbatim && char === '\n') {
+        return; // unterminated literal; stop at the line end
+      }
+      if (interpolated && char === '{') {
+        if (this.peek(1) === '{') {
+          this.pos += 2;
+          continue;
+        }
+        this.pos++;
+        interpolations.push(this.readInterpolation(1));
+        continue;
+      }
+      if (interpolated && char === '}' && this.peek(1) === '}') {
+        this.pos += 2;
+        continue;
+      }
+      this.pos++;
+    }
+  }
+
+  readRawString(quoteCount, dollarCount, interpolations) {
+    this.pos += quoteCount;
+    const closing = '"'.repeat(quoteCount);
+    while (this.pos < this.source.length) {
+      if (this.source.startsWith(closing, this.pos)) {
+        this.pos += quoteCount;
+        return;
+      }
+      if (dollarCount > 0 && this.peek() === '{') {
+        let braceRun = 0;
+        while (this.peek(braceRun) === '{') braceRun++;
+        if (braceRun >= dollarCount) {
+          // Leading braces beyond the delimiter count are literal content.
+          this.pos += braceRun;
+          interpolations.push(this.readInterpolation(dollarCount));
+        } else {
+          this.pos += braceRun;
+        }
+        continue;
+      }
+      this.pos++;
+    }
+  }
+
+  /**
+   * Read an interpolation hole. The position is just after the opening brace(s).
+   * Nested strings, chars and comments are skipped with the regular token reader.
+   * @param {number} closeCount - Number of closing braces that end the hole
+   * @returns {Object} Range of the hole expression (format specifier excluded)
+   */
+  readInterpolation(closeCount) {
+    const start = this.pos;
+    let expressionEnd = -1;
+    let depth = 0;
+
+    while (this.pos < this.source.length) {
+      const char = this.peek();
+      if (depth === 0 && char === '}') {
+        if (expressionEnd === -1) expressionEnd = this.pos;
+        this.pos += closeCount;
+        break;
+      }
+      if (depth === 0 && expressionEnd === -1 && char === ':' && this.peek(1) !== ':') {
+        expressionEnd = this.pos; // start of the format specifier
+      }
+      if (expressionEnd !== -1 && depth === 0) {
+        this.pos++; // format specifier text is literal
+        continue;
+      }
+      const token = this.readToken();
+      if (token.type === TokenType.PUNCTUATION) {
+        if (token.value in OPENING) depth++;
+        else if (token.value === '}' || token.value === ')' || token.value === ']') depth--;
+      }
+    }
+
+    const end = expressionEnd === -1 ? this.pos : expressionEnd;
+    return { start, end, tokens: tokenizeRange(this.source, start, end) };
+  }
+}
+
+/**
+ * Tokenize a slice of a larger source while keeping offsets absolute.
+ * @param {string} source - Full source text
+ * @param {number} start - Start offset of the slice
+ * @param {number} end - End offset of the slice
+ * @returns {Array} Tokens with offsets into source
+ */
+function tokenizeRange(source, start, end) {
+  return new Lexer(source.slice(start, end)).tokenize().map(token => shiftToken(token, start));
+}
+
+function shiftToken(token, offset) {
+  const shifted = { ...token, start: token.start + offset, end: token.end + offset };
+  if (token.interpolations) {
+    shifted.interpolations = token.interpolations.map(hole => ({
+      start: hole.start + offset,
+      end: hole.end + offset,
+      tokens: hole.tokens.map(inner => shiftToken(inner, offset)),
+    }));
+  }
+  return shifted;
+}
+
+/**
+ * Tokenize C# source code.
+ * @param {string} source - The C# source code
+ * @returns {Array} Array of tokens { type, value, start, end }. Interpolated string
+ * tokens also carry an `interpolations` array of { start, end, tokens } holes.
+ */
+function tokenize(source) {
+  return new Lexer(source).tokenize();
+}
+
+/**
+ * Check whether a token is trivia (whitespace, comment or preprocessor directive).
+ * @param {Object} token - Token to check
+ * @returns {boolean} True if the token carries no code
+ */
+function isTrivia(token) {
+  return token.type === TokenType.WHITESPACE ||
+    token.type === TokenType.COMMENT ||
+    token.type === TokenType.PREPROCESSOR;
+}
+
+/**
+ * Get the tokens that carry code, dropping whitespace, comments and directives.
+ * @param {Array} tokens - Token stream from tokenize()
+ * @returns {Array} Significant tokens
+ */
+function significantTokens(tokens) {
+  return tokens.filter(token => !isTrivia(token));
+}
+
+/**
+ * Get significant tokens including the code inside interpolated string holes.
+ * Useful for analyses such as call detection that must see `$"{Foo()}"`.
+ * @param {Array} tokens - Token stream from tokenize()
+ * @returns {Array} Significant tokens with interpolation tokens spliced in after their string
+ */
+function codeTokens(tokens) {
+  const result = [];
+  for (const token of tokens) {
+    if (isTrivia(token)) {
+      continue;
+    }
+    result.push(token);
+    if (token.interpolations) {
+      for (const hole of token.interpolations) {
+        result.push(...codeTokens(hole.tokens));
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Find the index of the bracket that closes the one at openIndex.
+ * Only punctuation tokens are counted, so braces in strings, chars and comments are ignored.
+ * @param {Array} tokens - Token array (with or without trivia)
+ * @param {number} openIndex - Index of a '{', '(' or '[' token
+ * @returns {number} Index of the matching closing token, or -1 if unbalanced
+ */
+function findMatchingToken(tokens, openIndex) {
+  const open = tokens[openIndex].value;
+  const close = OPENING[open];
+  if (!close) {
+    throw new Error(`Token '${open}' is not an opening bracket`);
+  }
+
+  let depth = 0;
+  for (let i = openIndex; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type !== TokenType.PUNCTUATION) {
+      continue;
+    }
+    if (token.value === open) {
+      depth++;
+    } else if (token.value === close) {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+module.exports = {
+  TokenType,
+  KEYWORDS,
+  tokenize,
+  isTrivia,
+  significantTokens,
+  codeTokens,
+  findMatchingToken,
+};
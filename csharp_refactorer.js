@@ -14,121 +14,675 @@ const {
 } = require('@modelcontextprotocol/sdk/types.js');
 const fs = require('fs').promises;
 const path = require('path');
+const {
+  TokenType,
+  tokenize,
+  isTrivia,
+  significantTokens,
+  codeTokens,
+  findMatchingToken,
+} = require('./csharp_lexer.js');
+const { createUnifiedDiff } = require('./text_diff.js');
+const { commitFiles, rollbackSplit } = require('./split_journal.js');
+const { clusterMethods, labelGroups } = require('./split_suggester.js');
+const {
+  parseUsingDirectives,
+  collectReferences,
+  mergeReferences,
+  selectUsingDirectives,
+  sortUsingDirectives,
+} = require('./csharp_usings.js');
+
+// Line limit of a generated partial class file unless maxLinesPerFile says otherwise
+const DEFAULT_MAX_LINES_PER_FILE = 5000;
+
+// Member orders of merge_partial_classes, and the kind order used by 'kind' and 'alphabetical'
+// (the element order of StyleCop rule SA1201, constants first)
+const MEMBER_ORDERS = ['source', 'kind', 'alphabetical'];
+const MEMBER_KIND_ORDER = [
+  'constant', 'field', 'constructor', 'finalizer', 'delegate', 'event', 'enum', 'interface',
+  'property', 'indexer', 'method', 'operator', 'struct', 'class'
+];
+
+// How extract_class hands the new class to the original: a field that creates it, or a
+// constructor parameter stored in a field
+const EXTRACT_INJECTIONS = ['field', 'constructor'];
+
+// Folders skipped when searching a directory for C# files: build output and dependencies
+const SKIPPED_FOLDERS = ['bin', 'obj', 'node_modules', 'packages'];
+
+// Modifiers that may precede a type member declaration
+const MEMBER_MODIFIERS = [
+  'public', 'private', 'protected', 'internal', 'static', 'virtual', 'override', 'abstract',
+  'sealed', 'async', 'extern', 'unsafe', 'new', 'readonly', 'partial', 'volatile', 'const',
+  'required', 'file'
+];
 
 class CSharpRefactorer {
   constructor() {
     this.usingStatements = [];
+    this.usingDirectives = []; // file-level using directives and extern aliases
+    this.namespaceUsingDirectives = []; // using directives inside the target type's namespace declarations
+    this.referenceCache = new Map(); // member => names its content references
     this.namespaceDeclaration = '';
     this.classDeclaration = '';
     this.methods = {};
     this.methodsByName = {};
+    this.members = [];
     this.sourceCode = '';
     this.oldNamespace = '';
+    this.namespaceStyle = null;
     this.processedMethods = new Set();
+    this.explicitSelections = new Set(); // signature keys claimed by entries like "Save(User)"
+    this.directiveBlocks = [];
+    this.directiveError = null;
+    this.placements = {}; // partial file name -> members moved into it
+    this.movedMembers = new Set(); // members written to partial files, cut from the main file
     this.availableClasses = []; // Add this to store all found classes
+    this.targetClass = null;
   }
 
   /**
-   * Parses a C# source code string to extract all methods from the first class found.
-   * @param {string} sourceCode - The C# source code as a string.
-   * @returns {Object} A dictionary where keys are the full method signatures and values 
-   * are the full text of the method, including signature and body.
+   * Parses a C# class to extract all of its members (methods, constructors, properties,
+   * fields, events, indexers, operators, finalizers and nested types).
+   * @param {string} sourceCode - The C# class source code as a string.
+   * @param {number} baseOffset - Offset of sourceCode within the whole file, used for member spans.
+   * @param {string|null} fileSource - The whole file, used for span line and column numbers;
+   * without it lines and columns are relative to sourceCode.
+   * @returns {Object} A dictionary where keys are the normalized member signatures and values 
+   * are the full text of the member, including signature and body.
    */
-  parseCSharpMethods(sourceCode) {
+  parseCSharpMethods(sourceCode, baseOffset = 0, fileSource = null) {
     const methods = {};
     const methodsByName = {};
+    const members = [];
+    const signatureEnds = {};
+    const locateInText = this.createLocator(fileSource || sourceCode);
+    const locate = (start, end) => fileSource
+      ? locateInText(baseOffset + start, baseOffset + end)
+      : { ...locateInText(start, end), start: baseOffset + start, end: baseOffset + end };
+
+    const tokens = tokenize(sourceCode);
+    const openIndex = tokens.findIndex(token => token.type === TokenType.PUNCTUATION && token.value === '{');
+    const closeIndex = openIndex === -1 ? -1 : findMatchingToken(tokens, openIndex);
+
+    if (openIndex === -1 || closeIndex === -1) {
+      this.methodsByName = methodsByName;
+      this.members = members;
+      return methods;
+    }
 
-    // Group 1: The full signature text.
-    // Group 2: The method name.
-    const methodPattern = /^(?!#|$)\s*((?:\[[^\]]*\]\s*)*(?:(?:public|private|protected|internal|static|virtual|override|async))\s+[\w<,>\s.()\?\[\]]*\s+([\w<>]+)\s*(?<params>\((?:[^()]|(\?&params))*\))(?:[\s\n]*where\s+[^\{]*)?)(?=\s*\{)/gm;
-
-    let match;
-    let matchNum = 1;
+    for (const segment of this.splitMemberSegments(tokens, openIndex, closeIndex)) {
+      const header = significantTokens(tokens.slice(segment.firstIndex, segment.headerEndIndex + 1));
+      const member = this.describeMember(sourceCode, header, segment);
 
-    while ((match = methodPattern.exec(sourceCode)) !== null) {
-      // fetch comment block and full signature
-      // by reverse traversing the sourceCode from the match start
-      let commentBlock = '';
-      let i = match.index - 1;
-      while (i >= 0 && sourceCode[i] !== '}') {
-        commentBlock = sourceCode[i] + commentBlock;
-        i--;
+      if (!member) {
+        continue;
       }
 
-      const fullSignatureRaw = match[1];
-      const methodName = match[2];
+      const memberName = member.name;
+      const fullSignatureRaw = sourceCode.slice(tokens[segment.firstIndex].start, tokens[segment.headerEndIndex].end);
 
       // Normalize whitespace in the signature to create a clean, consistent key
       const signatureKey = fullSignatureRaw.replace(/[\s\r\n]+/g, '').trim();
 
-      // This is the character index where the signature match begins inside the class_body
-      const signatureStartIndex = match.index;
+      // Leading doc comments and comments belong to the member
+      const contentStart = this.findLeadingTriviaStart(sourceCode, tokens, segment.firstIndex);
+      const contentEnd = tokens[segment.lastIndex].end;
+      const memberContent = sourceCode.slice(contentStart, contentEnd);
+      const lineCount = memberContent.split('\n').length;
+
+      // Store the member using the cleaned signature as the key
+      // (a partial method's declaration and implementation legitimately share a signature,
+      // and so do alternatives in #if/#else branches)
+      const inOtherBranch = signatureKey in signatureEnds &&
+        /^[ \t]*#[ \t]*(elif|else)\b/m.test(sourceCode.slice(signatureEnds[signatureKey], contentStart));
+      if (signatureKey in methods && !member.modifiers.includes('partial') && !inOtherBranch) {
+        console.warn(`Warning: Duplicate member signature found: '${signatureKey}'. Overwriting.`);
+      }
+      methods[signatureKey] = memberContent;
+      signatureEnds[signatureKey] = contentEnd;
+
+      const memberInfo = {
+        ...member,
+        // Every name a field, constant or field-like event declares: `int _a, _b;` declares two
+        declarators: ['field', 'constant', 'event'].includes(member.kind) && segment.bodyOpenIndex === -1
+          ? this.findDeclaratorNames(significantTokens(tokens.slice(segment.firstIndex, segment.lastIndex + 1)), memberName)
+          : [memberName],
+        // 'block' for { ... } bodies, 'expression' for => ...; and 'none' for declarations
+        // such as abstract, extern, partial and interface members (and fields)
+        bodyKind: segment.bodyOpenIndex !== -1 ? 'block' : segment.arrowIndex !== -1 ? 'expression' : 'none',
+        signature: fullSignatureRaw,
+        content: memberContent,
+        signatureKey: signatureKey,
+        lineCount: lineCount,
+        span: locate(contentStart, contentEnd)
+      };
+      members.push(memberInfo);
+
+      // Store member by name for easy lookup, under each name it declares
+      for (const name of memberInfo.declarators) {
+        if (!methodsByName[name]) {
+          methodsByName[name] = [];
+        }
+        methodsByName[name].push(memberInfo);
+      }
+    }
 
-      // Find the opening brace '{' that belongs to this specific method
-      const braceIndex = sourceCode.indexOf('{', match.index + match[0].length);
-      if (braceIndex === -1) {
-        // This should not happen due to the lookahead in regex, but it's a safe check
-        continue;
+    this.methodsByName = methodsByName;
+    this.members = members;
+    return methods;
+  }
+
+  /**
+   * Create a function that turns character offsets in text into a span with line and column
+   * numbers. Lines and columns are 1-based; the end position is that of the last character.
+   * @param {string} text - The text offsets refer to
+   * @returns {Function} (start, end) => { start, end, startLine, startColumn, endLine, endColumn }
+   */
+  createLocator(text) {
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '\n') {
+        lineStarts.push(i + 1);
+      }
+    }
+
+    const position = offset => {
+      let low = 0;
+      let high = lineStarts.length - 1;
+      while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (lineStarts[middle] <= offset) {
+          low = middle;
+        } else {
+          high = middle - 1;
+        }
       }
+      return { line: low + 1, column: offset - lineStarts[low] + 1 };
+    };
 
-      let braceCount = 1;
-      var isCommentLine = false;
-      // Scan from the character immediately after the opening brace
-      for (let j = braceIndex + 1; j < sourceCode.length; j++) {
-        const char = sourceCode[j];
+    return (start, end) => {
+      const first = position(start);
+      const last = position(Math.max(start, end - 1));
+      return { start, end, startLine: first.line, startColumn: first.column, endLine: last.line, endColumn: last.column };
+    };
+  }
+
+  /**
+   * Split a type body into member segments. A member ends at a ';' outside any
+   * brackets, or at the '}' closing its block body (property initializers such as
+   * `{ get; set; } = 5;` run on to their ';'). Braces that follow '=' or '=>' belong
+   * to an expression and never end a member.
+   * @param {Array} tokens - Token stream from the lexer (trivia included)
+   * @param {number} openIndex - Index of the '{' token opening the type body
+   * @param {number} closeIndex - Index of the matching '}' token
+   * @returns {Array} Segments with firstIndex, lastIndex, headerEndIndex, bodyOpenIndex and arrowIndex token indexes
+   */
+  splitMemberSegments(tokens, openIndex, closeIndex) {
+    const segments = [];
+    const isPunctuation = (token, value) => token.type === TokenType.PUNCTUATION && token.value === value;
+    let i = openIndex + 1;
+
+    while (i < closeIndex) {
+      if (isTrivia(tokens[i])) {
+        i++;
+        continue;
+      }
 
-        // Check if the current character is part of a comment
-        if (char === '/' && sourceCode[j + 1] === '/') {
-          isCommentLine = true;
+      const firstIndex = i;
+      let headerEndIndex = -1;
+      let bodyOpenIndex = -1;
+      let arrowIndex = -1;
+      let lastIndex = -1;
+      let inExpression = false;
+      let lastSignificant = -1;
+      let j = i;
+
+      while (j < closeIndex) {
+        const token = tokens[j];
+        if (isTrivia(token)) {
+          j++;
+          continue;
         }
 
-        // Reset comment line flag if we hit a newline
-        if (char === '\n' || char === '\r\n') {
-          isCommentLine = false;
+        if (isPunctuation(token, '(') || isPunctuation(token, '[')) {
+          const match = findMatchingToken(tokens, j);
+          j = match === -1 ? closeIndex : match;
+          lastSignificant = j;
+          j++;
+          continue;
         }
 
-        if (!isCommentLine) {
-          if (char === '{') {
-            braceCount++;
-          } else if (char === '}') {
-            braceCount--;
+        if (isPunctuation(token, '=>') || isPunctuation(token, '=')) {
+          if (!inExpression && headerEndIndex === -1) {
+            headerEndIndex = lastSignificant;
+            if (token.value === '=>') {
+              arrowIndex = j;
+            }
           }
+          inExpression = true;
+        } else if (isPunctuation(token, '{')) {
+          const match = findMatchingToken(tokens, j);
+          const blockEnd = match === -1 ? closeIndex - 1 : match;
+          if (!inExpression) {
+            headerEndIndex = lastSignificant;
+            bodyOpenIndex = j;
+            lastIndex = blockEnd;
+
+            // A property initializer follows the accessor block
+            let k = blockEnd + 1;
+            while (k < closeIndex && isTrivia(tokens[k])) k++;
+            if (k < closeIndex && isPunctuation(tokens[k], '=')) {
+              inExpression = true;
+              lastSignificant = blockEnd;
+              j = k;
+              continue;
+            }
+            break;
+          }
+          lastSignificant = blockEnd;
+          j = blockEnd + 1;
+          continue;
+        } else if (isPunctuation(token, ';')) {
+          if (headerEndIndex === -1) {
+            headerEndIndex = lastSignificant;
+          }
+          lastIndex = j;
+          break;
         }
 
-        // When braceCount is zero, we've found the matching closing brace
-        if (braceCount === 0) {
-          // The full method text spans from the start of the signature to the closing brace
-          const fullMethodEndIndex = j + 1;
-          const methodText = sourceCode.slice(signatureStartIndex, fullMethodEndIndex);
+        lastSignificant = j;
+        j++;
+      }
 
-          // Store the method using the cleaned signature as the key
-          if (signatureKey in methods) {
-            console.warn(`Warning: Duplicate method signature found: '${signatureKey}'. Overwriting.`);
-          }
-          const methodContent = (commentBlock.includes(this.classDeclaration) ? "" : commentBlock) + methodText;
-          const lineCount = methodContent.split('\n').length;
-          methods[signatureKey] = methodContent;
+      if (lastIndex === -1) {
+        // Unterminated member at the end of the body
+        lastIndex = lastSignificant === -1 ? firstIndex : lastSignificant;
+        if (headerEndIndex === -1) {
+          headerEndIndex = lastIndex;
+        }
+      }
+
+      segments.push({
+        firstIndex,
+        lastIndex,
+        headerEndIndex: headerEndIndex === -1 ? firstIndex : headerEndIndex,
+        bodyOpenIndex,
+        arrowIndex
+      });
+      i = lastIndex + 1;
+    }
+
+    return segments;
+  }
+
+  /**
+   * Describe a member from its header tokens.
+   * @param {string} sourceCode - Source the tokens were produced from
+   * @param {Array} header - Significant tokens of the member header (attributes included)
+   * @param {Object} segment - Member segment from splitMemberSegments
+   * @returns {Object|null} { kind, name, modifiers, returnType, parameters, typeParameters, attributes, explicitInterface }
+   * or null if the header can't be understood
+   */
+  describeMember(sourceCode, header, segment) {
+    const textOf = (from, to) => (from > to ? '' : sourceCode.slice(from.start, to.end).replace(/\s+/g, ' ').trim());
+    const rangeText = (tokens) => (tokens.length === 0 ? '' : textOf(tokens[0], tokens[tokens.length - 1]));
+    const typeKeywords = ['class', 'struct', 'interface', 'enum', 'record'];
+    let i = 0;
+
+    // Attributes
+    const attributes = [];
+    while (i < header.length && header[i].value === '[') {
+      const start = i;
+      let depth = 0;
+      for (; i < header.length; i++) {
+        if (header[i].value === '[') depth++;
+        if (header[i].value === ']' && --depth === 0) break;
+      }
+      attributes.push(rangeText(header.slice(start, i + 1)));
+      i++;
+    }
+
+    // Modifiers
+    const modifiers = [];
+    while (i < header.length && MEMBER_MODIFIERS.includes(header[i].value) &&
+        !(header[i].value === 'partial' && i + 1 >= header.length)) {
+      modifiers.push(header[i].value);
+      i++;
+    }
+
+    const rest = header.slice(i);
+    if (rest.length === 0) {
+      return null;
+    }
+
+    const member = {
+      kind: null,
+      name: null,
+      modifiers,
+      returnType: '',
+      parameters: null,
+      typeParameters: [],
+      attributes,
+      explicitInterface: ''
+    };
+
+    // Nested types
+    if (typeKeywords.includes(rest[0].value)) {
+      const nameIndex = rest[0].value === 'record' && ['class', 'struct'].includes(rest[1]?.value) ? 2 : 1;
+      if (!rest[nameIndex] || rest[nameIndex].type !== TokenType.IDENTIFIER) {
+        return null;
+      }
+      member.kind = 'type';
+      member.typeKind = nameIndex === 2 ? `record ${rest[1].value}` : rest[0].value;
+      member.name = rest[nameIndex].value;
+      member.typeParameters = this.parseTypeParameterNames(rest, nameIndex + 1);
+      return member;
+    }
+
+    // Finalizer: ~Name()
+    if (rest[0].value === '~') {
+      member.kind = 'finalizer';
+      member.name = `~${rest[1]?.value}`;
+      member.parameters = [];
+      return member;
+    }
+
+    // Events: event Type Name, event Type Name { add; remove; }
+    if (rest[0].value === 'event') {
+      const nameIndex = this.findDeclaratorNameIndex(rest);
+      member.kind = 'event';
+      member.name = rest[nameIndex].value;
+      member.returnType = rangeText(rest.slice(1, nameIndex));
+      return member;
+    }
+
+    // Operators and conversion operators
+    const operatorIndex = rest.findIndex(token => token.value === 'operator');
+    if (operatorIndex !== -1) {
+      const parenIndex = rest.findIndex((token, index) => index > operatorIndex && token.value === '(');
+      if (parenIndex === -1) {
+        return null;
+      }
+      const conversion = rest[operatorIndex - 1] && ['implicit', 'explicit'].includes(rest[operatorIndex - 1].value);
+      member.kind = 'operator';
+      if (conversion) {
+        member.returnType = rangeText(rest.slice(operatorIndex + 1, parenIndex));
+        member.name = `${rest[operatorIndex - 1].value} operator ${member.returnType}`;
+      } else {
+        member.returnType = rangeText(rest.slice(0, operatorIndex));
+        member.name = `operator ${rest.slice(operatorIndex + 1, parenIndex).map(token => token.value).join('')}`;
+      }
+      member.parameters = this.parseParameterList(sourceCode, rest, parenIndex);
+      return member;
+    }
+
+    // Indexers: Type this[...]
+    const thisIndex = rest.findIndex((token, index) => token.value === 'this' && rest[index + 1]?.value === '[');
+    if (thisIndex !== -1) {
+      member.kind = 'indexer';
+      member.name = 'this[]';
+      this.splitExplicitInterface(member, rest, thisIndex, rangeText);
+      member.parameters = this.parseParameterList(sourceCode, rest, thisIndex + 1);
+      return member;
+    }
+
+    // Methods, constructors and delegates: the first '(' outside a type argument list and
+    // after a tuple return type such as (int a, int b)
+    let typeStart = 0;
+    while (['delegate', 'ref', 'readonly'].includes(rest[typeStart]?.value)) {
+      typeStart++;
+    }
+    if (rest[typeStart]?.value === '(') {
+      let depth = 0;
+      for (; typeStart < rest.length; typeStart++) {
+        if (rest[typeStart].value === '(') depth++;
+        if (rest[typeStart].value === ')' && --depth === 0) break;
+      }
+    }
+    let angleDepth = 0;
+    let parenIndex = -1;
+    for (let k = typeStart; k < rest.length; k++) {
+      if (rest[k].value === '<') angleDepth++;
+      else if (rest[k].value === '>') angleDepth--;
+      else if (rest[k].value === '(' && angleDepth === 0) {
+        parenIndex = k;
+        break;
+      }
+    }
+
+    if (parenIndex !== -1) {
+      // Step back over a type parameter list to the name
+      let nameIndex = parenIndex - 1;
+      if (nameIndex >= 0 && rest[nameIndex].value === '>') {
+        let depth = 0;
+        for (; nameIndex >= 0; nameIndex--) {
+          if (rest[nameIndex].value === '>') depth++;
+          if (rest[nameIndex].value === '<' && --depth === 0) break;
+        }
+        nameIndex--;
+      }
+
+      const nameToken = rest[nameIndex];
+      if (!nameToken || nameToken.type !== TokenType.IDENTIFIER) {
+        return null;
+      }
+
+      member.name = nameToken.value;
+      member.typeParameters = this.parseTypeParameterNames(rest, nameIndex + 1);
+      member.parameters = this.parseParameterList(sourceCode, rest, parenIndex);
+
+      if (rest[0].value === 'delegate') {
+        member.kind = 'delegate';
+        member.returnType = rangeText(rest.slice(1, nameIndex));
+      } else if (nameIndex === 0) {
+        member.kind = 'constructor';
+      } else {
+        member.kind = 'method';
+        this.splitExplicitInterface(member, rest, nameIndex, rangeText);
+      }
+      return member;
+    }
 
-          // Store method by name for easy lookup
-          if (!methodsByName[methodName]) {
-            methodsByName[methodName] = [];
+    // Properties have an accessor body; everything else is a field or constant
+    const nameIndex = this.findDeclaratorNameIndex(rest);
+    if (nameIndex <= 0 || rest[nameIndex].type !== TokenType.IDENTIFIER) {
+      return null;
+    }
+    member.name = rest[nameIndex].value;
+
+    if (segment.bodyOpenIndex !== -1 || segment.arrowIndex !== -1) {
+      member.kind = 'property';
+      this.splitExplicitInterface(member, rest, nameIndex, rangeText);
+    } else {
+      member.kind = modifiers.includes('const') ? 'constant' : 'field';
+      member.returnType = rangeText(rest.slice(0, nameIndex));
+    }
+    return member;
+  }
+
+  /**
+   * Set returnType and explicitInterface from the tokens before a member name,
+   * e.g. `Task<int> IRepository.Load` gives returnType `Task<int>` and explicitInterface `IRepository`.
+   * @param {Object} member - Member description to update
+   * @param {Array} rest - Header tokens after attributes and modifiers
+   * @param {number} nameIndex - Index of the member name (or `this` for indexers)
+   * @param {Function} rangeText - Helper that returns the normalized source text of a token range
+   */
+  splitExplicitInterface(member, rest, nameIndex, rangeText) {
+    let typeEnd = nameIndex;
+    if (rest[nameIndex - 1]?.value === '.') {
+      // Walk back over a qualified interface name such as IRepository<T> or Ns.IFoo
+      let k = nameIndex - 1;
+      while (rest[k]?.value === '.') {
+        k--;
+        if (rest[k]?.value === '>') {
+          let depth = 0;
+          for (; k >= 0; k--) {
+            if (rest[k].value === '>') depth++;
+            if (rest[k].value === '<' && --depth === 0) break;
           }
-          methodsByName[methodName].push({
-            signature: fullSignatureRaw,
-            content: methodContent,
-            signatureKey: signatureKey,
-            lineCount: lineCount
-          });
+          k--;
+        }
+        typeEnd = k;
+        k--;
+      }
+      member.explicitInterface = rangeText(rest.slice(typeEnd, nameIndex - 1));
+    }
+    member.returnType = rangeText(rest.slice(0, typeEnd));
+  }
+
+  /**
+   * Find the name of the first declarator in a field, event or property header,
+   * e.g. `_a` in `int _a, _b` or `Name` in `string Name`.
+   * @param {Array} rest - Header tokens after attributes and modifiers
+   * @returns {number} Index of the name token
+   */
+  findDeclaratorNameIndex(rest) {
+    let depth = 0;
+    for (let k = 0; k < rest.length; k++) {
+      const value = rest[k].value;
+      if (value === '<' || value === '(' || value === '[') depth++;
+      else if (value === '>' || value === ')' || value === ']') depth--;
+      else if (value === ',' && depth === 0) return k - 1;
+    }
+    return rest.length - 1;
+  }
+
+  /**
+   * Find the names of all declarators of a field or field-like event, e.g. `_a` and `_b` in
+   * `int _a = 1, _b;`. Commas inside brackets belong to attributes, types or initializers.
+   * @param {Array} tokens - Significant tokens of the whole member
+   * @param {string} name - Name of the first declarator
+   * @returns {string[]} Declarator names in declaration order
+   */
+  findDeclaratorNames(tokens, name) {
+    const names = [name];
+    let depth = 0;
+    tokens.forEach((token, k) => {
+      if (['(', '[', '{'].includes(token.value)) depth++;
+      else if ([')', ']', '}'].includes(token.value)) depth--;
+      else if (token.value === ',' && depth === 0 && tokens[k + 1]?.type === TokenType.IDENTIFIER &&
+          ['=', ',', ';', undefined].includes(tokens[k + 2]?.value) && !names.includes(tokens[k + 1].value)) {
+        names.push(tokens[k + 1].value);
+      }
+    });
+    return names;
+  }
+
+  /**
+   * Read the names of a type parameter list such as `<TKey, in TValue>`.
+   * @param {Array} tokens - Header tokens
+   * @param {number} index - Index where the list may start
+   * @returns {string[]} Type parameter names (empty when there is no list)
+   */
+  parseTypeParameterNames(tokens, index) {
+    if (tokens[index]?.value !== '<') {
+      return [];
+    }
+    const names = [];
+    let depth = 0;
+    for (let k = index; k < tokens.length; k++) {
+      const value = tokens[k].value;
+      if (value === '<') depth++;
+      else if (value === '>' && --depth === 0) break;
+      else if (depth === 1 && tokens[k].type === TokenType.IDENTIFIER && ['<', ','].includes(tokens[k - 1].value)) names.push(value);
+      else if (depth === 1 && tokens[k].type === TokenType.IDENTIFIER && ['in', 'out'].includes(tokens[k - 1].value)) names.push(value);
+    }
+    return names;
+  }
+
+  /**
+   * Parse a parameter list.
+   * @param {string} sourceCode - Source the tokens were produced from
+   * @param {Array} tokens - Header tokens
+   * @param {number} openIndex - Index of the '(' or '[' that opens the list
+   * @returns {Array} Parameters as { modifier, type, name, defaultValue }
+   */
+  parseParameterList(sourceCode, tokens, openIndex) {
+    const closeIndex = findMatchingToken(tokens, openIndex);
+    const inner = tokens.slice(openIndex + 1, closeIndex === -1 ? tokens.length : closeIndex);
+    const textOf = (list) => (list.length === 0 ? '' : sourceCode.slice(list[0].start, list[list.length - 1].end).replace(/\s+/g, ' ').trim());
+    const parameterModifiers = ['ref', 'out', 'in', 'params', 'this', 'scoped', 'readonly'];
+
+    // Split on top-level commas
+    const groups = [];
+    let current = [];
+    let depth = 0;
+    for (const token of inner) {
+      if (['<', '(', '[', '{'].includes(token.value)) depth++;
+      else if (['>', ')', ']', '}'].includes(token.value)) depth--;
+      if (token.value === ',' && depth === 0) {
+        groups.push(current);
+        current = [];
+      } else {
+        current.push(token);
+      }
+    }
+    if (current.length > 0) {
+      groups.push(current);
+    }
+
+    return groups.map(group => {
+      let k = 0;
+      // Parameter attributes such as [CallerMemberName]
+      while (group[k]?.value === '[') {
+        let bracketDepth = 0;
+        for (; k < group.length; k++) {
+          if (group[k].value === '[') bracketDepth++;
+          if (group[k].value === ']' && --bracketDepth === 0) break;
+        }
+        k++;
+      }
+
+      const modifier = [];
+      while (k < group.length - 1 && parameterModifiers.includes(group[k].value)) {
+        modifier.push(group[k].value);
+        k++;
+      }
+
+      const equalsIndex = group.findIndex((token, index) => index >= k && token.value === '=');
+      const declaration = group.slice(k, equalsIndex === -1 ? group.length : equalsIndex);
+      const nameToken = declaration[declaration.length - 1];
+
+      return {
+        modifier: modifier.join(' '),
+        type: textOf(declaration.slice(0, -1)),
+        name: nameToken ? nameToken.value : '',
+        defaultValue: equalsIndex === -1 ? null : textOf(group.slice(equalsIndex + 1))
+      };
+    });
+  }
 
-          // Exit the inner loop and find the next method
+  /**
+   * Find where a member's leading comments start. Comments count as leading trivia when
+   * they sit on their own lines directly above the member, with no blank line in between.
+   * @param {string} sourceCode - Source the tokens were produced from
+   * @param {Array} tokens - Token stream from the lexer
+   * @param {number} firstIndex - Index of the member's first significant token
+   * @returns {number} Offset of the start of the line where the member's text begins
+   */
+  findLeadingTriviaStart(sourceCode, tokens, firstIndex) {
+    const lineStartOf = offset => sourceCode.lastIndexOf('\n', offset - 1) + 1;
+    const ownsLine = token => sourceCode.slice(lineStartOf(token.start), token.start).trim() === '';
+
+    let startToken = tokens[firstIndex];
+    for (let i = firstIndex - 1; i >= 0; i--) {
+      const token = tokens[i];
+      if (token.type === TokenType.WHITESPACE) {
+        if ((token.value.match(/\n/g) || []).length > 1) {
           break;
         }
+        continue;
       }
-      matchNum++;
+      if (token.type !== TokenType.COMMENT || !ownsLine(token)) {
+        break;
+      }
+      startToken = token;
     }
 
-    this.methodsByName = methodsByName;
-    return methods;
+    return ownsLine(startToken) ? lineStartOf(startToken.start) : startToken.start;
   }
 
   /**
@@ -137,50 +691,60 @@ class CSharpRefactorer {
    * @param {string} targetClassName - Optional: specific class name to process
    */
   async parseSourceFile(sourceFilePath, targetClassName = null) {
+    let sourceCode;
     try {
-      this.sourceCode = await fs.readFile(sourceFilePath, 'utf-8');
+      sourceCode = await fs.readFile(sourceFilePath, 'utf-8');
     } catch (error) {
       if (error.code === 'ENOENT') {
         throw new Error(`Source file not found at ${sourceFilePath}`);
       }
       throw new Error(`Error reading source file: ${error.message}`);
     }
+    this.parseSource(sourceCode, targetClassName);
+  }
+
+  /**
+   * Parse C# source text and the members of its target type, as parseSourceFile does for a file.
+   * @param {string} sourceCode - C# source text
+   * @param {string|null} targetClassName - Type to parse; defaults to the first public class
+   */
+  parseSource(sourceCode, targetClassName = null) {
+    this.sourceCode = sourceCode;
 
     // Parse all classes first
     this.availableClasses = this.parseAllClasses(this.sourceCode);
 
     if (this.availableClasses.length === 0) {
-      throw new Error('No classes found in the source file');
+      throw new Error('No types found in the source file');
     }
 
     // If target class name is specified, find and use that class
     let targetClass = null;
     if (targetClassName) {
-      targetClass = this.availableClasses.find(cls => cls.name === targetClassName);
-      if (!targetClass) {
-        throw new Error(`Class '${targetClassName}' not found. Available classes: ${this.availableClasses.map(c => c.name).join(', ')}`);
-      }
+      targetClass = this.findClass(targetClassName);
     } else {
-      // Use the first class if no target specified
-      targetClass = this.availableClasses[0];
+      // Use the first public class if no target specified, then any class-like type
+      targetClass = this.availableClasses.find(cls => cls.kind === 'class' && cls.modifiers.includes('public')) ||
+        this.availableClasses.find(cls => ['class', 'record', 'struct', 'record struct'].includes(cls.kind)) ||
+        this.availableClasses[0];
     }
+    this.targetClass = targetClass;
+
+    // Extract the using directives at the top of the file and those inside the namespace
+    // declarations around the target type
+    const tokens = significantTokens(tokenize(this.sourceCode));
+    this.usingDirectives = parseUsingDirectives(this.sourceCode, tokens, 0);
+    this.usingStatements = this.usingDirectives.filter(directive => !directive.isExtern).map(directive => directive.text);
+    this.namespaceUsingDirectives = targetClass.namespaceDeclarations.flatMap(declaration => {
+      const bodyIndex = tokens.findIndex(token => token.start >= declaration.nameEnd && (token.value === '{' || token.value === ';'));
+      return bodyIndex === -1 ? [] : parseUsingDirectives(this.sourceCode, tokens, bodyIndex + 1);
+    });
+    this.referenceCache = new Map();
 
-    // Extract using statements before namespace
-    let namespaceStart = this.sourceCode.indexOf('namespace');
-    if (namespaceStart === -1) {
-      namespaceStart = this.sourceCode.length;
-    }
-
-    const usingPattern = /using [^;]+;/g;
-    const usingMatches = this.sourceCode.slice(0, namespaceStart).match(usingPattern);
-    this.usingStatements = usingMatches || [];
-
-    // Extract namespace
-    const namespacePattern = /namespace ([^\s{]+)/;
-    const namespaceMatch = this.sourceCode.match(namespacePattern);
-    if (namespaceMatch) {
-      this.oldNamespace = namespaceMatch[1];
-    }
+    // The namespace and namespace style come from the target type, not the first declaration in the file
+    this.oldNamespace = targetClass.namespace;
+    const innermostNamespace = targetClass.namespaceDeclarations[targetClass.namespaceDeclarations.length - 1];
+    this.namespaceStyle = innermostNamespace ? innermostNamespace.style : null;
 
     // Set class declaration from the target class
     this.classDeclaration = targetClass.declaration;
@@ -188,32 +752,111 @@ class CSharpRefactorer {
     // Use the target class content for method parsing
     const classContent = targetClass.content;
     // this.otherMembers = classContent;
-    this.methods = this.parseCSharpMethods(classContent);
+    this.methods = this.parseCSharpMethods(classContent, targetClass.startIndex, this.sourceCode);
+
+    // Conditional and region sections, used to wrap moved members the same way
+    const { blocks, error } = this.parseDirectiveBlocks(this.sourceCode);
+    this.directiveBlocks = blocks.filter(block => block.end);
+    this.directiveError = error;
   }
 
   /**
-   * Find method by name and return the best match
-   * @param {string} methodName - Name of the method to find
+   * Find the members selected by a config entry that have not been processed yet.
+   * A bare name selects every overload except those claimed by an explicit signature.
+   * @param {string} methodName - Member name or selector such as "Save(User)"
    * @returns {Object|null} Method Array of object with signature and content, or null if not found
    */
   findMethodByName(methodName) {
-    if (!this.methodsByName[methodName]) {
-      return null;
+    const { members, selector } = this.resolveMemberSelector(methodName);
+    const remaining = members.filter(method => !this.processedMethods.has(method.signatureKey) &&
+      (selector.parameterTypes !== null || !this.explicitSelections.has(method.signatureKey)));
+
+    return remaining.length > 0 ? remaining : null;
+  }
+
+  /**
+   * Parse a member selector: a member name with an optional parameter-type list,
+   * e.g. "Save", "Save(User)", "Save(Order, bool)" or "this[int]".
+   * @param {string} text - Selector text
+   * @returns {Object} { name, parameterTypes } where parameterTypes is null for a bare name
+   */
+  parseMemberSelector(text) {
+    const trimmed = text.trim();
+    const indexer = trimmed.match(/^this\s*\[(.+)\]$/);
+    if (indexer) {
+      return { name: 'this[]', parameterTypes: this.splitTopLevelCommas(indexer[1]) };
     }
+    const overload = trimmed.match(/^([^(]+?)\s*\((.*)\)$/);
+    if (overload) {
+      return { name: overload[1], parameterTypes: this.splitTopLevelCommas(overload[2]) };
+    }
+    return { name: trimmed, parameterTypes: null };
+  }
 
-    const methods = this.methodsByName[methodName];
+  /**
+   * Resolve a member selector against the parsed members.
+   * @param {string} text - Selector text, see parseMemberSelector
+   * @returns {Object} { selector, members, error } - error describes a missing or ambiguous
+   * overload and lists the candidates; members is empty when error is set
+   */
+  resolveMemberSelector(text) {
+    const selector = this.parseMemberSelector(text);
+    const overloads = this.methodsByName[selector.name] || [];
 
-    return methods;
+    if (overloads.length === 0) {
+      return { selector, members: [], error: `Member '${selector.name}' not found` };
+    }
+    if (selector.parameterTypes === null) {
+      return { selector, members: overloads, error: null };
+    }
 
-    // Return the first non-processed method
-    for (const method of methods) {
-      if (!this.processedMethods.has(method.signatureKey)) {
-        return method;
-      }
+    const matches = overloads.filter(member => this.parametersMatch(member.parameters, selector.parameterTypes));
+    if (matches.length === 1) {
+      return { selector, members: matches, error: null };
     }
 
-    // If all methods are processed, return null
-    return null;
+    const candidates = overloads.map(member => `  - ${this.describeOverload(member)}`).join('\n');
+    const problem = matches.length === 0 ? `No overload of '${selector.name}' matches '${text}'` : `'${text}' matches more than one overload`;
+    return { selector, members: [], error: `${problem}. Candidates:\n${candidates}` };
+  }
+
+  /**
+   * Check parsed parameters against selector parameter types. A type matches the declared
+   * type exactly or by its unqualified name; ref/out/in must be given, params and this may be.
+   * @param {Array|null} parameters - Parsed parameters of a member
+   * @param {string[]} parameterTypes - Types from the selector
+   * @returns {boolean} True when every parameter matches
+   */
+  parametersMatch(parameters, parameterTypes) {
+    if (!parameters || parameters.length !== parameterTypes.length) {
+      return false;
+    }
+
+    const normalize = type => type.replace(/\s+/g, '');
+    const unqualified = type => normalize(type).replace(/(?:[A-Za-z_]\w*\.)+(?=[A-Za-z_])/g, '').replace(/global::/g, '');
+    return parameters.every((parameter, index) => {
+      const wanted = parameterTypes[index];
+      const modifierMatch = wanted.match(/^((?:(?:ref|out|in|params|this|scoped|readonly)\s+)+)(.+)$/);
+      const wantedModifier = modifierMatch ? modifierMatch[1].trim().replace(/\s+/g, ' ') : '';
+      if (wantedModifier !== parameter.modifier && !(wantedModifier === '' && ['params', 'this'].includes(parameter.modifier))) {
+        return false;
+      }
+      const wantedType = modifierMatch ? modifierMatch[2] : wanted;
+      return normalize(wantedType) === normalize(parameter.type) || unqualified(wantedType) === unqualified(parameter.type);
+    });
+  }
+
+  /**
+   * Describe an overload in selector form, e.g. "Save(Order, bool)".
+   * @param {Object} member - Parsed member
+   * @returns {string} Selector that picks exactly this overload
+   */
+  describeOverload(member) {
+    if (!member.parameters) {
+      return member.name;
+    }
+    const types = member.parameters.map(parameter => [parameter.modifier, parameter.type].filter(Boolean).join(' ')).join(', ');
+    return member.kind === 'indexer' ? `this[${types}]` : `${member.name}(${types})`;
   }
 
   /**
@@ -225,1315 +868,7247 @@ class CSharpRefactorer {
   }
 
   /**
-   * Generate content for a partial class file.
+   * Find the members a partial class config moves: for each "members" and "methods" entry,
+   * the overloads not processed yet, in config order.
    * @param {Object} partialClassConfig - Configuration for the partial class
-   * @param {string} newNamespace - New namespace for the class
-   * @returns {string} Generated content for the partial class file
+   * @returns {Array} [{ entry, member }] where entry is the config text that selected the member
    */
-  async generatePartialClass(partialClassConfig, newNamespace) {
-    let content = '';
-
-    // Write using statements
-    for (const usingStmt of this.usingStatements) {
-      content += `${usingStmt}\n`;
+  selectPartialMembers(partialClassConfig) {
+    const selected = [];
+    const seen = new Set();
+
+    for (const entry of getConfiguredMembers(partialClassConfig)) {
+      // Entries already moved to another partial class are skipped silently (this is allowed)
+      for (const member of this.findMethodByName(entry) || []) {
+        if (!seen.has(member)) {
+          seen.add(member);
+          selected.push({ entry, member });
+        }
+      }
     }
 
-    content += '\n';
+    return selected;
+  }
 
-    // Write namespace declaration
-    content += `namespace ${newNamespace}\n{\n`;
+  /**
+   * Render the text of a partial class file holding the given members, without changing any state.
+   * @param {Object} partialClassConfig - Configuration for the partial class
+   * @param {Array} selected - [{ entry, member }] as returned by selectPartialMembers
+   * @param {string} newNamespace - New namespace for the class
+   * @param {string|null} namespaceStyle - 'block' or 'file-scoped'; defaults to the source file's style
+   * @returns {string} File content
+   */
+  renderPartialClass(partialClassConfig, selected, newNamespace, namespaceStyle = null) {
+    const typeChain = this.getContainingTypes(this.targetClass);
+    const declarations = typeChain.map(typeInfo => typeInfo === this.targetClass
+      ? this.getPartialDeclaration(typeInfo, partialClassConfig.interface || '')
+      : this.getPartialDeclaration(typeInfo));
+    const usings = this.getRequiredUsings(selected.map(({ member }) => member), declarations);
+    let content = '';
 
-    // Write class declaration with partial keyword
-    const classNameMatch = this.classDeclaration.match(/public\s+(?:\w+\s+)*?class\s+(\w+)/);
-    let classDecl = this.classDeclaration;
-    if (classNameMatch) {
-      const originalClassName = classNameMatch[1];
-      classDecl = this.classDeclaration.replace(
-        `public class ${originalClassName}`,
-        `public partial class ${originalClassName}`
-      );
+    // Write the using directives the members need
+    if (usings.file.length > 0) {
+      content += usings.file.map(usingStmt => `${usingStmt}\n`).join('') + '\n';
     }
 
-    const interfaceImpl = partialClassConfig.interface || '';
-    if (interfaceImpl) {
-      classDecl = classDecl.replace('{', ` : ${interfaceImpl} {`);
+    // Write namespace declaration in the source style unless overridden. Types in the
+    // global namespace stay there, so the partials match the main file.
+    const style = this.oldNamespace ? (namespaceStyle || this.namespaceStyle) : null;
+    const namespaceName = newNamespace || this.oldNamespace;
+    if (style === 'block') {
+      content += `namespace ${namespaceName}\n{\n`;
+    } else if (style === 'file-scoped') {
+      content += `namespace ${namespaceName};\n\n`;
     }
+    const baseDepth = style === 'block' ? 1 : 0;
+    const sourceDepth = this.targetClass.namespaceDeclarations.filter(declaration => declaration.style === 'block').length;
 
-    content += `    ${classDecl}\n    {\n`;
-
-    var processedMethods = [];
-    var totalLines = 0;
-
-    // Write methods (all methods are guaranteed to exist due to pre-validation)
-    for (const methodName of partialClassConfig.methods) {
-      const methodInfoList = this.findMethodByName(methodName);
-
-      // If method is already processed, skip it silently (this is allowed)
-      if (!methodInfoList) {
-        continue;
-      }
+    // Usings declared inside the source namespace stay inside the namespace
+    if (usings.namespace.length > 0) {
+      content += usings.namespace.map(usingStmt => `${'    '.repeat(baseDepth)}${usingStmt}\n`).join('') + '\n';
+    }
 
-      for (let key in methodInfoList) {
-        let methodInfo = methodInfoList[key];
-        // Mark this method as processed
-        this.markMethodAsProcessed(methodInfo.signatureKey);
+    // Write class declaration with partial keyword, wrapped in its containing types when nested
+    typeChain.forEach((typeInfo, depth) => {
+      const indent = '    '.repeat(depth + baseDepth);
+      content += `${indent}${declarations[depth]}\n${indent}{\n`;
+    });
 
-        // Add method content
-        content += `${methodInfo.content}\n\n`;
+    // Add member content, re-indented when the namespace nesting changes, together with
+    // the #if and #region sections it sits in
+    const memberContents = selected.map(({ member }) => ({
+      content: this.reindent(member.content, baseDepth - sourceDepth),
+      frames: this.getDirectiveContext(member.span.start)
+    }));
+    content += this.wrapInDirectives(memberContents, baseDepth - sourceDepth);
 
-        // Track line count
-        totalLines += methodInfo.lineCount;
+    // Close class, containing types and namespace
+    for (let depth = typeChain.length; depth > 0; depth--) {
+      content += `\n${'    '.repeat(depth + baseDepth - 1)}}`;
+    }
+    if (style === 'block') {
+      content += '\n}';
+    }
 
-        // Remove from sourceCode to avoid duplication
-        this.sourceCode = this.sourceCode.replace(methodInfo.content, '');
+    return content.replace(/^\n\n/, /\n/); // Remove extra newlines
+  }
 
-        processedMethods.push({ name: methodName, lines: methodInfo.lineCount });
+  /**
+   * Work out the using directives a partial file needs from the names its members and type
+   * declarations reference.
+   * @param {Array} members - Members written to the file
+   * @param {string[]} declarations - Type declarations written to the file
+   * @returns {Object} { file, namespace } directive texts for the top of the file and for inside
+   * the namespace, each sorted the way dotnet format orders them
+   */
+  getRequiredUsings(members, declarations = []) {
+    const referencesOf = text => collectReferences(codeTokens(tokenize(text)));
+    for (const member of members) {
+      if (!this.referenceCache.has(member)) {
+        this.referenceCache.set(member, referencesOf(member.content));
+      }
+    }
+    const references = mergeReferences([
+      ...members.map(member => this.referenceCache.get(member)),
+      ...declarations.map(referencesOf),
+    ]);
+
+    // Members of the class, its type parameters and those of the moved members resolve without a using
+    const declaredNames = new Set(Object.keys(this.methodsByName));
+    for (const typeInfo of this.getContainingTypes(this.targetClass)) {
+      (typeInfo.typeParameters.match(/[A-Za-z_]\w*/g) || []).forEach(name => declaredNames.add(name));
+    }
+    members.forEach(member => (member.typeParameters || []).forEach(name => declaredNames.add(name)));
+    const fileTypes = new Map();
+    for (const typeInfo of this.availableClasses) {
+      if (!fileTypes.has(typeInfo.namespace)) {
+        fileTypes.set(typeInfo.namespace, new Set());
       }
+      fileTypes.get(typeInfo.namespace).add(typeInfo.name);
     }
 
-    // Close class and namespace
-    content += '    }\n}';
+    const imported = [...this.usingDirectives, ...this.namespaceUsingDirectives]
+      .filter(directive => !directive.isExtern && !directive.alias && !directive.isStatic)
+      .map(directive => directive.name.replace(/^global::/, ''));
+    const pick = directives => sortUsingDirectives(selectUsingDirectives(directives, references, { declaredNames, fileTypes, imported }))
+      .map(directive => directive.text);
+    return { file: pick(this.usingDirectives), namespace: pick(this.namespaceUsingDirectives) };
+  }
 
-    content = content.replace(/#endregion/g, '//#endregion');
-    content = content.replace(/#region/g, '//#region');
-    content = content.replace(/^\n\n/, /\n/); // Remove extra newlines
+  /**
+   * Generate content for a partial class file and take its members out of the main class.
+   * @param {Object} partialClassConfig - Configuration for the partial class; maxLinesPerFile
+   * sets its line limit (default 5000)
+   * @param {string} newNamespace - New namespace for the class
+   * @param {string|null} namespaceStyle - 'block' or 'file-scoped'; defaults to the source file's style
+   * @param {Array|null} selected - Members to write, [{ entry, member }]; defaults to the members
+   * the config selects (all of them are guaranteed to exist due to pre-validation)
+   * @returns {string} Generated content for the partial class file
+   */
+  async generatePartialClass(partialClassConfig, newNamespace, namespaceStyle = null, selected = null) {
+    const members = selected || this.selectPartialMembers(partialClassConfig);
+    const content = this.renderPartialClass(partialClassConfig, members, newNamespace, namespaceStyle);
+    const totalLines = members.reduce((sum, { member }) => sum + member.lineCount, 0);
+    const processedMethods = members.map(({ entry, member }) => ({ name: entry, signature: member.signature, lines: member.lineCount }));
 
     // Calculate final line count including structure
     const finalLineCount = content.split('\n').length;
 
-    // Validate 5000-line limit
-    if (finalLineCount > 5000) {
+    // Validate the line limit
+    const maxLines = partialClassConfig.maxLinesPerFile || DEFAULT_MAX_LINES_PER_FILE;
+    if (finalLineCount > maxLines) {
       const methodDetails = processedMethods.map(m => `  - ${m.name}: ${m.lines} lines`).join('\n');
-      throw new Error(`Generated partial class exceeds 5000-line limit!\n\nFile: ${partialClassConfig.fileName}\nTotal lines: ${finalLineCount}\nMethod lines: ${totalLines}\nStructure lines: ${finalLineCount - totalLines}\n\nMethods included:\n${methodDetails}\n\nPlease split the methods into smaller groups to stay within the 5000-line limit.`);
+      throw new Error(`Generated partial class exceeds ${maxLines}-line limit!\n\nFile: ${partialClassConfig.fileName}\nTotal lines: ${finalLineCount}\nMethod lines: ${totalLines}\nStructure lines: ${finalLineCount - totalLines}\n\nMethods included:\n${methodDetails}\n\nPlease split the methods into smaller groups to stay within the ${maxLines}-line limit, raise maxLinesPerFile, or set overflow to "split" to number the files automatically.`);
+    }
+
+    for (const { member } of members) {
+      // Mark this method as processed; the main partial class leaves it out
+      this.markMethodAsProcessed(member.signatureKey);
+      this.movedMembers.add(member);
     }
 
+    this.placements[partialClassConfig.fileName] = processedMethods;
     return content;
   }
 
   /**
-   * Generate the main partial class file with remaining code elements.
+   * Divide the members of an oversized partial class into as few numbered files as stay under
+   * its line limit. Members are clustered like split suggestions, so callers and callees and
+   * methods sharing state stay together where they fit; each file keeps the config order.
+   * @param {Object} partialClassConfig - Configuration for the partial class
+   * @param {Array} selected - [{ entry, member }] as returned by selectPartialMembers
    * @param {string} newNamespace - New namespace for the class
-   * @param {string} mainClassName - Main class name
-   * @param {string} mainInterface - Main interface to implement
-   * @returns {string} Generated content for the main partial class file
+   * @param {string|null} namespaceStyle - 'block' or 'file-scoped'
+   * @returns {Array} [{ config, selected }] per file, with fileName numbered as Name.1.cs, Name.2.cs, ...
    */
-  generateMainPartialClass(newNamespace, mainClassName, mainInterface = '') {
-    let content = this.sourceCode;
+  chunkPartialClass(partialClassConfig, selected, newNamespace, namespaceStyle = null) {
+    const maxLines = partialClassConfig.maxLinesPerFile || DEFAULT_MAX_LINES_PER_FILE;
+    const measure = entries => this.renderPartialClass(partialClassConfig, entries, newNamespace, namespaceStyle).split('\n').length;
+    if (measure(selected) <= maxLines) {
+      return [{ config: partialClassConfig, selected }];
+    }
 
-    // Replace namespace
-    if (this.oldNamespace) {
-      content = content.replace(
-        `namespace ${this.oldNamespace}`,
-        `namespace ${newNamespace}`
-      );
+    // One unit per name, so overloads stay together
+    const units = [];
+    const unitOf = new Map();
+    selected.forEach((selection, position) => {
+      const name = selection.member.name;
+      if (!unitOf.has(name)) {
+        unitOf.set(name, { name, selections: [], position, lineCount: 0, calls: new Set(), state: new Set() });
+        units.push(unitOf.get(name));
+      }
+      const unit = unitOf.get(name);
+      unit.selections.push(selection);
+      unit.lineCount += selection.member.lineCount + 1;
+    });
+    const stateNames = new Set(units.filter(unit => unit.selections.every(({ member }) => member.kind !== 'method')).map(unit => unit.name));
+    for (const unit of units) {
+      for (const { member } of unit.selections) {
+        this.parseMethodCalls(member.content)
+          .filter(call => call.className === 'this' && unitOf.has(call.methodName) && call.methodName !== unit.name)
+          .forEach(call => unit.calls.add(call.methodName));
+        // Fields, properties and events moved in the same file link to the members that use them
+        significantTokens(tokenize(member.content))
+          .filter(token => token.type === TokenType.IDENTIFIER && stateNames.has(token.value))
+          .forEach(token => unit.state.add(token.value));
+      }
     }
 
-    // Make the main class partial (extract class name from declaration)
-    const mainClassNameMatch = this.classDeclaration.match(/public\s+(?:\w+\s+)*?class\s+(\w+)/);
-    if (mainClassNameMatch) {
-      const mainClassName = mainClassNameMatch[1];
-      // Replace only the specific main class with partial
-      const mainClassPattern = new RegExp(`(public\\s+(?:\\w+\\s+)*?)class\\s+(${mainClassName})`, 'g');
-      content = content.replace(mainClassPattern, '$1partial class $2');
+    const tooLarge = units.filter(unit => measure(unit.selections) > maxLines);
+    if (tooLarge.length > 0) {
+      throw new Error(`Cannot split ${partialClassConfig.fileName} into files of at most ${maxLines} lines: ${tooLarge.map(unit => `'${unit.name}' (${unit.lineCount - unit.selections.length} lines)`).join(', ')} does not fit in a file on its own.`);
     }
 
-    // Add interface if specified
-    if (mainInterface) {
-      const mainClassNameForInterface = mainClassNameMatch ? mainClassNameMatch[1] : '';
-      if (mainClassNameForInterface) {
-        const classPattern = new RegExp(`(public\\s+(?:\\w+\\s+)*?partial\\s+class\\s+${mainClassNameForInterface}(?:\\s*<[^>{}]+>)?)`, 'g');
-        content = content.replace(classPattern, `$1 : ${mainInterface}`);
+    // Clustering works on member lines; directive lines around members may still push a file
+    // over the limit, so shrink the budget by the overshoot until every rendered file fits
+    const links = (a, b) => a.reduce((sum, unit) => sum + b.filter(other =>
+      unit.calls.has(other.name) || other.calls.has(unit.name) || [...unit.state].some(name => other.state.has(name))).length, 0);
+    for (let budget = maxLines - measure([]); budget > 0;) {
+      // Clusters are packed into as few files as fit, largest first, each joining the file it
+      // is most linked to
+      const files = [];
+      for (const cluster of clusterMethods(units, { maxLines: budget }).sort((a, b) => b.lineCount - a.lineCount)) {
+        const file = files
+          .filter(candidate => candidate.lineCount + cluster.lineCount <= budget)
+          .sort((a, b) => links(b.units, cluster.methods) - links(a.units, cluster.methods))[0];
+        if (file) {
+          file.units.push(...cluster.methods);
+          file.lineCount += cluster.lineCount;
+        } else {
+          files.push({ units: [...cluster.methods], lineCount: cluster.lineCount });
+        }
       }
+      const groups = files
+        .map(file => file.units.sort((a, b) => a.position - b.position))
+        .sort((a, b) => a[0].position - b[0].position)
+        .map(group => group.flatMap(unit => unit.selections));
+      const overshoot = Math.max(...groups.map(group => measure(group) - maxLines));
+      if (overshoot <= 0) {
+        const extension = path.extname(partialClassConfig.fileName);
+        const baseName = partialClassConfig.fileName.slice(0, partialClassConfig.fileName.length - extension.length);
+        return groups.map((group, index) => ({
+          config: { ...partialClassConfig, fileName: `${baseName}.${index + 1}${extension}` },
+          selected: group
+        }));
+      }
+      budget -= overshoot;
     }
-
-    return content;
+    throw new Error(`Cannot split ${partialClassConfig.fileName} into files of at most ${maxLines} lines.`);
   }
 
   /**
-   * Get all available method names
-   * @returns {string[]} Array of method names
+   * Build the declaration of an additional partial part of a type from its parsed modifiers,
+   * type parameters, base list and constraints. Primary constructor parameters and base
+   * class arguments may only appear on one part, so they are left on the original declaration.
+   * @param {Object} typeInfo - A parsed type
+   * @param {string} interfaces - Optional comma-separated interfaces to add to the base list
+   * @returns {string} Declaration text, e.g. "internal sealed partial class Repo<T> : Base, IRepo where T : class"
    */
-  getAvailableMethodNames() {
-    return Object.keys(this.methodsByName);
+  getPartialDeclaration(typeInfo, interfaces = '') {
+    const modifiers = typeInfo.modifiers.filter(modifier => modifier !== 'partial');
+    const keyword = typeInfo.keyword === 'record struct' ? 'record struct' : typeInfo.keyword === 'record' ? 'record' : typeInfo.kind;
+    const baseTypes = this.mergeBaseTypes(typeInfo.baseTypes.map(baseType => baseType.name), interfaces);
+
+    let declaration = [...modifiers, 'partial', keyword, typeInfo.name].join(' ') + typeInfo.typeParameters;
+    if (baseTypes.length > 0) {
+      declaration += ` : ${baseTypes.join(', ')}`;
+    }
+    if (typeInfo.constraints) {
+      declaration += ` ${typeInfo.constraints}`;
+    }
+    return declaration;
   }
 
   /**
-   * Get all available classes in the source file
-   * @returns {Array} Array of class objects with name, declaration, and metadata
+   * Find the attribute lists and leading comments of a type declaration in the working source.
+   * @param {Object} typeInfo - A parsed type
+   * @returns {Object} { start, comments, attributes } where start is the offset where the
+   * declaration text begins, comments the whole lines of its leading comments and attributes
+   * the text of each attribute list
    */
-  getAvailableClasses() {
-    return this.availableClasses.map(cls => ({
-      name: cls.name,
-      declaration: cls.declaration,
-      lineCount: cls.lineCount
-    }));
+  getTypeLeadingText(typeInfo) {
+    const tokens = tokenize(this.sourceCode);
+    let firstIndex = tokens.findIndex(token => token.start === typeInfo.startIndex);
+    const attributes = [];
+    for (let i = firstIndex - 1; i >= 0; i--) {
+      if (isTrivia(tokens[i])) {
+        continue;
+      }
+      if (tokens[i].value !== ']') {
+        break;
+      }
+      let depth = 0;
+      let open = i;
+      for (; open >= 0; open--) {
+        if (tokens[open].value === ']') depth++;
+        if (tokens[open].value === '[' && --depth === 0) break;
+      }
+      if (open < 0) {
+        break;
+      }
+      attributes.unshift(this.sourceCode.slice(tokens[open].start, tokens[i].end).replace(/\s+/g, ' '));
+      firstIndex = open;
+      i = open;
+    }
+
+    const start = this.findLeadingTriviaStart(this.sourceCode, tokens, firstIndex);
+    const firstLineStart = this.sourceCode.lastIndexOf('\n', tokens[firstIndex].start - 1) + 1;
+    return { start, comments: this.sourceCode.slice(start, Math.max(start, firstLineStart)), attributes };
   }
 
   /**
-   * Parse all classes from the source code
-   * @param {string} sourceCode - The C# source code
-   * @returns {Array} Array of class objects with name, declaration, and full content
+   * Check whether the working source holds nothing but a type declaration: besides the type,
+   * only using directives, its namespace declarations and the headers of its containing types.
+   * @param {Object} typeInfo - A parsed type
+   * @param {number} start - Offset where the declaration text begins, see getTypeLeadingText
+   * @returns {boolean} True when removing the declaration leaves no code behind
    */
-  parseAllClasses(sourceCode) {
-    const classes = [];
+  holdsOnlyType(typeInfo, start) {
+    const tokens = significantTokens(tokenize(this.sourceCode));
+    const allowed = [[start, typeInfo.endIndex]];
+    [...this.usingDirectives, ...this.namespaceUsingDirectives].forEach(directive => allowed.push([directive.start, directive.end]));
+    typeInfo.namespaceDeclarations.forEach(declaration => allowed.push([declaration.keywordStart, declaration.nameEnd]));
+    for (const container of this.getContainingTypes(typeInfo).slice(0, -1)) {
+      const open = tokens.find(token => token.start >= container.nameEnd && token.value === '{');
+      allowed.push([container.startIndex, open ? open.end : container.nameEnd]);
+    }
+    return tokens.every(token => ['{', '}', ';'].includes(token.value) ||
+      allowed.some(([from, to]) => token.start >= from && token.end <= to));
+  }
 
-    // Simple and fast pattern to find class declarations
-    const classPattern = /(public\s+(?:\w+\s+)*?class\s+(\w+)(?:\s*<[^>{}]+>)?.*?)(?=\s*{)/g;
-
-    let match;
-    while ((match = classPattern.exec(sourceCode)) !== null) {
-      const fullDeclaration = match[1].trim();
-      const className = match[2];
-
-      // Find the class body by tracking braces
-      const classStartIndex = match.index;
-      const braceIndex = sourceCode.indexOf('{', match.index + match[0].length);
-
-      if (braceIndex !== -1) {
-        let braceCount = 1;
-        let isInString = false;
-        let isInComment = false;
-        let isInLineComment = false;
-        let escapeNext = false;
-
-        // Find the end of the class by matching braces
-        for (let i = braceIndex + 1; i < sourceCode.length; i++) {
-          const char = sourceCode[i];
-          const nextChar = sourceCode[i + 1];
-
-          // Handle escaped characters
-          if (escapeNext) {
-            escapeNext = false;
-            continue;
-          }
-
-          if (char === '\\' && isInString) {
-            escapeNext = true;
-            continue;
-          }
+  /**
+   * Identify a member the way the compiler tells members apart: by name, and for methods,
+   * constructors, indexers and operators also by parameter types and type parameter count.
+   * @param {Object} member - A parsed member
+   * @returns {string} Identity such as "Save`1(ref T,int)" or "static Store()"
+   */
+  getMemberIdentity(member) {
+    const parameters = member.parameters && member.kind !== 'delegate'
+      ? `(${member.parameters.map(parameter => `${parameter.modifier ? `${parameter.modifier} ` : ''}${parameter.type.replace(/\s+/g, '')}`).join(',')})`
+      : '';
+    const arity = member.typeParameters && member.typeParameters.length > 0 ? `\`${member.typeParameters.length}` : '';
+    const owner = member.explicitInterface ? `${member.explicitInterface.replace(/\s+/g, '')}.` : '';
+    const isStatic = member.kind === 'constructor' && member.modifiers.includes('static') ? 'static ' : '';
+    return `${isStatic}${owner}${member.name}${arity}${parameters}`;
+  }
 
-          // Handle string literals
-          if (char === '"' && !isInComment && !isInLineComment) {
-            isInString = !isInString;
-            continue;
-          }
+  /**
+   * Add interfaces to a base type list, skipping ones that are already present.
+   * @param {string[]} baseTypes - Existing base types
+   * @param {string} interfaces - Comma-separated interfaces, e.g. "IFoo, IBar<int>"
+   * @returns {string[]} Merged base types
+   */
+  mergeBaseTypes(baseTypes, interfaces) {
+    const merged = [...baseTypes];
+    const normalize = text => text.replace(/\s+/g, '');
+    for (const name of this.splitTopLevelCommas(interfaces || '')) {
+      if (!merged.some(existing => normalize(existing) === normalize(name))) {
+        merged.push(name);
+      }
+    }
+    return merged;
+  }
 
-          // Skip if we're in a string
-          if (isInString) {
-            continue;
-          }
+  /**
+   * Split a comma-separated list of types, ignoring commas inside generic arguments.
+   * @param {string} text - List text
+   * @returns {string[]} Trimmed, non-empty items
+   */
+  splitTopLevelCommas(text) {
+    const items = [];
+    let depth = 0;
+    let current = '';
+    for (const char of text) {
+      if ('<([{'.includes(char)) {
+        depth++;
+      } else if ('>)]}'.includes(char)) {
+        depth--;
+      }
+      if (char === ',' && depth === 0) {
+        items.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    items.push(current.trim());
+    return items.filter(Boolean);
+  }
 
-          // Handle multi-line comments
-          if (char === '/' && nextChar === '*' && !isInLineComment) {
-            isInComment = true;
-            i++; // Skip the '*'
-            continue;
-          }
+  /**
+   * Build the edit that renames the namespace declaration containing a type. With nested
+   * declarations (namespace A { namespace B { ... } }) only the innermost one is renamed,
+   * so the new namespace must keep the outer part.
+   * @param {Object} typeInfo - A parsed type
+   * @param {string} newNamespace - New full namespace name
+   * @returns {Object} Edit with start, end and replacement text
+   */
+  getNamespaceRenameEdit(typeInfo, newNamespace) {
+    const declarations = typeInfo.namespaceDeclarations;
+    const innermost = declarations[declarations.length - 1];
+    const outerName = declarations.slice(0, -1).map(declaration => declaration.name).join('.');
 
-          if (char === '*' && nextChar === '/' && isInComment) {
-            isInComment = false;
-            i++; // Skip the '/'
-            continue;
-          }
+    if (outerName && !newNamespace.startsWith(`${outerName}.`)) {
+      throw new Error(`Cannot move '${typeInfo.qualifiedName}' to namespace '${newNamespace}': it is declared inside nested namespace declarations and only the innermost one ('${innermost.name}') can be renamed. The new namespace must start with '${outerName}.'`);
+    }
 
-          // Handle single-line comments
-          if (char === '/' && nextChar === '/' && !isInComment) {
-            isInLineComment = true;
-            i++; // Skip the second '/'
-            continue;
-          }
+    return {
+      start: innermost.nameStart,
+      end: innermost.nameEnd,
+      text: outerName ? newNamespace.slice(outerName.length + 1) : newNamespace
+    };
+  }
 
-          if ((char === '\n' || char === '\r') && isInLineComment) {
-            isInLineComment = false;
-            continue;
-          }
+  /**
+   * Shift the indentation of member text by whole levels (four spaces), leaving lines that
+   * continue a multi-line string untouched so literal contents don't change.
+   * @param {string} text - Member text
+   * @param {number} levels - Levels to add (positive) or remove (negative)
+   * @returns {string} Re-indented text
+   */
+  reindent(text, levels) {
+    if (levels === 0) {
+      return text;
+    }
 
-          // Count braces only if not in string or comment
-          if (!isInComment && !isInLineComment) {
-            if (char === '{') {
-              braceCount++;
-            } else if (char === '}') {
-              braceCount--;
-            }
-          }
+    // Line starts inside verbatim or regular strings must keep their whitespace;
+    // raw string literals are indented as a whole, closing delimiter included
+    const protectedRanges = tokenize(text)
+      .filter(token => token.type === TokenType.STRING && !/^\$*"{3}/.test(token.value) && token.value.includes('\n'))
+      .map(token => [token.start, token.end]);
+    const indentUnit = '    ';
+
+    let offset = 0;
+    return text.split('\n').map(line => {
+      const lineStart = offset;
+      offset += line.length + 1;
+      if (line.trim() === '' || protectedRanges.some(([start, end]) => lineStart > start && lineStart < end)) {
+        return line;
+      }
+      if (levels > 0) {
+        return indentUnit.repeat(levels) + line;
+      }
+      const leading = line.match(/^[ \t]*/)[0];
+      let remove = 0;
+      let width = 0;
+      while (remove < leading.length && width < indentUnit.length * -levels) {
+        width += leading[remove] === '\t' ? indentUnit.length : 1;
+        remove++;
+      }
+      return line.slice(remove);
+    }).join('\n');
+  }
 
-          // Found the end of the class
-          if (braceCount === 0) {
-            const classContent = sourceCode.slice(classStartIndex, i + 1);
-
-            classes.push({
-              name: className,
-              declaration: fullDeclaration,
-              content: classContent,
-              startIndex: classStartIndex,
-              endIndex: i + 1,
-              lineCount: classContent.split('\n').length
-            });
-            break;
-          }
+  /**
+   * Find unterminated literals and comments and brackets that don't close in order.
+   * @param {string} text - C# text
+   * @returns {string[]} Problems with their line numbers in text
+   */
+  findBracketProblems(text) {
+    const problems = [];
+    const lineOf = offset => text.slice(0, offset).split('\n').length;
+    const stack = [];
+    for (const token of tokenize(text)) {
+      if ((token.type === TokenType.STRING && !/"(u8)?$/i.test(token.value)) || (token.type === TokenType.CHAR && !/.'$/.test(token.value)) ||
+          (token.type === TokenType.COMMENT && token.value.startsWith('/*') && !/.\*\/$/.test(token.value))) {
+        problems.push(`line ${lineOf(token.start)}: unterminated ${token.type === TokenType.COMMENT ? 'comment' : `${token.type} literal`}`);
+      }
+      if (token.type !== TokenType.PUNCTUATION) {
+        continue;
+      }
+      if (['{', '(', '['].includes(token.value)) {
+        stack.push(token);
+      } else if (['}', ')', ']'].includes(token.value)) {
+        const open = stack.pop();
+        if (!open || { '{': '}', '(': ')', '[': ']' }[open.value] !== token.value) {
+          problems.push(`line ${lineOf(token.start)}: '${token.value}' ${open ? `closes '${open.value}' from line ${lineOf(open.start)}` : 'has no opening bracket'}`);
+          return problems;
         }
       }
     }
-
-    return classes;
+    if (stack.length > 0) {
+      problems.push(`line ${lineOf(stack[stack.length - 1].start)}: '${stack[stack.length - 1].value}' is never closed`);
+    }
+    return problems;
   }
 
   /**
-   * Parse method calls within a method body
-   * @param {string} methodContent - The method content to analyze
-   * @returns {Array} Array of method call objects with class and method names
+   * Check edited source before it is written: brackets close in order, literals and comments
+   * end, preprocessor directives pair up and the target type is still found.
+   * @param {string} text - The edited source
+   * @returns {Object} { problems, members } - problems name the line of each; members are the
+   * target type's members parsed from the edited source, empty when it can't be found
    */
-  parseMethodCalls(methodContent) {
-    const methodCalls = [];
-    
-    // Extract only the method body (content between the first '{' and last '}')
-    const firstBraceIndex = methodContent.indexOf('{');
-    const lastBraceIndex = methodContent.lastIndexOf('}');
-    
-    if (firstBraceIndex === -1 || lastBraceIndex === -1 || firstBraceIndex >= lastBraceIndex) {
-      return methodCalls; // No valid method body found
+  checkEditedSource(text) {
+    const problems = this.findBracketProblems(text);
+    const { error } = this.parseDirectiveBlocks(text);
+    if (error) {
+      problems.push(`unbalanced preprocessor directives: ${error}`);
     }
-    
-    const methodBody = methodContent.substring(firstBraceIndex + 1, lastBraceIndex);
-    
-    // Pattern to match method calls like:
-    // - this.MethodName()
-    // - ClassName.MethodName()
-    // - instance.MethodName()
-    // - await MethodName()
-    // - MethodName()
-    const methodCallPattern = /(?:(?:this|await)\s*\.)?\s*(?:(\w+)\s*\.)?\s*(\w+)\s*\(/g;
-    
-    let match;
-    while ((match = methodCallPattern.exec(methodBody)) !== null) {
-      const className = match[1] || 'this'; // Default to 'this' if no class specified
-      const methodName = match[2];
-      
-      // Filter out common keywords and built-in methods
-      const excludeKeywords = [
-        'if', 'while', 'for', 'foreach', 'switch', 'using', 'lock', 'try', 'catch', 'finally',
-        'new', 'return', 'throw', 'yield', 'var', 'int', 'string', 'bool', 'double', 'float',
-        'DateTime', 'TimeSpan', 'Guid', 'List', 'Dictionary', 'Array', 'Task', 'async', 'await',
-        'Console', 'Debug', 'Trace', 'Math', 'Convert', 'Parse', 'ToString', 'GetType',
-        'Equals', 'GetHashCode', 'CompareTo', 'Clone', 'Dispose'
-      ];
-      
-      if (!excludeKeywords.includes(methodName) && methodName.length > 1) {
-        methodCalls.push({
-          className: className,
-          methodName: methodName,
-          fullCall: match[0]
-        });
-      }
+
+    const edited = new CSharpRefactorer();
+    const typeInfo = problems.length === 0
+      ? edited.parseAllClasses(text).find(candidate => candidate.qualifiedName === this.targetClass.qualifiedName && candidate.namespace === this.targetClass.namespace)
+      : null;
+    if (problems.length === 0 && !typeInfo) {
+      problems.push(`${this.targetClass.qualifiedName} is no longer found`);
     }
-    
-    return methodCalls;
+    if (typeInfo) {
+      edited.parseCSharpMethods(typeInfo.content, typeInfo.startIndex, text);
+    }
+    return { problems, members: edited.members };
   }
 
   /**
-   * Build a dependency tree starting from a specific method
-   * @param {string} startClassName - The starting class name
-   * @param {string} startMethodName - The starting method name
-   * @param {number} maxDepth - Maximum depth to traverse (default: 3)
-   * @returns {Object} Dependency tree object
+   * Remove members' text from C# text, together with their line breaks and one adjoining
+   * blank line each so that moved members don't leave gaps behind. Members are cut at their
+   * spans, back to front, so an identical member elsewhere in the file is never touched.
+   * @param {Array} spans - { start, end } offsets in text, such as member spans
+   * @param {string} text - Text to remove them from; defaults to the working source
+   * @returns {string} Text without the members
    */
-  buildDependencyTree(startClassName, startMethodName, maxDepth = 3) {
-    const callStack = new Set(); // Track current call stack for circular detection
-    const dependencyTree = {
-      root: {
-        className: startClassName,
-        methodName: startMethodName,
-        dependencies: []
+  removeMembers(spans, text = this.sourceCode) {
+    let result = text;
+    for (const span of [...spans].sort((a, b) => b.start - a.start)) {
+      let start = span.start;
+      let end = span.end;
+      const lineBreak = result.slice(end).match(/^[ \t]*\r?\n/);
+      if (lineBreak) {
+        end += lineBreak[0].length;
       }
-    };
-    
-    const buildNode = (className, methodName, currentDepth) => {
-      if (currentDepth >= maxDepth) return null;
-      
-      const nodeKey = `${className}.${methodName}`;
-      
-      // Check if this method is already in our current call stack (circular dependency)
-      if (callStack.has(nodeKey)) {
-        return { className, methodName, circular: true, dependencies: [] };
+
+      const blankBefore = result.slice(0, start).match(/\r?\n[ \t]*\r?\n$/);
+      const blankAfter = result.slice(end).match(/^[ \t]*\r?\n/);
+      if (blankBefore) {
+        start -= blankBefore[0].length - blankBefore[0].search(/\n/) - 1;
+      } else if (blankAfter) {
+        end += blankAfter[0].length;
       }
-      
-      // Add to call stack before processing dependencies
-      callStack.add(nodeKey);
-      
-      // Find the method in our parsed methods
-      let methodInfo = null;
-      if (className === 'this' || className === startClassName) {
-        methodInfo = this.methodsByName[methodName]?.[0];
+
+      result = result.slice(0, start) + result.slice(end);
+    }
+    return result;
+  }
+
+  /**
+   * Parse the #if/#elif/#else/#endif and #region/#endregion structure of C# text.
+   * @param {string} text - C# source text
+   * @returns {Object} { blocks, error } - blocks in source order, each with kind ('if' or 'region'),
+   * branches [{text, indent, start, end}] (offsets of the code between directives) and the closing
+   * directive; error describes the first unbalanced directive, or is null
+   */
+  parseDirectiveBlocks(text) {
+    const blocks = [];
+    const stack = [];
+    const lineOf = offset => text.slice(0, offset).split('\n').length;
+
+    for (const token of tokenize(text)) {
+      if (token.type !== TokenType.PREPROCESSOR) {
+        continue;
       }
-      
-      const node = {
-        className,
-        methodName,
-        dependencies: [],
-        found: !!methodInfo,
-        lineCount: methodInfo?.lineCount || 0
-      };
-      
-      if (methodInfo) {
-        const methodCalls = this.parseMethodCalls(methodInfo.content);
-        
-        for (const call of methodCalls) {
-          const childNode = buildNode(call.className, call.methodName, currentDepth + 1);
-          if (childNode) {
-            node.dependencies.push(childNode);
-          }
+
+      const keyword = (token.value.match(/^#\s*(\w+)/) || [])[1];
+      const lineStart = text.lastIndexOf('\n', token.start - 1) + 1;
+      const directive = { text: token.value.trimEnd(), indent: text.slice(lineStart, token.start), start: token.end, end: null };
+      const top = stack[stack.length - 1];
+
+      if (keyword === 'if' || keyword === 'region') {
+        const block = { kind: keyword, branches: [directive], end: null, start: token.start };
+        blocks.push(block);
+        stack.push(block);
+      } else if (keyword === 'elif' || keyword === 'else') {
+        if (!top || top.kind !== 'if') {
+          return { blocks, error: `#${keyword} on line ${lineOf(token.start)} has no matching #if` };
         }
+        top.branches[top.branches.length - 1].end = lineStart;
+        top.branches.push(directive);
+      } else if (keyword === 'endif' || keyword === 'endregion') {
+        const opening = keyword === 'endif' ? 'if' : 'region';
+        if (!top || top.kind !== opening) {
+          return { blocks, error: `#${keyword} on line ${lineOf(token.start)} has no matching #${opening}` };
+        }
+        top.branches[top.branches.length - 1].end = lineStart;
+        top.end = { text: token.value.trimEnd(), indent: directive.indent, offset: token.end };
+        stack.pop();
       }
-      
-      // Remove from call stack after processing all dependencies
-      callStack.delete(nodeKey);
-      
-      return node;
-    };
-    
-    dependencyTree.root = buildNode(startClassName, startMethodName, 0);
-    return dependencyTree;
+    }
+
+    if (stack.length > 0) {
+      const open = stack[stack.length - 1];
+      return { blocks, error: `${open.branches[0].text} on line ${lineOf(open.start)} is never closed` };
+    }
+    return { blocks, error: null };
   }
 
   /**
-   * Get method body by class name and method name
-   * @param {string} className - The class name (use 'this' for current class)
-   * @param {string} methodName - The method name
-   * @returns {Object|null} Method information object or null if not found
+   * Get the conditional and region sections of the target type that contain an offset.
+   * @param {number} offset - Offset in the original source file
+   * @returns {Array} Frames [{block, branchIndex}], outermost first
    */
-  getMethodBody(className, methodName) {
-    // For current class or 'this', search in parsed methods
-    if (className === 'this' || !className || this.availableClasses.some(cls => cls.name === className)) {
-      const methods = this.methodsByName[methodName];
-      if (methods && methods.length > 0) {
-        return {
-          className: className || 'this',
-          methodName: methodName,
-          methods: methods.map(method => ({
-            signature: method.signature,
-            content: method.content,
-            lineCount: method.lineCount,
-            signatureKey: method.signatureKey
-          }))
-        };
+  getDirectiveContext(offset) {
+    const frames = [];
+    for (const block of this.directiveBlocks) {
+      // Only sections inside the target type body are reproduced in partial files
+      if (block.start < this.targetClass.startIndex || block.end.offset > this.targetClass.endIndex) {
+        continue;
+      }
+      const branchIndex = block.branches.findIndex(branch => offset >= branch.start && offset < branch.end);
+      if (branchIndex !== -1) {
+        frames.push({ block, branchIndex });
       }
     }
-    
-    return null;
+    return frames.sort((a, b) => a.block.start - b.block.start);
   }
 
   /**
-   * Find all methods that call a specific method (reverse dependency)
-   * @param {string} targetMethodName - The method name to find callers for
-   * @returns {Array} Array of methods that call the target method
+   * Join member texts, wrapping each one in the conditional and region sections it had in the
+   * source. Consecutive members in the same section share one wrapper, and members from
+   * different branches of the same #if stay in one #if/#else block.
+   * @param {Array} entries - [{content, frames}] in output order
+   * @param {number} levels - Indentation change applied to directive lines, see reindent
+   * @returns {string} Joined text
    */
-  findMethodCallers(targetMethodName) {
-    const callers = [];
-    
-    for (const [methodName, methodList] of Object.entries(this.methodsByName)) {
-      for (const method of methodList) {
-        const calls = this.parseMethodCalls(method.content);
-        const callsTarget = calls.some(call => call.methodName === targetMethodName);
-        
-        if (callsTarget) {
-          callers.push({
-            className: 'this',
-            methodName: methodName,
-            signature: method.signature,
-            lineCount: method.lineCount,
-            calls: calls.filter(call => call.methodName === targetMethodName)
-          });
+  wrapInDirectives(entries, levels) {
+    const chunks = [];
+    const open = [];
+    const directive = (line, role) => chunks.push({ role, text: this.reindent(`${line.indent}${line.text}`, levels) });
+    const closeTo = depth => {
+      while (open.length > depth) {
+        directive(open.pop().block.end, 'close');
+      }
+    };
+
+    for (const entry of entries) {
+      const frames = entry.frames;
+      let common = 0;
+      while (common < open.length && common < frames.length &&
+        open[common].block === frames[common].block && open[common].branchIndex === frames[common].branchIndex) {
+        common++;
+      }
+
+      const nextBranch = common < open.length && common < frames.length &&
+        open[common].block === frames[common].block && frames[common].branchIndex > open[common].branchIndex;
+      closeTo(nextBranch ? common + 1 : common);
+      if (nextBranch) {
+        const frame = open[common];
+        for (let index = frame.branchIndex + 1; index <= frames[common].branchIndex; index++) {
+          directive(frame.block.branches[index], 'branch');
         }
+        frame.branchIndex = frames[common].branchIndex;
+        common++;
       }
+
+      for (const frame of frames.slice(common)) {
+        directive(frame.block.branches[0], 'open');
+        for (let index = 1; index <= frame.branchIndex; index++) {
+          directive(frame.block.branches[index], 'branch');
+        }
+        open.push({ ...frame });
+      }
+
+      chunks.push({ role: 'member', text: entry.content });
     }
-    
-    return callers;
+    closeTo(0);
+
+    // Members are separated by a blank line; directives sit directly against what they wrap
+    return chunks.map((chunk, index) => {
+      if (index === 0) {
+        return chunk.text;
+      }
+      const previous = chunks[index - 1].role;
+      const blankLine = ['member', 'close'].includes(previous) && ['member', 'open'].includes(chunk.role);
+      return (blankLine ? '\n\n' : '\n') + chunk.text;
+    }).join('');
   }
 
   /**
-   * Get method statistics and complexity metrics
-   * @param {string} methodName - The method name to analyze
-   * @returns {Object|null} Method statistics or null if not found
+   * Remove #region and #if sections left without any code after members were moved out.
+   * @param {string} text - C# source text
+   * @returns {string} Text without empty sections
    */
-  getMethodStatistics(methodName) {
-    const methods = this.methodsByName[methodName];
-    if (!methods || methods.length === 0) {
-      return null;
-    }
-    
-    const stats = {
-      methodName: methodName,
-      overloadCount: methods.length,
-      totalLines: 0,
-      averageLines: 0,
-      methodCalls: [],
-      dependencies: []
-    };
-    
-    for (const method of methods) {
-      stats.totalLines += method.lineCount;
-      const calls = this.parseMethodCalls(method.content);
-      stats.methodCalls.push(...calls);
+  removeEmptyDirectiveBlocks(text) {
+    let result = text;
+    for (;;) {
+      const { blocks, error } = this.parseDirectiveBlocks(result);
+      const empty = error ? null : blocks.find(block =>
+        block.branches.every(branch => result.slice(branch.start, branch.end).trim() === ''));
+      if (!empty) {
+        return result;
+      }
+
+      // Remove from the opening directive's line through the closing directive's line break
+      let start = result.lastIndexOf('\n', empty.start - 1) + 1;
+      let end = empty.end.offset;
+      const lineBreak = result.slice(end).match(/^[ \t]*\r?\n/);
+      if (lineBreak) {
+        end += lineBreak[0].length;
+      }
+      // Collapse the blank lines the section was separated by
+      const blankBefore = result.slice(0, start).match(/\r?\n[ \t]*\r?\n$/);
+      const blankAfter = result.slice(end).match(/^[ \t]*\r?\n/);
+      if (blankBefore && blankAfter) {
+        end += blankAfter[0].length;
+      } else if (blankBefore && /^[ \t]*}/.test(result.slice(end))) {
+        start -= blankBefore[0].length - blankBefore[0].search(/\n/) - 1;
+      }
+      result = result.slice(0, start) + result.slice(end);
     }
-    
-    stats.averageLines = Math.round(stats.totalLines / methods.length);
-    stats.dependencies = [...new Set(stats.methodCalls.map(call => call.methodName))];
-    
-    return stats;
   }
-}
 
-/**
- * Merge multiple configuration files into a single configuration object
- * @param {string[]} configFiles - Array of configuration file paths
- * @returns {Object} Merged configuration object
- */
-async function mergeConfigurations(configFiles) {
-  if (!Array.isArray(configFiles) || configFiles.length === 0) {
-    throw new Error('At least one configuration file must be provided');
-  }
+  /**
+   * Generate the main partial class file with remaining code elements.
+   * @param {string} newNamespace - New namespace for the class
+   * @param {string} mainClassName - Main class name
+   * @param {string} mainInterface - Main interface to implement
+   * @returns {string} Generated content for the main partial class file
+   */
+  generateMainPartialClass(newNamespace, mainClassName, mainInterface = '') {
+    let content = this.removeMembers([...this.movedMembers].map(member => member.span));
+
+    // Make the main class and its containing types partial, merge the main interface into
+    // the base list and rename the target's own namespace declaration. Moved members were all
+    // inside the target body, so offsets before it are still valid; edits are applied back to front.
+    const edits = this.getContainingTypes(this.targetClass)
+      .filter(typeInfo => !typeInfo.modifiers.includes('partial'))
+      .map(typeInfo => ({ start: typeInfo.keywordIndex, end: typeInfo.keywordIndex, text: 'partial ' }));
+
+    const existingBaseTypes = this.targetClass.baseTypes.map(baseType => baseType.name);
+    const addedInterfaces = this.mergeBaseTypes(existingBaseTypes, mainInterface).slice(existingBaseTypes.length);
+    if (addedInterfaces.length > 0) {
+      edits.push(this.targetClass.baseListEnd !== null
+        ? { start: this.targetClass.baseListEnd, end: this.targetClass.baseListEnd, text: `, ${addedInterfaces.join(', ')}` }
+        : { start: this.targetClass.nameEnd, end: this.targetClass.nameEnd, text: ` : ${addedInterfaces.join(', ')}` });
+    }
 
-  let mergedConfig = null;
-  const allPartialClasses = [];
+    if (this.oldNamespace && newNamespace && newNamespace !== this.oldNamespace) {
+      edits.push(this.getNamespaceRenameEdit(this.targetClass, newNamespace));
+    }
 
-  for (const configFile of configFiles) {
-    try {
-      const configContent = await fs.readFile(configFile, 'utf-8');
-      const config = JSON.parse(configContent);
+    edits.sort((a, b) => b.start - a.start);
+    for (const edit of edits) {
+      content = content.slice(0, edit.start) + edit.text + content.slice(edit.end);
+    }
 
-      if (mergedConfig === null) {
-        // First configuration file sets the base structure
-        mergedConfig = {
-          sourceFile: config.sourceFile,
-          targetClassName: config.targetClassName || null, // Add target class name support
-          destinationFolder: config.destinationFolder,
-          newNamespace: config.newNamespace,
-          mainPartialClassName: config.mainPartialClassName,
-          mainInterface: config.mainInterface || '',
-          partialClasses: []
-        };
+    // Sections whose members all moved out are dropped; anything left must still be balanced
+    content = this.removeEmptyDirectiveBlocks(content);
+    const { error } = this.parseDirectiveBlocks(content);
+    if (error) {
+      throw new Error(`The main partial class would contain unbalanced preprocessor directives: ${error}`);
+    }
 
-        // Validate required properties in the first config
-        const requiredKeys = ['sourceFile', 'destinationFolder', 'newNamespace', 'mainPartialClassName'];
-        for (const key of requiredKeys) {
-          if (!config[key]) {
-            throw new Error(`Configuration file "${configFile}" is missing required key: "${key}". Value should not be empty.`);
-          }
-        }
-      } else {
-        // Subsequent configuration files - validate consistency
-        if (config.sourceFile && config.sourceFile !== mergedConfig.sourceFile) {
-          throw new Error(`Source file mismatch in "${configFile}". Expected: "${mergedConfig.sourceFile}", Found: "${config.sourceFile}"`);
-        }
-        if (config.targetClassName && config.targetClassName !== mergedConfig.targetClassName) {
-          throw new Error(`Target class name mismatch in "${configFile}". Expected: "${mergedConfig.targetClassName}", Found: "${config.targetClassName}"`);
-        }
-        if (config.destinationFolder && config.destinationFolder !== mergedConfig.destinationFolder) {
-          throw new Error(`Destination folder mismatch in "${configFile}". Expected: "${mergedConfig.destinationFolder}", Found: "${config.destinationFolder}"`);
-        }
-        if (config.newNamespace && config.newNamespace !== mergedConfig.newNamespace) {
-          throw new Error(`Namespace mismatch in "${configFile}". Expected: "${mergedConfig.newNamespace}", Found: "${config.newNamespace}"`);
+    return content;
+  }
+
+  /**
+   * Get all available method names
+   * @returns {string[]} Array of method names
+   */
+  getAvailableMethodNames() {
+    return Object.keys(this.methodsByName);
+  }
+
+  /**
+   * Get all available types in the source file
+   * @returns {Array} Array of type objects with qualified name, kind, declaration, and metadata
+   */
+  getAvailableClasses() {
+    return this.availableClasses.map(cls => ({
+      name: cls.qualifiedName,
+      kind: cls.kind,
+      namespace: cls.namespace,
+      accessibility: cls.accessibility,
+      modifiers: cls.modifiers.join(' '),
+      declaration: cls.declaration,
+      lineCount: cls.lineCount,
+      span: cls.span
+    }));
+  }
+
+  /**
+   * Parse all type declarations from the source code: classes, structs, records,
+   * record structs, interfaces and enums of any accessibility, including nested types.
+   * @param {string} sourceCode - The C# source code
+   * @returns {Array} Array of type objects with name, qualifiedName (e.g. Outer.Inner), kind,
+   * modifiers, declaration, full content and offsets, in source order
+   */
+  parseAllClasses(sourceCode) {
+    const classes = [];
+    const tokens = significantTokens(tokenize(sourceCode));
+    const typeKeywords = ['class', 'struct', 'interface', 'enum', 'record'];
+    const declarationModifiers = ['public', 'private', 'protected', 'internal', 'static', 'sealed', 'abstract', 'partial', 'unsafe', 'new', 'readonly', 'ref', 'file'];
+    const openTypes = []; // enclosing types, innermost last
+    const openNamespaces = []; // enclosing namespace declarations, innermost last
+    const locate = this.createLocator(sourceCode);
+
+    for (let i = 0; i < tokens.length; i++) {
+      while (openTypes.length > 0 && i > openTypes[openTypes.length - 1].closeTokenIndex) {
+        openTypes.pop();
+      }
+      while (openNamespaces.length > 0 && i > openNamespaces[openNamespaces.length - 1].closeTokenIndex) {
+        openNamespaces.pop();
+      }
+
+      const keyword = tokens[i];
+      if (keyword.value === 'namespace' && keyword.type === TokenType.KEYWORD && openTypes.length === 0) {
+        const declaration = this.parseNamespaceDeclaration(tokens, i);
+        if (declaration) {
+          openNamespaces.push(declaration);
+          i = declaration.nameEndTokenIndex;
         }
-        if (config.mainPartialClassName && config.mainPartialClassName !== mergedConfig.mainPartialClassName) {
-          throw new Error(`Main partial class name mismatch in "${configFile}". Expected: "${mergedConfig.mainPartialClassName}", Found: "${config.mainPartialClassName}"`);
+        continue;
+      }
+
+      if (!typeKeywords.includes(keyword.value) || (keyword.type !== TokenType.KEYWORD && keyword.value !== 'record')) {
+        continue;
+      }
+
+      // Skip constraints such as `where T : class, new()` and the second keyword of `record struct`
+      const previous = tokens[i - 1];
+      if (previous && (previous.value === ':' || previous.value === ',' || previous.value === 'record')) {
+        continue;
+      }
+
+      let nameIndex = i + 1;
+      let kind = keyword.value;
+      if (kind === 'record' && ['class', 'struct'].includes(tokens[nameIndex]?.value)) {
+        kind = tokens[nameIndex].value === 'struct' ? 'record struct' : 'record';
+        nameIndex++;
+      }
+      if (!tokens[nameIndex] || tokens[nameIndex].type !== TokenType.IDENTIFIER) {
+        continue;
+      }
+
+      let startIndex = i;
+      while (startIndex > 0 && declarationModifiers.includes(tokens[startIndex - 1].value)) {
+        startIndex--;
+      }
+
+      // The type body is the first '{' after the declaration; records may end with ';'
+      let bodyIndex = nameIndex + 1;
+      while (bodyIndex < tokens.length && tokens[bodyIndex].value !== '{' && tokens[bodyIndex].value !== ';') {
+        if (tokens[bodyIndex].value === '(' || tokens[bodyIndex].value === '[') {
+          const match = findMatchingToken(tokens, bodyIndex);
+          bodyIndex = match === -1 ? tokens.length : match;
         }
+        bodyIndex++;
+      }
+      if (bodyIndex >= tokens.length) {
+        continue;
       }
 
-      // Add partial classes from this configuration
-      if (config.partialClasses && Array.isArray(config.partialClasses)) {
-        allPartialClasses.push(...config.partialClasses);
+      const hasBody = tokens[bodyIndex].value === '{';
+      const closeIndex = hasBody ? findMatchingToken(tokens, bodyIndex) : bodyIndex;
+      if (closeIndex === -1) {
+        continue;
       }
 
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        throw new Error(`Configuration file not found: ${configFile}`);
+      const parent = openTypes[openTypes.length - 1] || null;
+      const name = tokens[nameIndex].value;
+      const classStartIndex = tokens[startIndex].start;
+      const classEndIndex = tokens[closeIndex].end;
+      const classContent = sourceCode.slice(classStartIndex, classEndIndex);
+      const modifiers = tokens.slice(startIndex, i).map(token => token.value);
+
+      const namespaceDeclarations = openNamespaces.map(({ name, keywordStart, nameStart, nameEnd, style }) =>
+        ({ name, keywordStart, nameStart, nameEnd, style }));
+      const typeInfo = {
+        name: name,
+        qualifiedName: parent ? `${parent.qualifiedName}.${name}` : name,
+        kind: kind,
+        namespace: namespaceDeclarations.map(declaration => declaration.name).join('.'),
+        namespaceDeclarations: namespaceDeclarations,
+        modifiers: modifiers,
+        accessibility: modifiers.filter(m => ['public', 'private', 'protected', 'internal', 'file'].includes(m)).join(' ') ||
+          (parent ? 'private' : 'internal'),
+        parent: parent ? parent.qualifiedName : null,
+        declaration: sourceCode.slice(classStartIndex, tokens[bodyIndex - 1].end).trim(),
+        content: classContent,
+        startIndex: classStartIndex,
+        endIndex: classEndIndex,
+        keywordIndex: keyword.start,
+        keyword: kind,
+        ...this.parseTypeHeader(sourceCode, tokens, nameIndex, bodyIndex),
+        span: locate(classStartIndex, classEndIndex),
+        lineCount: classContent.split('\n').length
+      };
+      classes.push(typeInfo);
+
+      if (hasBody) {
+        openTypes.push({ qualifiedName: typeInfo.qualifiedName, closeTokenIndex: closeIndex });
       }
-      throw new Error(`Error processing configuration file "${configFile}": ${error.message}`);
     }
+
+    return classes;
   }
 
-  // Check for duplicate file names
-  const fileNames = allPartialClasses.map(pc => pc.fileName);
-  const duplicateFileNames = fileNames.filter((name, index) => fileNames.indexOf(name) !== index);
-  if (duplicateFileNames.length > 0) {
-    throw new Error(`Duplicate partial class file names found: ${[...new Set(duplicateFileNames)].join(', ')}`);
+  /**
+   * Parse the part of a type declaration after its name: type parameters, primary
+   * constructor parameters, base list and constraints.
+   * @param {string} sourceCode - The C# source code
+   * @param {Array} tokens - Significant tokens of the file
+   * @param {number} nameIndex - Index of the type name token
+   * @param {number} bodyIndex - Index of the '{' or ';' that ends the declaration
+   * @returns {Object} typeParameters, parameterList and constraints as source text,
+   * baseTypes as [{text, name, start, end}] and the offsets where the name part and base list end
+   */
+  parseTypeHeader(sourceCode, tokens, nameIndex, bodyIndex) {
+    const header = {
+      typeParameters: '',
+      parameterList: '',
+      baseTypes: [],
+      constraints: '',
+      nameEnd: tokens[nameIndex].end,
+      baseListEnd: null
+    };
+
+    let index = nameIndex + 1;
+    if (tokens[index]?.value === '<') {
+      const close = this.findClosingAngle(tokens, index);
+      header.typeParameters = sourceCode.slice(tokens[index].start, tokens[close].end);
+      header.nameEnd = tokens[close].end;
+      index = close + 1;
+    }
+    if (tokens[index]?.value === '(') {
+      const close = findMatchingToken(tokens, index);
+      header.parameterList = sourceCode.slice(tokens[index].start, tokens[close].end);
+      header.nameEnd = tokens[close].end;
+      index = close + 1;
+    }
+
+    if (tokens[index]?.value === ':') {
+      index++;
+      let baseStart = index;
+      let argumentsIndex = -1;
+      let depth = 0;
+      for (; index <= bodyIndex; index++) {
+        const value = tokens[index].value;
+        const atEnd = index === bodyIndex || (depth === 0 && value === 'where' && tokens[index].type === TokenType.IDENTIFIER);
+        if (atEnd || (depth === 0 && value === ',')) {
+          if (index > baseStart) {
+            const last = tokens[index - 1];
+            header.baseTypes.push({
+              text: sourceCode.slice(tokens[baseStart].start, last.end),
+              name: sourceCode.slice(tokens[baseStart].start, tokens[argumentsIndex === -1 ? index - 1 : argumentsIndex - 1].end),
+              start: tokens[baseStart].start,
+              end: last.end
+            });
+            header.baseListEnd = last.end;
+          }
+          if (atEnd) {
+            break;
+          }
+          baseStart = index + 1;
+          argumentsIndex = -1;
+        } else if (['(', '<', '['].includes(value)) {
+          if (value === '(' && depth === 0) {
+            argumentsIndex = index;
+          }
+          depth++;
+        } else if ([')', '>', ']'].includes(value)) {
+          depth--;
+        }
+      }
+    }
+
+    if (tokens[index]?.value === 'where') {
+      header.constraints = sourceCode.slice(tokens[index].start, tokens[bodyIndex - 1].end);
+    }
+
+    return header;
   }
 
-  mergedConfig.partialClasses = allPartialClasses;
-  return mergedConfig;
-}
+  /**
+   * Find the '>' closing a type parameter or argument list.
+   * @param {Array} tokens - Significant tokens
+   * @param {number} openIndex - Index of the '<' token
+   * @returns {number} Index of the matching '>'
+   */
+  findClosingAngle(tokens, openIndex) {
+    let depth = 0;
+    for (let i = openIndex; i < tokens.length; i++) {
+      if (tokens[i].value === '<') {
+        depth++;
+      } else if (tokens[i].value === '>' && --depth === 0) {
+        return i;
+      }
+    }
+    return tokens.length - 1;
+  }
 
-// Create the MCP server
-const server = new Server(
-  {
-    name: 'csharp-refactorer-simple',
-    version: '1.0.0',
-  },
-  {
-    capabilities: {
-      tools: {},
-    },
+  /**
+   * Parse a namespace declaration starting at the `namespace` keyword.
+   * @param {Array} tokens - Significant tokens of the file
+   * @param {number} keywordIndex - Index of the `namespace` keyword
+   * @returns {Object|null} Declaration with name, offsets, style ('block' or 'file-scoped')
+   * and the token index where its scope ends, or null when it is not a declaration
+   */
+  parseNamespaceDeclaration(tokens, keywordIndex) {
+    let index = keywordIndex + 1;
+    const nameParts = [];
+    while (tokens[index] && (tokens[index].type === TokenType.IDENTIFIER || tokens[index].value === '.')) {
+      nameParts.push(tokens[index].value);
+      index++;
+    }
+    if (nameParts.length === 0 || !tokens[index] || !['{', ';'].includes(tokens[index].value)) {
+      return null;
+    }
+
+    const style = tokens[index].value === '{' ? 'block' : 'file-scoped';
+    const closeTokenIndex = style === 'block' ? findMatchingToken(tokens, index) : tokens.length;
+    return {
+      name: nameParts.join(''),
+      keywordStart: tokens[keywordIndex].start,
+      nameStart: tokens[keywordIndex + 1].start,
+      nameEnd: tokens[index - 1].end,
+      style: style,
+      nameEndTokenIndex: index - 1,
+      closeTokenIndex: closeTokenIndex === -1 ? tokens.length : closeTokenIndex
+    };
   }
-);
 
-// List available tools
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return {
-    tools:
-      [
-        {
-          name: 'list_csharp_classes',
-          description: 'List all classes found in a C# source file with their declarations and line counts. This helps identify which class should be processed for refactoring.',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              source_file: {
-                type: 'string',
-                description: 'Absolute full path to the C# source file to analyze. Ex: C:\\Users\\user\\source\\MyProject\\MyFile.cs',
-              },
-            },
-            required: ['source_file'],
-          },
-        },
-        {
-          name: 'split_csharp_class',
-          description: `Split a C# class file into multiple partial class files based on simplified JSON configuration(s). Only method names are required in the configuration. Methods should be grouped by functionality or business logic.
+  /**
+   * Find a parsed type by qualified name (Outer.Inner) or by simple name when unambiguous.
+   * @param {string} typeName - Qualified or simple type name
+   * @returns {Object} The matching type
+   */
+  findClass(typeName) {
+    const exact = this.availableClasses.find(cls => cls.qualifiedName === typeName);
+    if (exact) {
+      return exact;
+    }
 
-SINGLE CONFIG EXAMPLE:
-{
-    "sourceFile": "C:\\Path\\To\\Your\\SourceClass.cs",
-    "targetClassName": "YourMainClass", // Optional: specify which class to process if file contains multiple classes
-    "destinationFolder": "C:\\Path\\To\\Your\\Output\\{Main ClassName from the source file}",
-    "newNamespace": "Your.New.Namespace", // Use existing namespace in source file if user not specified
-    "mainPartialClassName": "{Main ClassName from the source file}.Core.cs",
-    "mainInterface": "IMainInterface", // If interface exists, otherwise leave empty
-    "partialClasses": [
-        {
-            "fileName": "YourClass.{Category}.cs",
-            "interface": "", // Optional. Only if interface exists
-            "methods": [
-                "MethodOne",
-                "MethodTwo",
-                "MethodThree"
-            ]
-        }
-    ]
-}
+    const matches = this.availableClasses.filter(cls => cls.name === typeName);
+    if (matches.length === 1) {
+      return matches[0];
+    }
+    if (matches.length > 1) {
+      throw new Error(`Type name '${typeName}' is ambiguous. Use a qualified name: ${matches.map(c => c.qualifiedName).join(', ')}`);
+    }
+    throw new Error(`Class '${typeName}' not found. Available classes: ${this.availableClasses.map(c => c.qualifiedName).join(', ')}`);
+  }
 
-MULTIPLE CONFIG EXAMPLE:
-For large classes, you can split the configuration into multiple files. Each file should contain the same base properties (sourceFile, destinationFolder, newNamespace, mainPartialClassName) and its own partialClasses array with method names.
+  /**
+   * Get the chain of types from the outermost container down to the given type.
+   * @param {Object} typeInfo - A parsed type
+   * @returns {Array} Containing types followed by the type itself
+   */
+  getContainingTypes(typeInfo) {
+    const chain = [typeInfo];
+    let current = typeInfo;
+    while (current.parent) {
+      current = this.availableClasses.find(cls => cls.qualifiedName === current.parent);
+      chain.unshift(current);
+    }
+    return chain;
+  }
 
-Config1.json:
-{
-    "sourceFile": "C:\\Path\\To\\Your\\SourceClass.cs",
-    "targetClassName": "YourMainClass", // Optional: specify which class to process if file contains multiple classes
-    "destinationFolder": "C:\\Path\\To\\Your\\Output\\{Main ClassName}",
-    "newNamespace": "Your.New.Namespace",
-    "mainPartialClassName": "{Main ClassName}.Core.cs",
-    "mainInterface": "IMainInterface",
-    "partialClasses": [
-        {
-            "fileName": "YourClass.DatabaseOperations.cs",
-            "methods": ["GetUser", "SaveUser", "DeleteUser"]
+  /**
+   * Parse method calls within a method body
+   * @param {string} methodContent - The method content to analyze
+   * @returns {Array} Array of method call objects with class and method names
+   */
+  parseMethodCalls(methodContent) {
+    const methodCalls = [];
+    const tokens = tokenize(methodContent);
+
+    // Extract only the method body: the block, or the expression after '=>'
+    const bodyRange = this.findBodyTokenRange(tokens);
+    if (!bodyRange) {
+      return methodCalls; // No method body found (abstract, extern, partial declaration...)
+    }
+
+    const body = codeTokens(tokens.slice(bodyRange.start, bodyRange.end));
+
+    // Filter out common keywords and built-in methods
+    const excludeKeywords = [
+      'if', 'while', 'for', 'foreach', 'switch', 'using', 'lock', 'try', 'catch', 'finally',
+      'new', 'return', 'throw', 'yield', 'var', 'int', 'string', 'bool', 'double', 'float',
+      'DateTime', 'TimeSpan', 'Guid', 'List', 'Dictionary', 'Array', 'Task', 'async', 'await',
+      'Console', 'Debug', 'Trace', 'Math', 'Convert', 'Parse', 'ToString', 'GetType',
+      'Equals', 'GetHashCode', 'CompareTo', 'Clone', 'Dispose', 'nameof'
+    ];
+    // Contextual keywords that may directly precede a call expression
+    const expressionPrefixes = ['await', 'yield', 'when', 'var'];
+
+    for (let k = 0; k < body.length; k++) {
+      const nameToken = body[k];
+      if (nameToken.type !== TokenType.IDENTIFIER) {
+        continue;
+      }
+
+      const parenIndex = this.skipTypeArgumentList(body, k + 1);
+      if (parenIndex === -1 || body[parenIndex].value !== '(') {
+        continue;
+      }
+
+      const methodName = nameToken.value;
+      if (excludeKeywords.includes(methodName) || methodName.length <= 1) {
+        continue;
+      }
+
+      const previous = body[k - 1];
+      let className = 'this'; // Default to 'this' if no class specified
+      let callStart = nameToken.start;
+
+      if (previous && previous.type === TokenType.PUNCTUATION && (previous.value === '.' || previous.value === '?.')) {
+        // Member access: ClassName.Method(), instance.Method(), this.Method(), Get().Method()
+        const receiver = body[k - 2];
+        if (receiver && (receiver.type === TokenType.IDENTIFIER || receiver.value === 'this' || receiver.value === 'base')) {
+          className = receiver.value;
+          callStart = receiver.start;
+        } else {
+          const receiverStart = this.findReceiverStart(body, k - 2);
+          className = methodContent.slice(body[receiverStart].start, previous.start).replace(/\s+/g, '');
+          callStart = body[receiverStart].start;
         }
-    ]
-}
+      } else if (previous && (previous.value === 'new' ||
+          (previous.type === TokenType.IDENTIFIER && !expressionPrefixes.includes(previous.value)) ||
+          (previous.type === TokenType.KEYWORD && ['void', 'int', 'string', 'bool', 'double', 'float', 'decimal', 'long', 'object', 'char', 'byte'].includes(previous.value)) ||
+          previous.value === '>' || previous.value === ']' || previous.value === '?')) {
+        // Object creation or a local function declaration, not a call
+        continue;
+      }
 
-Config2.json:
-{
-    "sourceFile": "C:\\Path\\To\\Your\\SourceClass.cs",
-    "targetClassName": "YourMainClass", // Optional: specify which class to process if file contains multiple classes
-    "destinationFolder": "C:\\Path\\To\\Your\\Output\\{Main ClassName}",
-    "newNamespace": "Your.New.Namespace",
-    "mainPartialClassName": "{Main ClassName}.Core.cs",
-    "partialClasses": [
-        {
-            "fileName": "YourClass.BusinessLogic.cs",
-            "methods": ["ProcessData", "ValidateInput", "CalculateResults"]
+      methodCalls.push({
+        className: className,
+        methodName: methodName,
+        fullCall: methodContent.slice(callStart, body[parenIndex].end)
+      });
+    }
+
+    return methodCalls;
+  }
+
+  /**
+   * Find the body of a member: the tokens inside its first top-level block, or the
+   * expression between '=>' (or a field initializer's '=') and the closing ';'.
+   * Parentheses and brackets (parameter lists, attributes) are skipped while searching.
+   * @param {Array} tokens - Token stream of a single member
+   * @returns {Object|null} { start, end, kind } token index range (end exclusive), or null when there is no body
+   */
+  findBodyTokenRange(tokens) {
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.type !== TokenType.PUNCTUATION) {
+        continue;
+      }
+      if (token.value === '(' || token.value === '[') {
+        const match = findMatchingToken(tokens, i);
+        if (match === -1) {
+          return null;
         }
-    ]
-}
+        i = match;
+      } else if (token.value === '{') {
+        const match = findMatchingToken(tokens, i);
+        return match === -1 ? null : { start: i + 1, end: match, kind: 'block' };
+      } else if (token.value === '=>' || token.value === '=') {
+        let end = tokens.length;
+        while (end > i + 1 && (isTrivia(tokens[end - 1]) || tokens[end - 1].value === ';')) {
+          end--;
+        }
+        return { start: i + 1, end, kind: token.value === '=>' ? 'expression' : 'initializer' };
+      } else if (token.value === ';') {
+        return null;
+      }
+    }
+    return null;
+  }
 
-NOTES:
-- If sourceFile contains multiple classes, use 'targetClassName' to specify which class to process
-- Use 'list_csharp_classes' tool first to see all available classes
+  /**
+   * Skip an optional generic type argument list such as `<int, List<string>>`.
+   * @param {Array} tokens - Significant tokens
+   * @param {number} index - Index just after an identifier
+   * @returns {number} Index of the first token after the argument list (or index itself), -1 if out of range
+   */
+  skipTypeArgumentList(tokens, index) {
+    if (index >= tokens.length) {
+      return -1;
+    }
+    if (tokens[index].value !== '<') {
+      return index;
+    }
+
+    let depth = 0;
+    for (let i = index; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.value === '<') {
+        depth++;
+      } else if (token.value === '>') {
+        depth--;
+        if (depth === 0) {
+          return i + 1 < tokens.length ? i + 1 : -1;
+        }
+      } else if (token.type !== TokenType.IDENTIFIER && token.type !== TokenType.KEYWORD &&
+          !['.', ',', '?', '[', ']', '::'].includes(token.value)) {
+        return -1; // Not a type argument list (e.g. a less-than comparison)
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Walk back from the end of a receiver expression (e.g. `GetItems()` or `_map[key]`)
+   * to the token where the member-access chain starts.
+   * @param {Array} tokens - Significant tokens
+   * @param {number} endIndex - Index of the last token of the receiver
+   * @returns {number} Index of the first token of the receiver
+   */
+  findReceiverStart(tokens, endIndex) {
+    const closing = { ')': '(', ']': '[' };
+    let i = endIndex;
+
+    while (i >= 0) {
+      const token = tokens[i];
+      if (closing[token.value]) {
+        let depth = 0;
+        for (; i >= 0; i--) {
+          if (tokens[i].value === token.value) depth++;
+          if (tokens[i].value === closing[token.value] && --depth === 0) break;
+        }
+        i--;
+        continue;
+      }
+      if (token.type === TokenType.IDENTIFIER || token.type === TokenType.KEYWORD || token.type === TokenType.STRING) {
+        const before = tokens[i - 1];
+        if (before && ['.', '?.', '::'].includes(before.value)) {
+          i -= 2;
+          continue;
+        }
+        return i;
+      }
+      return Math.min(i + 1, endIndex);
+    }
+    return 0;
+  }
+
+  /**
+   * Build a dependency tree starting from a specific method
+   * @param {string} startClassName - The starting class name
+   * @param {string} startMethodName - The starting method name
+   * @param {number} maxDepth - Maximum depth to traverse (default: 3)
+   * @returns {Object} Dependency tree object
+   */
+  buildDependencyTree(startClassName, startMethodName, maxDepth = 3) {
+    const callStack = new Set(); // Track current call stack for circular detection
+    const dependencyTree = {
+      root: {
+        className: startClassName,
+        methodName: startMethodName,
+        dependencies: []
+      }
+    };
+    
+    const buildNode = (className, methodName, currentDepth) => {
+      if (currentDepth >= maxDepth) return null;
+      
+      const nodeKey = `${className}.${methodName}`;
+      
+      // Check if this method is already in our current call stack (circular dependency)
+      if (callStack.has(nodeKey)) {
+        return { className, methodName, circular: true, dependencies: [] };
+      }
+      
+      // Add to call stack before processing dependencies
+      callStack.add(nodeKey);
+      
+      // Find the method in our parsed methods
+      let methodInfo = null;
+      if (className === 'this' || className === startClassName) {
+        methodInfo = this.methodsByName[methodName]?.[0];
+      }
+      
+      const node = {
+        className,
+        methodName,
+        dependencies: [],
+        found: !!methodInfo,
+        lineCount: methodInfo?.lineCount || 0
+      };
+      
+      if (methodInfo) {
+        const methodCalls = this.parseMethodCalls(methodInfo.content);
+        
+        for (const call of methodCalls) {
+          const childNode = buildNode(call.className, call.methodName, currentDepth + 1);
+          if (childNode) {
+            node.dependencies.push(childNode);
+          }
+        }
+      }
+      
+      // Remove from call stack after processing all dependencies
+      callStack.delete(nodeKey);
+      
+      return node;
+    };
+    
+    dependencyTree.root = buildNode(startClassName, startMethodName, 0);
+    return dependencyTree;
+  }
+
+  /**
+   * Get method body by class name and method name
+   * @param {string} className - The class name (use 'this' for current class)
+   * @param {string} methodName - The method name, optionally with parameter types such as "Save(User)"
+   * @returns {Object|null} Method information object or null if not found
+   */
+  getMethodBody(className, methodName) {
+    // For current class or 'this', search in parsed methods
+    if (className === 'this' || !className || this.availableClasses.some(cls => cls.name === className || cls.qualifiedName === className)) {
+      const { selector, members: methods, error } = this.resolveMemberSelector(methodName);
+      if (error && this.methodsByName[selector.name]) {
+        throw new Error(error);
+      }
+      if (methods.length > 0) {
+        return {
+          className: className || 'this',
+          methodName: methodName,
+          methods: methods.map(method => ({
+            kind: method.kind,
+            signature: method.signature,
+            content: method.content,
+            lineCount: method.lineCount,
+            signatureKey: method.signatureKey,
+            span: method.span
+          }))
+        };
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Find all methods that call a specific method (reverse dependency)
+   * @param {string} targetMethodName - The method name to find callers for
+   * @returns {Array} Array of methods that call the target method
+   */
+  findMethodCallers(targetMethodName) {
+    const callers = [];
+    
+    for (const [methodName, methodList] of Object.entries(this.methodsByName)) {
+      for (const method of methodList.filter(member => member.name === methodName)) {
+        const calls = this.parseMethodCalls(method.content);
+        const callsTarget = calls.some(call => call.methodName === targetMethodName);
+        
+        if (callsTarget) {
+          callers.push({
+            className: 'this',
+            methodName: methodName,
+            signature: method.signature,
+            lineCount: method.lineCount,
+            span: method.span,
+            calls: calls.filter(call => call.methodName === targetMethodName)
+          });
+        }
+      }
+    }
+    
+    return callers;
+  }
+
+  /**
+   * Get method statistics and complexity metrics
+   * @param {string} methodName - The method name to analyze
+   * @returns {Object|null} Method statistics or null if not found
+   */
+  getMethodStatistics(methodName) {
+    const methods = this.methodsByName[methodName];
+    if (!methods || methods.length === 0) {
+      return null;
+    }
+    
+    const stats = {
+      methodName: methodName,
+      overloadCount: methods.length,
+      locations: methods.map(method => ({ signature: method.signature, span: method.span })),
+      totalLines: 0,
+      averageLines: 0,
+      methodCalls: [],
+      dependencies: []
+    };
+    
+    for (const method of methods) {
+      stats.totalLines += method.lineCount;
+      const calls = this.parseMethodCalls(method.content);
+      stats.methodCalls.push(...calls);
+    }
+    
+    stats.averageLines = Math.round(stats.totalLines / methods.length);
+    stats.dependencies = [...new Set(stats.methodCalls.map(call => call.methodName))];
+    
+    return stats;
+  }
+
+  /**
+   * Build the intra-class call graph of the target type and the state each method uses.
+   * Overloads are one node. Calls come from parseMethodCalls (unqualified, this. and static
+   * calls through the type name); state is every field, constant, property and event of the
+   * type referenced by name or through `this.`.
+   * @returns {Object} { methods: [{name, members, lineCount, calls, state}], state: [{name, kind, members, references}] }
+   * where calls and state are Sets of names, and references lists the state a state member's own text uses
+   */
+  buildClassGraph() {
+    const stateKinds = ['field', 'constant', 'property', 'event'];
+    const entries = Object.entries(this.methodsByName);
+    const methodNames = new Set(entries.filter(([, members]) => members.some(member => member.kind === 'method')).map(([name]) => name));
+    // Each declarator of a field names its member, `_b` in `int _a, _b;` names the field _a
+    const stateOf = new Map(this.members.filter(member => stateKinds.includes(member.kind))
+      .flatMap(member => member.declarators.map(name => [name, member.name])));
+    const stateNames = new Set(stateOf.values());
+    const typeNames = [this.targetClass?.name, this.targetClass?.qualifiedName].filter(Boolean);
+
+    const findState = content => {
+      const used = new Set();
+      const tokens = significantTokens(tokenize(content));
+      tokens.forEach((token, index) => {
+        const previous = tokens[index - 1];
+        const qualifiedByThis = previous?.value === '.' && (tokens[index - 2]?.value === 'this' || typeNames.includes(tokens[index - 2]?.value));
+        if (token.type === TokenType.IDENTIFIER && stateOf.has(token.value) && (previous?.value !== '.' || qualifiedByThis)) {
+          used.add(stateOf.get(token.value));
+        }
+      });
+      return used;
+    };
+
+    const methods = [...methodNames].map(name => {
+      const members = this.methodsByName[name].filter(member => member.kind === 'method');
+      const calls = new Set();
+      const state = new Set();
+      for (const member of members) {
+        this.parseMethodCalls(member.content)
+          .filter(call => (call.className === 'this' || typeNames.includes(call.className)) && methodNames.has(call.methodName) && call.methodName !== name)
+          .forEach(call => calls.add(call.methodName));
+        findState(member.content).forEach(stateName => state.add(stateName));
+      }
+      return { name, members, lineCount: members.reduce((sum, member) => sum + member.lineCount, 0), calls, state };
+    });
+
+    const state = [...stateNames].map(name => {
+      const members = this.methodsByName[name].filter(member => stateKinds.includes(member.kind));
+      const references = new Set(members.flatMap(member => [...findState(member.content)]).filter(reference => reference !== name));
+      return { name, kind: members[0].kind, members, references };
+    });
+
+    return { methods, state };
+  }
+
+  /**
+   * Find the names a member declares for itself: parameters, type parameters, locals, lambda
+   * parameters and pattern variables. Declarations are recognised by shape (a type followed by
+   * a name), which is enough to tell locals from members without resolving types.
+   * @param {Object} member - A parsed member
+   * @returns {Set<string>} Declared names
+   */
+  findLocalNames(member) {
+    const names = new Set([...(member.parameters || []).map(parameter => parameter.name), ...(member.typeParameters || [])]);
+    if (['property', 'indexer', 'event'].includes(member.kind)) {
+      names.add('value');
+    }
+    this.findLocalDeclarations(codeTokens(tokenize(member.content))).forEach(declaration => names.add(declaration.name));
+    return names;
+  }
+
+  /**
+   * Find local declarations in the tokens of a member by shape, as findLocalNames does.
+   * @param {Array} tokens - Code tokens of a member
+   * @returns {Array} [{ name, index, typeStart }] with token indexes; typeStart is the index of the
+   * first token of the declared type, or -1 for lambda parameters and query variables
+   */
+  findLocalDeclarations(tokens) {
+    const declarations = [];
+    const predefinedTypes = ['bool', 'byte', 'char', 'decimal', 'double', 'float', 'int', 'long', 'object', 'sbyte', 'short', 'string', 'uint', 'ulong', 'ushort'];
+    const introducers = ['from', 'let', 'join', 'into'];
+    const notTypes = ['await', 'yield', 'select', 'where', 'orderby', 'group', 'by', 'on', 'equals', 'ascending', 'descending', 'nameof', 'when', 'and', 'or', 'not', 'with'];
+    const findOpening = (index, open, close) => {
+      let depth = 0;
+      for (let i = index; i >= 0; i--) {
+        if (tokens[i].value === close) depth++;
+        if (tokens[i].value === open && --depth === 0) return i;
+      }
+      return -1;
+    };
+    const endsType = index => {
+      const token = tokens[index];
+      if (!token) {
+        return false;
+      }
+      if (token.type === TokenType.IDENTIFIER) {
+        return !notTypes.includes(token.value);
+      }
+      if (token.type === TokenType.KEYWORD) {
+        return predefinedTypes.includes(token.value);
+      }
+      if (token.value === ']') {
+        return ['[', ','].includes(tokens[index - 1]?.value); // int[] or int[,]
+      }
+      if (token.value === '?') {
+        return endsType(index - 1);
+      }
+      if (token.value === '>') {
+        const open = findOpening(index, '<', '>');
+        return open !== -1 && tokens[open - 1]?.type === TokenType.IDENTIFIER && this.skipTypeArgumentList(tokens, open) === index + 1;
+      }
+      return false;
+    };
+    const typeStart = index => {
+      const token = tokens[index];
+      if (token.value === '?') {
+        return typeStart(index - 1);
+      }
+      if (token.value === ']') {
+        return typeStart(findOpening(index, '[', ']') - 1);
+      }
+      let start = token.value === '>' ? findOpening(index, '<', '>') - 1 : index;
+      while (['.', '::'].includes(tokens[start - 1]?.value) && tokens[start - 2]?.type === TokenType.IDENTIFIER) {
+        start -= 2;
+      }
+      return start;
+    };
+
+    // Interpolation holes are flattened into the token stream; names in neighbouring holes
+    // ($"{a} {b}") are separate expressions, not a type and a name
+    const holeOf = new Map();
+    tokens.filter(token => token.interpolations).forEach(token => token.interpolations.forEach((hole, number) =>
+      codeTokens(hole.tokens).forEach(holeToken => holeOf.set(holeToken, `${token.start}:${number}`))));
+
+    tokens.forEach((token, index) => {
+      if (token.type !== TokenType.IDENTIFIER) {
+        return;
+      }
+      const previous = holeOf.get(tokens[index - 1]) === holeOf.get(token) ? tokens[index - 1] : undefined;
+      const next = holeOf.get(tokens[index + 1]) === holeOf.get(token) ? tokens[index + 1] : undefined;
+      if (next?.value === '=>' && !['.', '?.'].includes(previous?.value)) {
+        declarations.push({ name: token.value, index, typeStart: -1 }); // x => ...
+      } else if (previous && introducers.includes(previous.value)) {
+        declarations.push({ name: token.value, index, typeStart: -1 }); // from x in ..., let x = ...
+      } else if (previous && next && ['=', ';', ',', ')', 'in', ':', '=>'].includes(next.value) && endsType(index - 1) &&
+          !(previous.value === '?' && next.value === ':')) {
+        declarations.push({ name: token.value, index, typeStart: typeStart(index - 1) }); // Type x = ..., out var x, foreach (var x in ...), is Type x
+      }
+    });
+
+    // (a, b) => ... and (int a, int b) => ...
+    tokens.forEach((token, index) => {
+      if (token.value !== '=>' || tokens[index - 1]?.value !== ')') {
+        return;
+      }
+      let depth = 0;
+      for (let i = index - 1; i >= 0; i--) {
+        if (tokens[i].value === ')') depth++;
+        if (tokens[i].value === '(' && --depth === 0) break;
+        if (depth === 1 && tokens[i].type === TokenType.IDENTIFIER && [',', ')'].includes(tokens[i + 1].value) &&
+            !declarations.some(declaration => declaration.index === i)) {
+          declarations.push({ name: tokens[i].value, index: i, typeStart: -1 });
+        }
+      }
+    });
+
+    return declarations.sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Find where each name a member declares for itself is in scope. Parameters, type parameters
+   * and `value` cover the whole member; a lambda parameter covers the lambda, a for, foreach,
+   * using or catch variable its statement, a local function parameter the function body, and any
+   * other local the block it is declared in.
+   * @param {Object} member - A parsed member
+   * @param {Array} tokens - Code tokens of member.content
+   * @returns {Map<string, Array>} Name => [first, last] token index ranges
+   */
+  findLocalScopes(member, tokens) {
+    const scopes = new Map();
+    const addScope = (name, first, last) => {
+      if (!scopes.has(name)) {
+        scopes.set(name, []);
+      }
+      scopes.get(name).push([first, last]);
+    };
+    const whole = [0, tokens.length];
+    [...(member.parameters || []).map(parameter => parameter.name), ...(member.typeParameters || [])].forEach(name => addScope(name, ...whole));
+    if (['property', 'indexer', 'event'].includes(member.kind)) {
+      addScope('value', ...whole);
+    }
+
+    // Innermost open bracket around each token
+    const enclosing = [];
+    const open = [];
+    tokens.forEach((token, index) => {
+      enclosing[index] = open.length > 0 ? open[open.length - 1] : -1;
+      if (token.type !== TokenType.PUNCTUATION) {
+        return;
+      }
+      if (['(', '[', '{'].includes(token.value)) {
+        open.push(index);
+      } else if ([')', ']', '}'].includes(token.value)) {
+        open.pop();
+      }
+    });
+    const closing = index => {
+      const close = findMatchingToken(tokens, index);
+      return close === -1 ? tokens.length : close;
+    };
+    // A lambda body runs to the end of its block, or of its expression
+    const lambdaEnd = arrow => {
+      if (tokens[arrow + 1]?.value === '{') {
+        return closing(arrow + 1);
+      }
+      for (let i = arrow + 1; i < tokens.length; i++) {
+        const value = tokens[i].value;
+        if (['(', '[', '{'].includes(value)) {
+          i = closing(i);
+        } else if ([',', ';', ')', ']', '}'].includes(value)) {
+          return i - 1;
+        }
+      }
+      return tokens.length;
+    };
+    const statementEnd = start => {
+      const token = tokens[start];
+      if (!token) {
+        return tokens.length;
+      }
+      if (token.value === '{') {
+        return closing(start);
+      }
+      if (['if', 'for', 'foreach', 'while', 'using', 'lock', 'fixed'].includes(token.value) && tokens[start + 1]?.value === '(') {
+        const end = statementEnd(closing(start + 1) + 1);
+        return token.value === 'if' && tokens[end + 1]?.value === 'else' ? statementEnd(end + 2) : end;
+      }
+      for (let i = start; i < tokens.length; i++) {
+        if (['(', '[', '{'].includes(tokens[i].value)) {
+          i = closing(i);
+        } else if (tokens[i].value === ';') {
+          return i;
+        }
+      }
+      return tokens.length;
+    };
+    const scopeOf = index => {
+      if (tokens[index + 1]?.value === '=>') {
+        return [index, lambdaEnd(index + 1)];
+      }
+      for (let bracket = enclosing[index]; bracket !== -1; bracket = enclosing[bracket]) {
+        if (tokens[bracket].value === '{') {
+          return [bracket, closing(bracket)];
+        }
+        if (tokens[bracket].value !== '(') {
+          continue;
+        }
+        const close = closing(bracket);
+        if (tokens[close + 1]?.value === '=>') {
+          return [bracket, lambdaEnd(close + 1)];
+        }
+        if (['for', 'foreach', 'using', 'lock', 'fixed', 'catch', 'while'].includes(tokens[bracket - 1]?.value)) {
+          return [bracket, statementEnd(close + 1)];
+        }
+        if (tokens[close + 1]?.value === '{' && tokens[bracket - 1]?.type === TokenType.IDENTIFIER) {
+          return [bracket, closing(close + 1)]; // a local function's parameter
+        }
+      }
+      return whole;
+    };
+    this.findLocalDeclarations(tokens).forEach(declaration => addScope(declaration.name, ...scopeOf(declaration.index)));
+    return scopes;
+  }
+
+  /**
+   * Find the bodies of lambdas, anonymous methods and local functions between two tokens;
+   * return, yield and goto inside them don't leave the member.
+   * @param {Array} tokens - Code tokens of a member
+   * @param {number} from - Index of the first token to search
+   * @param {number} to - Index of the last token to search
+   * @returns {Array} [open, close] token indexes of each '{ ... }' body
+   */
+  findFunctionBodies(tokens, from, to) {
+    const returnTypes = ['void', 'bool', 'byte', 'char', 'decimal', 'double', 'float', 'int', 'long', 'object', 'sbyte', 'short', 'string', 'uint', 'ulong', 'ushort'];
+    const bodies = [];
+    for (let i = from; i <= to; i++) {
+      if (tokens[i].value !== '{' || tokens[i].type !== TokenType.PUNCTUATION) {
+        continue;
+      }
+      const previous = tokens[i - 1];
+      let isFunction = previous?.value === '=>' || previous?.value === 'delegate';
+      if (previous?.value === ')') {
+        let open = i - 1;
+        for (let depth = 0; open >= 0; open--) {
+          if (tokens[open].value === ')') depth++;
+          if (tokens[open].value === '(' && --depth === 0) break;
+        }
+        // delegate (...) { } or a local function: ReturnType Name(...) { }
+        const name = tokens[open - 1];
+        const type = tokens[open - 2];
+        isFunction = name?.value === 'delegate' || (name?.type === TokenType.IDENTIFIER && !!type &&
+          (type.type === TokenType.IDENTIFIER || ['>', ']', '?'].includes(type.value) || returnTypes.includes(type.value)));
+      }
+      if (isFunction) {
+        const close = findMatchingToken(tokens, i);
+        bodies.push([i, close === -1 ? tokens.length : close]);
+      }
+    }
+    return bodies;
+  }
+
+  /**
+   * Split a call's argument list, or a declaration's parameter list, at its top-level commas.
+   * Commas inside brackets, braces and generic type argument lists don't split.
+   * @param {Array} tokens - Code tokens
+   * @param {number} openIndex - Index of the opening '('
+   * @param {boolean} isDeclaration - Whether the list declares parameters, where a type argument
+   * list may be followed by a name
+   * @returns {Array} [{ tokens, name, valueTokens }] per argument; name is set for a named argument
+   * and valueTokens leave it out
+   */
+  splitArguments(tokens, openIndex, isDeclaration = false) {
+    const close = findMatchingToken(tokens, openIndex);
+    const argumentList = [];
+    let current = [];
+    for (let i = openIndex + 1; i < close; i++) {
+      const token = tokens[i];
+      let end = i;
+      if (token.type === TokenType.PUNCTUATION && ['(', '[', '{'].includes(token.value)) {
+        end = findMatchingToken(tokens, i);
+      } else if (token.value === '<' && tokens[i - 1]?.type === TokenType.IDENTIFIER) {
+        // F(G<A, B>(7)) passes one argument, F(G < A, B > 7) two
+        const after = this.skipTypeArgumentList(tokens, i);
+        if (after !== -1 && (isDeclaration || ['(', ')', ',', '.', '?.', '[', ']', '::'].includes(tokens[after].value))) {
+          end = after - 1;
+        }
+      }
+      if (token.value === ',' && token.type === TokenType.PUNCTUATION) {
+        argumentList.push(current);
+        current = [];
+        continue;
+      }
+      current.push(...tokens.slice(i, end + 1));
+      i = end;
+    }
+    if (current.length > 0 || argumentList.length > 0) {
+      argumentList.push(current);
+    }
+    return argumentList.map(argumentTokens => {
+      const named = !isDeclaration && argumentTokens[0]?.type === TokenType.IDENTIFIER && argumentTokens[1]?.value === ':';
+      return {
+        tokens: argumentTokens,
+        name: named ? argumentTokens[0].value : null,
+        valueTokens: named ? argumentTokens.slice(2) : argumentTokens,
+      };
+    });
+  }
+
+  /**
+   * Find the references a member makes to members of the target type: simple names outside the
+   * scope of any local of the same name, and names qualified by `this`, `base` or the type's own name. Member names
+   * in object initializers and named arguments belong to other types and are skipped, and so
+   * is the member's own declarator.
+   * @param {Object} member - A parsed member
+   * @param {Set<string>} names - Member names to look for
+   * @returns {Array} [{ name, start, end, qualifier, qualifierStart, isCall }] with offsets into
+   * member.content; qualifier is null for a simple name, else 'this', 'base' or the type name
+   */
+  findMemberReferences(member, names) {
+    const allTokens = tokenize(member.content);
+    const tokens = codeTokens(allTokens);
+    const localScopes = this.findLocalScopes(member, tokens);
+    const shadowed = (name, index) => (localScopes.get(name) || []).some(([first, last]) => index >= first && index <= last);
+    const bodyRange = this.findBodyTokenRange(allTokens);
+    const bodyStart = bodyRange && bodyRange.start < allTokens.length ? allTokens[bodyRange.start].start : member.content.length;
+    const statementWords = ['if', 'while', 'for', 'foreach', 'using', 'lock', 'switch', 'catch', 'fixed', 'when'];
+
+    // An initializer brace follows `new T(...)`, `new T`, `new()` or `with`
+    const opensInitializer = index => {
+      for (let i = index - 1; i >= 0; i--) {
+        const value = tokens[i].value;
+        if (value === 'new' || value === 'with') {
+          return true;
+        }
+        if ([';', '{', '}', '=>', '='].includes(value) || statementWords.includes(value)) {
+          return false;
+        }
+        if (value === ')') {
+          let depth = 0;
+          for (; i >= 0; i--) {
+            if (tokens[i].value === ')') depth++;
+            if (tokens[i].value === '(' && --depth === 0) break;
+          }
+        }
+      }
+      return false;
+    };
+
+    // The member's other declarators, `_b` in `int _a, _b;`
+    const ownDeclarators = new Set();
+    let depth = 0;
+    tokens.forEach((token, index) => {
+      if (['(', '[', '{'].includes(token.value)) depth++;
+      else if ([')', ']', '}'].includes(token.value)) depth--;
+      else if (token.value === ',' && depth === 0 && (member.declarators || []).slice(1).includes(tokens[index + 1]?.value)) ownDeclarators.add(index + 1);
+    });
+
+    const references = [];
+    const braces = [];
+    tokens.forEach((token, index) => {
+      if (token.value === '{') {
+        braces.push(opensInitializer(index));
+        return;
+      }
+      if (token.value === '}') {
+        braces.pop();
+        return;
+      }
+      if (token.type !== TokenType.IDENTIFIER || !names.has(token.value)) {
+        return;
+      }
+
+      const previous = tokens[index - 1];
+      const next = tokens[index + 1];
+      if ((token.start < bodyStart && token.value === member.name && ['(', '<', '{', '=', ';', '=>', ','].includes(next?.value)) || ownDeclarators.has(index)) {
+        return; // the member's own name
+      }
+      if (next?.value === '::' || previous?.value === '::' || (braces[braces.length - 1] && ['{', ','].includes(previous?.value) && next?.value === '=') ||
+          (['(', ','].includes(previous?.value) && next?.value === ':')) {
+        return;
+      }
+
+      const isCall = tokens[this.skipTypeArgumentList(tokens, index + 1)]?.value === '(';
+      if (['.', '?.'].includes(previous?.value)) {
+        const qualifier = tokens[index - 2];
+        const qualified = previous.value === '.' && qualifier && tokens[index - 3]?.value !== '.' &&
+          (['this', 'base'].includes(qualifier.value) || qualifier.value === this.targetClass.name);
+        if (qualified) {
+          references.push({ name: token.value, start: token.start, end: token.end, qualifier: qualifier.value, qualifierStart: qualifier.start, isCall });
+        }
+      } else if (!shadowed(token.value, index)) {
+        references.push({ name: token.value, start: token.start, end: token.end, qualifier: null, qualifierStart: token.start, isCall });
+      }
+    });
+
+    return references;
+  }
+
+  /**
+   * Declare a member the way an interface lists it: the signature without attributes and
+   * modifiers, constraints kept, and for properties and indexers only the public accessors.
+   * @param {Object} member - A parsed method, property, indexer or event
+   * @returns {string|null} Declaration such as "T Load<T>(int id) where T : class;" or
+   * "int Count { get; }", or null when a property has no public accessor
+   */
+  getInterfaceMemberDeclaration(member) {
+    const header = significantTokens(tokenize(member.signature));
+    let first = 0;
+    while (header[first]?.value === '[') {
+      first = findMatchingToken(header, first) + 1;
+    }
+    while (first < header.length - 1 && MEMBER_MODIFIERS.includes(header[first].value)) {
+      first++;
+    }
+    const declaration = member.signature.slice(header[first].start).replace(/[ \t]*\r?\n\s*/g, ' ');
+    if (!['property', 'indexer'].includes(member.kind)) {
+      return `${declaration};`;
+    }
+
+    // Accessors with an access modifier of their own are not part of the public contract
+    const tokens = tokenize(member.content);
+    const bodyRange = this.findBodyTokenRange(tokens);
+    if (!bodyRange || bodyRange.kind !== 'block') {
+      return `${declaration} { get; }`;
+    }
+    const body = significantTokens(tokens.slice(bodyRange.start, bodyRange.end));
+    const accessors = [];
+    let restricted = false;
+    for (let i = 0; i < body.length; i++) {
+      const value = body[i].value;
+      if (['private', 'protected', 'internal'].includes(value)) {
+        restricted = true;
+      } else if (['get', 'set', 'init'].includes(value)) {
+        if (!restricted) {
+          accessors.push(value);
+        }
+        restricted = false;
+        if (body[i + 1]?.value === '{') {
+          i = findMatchingToken(body, i + 1);
+        } else if (body[i + 1]?.value === '=>') {
+          while (i < body.length && body[i].value !== ';') i++;
+        }
+      } else if (value === '[') {
+        i = findMatchingToken(body, i);
+      }
+    }
+    return accessors.length > 0 ? `${declaration} { ${accessors.map(accessor => `${accessor};`).join(' ')} }` : null;
+  }
+}
+
+/**
+ * Merge multiple configuration files into a single configuration object
+ * @param {string[]} configFiles - Array of configuration file paths
+ * @returns {Object} Merged configuration object
+ */
+async function mergeConfigurations(configFiles) {
+  if (!Array.isArray(configFiles) || configFiles.length === 0) {
+    throw new Error('At least one configuration file must be provided');
+  }
+
+  let mergedConfig = null;
+  const allPartialClasses = [];
+
+  for (const configFile of configFiles) {
+    try {
+      const configContent = await fs.readFile(configFile, 'utf-8');
+      const config = JSON.parse(configContent);
+
+      if (mergedConfig === null) {
+        // First configuration file sets the base structure
+        mergedConfig = {
+          sourceFile: config.sourceFile,
+          targetClassName: config.targetClassName || null, // Add target class name support
+          destinationFolder: config.destinationFolder,
+          newNamespace: config.newNamespace,
+          mainPartialClassName: config.mainPartialClassName,
+          mainInterface: config.mainInterface || '',
+          namespaceStyle: config.namespaceStyle || null,
+          maxLinesPerFile: config.maxLinesPerFile ?? DEFAULT_MAX_LINES_PER_FILE,
+          overflow: config.overflow ?? 'error',
+          regenerate: config.regenerate ?? false,
+          partialClasses: []
+        };
+
+        if (typeof mergedConfig.regenerate !== 'boolean') {
+          throw new Error(`Invalid regenerate "${mergedConfig.regenerate}" in "${configFile}". Use true or false.`);
+        }
+
+        if (mergedConfig.namespaceStyle && !['block', 'file-scoped'].includes(mergedConfig.namespaceStyle)) {
+          throw new Error(`Invalid namespaceStyle "${mergedConfig.namespaceStyle}" in "${configFile}". Use "block" or "file-scoped".`);
+        }
+        validateLineLimitSettings(config, `"${configFile}"`);
+
+        // Validate required properties in the first config
+        const requiredKeys = ['sourceFile', 'destinationFolder', 'newNamespace', 'mainPartialClassName'];
+        for (const key of requiredKeys) {
+          if (!config[key]) {
+            throw new Error(`Configuration file "${configFile}" is missing required key: "${key}". Value should not be empty.`);
+          }
+        }
+      } else {
+        // Subsequent configuration files - validate consistency
+        if (config.sourceFile && config.sourceFile !== mergedConfig.sourceFile) {
+          throw new Error(`Source file mismatch in "${configFile}". Expected: "${mergedConfig.sourceFile}", Found: "${config.sourceFile}"`);
+        }
+        if (config.targetClassName && config.targetClassName !== mergedConfig.targetClassName) {
+          throw new Error(`Target class name mismatch in "${configFile}". Expected: "${mergedConfig.targetClassName}", Found: "${config.targetClassName}"`);
+        }
+        if (config.destinationFolder && config.destinationFolder !== mergedConfig.destinationFolder) {
+          throw new Error(`Destination folder mismatch in "${configFile}". Expected: "${mergedConfig.destinationFolder}", Found: "${config.destinationFolder}"`);
+        }
+        if (config.newNamespace && config.newNamespace !== mergedConfig.newNamespace) {
+          throw new Error(`Namespace mismatch in "${configFile}". Expected: "${mergedConfig.newNamespace}", Found: "${config.newNamespace}"`);
+        }
+        if (config.namespaceStyle && config.namespaceStyle !== mergedConfig.namespaceStyle) {
+          throw new Error(`Namespace style mismatch in "${configFile}". Expected: "${mergedConfig.namespaceStyle}", Found: "${config.namespaceStyle}"`);
+        }
+        if (config.mainPartialClassName && config.mainPartialClassName !== mergedConfig.mainPartialClassName) {
+          throw new Error(`Main partial class name mismatch in "${configFile}". Expected: "${mergedConfig.mainPartialClassName}", Found: "${config.mainPartialClassName}"`);
+        }
+        if (config.maxLinesPerFile !== undefined && config.maxLinesPerFile !== mergedConfig.maxLinesPerFile) {
+          throw new Error(`Line limit mismatch in "${configFile}". Expected: "${mergedConfig.maxLinesPerFile}", Found: "${config.maxLinesPerFile}"`);
+        }
+        if (config.overflow !== undefined && config.overflow !== mergedConfig.overflow) {
+          throw new Error(`Overflow mode mismatch in "${configFile}". Expected: "${mergedConfig.overflow}", Found: "${config.overflow}"`);
+        }
+        if (config.regenerate !== undefined && config.regenerate !== mergedConfig.regenerate) {
+          throw new Error(`Regenerate mismatch in "${configFile}". Expected: "${mergedConfig.regenerate}", Found: "${config.regenerate}"`);
+        }
+      }
+
+      // Add partial classes from this configuration
+      if (config.partialClasses && Array.isArray(config.partialClasses)) {
+        for (const partialClass of config.partialClasses) {
+          for (const key of ['methods', 'members']) {
+            const list = partialClass[key];
+            if (list !== undefined && (!Array.isArray(list) || list.some(entry => typeof entry !== 'string'))) {
+              throw new Error(`"${key}" of partial class "${partialClass.fileName}" must be an array of member names.`);
+            }
+          }
+          if (!partialClass.methods && !partialClass.members) {
+            throw new Error(`Partial class "${partialClass.fileName}" needs a "methods" or "members" list.`);
+          }
+          validateLineLimitSettings(partialClass, `partial class "${partialClass.fileName}"`);
+          allPartialClasses.push({ ...partialClass, methods: partialClass.methods || [], members: partialClass.members || [] });
+        }
+      }
+
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Configuration file not found: ${configFile}`);
+      }
+      throw new Error(`Error processing configuration file "${configFile}": ${error.message}`);
+    }
+  }
+
+  // Check for duplicate file names
+  const fileNames = allPartialClasses.map(pc => pc.fileName);
+  const duplicateFileNames = fileNames.filter((name, index) => fileNames.indexOf(name) !== index);
+  if (duplicateFileNames.length > 0) {
+    throw new Error(`Duplicate partial class file names found: ${[...new Set(duplicateFileNames)].join(', ')}`);
+  }
+
+  // Partial classes without their own line limit or overflow mode use the global ones
+  mergedConfig.partialClasses = allPartialClasses.map(partialClass => ({
+    ...partialClass,
+    maxLinesPerFile: partialClass.maxLinesPerFile ?? mergedConfig.maxLinesPerFile,
+    overflow: partialClass.overflow ?? mergedConfig.overflow
+  }));
+  return mergedConfig;
+}
+
+/**
+ * Check the maxLinesPerFile and overflow settings of a configuration or partial class.
+ * @param {Object} settings - Object that may carry maxLinesPerFile and overflow
+ * @param {string} where - Description used in error messages
+ */
+function validateLineLimitSettings(settings, where) {
+  const { maxLinesPerFile, overflow } = settings;
+  if (maxLinesPerFile !== undefined && (!Number.isInteger(maxLinesPerFile) || maxLinesPerFile <= 0)) {
+    throw new Error(`Invalid maxLinesPerFile "${maxLinesPerFile}" in ${where}. Use a positive whole number.`);
+  }
+  if (overflow !== undefined && !['error', 'split'].includes(overflow)) {
+    throw new Error(`Invalid overflow "${overflow}" in ${where}. Use "error" or "split".`);
+  }
+}
+
+// Create the MCP server
+const server = new Server(
+  {
+    name: 'csharp-refactorer-simple',
+    version: '1.0.0',
+  },
+  {
+    capabilities: {
+      tools: {},
+    },
+  }
+);
+
+// List available tools
+server.setRequestHandler(ListToolsRequestSchema, async () => {
+  return {
+    tools:
+      [
+        {
+          name: 'list_csharp_classes',
+          description: 'List all types found in a C# source file (classes, structs, records, interfaces and enums, including nested and non-public types) with their qualified names, kinds, declarations and line counts. This helps identify which type should be processed for refactoring.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              source_file: {
+                type: 'string',
+                description: 'Absolute full path to the C# source file to analyze. Ex: C:\\Users\\user\\source\\MyProject\\MyFile.cs',
+              },
+            },
+            required: ['source_file'],
+          },
+        },
+        {
+          name: 'split_csharp_class',
+          description: `Split a C# class file into multiple partial class files based on simplified JSON configuration(s). Only method names are required in the configuration. Methods should be grouped by functionality or business logic.
+
+SINGLE CONFIG EXAMPLE:
+{
+    "sourceFile": "C:\\Path\\To\\Your\\SourceClass.cs",
+    "targetClassName": "YourMainClass", // Optional: specify which class to process if file contains multiple classes
+    "destinationFolder": "C:\\Path\\To\\Your\\Output\\{Main ClassName from the source file}",
+    "newNamespace": "Your.New.Namespace", // Use existing namespace in source file if user not specified
+    "namespaceStyle": "file-scoped", // Optional: "block" or "file-scoped"; defaults to the style of the source file
+    "maxLinesPerFile": 5000, // Optional: line limit of each generated file; partial classes can set their own
+    "overflow": "error", // Optional: "split" numbers the files of a group over the limit instead of failing
+    "mainPartialClassName": "{Main ClassName from the source file}.Core.cs",
+    "mainInterface": "IMainInterface", // If interface exists, otherwise leave empty
+    "partialClasses": [
+        {
+            "fileName": "YourClass.{Category}.cs",
+            "interface": "", // Optional. Only if interface exists
+            "members": ["_cache", "CacheTimeout", "CacheEntry"], // Optional: fields, constants, properties, events, nested types
+            "methods": [
+                "MethodOne",
+                "MethodTwo",
+                "MethodThree"
+            ]
+        }
+    ]
+}
+
+MULTIPLE CONFIG EXAMPLE:
+For large classes, you can split the configuration into multiple files. Each file should contain the same base properties (sourceFile, destinationFolder, newNamespace, mainPartialClassName) and its own partialClasses array with method names.
+
+Config1.json:
+{
+    "sourceFile": "C:\\Path\\To\\Your\\SourceClass.cs",
+    "targetClassName": "YourMainClass", // Optional: specify which class to process if file contains multiple classes
+    "destinationFolder": "C:\\Path\\To\\Your\\Output\\{Main ClassName}",
+    "newNamespace": "Your.New.Namespace",
+    "mainPartialClassName": "{Main ClassName}.Core.cs",
+    "mainInterface": "IMainInterface",
+    "partialClasses": [
+        {
+            "fileName": "YourClass.DatabaseOperations.cs",
+            "methods": ["GetUser", "SaveUser", "DeleteUser"]
+        }
+    ]
+}
+
+Config2.json:
+{
+    "sourceFile": "C:\\Path\\To\\Your\\SourceClass.cs",
+    "targetClassName": "YourMainClass", // Optional: specify which class to process if file contains multiple classes
+    "destinationFolder": "C:\\Path\\To\\Your\\Output\\{Main ClassName}",
+    "newNamespace": "Your.New.Namespace",
+    "mainPartialClassName": "{Main ClassName}.Core.cs",
+    "partialClasses": [
+        {
+            "fileName": "YourClass.BusinessLogic.cs",
+            "methods": ["ProcessData", "ValidateInput", "CalculateResults"]
+        }
+    ]
+}
+
+NOTES:
+- If sourceFile contains multiple classes, use 'targetClassName' to specify which class to process
+- Structs, records and non-public or nested types can be split too; nested types use qualified names (Outer.Inner)
+- Generated partials keep the namespace style of the source file (block or file-scoped) unless namespaceStyle is set; with several namespaces in one file, only the target type's namespace is renamed
+- Partial declarations keep the class modifiers, type parameters, constraints and base list; per-partial "interface" values and mainInterface are merged into the existing base list
+- Use 'list_csharp_classes' tool first to see all available classes
 - Methods already moved to partial classes will be ignored in subsequent processing
 - Only method names are required (no signatures or parameter details)
+- To place overloads in different files, add parameter types: "Save(User)", "Save(Order, bool)", "this[int]"; a bare name takes the overloads not assigned by signature
+- Use "members" to move a feature's fields, constants, properties, events, indexers, constructors, operators and nested types along with its methods; it accepts any member kind and the same selectors, is validated like "methods", and its members are written before the methods. Unlisted non-method members stay in the main partial class
+- A field declaration with several variables (int _a, _b;) moves as a whole under its first name
+- Expression-bodied members (=> ...;) and members without a body (abstract, extern, partial declarations, interface members) are methods like any other and must be assigned too
 - Methods not found in source will be reported as errors
 - Duplicate method assignments across configs will be handled gracefully
-- Each partial class is limited to 5000 lines maximum
+- #if/#elif/#else/#endif and #region sections are preserved: moved members are wrapped in the same sections in their new file, emptied sections are removed from the main file, and splits that would leave unbalanced directives are rejected
+- Use dry_run to review the planned files, member placement, rewritten main file and diffs before anything is written
+- Files are staged and written together: a failed split leaves the destination untouched, and files it replaces are backed up with the source file so rollback_split can undo it
+- Each partial class is limited to 5000 lines unless maxLinesPerFile says otherwise; set it at the top level for every file or on a partial class for that file
+- With "overflow": "split" (top level or per partial class), a group over its limit is written as numbered files (Foo.Data.1.cs, Foo.Data.2.cs) that keep callers, callees and shared state together where they fit; the default "error" stops the split
+- Running the split again after the destination folder already holds the main partial file or partial files the configuration names updates them instead: members the configuration places in another file are moved there with the using directives they need, new groups become new files, files left without members are deleted and files whose members stay put are not touched. Other partial files of the class, such as a designer file, are left alone unless the configuration places all of their methods. The source file is not read again, so edits made to the partial files survive. Set "regenerate": true to write every file from the source file again
 - Line counts are calculated and enforced automatically`,
           inputSchema: {
             type: 'object',
             properties: {
               config_file: {
                 type: 'string',
-                description: 'Absolute full path to the JSON configuration file OR comma-separated list of multiple config file paths. Ex: C:\\Users\\user\\config.json OR C:\\Users\\user\\config1.json,C:\\Users\\user\\config2.json',
+                description: 'Absolute full path to the JSON configuration file OR comma-separated list of multiple config file paths. Ex: C:\\Users\\user\\config.json OR C:\\Users\\user\\config1.json,C:\\Users\\user\\config2.json',
+              },
+              dry_run: {
+                type: 'boolean',
+                description: 'Optional: preview the split without writing anything. Returns the planned files with line counts, which members go where, the rewritten main file and a unified diff against files that already exist in destinationFolder.',
+              },
+            },
+            required: ['config_file'],
+          },
+        },
+        {
+          name: 'rollback_split',
+          description: `Undo the most recent split_csharp_class run into a destination folder, the most recent merge_partial_classes run into the folder of its output file, the most recent extract_class or extract_interface run into the folder of the new file, the most recent extract_method, inline_method, replace_method_body, insert_member or delete_member run into the folder of its file, the most recent move_members run into the folder of its source file, or the most recent rename_member or change_signature run into its search directory. Every split writes its files as one transaction and journals the files it replaced, together with the source file, in <destinationFolder>/.split-journal; a merge also journals the partial files it deleted or rewrote, an extraction the class file it rewrote, a rename or signature change every file it changed, a move both partial files, a re-split every partial file it rewrote or deleted. Rolling back restores those files byte for byte, deletes the files the split created and removes folders it created, leaving the destination folder and the source file exactly as they were before the split. Splits are undone newest first; files edited since the split are only overwritten with force.`,
+          inputSchema: {
+            type: 'object',
+            properties: {
+              destination_folder: {
+                type: 'string',
+                description: 'Absolute full path to the destinationFolder of the split. Ex: C:\\Users\\user\\source\\MyProject\\Output\\MyClass',
+              },
+              transaction_id: {
+                type: 'string',
+                description: 'Optional: id of the split to undo, as reported by split_csharp_class. Must be the most recent split; defaults to it.',
+              },
+              force: {
+                type: 'boolean',
+                description: 'Optional: roll back even when files were changed after the split, discarding those changes.',
+              },
+            },
+            required: ['destination_folder'],
+          },
+        },
+        {
+          name: 'suggest_split_config',
+          description: `Suggest how to split a large C# class. Builds the call graph between the methods of the class and the fields, constants, properties and events each method uses, clusters methods that call each other or share state into cohesive groups that stay under a line limit, and names each group after the subject of its method names. Methods linked to no group are packed into Helpers files. Private state used by one group only is listed under "members" so it moves with its methods.
+
+Returns a ready-to-use split_csharp_class configuration (JSON) with a suggested file name and a short rationale for each group. Save it, adjust names or groups as needed, review it with split_csharp_class dry_run and then split.`,
+          inputSchema: {
+            type: 'object',
+            properties: {
+              source_file: {
+                type: 'string',
+                description: 'Absolute full path to the C# source file to analyze. Ex: C:\\Users\\user\\source\\MyProject\\MyClass.cs',
+              },
+              target_class_name: {
+                type: 'string',
+                description: 'Optional: specific type name to analyze if the file contains multiple types. Nested types use qualified names (Outer.Inner). If not specified, the first public class found will be used.',
+              },
+              max_lines_per_file: {
+                type: 'number',
+                description: 'Optional: maximum number of lines of each suggested partial file, including usings, namespace and declarations. Defaults to 5000.',
+              },
+            },
+            required: ['source_file'],
+          },
+        },
+        {
+          name: 'merge_partial_classes',
+          description: `Merge the partial declarations of a class back into one class file, for example to undo a split done by hand or to recombine partial files before a new split. Reads a directory or a list of files, finds the declarations of the class, and writes a single declaration with all members. Usings of all files are deduplicated and sorted the way dotnet format orders them, base classes and interfaces are combined into one base list, attributes and modifiers are combined, and members keep their #if and #region sections.
+
+Conflicts are reported and stop the merge: members defined in more than one file, differing namespaces, accessibility, type parameters, constraints or base classes, and aliases that mean different things. A partial method's declaration and implementation are not a conflict, and the class stays partial when it has partial members.
+
+Partial files that hold nothing else are deleted after the merge, files that hold other code are rewritten without the declaration. The merge is written as one transaction like a split; undo it with rollback_split on the folder of the output file. Use dry_run to review the merged file and conflicts first.`,
+          inputSchema: {
+            type: 'object',
+            properties: {
+              source_directory: {
+                type: 'string',
+                description: 'Absolute full path to a folder whose .cs files (not including subfolders) hold the partial declarations, merged in file name order. Ex: C:\\Users\\user\\source\\MyProject\\Output\\MyClass',
+              },
+              source_files: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Alternative to source_directory: absolute paths of the files holding the partial declarations, merged in the order given.',
+              },
+              target_class_name: {
+                type: 'string',
+                description: 'Optional: class to merge when the files declare several partial types. Nested types use qualified names (Outer.Inner). If not specified, the only partial type declared in more than one file is used.',
+              },
+              output_file: {
+                type: 'string',
+                description: 'Optional: absolute path of the merged file. May be one of the partial files, which is then replaced. Defaults to <ClassName>.cs in the folder of the first file.',
+              },
+              member_order: {
+                type: 'string',
+                enum: MEMBER_ORDERS,
+                description: "Optional: 'source' (default) keeps members in file order, 'kind' groups them as constants, fields, constructors, finalizers, delegates, events, enums, interfaces, properties, indexers, methods, operators and nested types keeping file order within each group, 'alphabetical' also sorts by name within each group.",
+              },
+              remove_partials: {
+                type: 'boolean',
+                description: 'Optional: delete the merged partial files, or remove the declaration from files that hold other code. Defaults to true.',
+              },
+              dry_run: {
+                type: 'boolean',
+                description: 'Optional: show the merged file, what happens to each partial file and any conflicts without writing anything. Defaults to false.',
+              },
+            },
+          },
+        },
+        {
+          name: 'extract_class',
+          description: `Extract methods of a class into a new collaborating class, for breaking up god classes where partial files alone don't help. The selected methods move to a new class in the same namespace, written to its own file, together with the private fields, properties, constants and events that only they use. The original class reaches the new class through a field: either created by the field's initializer, or passed to every constructor (injection 'constructor'). Calls in the original class are rewritten to go through that field, or through the new class name for static methods.
+
+The moved code may use static members and nested types of the original class that other classes can see; they are qualified with the class name. The extraction is refused with a list of problems when the moved code uses instance state or methods that stay behind, private static members, this or base, the class's type parameters, or when only some overloads of a method are selected. Overridden, virtual, abstract, partial and explicit interface methods can't be extracted.
+
+With forwarding_stubs, every non-private moved method leaves a stub marked [Obsolete] in the original class that forwards to the new class, so callers keep compiling. The extraction is written as one transaction; undo it with rollback_split on the folder of the new file. Use dry_run to review the new class, the diff of the original file and any problems first.`,
+          inputSchema: {
+            type: 'object',
+            properties: {
+              source_file: {
+                type: 'string',
+                description: 'Absolute full path to the C# source file. Ex: C:\\Users\\user\\source\\MyProject\\Utility.cs',
+              },
+              target_class_name: {
+                type: 'string',
+                description: 'Optional: class to extract from when the file declares several types. Nested types use qualified names (Outer.Inner). If not specified, the first public class is used.',
+              },
+              methods: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Methods to extract, by name (all overloads) or by signature such as "Save(User)".',
+              },
+              new_class_name: {
+                type: 'string',
+                description: 'Name of the new class. It is created in the namespace of the original class.',
+              },
+              injection: {
+                type: 'string',
+                enum: EXTRACT_INJECTIONS,
+                description: "Optional: 'field' (default) creates the new class in a readonly field initializer, 'constructor' adds a parameter for it to every constructor (or a new constructor) and stores it in a readonly field. No field is added when every extracted member is static.",
+              },
+              field_name: {
+                type: 'string',
+                description: 'Optional: name of the field holding the new class. Defaults to the class name in camel case with a leading underscore, e.g. _reportFormatter.',
+              },
+              forwarding_stubs: {
+                type: 'boolean',
+                description: 'Optional: leave an [Obsolete] stub in the original class for every non-private extracted method that forwards to the new class. Defaults to false.',
+              },
+              output_file: {
+                type: 'string',
+                description: 'Optional: absolute path of the new class file. Defaults to <NewClassName>.cs next to the source file; it must not exist yet.',
+              },
+              dry_run: {
+                type: 'boolean',
+                description: 'Optional: show the new class, the changes to the original file and any problems without writing anything. Defaults to false.',
+              },
+            },
+            required: ['source_file', 'methods', 'new_class_name'],
+          },
+        },
+        {
+          name: 'extract_interface',
+          description: `Generate an interface from the public instance members of a class and make the class implement it. The split config's interface and mainInterface fields only add a name to the base list; this tool writes the interface itself. Methods, properties, indexers and events are declared with their XML doc comments, generic type parameters and constraints, properties and indexers with their public accessors only, and members inside #if sections stay inside them. A generic class gives a generic interface with the same constraints. Static members, explicit interface implementations and overrides of object members are left out.
+
+Run it on one partial file of a split class to get the interface of that group, or list the members to include. The interface is written next to the source file and added to the class's base list in one transaction; undo it with rollback_split on the folder of the interface file. Use dry_run to review the interface first.`,
+          inputSchema: {
+            type: 'object',
+            properties: {
+              source_file: {
+                type: 'string',
+                description: 'Absolute full path to the C# source file, or to one partial file of the class. Ex: C:\\Users\\user\\source\\MyProject\\OrderService.cs',
+              },
+              target_class_name: {
+                type: 'string',
+                description: 'Optional: class to extract from when the file declares several types. Nested types use qualified names (Outer.Inner). If not specified, the first public class is used.',
+              },
+              interface_name: {
+                type: 'string',
+                description: 'Optional: name of the interface. Defaults to the class name prefixed with I.',
+              },
+              members: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Optional: public instance members to include, by name (all overloads) or by signature such as "Save(User)". Defaults to all of them.',
+              },
+              output_file: {
+                type: 'string',
+                description: 'Optional: absolute path of the interface file. Defaults to <InterfaceName>.cs next to the source file; it must not exist yet.',
+              },
+              dry_run: {
+                type: 'boolean',
+                description: 'Optional: show the interface and the change to the class without writing anything. Defaults to false.',
+              },
+            },
+            required: ['source_file'],
+          },
+        },
+        {
+          name: 'rename_member',
+          description: `Rename a method, property, field, constant or event of a class and update the places that use it. All overloads of a method are renamed. The declaration and the uses inside the class are renamed in every partial file of the class; other files are searched when search_directory is given: uses through the class name or through variables, fields and parameters declared with the class type are renamed, and so are uses and overrides in derived classes and object initializers of the class.
+
+Matches that can't be tied to the class are listed as uncertain and left alone: member access on receivers of another or unknown type (same-named members of other types), string literals holding the name, interfaces of the class declaring the name, derived members hiding it and overrides of a base member. Review them in the list before renaming. The result shows a diff of every changed file; all files are written in one transaction, so rollback_split on the search directory (or the folder of the source file) undoes the rename. Use dry_run to review the rename first.`,
+          inputSchema: {
+            type: 'object',
+            properties: {
+              source_file: {
+                type: 'string',
+                description: 'Absolute full path to a C# file declaring the class, or one of its partial files. Ex: C:\\Users\\user\\source\\MyProject\\OrderService.cs',
+              },
+              target_class_name: {
+                type: 'string',
+                description: 'Optional: class declaring the member when the file declares several types. Nested types use qualified names (Outer.Inner). If not specified, the first public class is used.',
+              },
+              member_name: {
+                type: 'string',
+                description: 'Current name of the member.',
+              },
+              new_name: {
+                type: 'string',
+                description: 'New name of the member. It must not clash with another member of the class.',
+              },
+              search_directory: {
+                type: 'string',
+                description: 'Optional: absolute path of a folder whose .cs files (including subfolders, except bin, obj and hidden folders) are searched for uses. Without it only the partial files of the class in the folder of the source file are changed.',
+              },
+              dry_run: {
+                type: 'boolean',
+                description: 'Optional: show the diff and the uncertain matches without writing anything. Defaults to false.',
+              },
+            },
+            required: ['source_file', 'member_name', 'new_name'],
+          },
+        },
+        {
+          name: 'extract_method',
+          description: `Move a range of lines inside a method body into a new private method and call it from where the lines were. The locals and parameters the lines read become parameters; a value they change that is used afterwards becomes the return value, and with several such values they come back through ref and out parameters. Code that awaits gives an async method, and a return ending the lines makes the call site return the new method's result. The new method is static when the original is, keeps the generic type parameters the lines use and is inserted after the original.
+
+The lines must be whole statements inside one block. Ranges that cross block boundaries, switch sections or #if sections are refused, and so are lines with yield, goto, a return before their end or a break or continue that leaves them. Locals declared with var need an explicit type when their type can't be read from a constructor call or literal. Use dry_run to review the change; rollback_split on the folder of the file undoes it.`,
+          inputSchema: {
+            type: 'object',
+            properties: {
+              source_file: {
+                type: 'string',
+                description: 'Absolute full path to the C# source file. Ex: C:\\Users\\user\\source\\MyProject\\OrderService.cs',
+              },
+              target_class_name: {
+                type: 'string',
+                description: 'Optional: class holding the method when the file declares several types. Nested types use qualified names (Outer.Inner). If not specified, the first public class is used.',
+              },
+              start_line: {
+                type: 'number',
+                description: 'First line to extract (1-based).',
+              },
+              end_line: {
+                type: 'number',
+                description: 'Last line to extract (1-based, inclusive).',
+              },
+              new_method_name: {
+                type: 'string',
+                description: 'Name of the new method.',
+              },
+              dry_run: {
+                type: 'boolean',
+                description: 'Optional: show the new method, the call and the diff without writing anything. Defaults to false.',
+              },
+            },
+            required: ['source_file', 'start_line', 'end_line', 'new_method_name'],
+          },
+        },
+        {
+          name: 'inline_method',
+          description: `Replace the calls to a private method of a class with the method's body and delete the declaration once no calls remain. Arguments are substituted for the parameters; an argument with side effects, one the body assigns to or a complex one used more than once is first stored in a temporary variable. Locals of the body are renamed where they clash with names at the call site. A call used as a statement, returned or assigned takes the body's statements before it; elsewhere in an expression only a body without statements can be inlined.
+
+Methods that are not private are refused, and so are virtual, abstract, partial, async, generic and iterator methods and methods with several returns, a return before their end, recursion, or out, ref or params parameters. Calls that can't be inlined, such as method group uses or calls inside a larger expression when the body has statements, are listed and the declaration is kept for them. Use dry_run to review the change; rollback_split on the folder of the file undoes it.`,
+          inputSchema: {
+            type: 'object',
+            properties: {
+              source_file: {
+                type: 'string',
+                description: 'Absolute full path to the C# source file. Ex: C:\\Users\\user\\source\\MyProject\\OrderService.cs',
+              },
+              target_class_name: {
+                type: 'string',
+                description: 'Optional: class holding the method when the file declares several types. Nested types use qualified names (Outer.Inner). If not specified, the first public class is used.',
+              },
+              method_name: {
+                type: 'string',
+                description: 'Method to inline: a name, or a signature such as "Format(string, int)" when the method is overloaded.',
+              },
+              dry_run: {
+                type: 'boolean',
+                description: 'Optional: show the calls that would be inlined and the diff without writing anything. Defaults to false.',
+              },
+            },
+            required: ['source_file', 'method_name'],
+          },
+        },
+        {
+          name: 'change_signature',
+          description: `Change the parameter list of a method and rewrite its calls to match. List the new parameters in order: kept parameters by name, new ones as { name, type, argument } where argument is the expression existing calls pass. Parameters left out are removed along with their arguments, and reordered arguments are permuted. A new parameter with a default_value may leave out the argument; the arguments after a left-out one are then passed by name.
+
+The declaration changes in every partial file of the class, in overrides in derived types and in the interfaces the class lists as bases. Calls are rewritten inside the class and derived types and wherever the receiver is declared as the class, a derived type or a changed interface; calls through other receivers, method group uses and other implementations of a changed interface are listed, not changed. Removing a parameter the body still uses, a new parameter clashing with a local, an overload with the same parameters or a required parameter after an optional one refuses the change. Use dry_run to review the change; rollback_split on the search directory (or the folder of the source file) undoes it.`,
+          inputSchema: {
+            type: 'object',
+            properties: {
+              source_file: {
+                type: 'string',
+                description: 'Absolute full path to the C# source file declaring the method. Ex: C:\\Users\\user\\source\\MyProject\\OrderService.cs',
+              },
+              target_class_name: {
+                type: 'string',
+                description: 'Optional: class holding the method when the file declares several types. Nested types use qualified names (Outer.Inner). If not specified, the first public class is used.',
+              },
+              method_name: {
+                type: 'string',
+                description: 'Method to change: a name, or a signature such as "Save(string, bool)" when the method is overloaded.',
+              },
+              parameters: {
+                type: 'array',
+                description: 'The new parameter list in order. Ex: ["flush", "key", { "name": "retries", "type": "int", "argument": "3" }]',
+                items: {
+                  anyOf: [
+                    { type: 'string', description: 'Name of a parameter to keep' },
+                    {
+                      type: 'object',
+                      properties: {
+                        name: { type: 'string', description: 'Name of the new parameter' },
+                        type: { type: 'string', description: 'Type of the new parameter' },
+                        argument: { type: 'string', description: 'Expression passed for it by the existing calls' },
+                        default_value: { type: 'string', description: 'Optional: default value declared with the parameter' },
+                      },
+                      required: ['name', 'type'],
+                    },
+                  ],
+                },
+              },
+              search_directory: {
+                type: 'string',
+                description: 'Optional: absolute path of a folder whose .cs files (including subfolders, except bin, obj and hidden folders) are searched for calls, overrides and interfaces. Without it only the files in the folder of the source file are searched.',
+              },
+              dry_run: {
+                type: 'boolean',
+                description: 'Optional: show the new signature, the rewritten calls and the diff without writing anything. Defaults to false.',
+              },
+            },
+            required: ['source_file', 'method_name', 'parameters'],
+          },
+        },
+        {
+          name: 'replace_method_body',
+          description: `Replace the body of a method, constructor, finalizer or operator, or the whole declaration of any member, selected by name and overload. A body may be statements, a { } block or an expression body starting with =>; it is indented to fit and may switch the member between block and expression bodies. A declaration replaces the member from its attributes on and keeps its doc comments unless the new text starts with its own comments.
+
+The new text and the edited file are checked with the lexer before anything is written: brackets must close in order, literals and comments must end, #if sections must pair up and the class must still parse with the same number of members. The result shows the diff; rollback_split on the folder of the file undoes the edit.`,
+          inputSchema: {
+            type: 'object',
+            properties: {
+              source_file: {
+                type: 'string',
+                description: 'Absolute full path to the C# source file. Ex: C:\\Users\\user\\source\\MyProject\\OrderService.cs',
+              },
+              target_class_name: {
+                type: 'string',
+                description: 'Optional: class to edit when the file declares several types. Nested types use qualified names (Outer.Inner). If not specified, the first public class is used.',
+              },
+              member_name: {
+                type: 'string',
+                description: 'Member to edit: a name, or a signature such as "Save(string, bool)" when the member is overloaded.',
+              },
+              body: {
+                type: 'string',
+                description: 'New body: statements, a { } block or "=> expression". Give body or declaration.',
+              },
+              declaration: {
+                type: 'string',
+                description: 'New text of the whole member, signature included. Give body or declaration.',
+              },
+              dry_run: {
+                type: 'boolean',
+                description: 'Optional: show the diff without writing anything. Defaults to false.',
+              },
+            },
+            required: ['source_file', 'member_name'],
+          },
+        },
+        {
+          name: 'insert_member',
+          description: `Insert a new member into a class: before or after a member selected by name and overload, or at the end of the class in the given file, which may be one partial file of the class. The text is indented like its neighbours and separated from them by a blank line; a member inserted next to one inside an #if section joins that section.
+
+The new text must hold exactly one member whose signature the class doesn't have yet. It and the edited file are checked with the lexer before anything is written: brackets must close in order, literals and comments must end and the class must still parse. The result shows the diff; rollback_split on the folder of the file undoes the edit.`,
+          inputSchema: {
+            type: 'object',
+            properties: {
+              source_file: {
+                type: 'string',
+                description: 'Absolute full path to the C# source file. Ex: C:\\Users\\user\\source\\MyProject\\OrderService.cs',
+              },
+              target_class_name: {
+                type: 'string',
+                description: 'Optional: class to edit when the file declares several types. Nested types use qualified names (Outer.Inner). If not specified, the first public class is used.',
+              },
+              member: {
+                type: 'string',
+                description: 'Full text of the new member, with its doc comments and attributes.',
+              },
+              before: {
+                type: 'string',
+                description: 'Optional: member to insert before, by name or signature.',
+              },
+              after: {
+                type: 'string',
+                description: 'Optional: member to insert after, by name or signature. Without before or after the member goes to the end of the class.',
+              },
+              dry_run: {
+                type: 'boolean',
+                description: 'Optional: show the diff without writing anything. Defaults to false.',
+              },
+            },
+            required: ['source_file', 'member'],
+          },
+        },
+        {
+          name: 'delete_member',
+          description: `Delete a member selected by name and overload, together with its doc comments, attributes and an #if section it leaves empty. Uses of the member left in the class are listed. The edited file is checked with the lexer before it is written and the result shows the diff; rollback_split on the folder of the file undoes the edit.`,
+          inputSchema: {
+            type: 'object',
+            properties: {
+              source_file: {
+                type: 'string',
+                description: 'Absolute full path to the C# source file. Ex: C:\\Users\\user\\source\\MyProject\\OrderService.cs',
+              },
+              target_class_name: {
+                type: 'string',
+                description: 'Optional: class to edit when the file declares several types. Nested types use qualified names (Outer.Inner). If not specified, the first public class is used.',
+              },
+              member_name: {
+                type: 'string',
+                description: 'Member to delete: a name, or a signature such as "Save(string, bool)" when the member is overloaded.',
+              },
+              dry_run: {
+                type: 'boolean',
+                description: 'Optional: show the diff without writing anything. Defaults to false.',
+              },
+            },
+            required: ['source_file', 'member_name'],
+          },
+        },
+        {
+          name: 'move_members',
+          description: `Move members of a split class from one partial file to another, or into a new partial file, without regenerating the split. A bare name moves every overload; a signature such as "Save(string)" moves one. The members go after the last member of the destination, in the #if and #region sections they had, re-indented for its namespace style.
+
+The destination gets the using directives the members need, and the source loses the ones only they needed (unless it holds other code). The destination must stay under its line limit: max_lines_per_file, else the limit of that file in the split configuration given as config_file, else 5000 lines. Both files are checked with the lexer and written in one transaction; rollback_split on the folder of the source file undoes the move. Use dry_run to review the diff first.`,
+          inputSchema: {
+            type: 'object',
+            properties: {
+              source_file: {
+                type: 'string',
+                description: 'Absolute full path to the partial file holding the members. Ex: C:\\Users\\user\\source\\MyProject\\OrderService\\OrderService.Billing.cs',
+              },
+              target_class_name: {
+                type: 'string',
+                description: 'Optional: class whose members move when the file declares several types. Nested types use qualified names (Outer.Inner). If not specified, the first public class is used.',
+              },
+              members: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Members to move: names, or signatures such as "Save(string, bool)" for single overloads.',
+              },
+              destination_file: {
+                type: 'string',
+                description: 'Partial file to move the members into: an existing partial declaration of the same class, or a new file. A bare file name is taken to be next to the source file.',
+              },
+              max_lines_per_file: {
+                type: 'number',
+                description: 'Optional: line limit of the destination file.',
+              },
+              config_file: {
+                type: 'string',
+                description: 'Optional: split configuration file(s), comma separated, whose maxLinesPerFile for the destination file is enforced when max_lines_per_file is not given.',
+              },
+              dry_run: {
+                type: 'boolean',
+                description: 'Optional: show the diff without writing anything. Defaults to false.',
               },
             },
-            required: ['config_file'],
+            required: ['source_file', 'members', 'destination_file'],
+          },
+        },
+        {
+          name: 'list_csharp_methods',
+          description: 'List all member signatures found in a C# class file with their kinds, line counts and locations (line:column range and character offsets). Covers methods, constructors, properties, indexers, operators, events, finalizers, fields, constants and nested types. Shows the complete signatures including parameters, return types, and access modifiers. Useful for creating simplified configuration files and estimating partial class sizes.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              source_file: {
+                type: 'string',
+                description: 'Absolute full Path to the C# source file to analyze. Ex: C:\\Users\\user\\source\\MyProject\\MyClass.cs',
+              },
+              target_class_name: {
+                type: 'string',
+                description: 'Optional: specific type name to analyze if the file contains multiple types. Nested types use qualified names (Outer.Inner). If not specified, the first public class found will be used.',
+              },
+            },
+            required: ['source_file'],
+          },
+        },
+        {
+          name: 'build_dependency_tree',
+          description: 'Build a dependency tree starting from a specific method. This shows all methods called by the starting method and their sub-dependencies, useful for understanding code flow and impact analysis.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              source_file: {
+                type: 'string',
+                description: 'Absolute full path to the C# source file to analyze. Ex: C:\\Users\\user\\source\\MyProject\\MyClass.cs',
+              },
+              target_class_name: {
+                type: 'string',
+                description: 'Optional: specific type name to analyze if the file contains multiple types. Nested types use qualified names (Outer.Inner). If not specified, the first public class found will be used.',
+              },
+              start_method_name: {
+                type: 'string',
+                description: 'The method name to start building the dependency tree from (e.g., controller action method).',
+              },
+              max_depth: {
+                type: 'number',
+                description: 'Maximum depth to traverse in the dependency tree. Default is 3. Higher values may take longer but provide more complete analysis.',
+                default: 3
+              },
+            },
+            required: ['source_file', 'start_method_name'],
+          },
+        },
+        {
+          name: 'get_method_body',
+          description: 'Get the complete member body/content by class name and member name. Works for every member kind (methods, constructors, properties, indexers, operators, events, finalizers, fields). Use the class name for constructors, "this[]" for indexers, "operator +" for operators and "~ClassName" for finalizers. Shows the location of each overload as line:column range and character offsets. Useful for detailed code analysis and understanding member implementation.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              source_file: {
+                type: 'string',
+                description: 'Absolute full path to the C# source file to analyze. Ex: C:\\Users\\user\\source\\MyProject\\MyClass.cs',
+              },
+              target_class_name: {
+                type: 'string',
+                description: 'Optional: specific type name to analyze if the file contains multiple types. Nested types use qualified names (Outer.Inner). If not specified, the first public class found will be used.',
+              },
+              method_name: {
+                type: 'string',
+                description: 'The member name to retrieve the body for. Add parameter types to select one overload, e.g. "Save(User)" or "Save(Order, bool)"; a bare name returns every overload.',
+              },
+            },
+            required: ['source_file', 'method_name'],
+          },
+        },
+        {
+          name: 'find_method_callers',
+          description: 'Find all methods that call a specific target method (reverse dependency analysis). Useful for impact analysis when modifying a method.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              source_file: {
+                type: 'string',
+                description: 'Absolute full path to the C# source file to analyze. Ex: C:\\Users\\user\\source\\MyProject\\MyClass.cs',
+              },
+              target_class_name: {
+                type: 'string',
+                description: 'Optional: specific type name to analyze if the file contains multiple types. Nested types use qualified names (Outer.Inner). If not specified, the first public class found will be used.',
+              },
+              target_method_name: {
+                type: 'string',
+                description: 'The method name to find callers for.',
+              },
+            },
+            required: ['source_file', 'target_method_name'],
+          },
+        },
+        {
+          name: 'get_method_statistics',
+          description: 'Get detailed statistics and complexity metrics for a specific method including line counts, source locations (line:column and offsets), dependencies, and method calls.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              source_file: {
+                type: 'string',
+                description: 'Absolute full path to the C# source file to analyze. Ex: C:\\Users\\user\\source\\MyProject\\MyClass.cs',
+              },
+              target_class_name: {
+                type: 'string',
+                description: 'Optional: specific type name to analyze if the file contains multiple types. Nested types use qualified names (Outer.Inner). If not specified, the first public class found will be used.',
+              },
+              method_name: {
+                type: 'string',
+                description: 'The method name to get statistics for.',
+              },
+            },
+            required: ['source_file', 'method_name'],
+          },
+        },
+      ],
+  };
+});
+
+// Handle tool calls
+server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  const { name, arguments: args } = request.params;
+
+  try {
+    if (name === 'split_csharp_class') {
+      const { config_file, dry_run } = args;
+
+      if (!config_file) {
+        throw new Error("Missing required argument: config_file");
+      }
+
+      return await ProcessSplitCSharpclassSimple(config_file, dry_run === true);
+    } else if (name === 'rollback_split') {
+      if (!args.destination_folder) {
+        throw new Error("Missing required argument: destination_folder");
+      }
+
+      return await rollbackSplitSimple(args.destination_folder, args.transaction_id, args.force === true);
+    } else if (name === 'suggest_split_config') {
+      return await suggestSplitConfig(args.source_file, args.target_class_name, args.max_lines_per_file ?? DEFAULT_MAX_LINES_PER_FILE);
+    } else if (name === 'merge_partial_classes') {
+      return await mergePartialClasses({
+        ...args,
+        remove_partials: args.remove_partials !== false,
+        dry_run: args.dry_run === true
+      });
+    } else if (name === 'extract_class') {
+      return await extractClass({
+        ...args,
+        forwarding_stubs: args.forwarding_stubs === true,
+        dry_run: args.dry_run === true
+      });
+    } else if (name === 'extract_interface') {
+      return await extractInterface({
+        ...args,
+        dry_run: args.dry_run === true
+      });
+    } else if (name === 'rename_member') {
+      return await renameMember({
+        ...args,
+        dry_run: args.dry_run === true
+      });
+    } else if (name === 'extract_method') {
+      return await extractMethod({
+        ...args,
+        dry_run: args.dry_run === true
+      });
+    } else if (name === 'inline_method') {
+      return await inlineMethod({
+        ...args,
+        dry_run: args.dry_run === true
+      });
+    } else if (name === 'change_signature') {
+      return await changeSignature({
+        ...args,
+        dry_run: args.dry_run === true
+      });
+    } else if (name === 'replace_method_body') {
+      return await replaceMethodBody({
+        ...args,
+        dry_run: args.dry_run === true
+      });
+    } else if (name === 'insert_member') {
+      return await insertMember({
+        ...args,
+        dry_run: args.dry_run === true
+      });
+    } else if (name === 'delete_member') {
+      return await deleteMember({
+        ...args,
+        dry_run: args.dry_run === true
+      });
+    } else if (name === 'move_members') {
+      return await moveMembers({
+        ...args,
+        dry_run: args.dry_run === true
+      });
+    } else if (name === 'list_csharp_classes') {
+      return await listCSharpClasses(args.source_file);
+    } else if (name === 'list_csharp_methods') {
+      return await listCSharpMethodsSimple(args.source_file, args.target_class_name);
+    } else if (name === 'build_dependency_tree') {
+      return await buildDependencyTree(args.source_file, args.target_class_name, args.start_method_name, args.max_depth);
+    } else if (name === 'get_method_body') {
+      return await getMethodBody(args.source_file, args.target_class_name, args.method_name);
+    } else if (name === 'find_method_callers') {
+      return await findMethodCallers(args.source_file, args.target_class_name, args.target_method_name);
+    } else if (name === 'get_method_statistics') {
+      return await getMethodStatistics(args.source_file, args.target_class_name, args.method_name);
+    } else {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Unknown tool: ${name}`,
           },
+        ],
+      };
+    }
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Error: ${error.message}`,
+        },
+      ],
+    };
+  }
+});
+
+/**
+ * Entries of a partial class config in the order they are written: the "members" list
+ * (fields, constants, properties, events, nested types or any other member), then "methods".
+ * @param {Object} partialClass - Partial class configuration
+ * @returns {string[]} Member names and selectors
+ */
+function getConfiguredMembers(partialClass) {
+  return [...(partialClass.members || []), ...(partialClass.methods || [])];
+}
+
+/**
+ * Format a parsed span for tool output.
+ * @param {Object} span - Span with offsets, lines and columns
+ * @returns {string} line:column range and offsets, e.g. "12:1-20:9, offsets 310-642"
+ */
+function formatSpan(span) {
+  return `${span.startLine}:${span.startColumn}-${span.endLine}:${span.endColumn}, offsets ${span.start}-${span.end}`;
+}
+
+async function listCSharpMethodsSimple(source_file, target_class_name = null) {
+  // Create refactorer instance
+  const refactorer = new CSharpRefactorer();
+
+  // Parse source file with optional target class name
+  await refactorer.parseSourceFile(source_file, target_class_name);
+
+  // Format methods information
+  const methodNames = refactorer.getAvailableMethodNames();
+
+  if (methodNames.length === 0) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `No methods found in ${source_file}${target_class_name ? ` for class "${target_class_name}"` : ''}`,
+        },
+      ],
+    };
+  }
+
+  const methodsInfo = [];
+  methodsInfo.push(`Member signatures found in ${source_file}${target_class_name ? ` for class "${target_class_name}"` : ''}:`);
+  methodsInfo.push('='.repeat(50));
+  methodsInfo.push('');
+
+  let totalLines = 0;
+  const kindCounts = {};
+
+  // Group members by name and show overloads with full signatures, kinds and line counts
+  methodNames.forEach((methodName, index) => {
+    const methodOverloads = refactorer.methodsByName[methodName];
+    let methodTotalLines = 0;
+
+    methodsInfo.push(`${index + 1}. ${methodName}:`);
+
+    // Show each overload with its full signature
+    methodOverloads.forEach((method, overloadIndex) => {
+      methodTotalLines += method.lineCount;
+      kindCounts[method.kind] = (kindCounts[method.kind] || 0) + 1;
+      const overloadLabel = methodOverloads.length > 1 ? ` [Overload ${overloadIndex + 1}]` : '';
+      methodsInfo.push(`   ${method.signature}${overloadLabel}`);
+      const bodyLabel = method.bodyKind === 'expression' ? ', expression-bodied' :
+        method.bodyKind === 'none' && method.parameters && method.kind !== 'delegate' ? ', no body' : '';
+      methodsInfo.push(`   (${method.kind}${bodyLabel}, ${method.lineCount} lines, ${formatSpan(method.span)})`);
+      if (overloadIndex < methodOverloads.length - 1) {
+        methodsInfo.push('');
+      }
+    });
+
+    totalLines += methodTotalLines;
+    methodsInfo.push('');
+  });
+
+  methodsInfo.push('');
+  methodsInfo.push(`Total members: ${methodNames.length}`);
+  methodsInfo.push(`By kind: ${Object.entries(kindCounts).map(([kind, count]) => `${kind} ${count}`).join(', ')}`);
+  methodsInfo.push(`Total lines: ${totalLines}`);
+  methodsInfo.push('');
+
+  // Show available classes if multiple classes exist
+  if (refactorer.availableClasses.length > 1) {
+    methodsInfo.push('Available classes in this file:');
+    refactorer.availableClasses.forEach((cls, index) => {
+      methodsInfo.push(`  ${index + 1}. ${cls.qualifiedName} (${cls.kind}, ${cls.lineCount} lines)`);
+    });
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: methodsInfo.join('\n'),
+      },
+    ],
+  };
+}
+
+async function listCSharpClasses(source_file) {
+  // Create refactorer instance
+  const refactorer = new CSharpRefactorer();
+
+  // Parse source file to get all classes
+  await refactorer.parseSourceFile(source_file);
+
+  // Get available classes
+  const classes = refactorer.getAvailableClasses();
+
+  if (classes.length === 0) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `No classes found in ${source_file}`,
+        },
+      ],
+    };
+  }
+
+  const classesInfo = [];
+  classesInfo.push(`Types found in ${source_file}:`);
+  classesInfo.push('='.repeat(50));
+  classesInfo.push('');
+
+  // Display class information
+  classes.forEach((cls, index) => {
+    classesInfo.push(`${index + 1}. ${cls.name} (${cls.kind}, ${cls.accessibility}, ${cls.lineCount} lines)`);
+    classesInfo.push(`   Declaration: ${cls.declaration}`);
+    classesInfo.push(`   Location: ${formatSpan(cls.span)}`);
+    classesInfo.push(`   Namespace: ${cls.namespace || '(global)'}`);
+    classesInfo.push('');
+  });
+
+  classesInfo.push(`Total types: ${classes.length}`);
+  classesInfo.push('');
+  classesInfo.push('Use the "list_csharp_methods" tool with target_class_name to see methods for a specific class.');
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: classesInfo.join('\n'),
+      },
+    ],
+  };
+}
+
+async function ProcessSplitCSharpclassSimple(config_file_input, dry_run = false) {
+  // Parse config file(s) - can be single file or comma-separated list
+  const configFiles = config_file_input.split(',').map(file => file.trim());
+
+  // Merge all configuration files
+  const config = await mergeConfigurations(configFiles);
+
+  // A class already split into the destination folder is updated by moving members, unless
+  // the configuration asks for every file to be generated from the source file again
+  const layout = config.regenerate ? null : await findSplitLayout(config);
+  if (layout) {
+    return resplitPartialClass(config, configFiles, layout, dry_run);
+  }
+
+  // Map properties from the merged config
+  const source_file = config.sourceFile;
+  const target_class_name = config.targetClassName; // Add target class name support
+  const destination_folder = config.destinationFolder;
+  const new_namespace = config.newNamespace;
+  const main_partial_class_file_name = config.mainPartialClassName;
+  const partial_classes = config.partialClasses;
+  const main_interface = config.mainInterface || '';
+  const namespace_style = config.namespaceStyle;
+
+  // Create refactorer instance
+  const refactorer = new CSharpRefactorer();
+
+  // Parse source file with optional target class name
+  await refactorer.parseSourceFile(source_file, target_class_name);
+
+  const results = [];
+  results.push(`Processed ${configFiles.length} configuration file(s):`);
+  configFiles.forEach(file => results.push(`  - ${file}`));
+  results.push('');
+
+  // Show which class was processed if multiple classes exist
+  if (refactorer.availableClasses.length > 1) {
+    results.push(`Processing class: ${refactorer.targetClass.qualifiedName}`);
+    results.push(`Available classes: ${refactorer.availableClasses.map(c => c.qualifiedName).join(', ')}`);
+    results.push('');
+  }
+
+  // Validate all methods and members in all partial classes before generating any files
+  const allErrors = [];
+  const allRequestedMethods = [];
+  
+  for (const partialClass of partial_classes) {
+    for (const methodName of getConfiguredMembers(partialClass)) {
+      const { selector, members, error } = refactorer.resolveMemberSelector(methodName);
+      allRequestedMethods.push({ methodName: selector.name, fileName: partialClass.fileName, members });
+
+      // Check if member exists and, for entries like "Save(User)", that exactly one overload matches
+      if (!refactorer.methodsByName[selector.name]) {
+        const entryKind = partialClass.members.includes(methodName) ? 'Member' : 'Method';
+        allErrors.push(`${entryKind} '${methodName}' not found in source code (requested in ${partialClass.fileName})`);
+      } else if (error) {
+        allErrors.push(`${error}\n(requested in ${partialClass.fileName})`);
+      } else if (selector.parameterTypes !== null) {
+        members.forEach(member => refactorer.explicitSelections.add(member.signatureKey));
+      }
+
+      // A member whose text opens or closes a section it doesn't contain would leave the
+      // main file unbalanced once it moves
+      for (const member of members) {
+        const { error: directiveError } = refactorer.parseDirectiveBlocks(member.content);
+        if (directiveError) {
+          allErrors.push(`Member '${methodName}' cannot be moved: its text contains unbalanced preprocessor directives (${directiveError}) (requested in ${partialClass.fileName})`);
+        }
+      }
+    }
+  }
+
+  if (refactorer.directiveError) {
+    allErrors.push(`The source file has unbalanced preprocessor directives: ${refactorer.directiveError}`);
+  }
+  
+  // Check if all methods from source code are included in the configuration: every overload
+  // must be covered by a bare name or its own signature entry.
+  // Other member kinds may be listed too, but stay in the main file when they are not.
+  const availableMethodNames = Object.keys(refactorer.methodsByName);
+  const requestedMethodNames = allRequestedMethods.map(m => m.methodName);
+  const coveredKeys = new Set(allRequestedMethods.flatMap(m => m.members.map(member => member.signatureKey)));
+  const missingFromConfig = availableMethodNames.flatMap(methodName => {
+    const overloads = refactorer.methodsByName[methodName].filter(member => member.kind === 'method');
+    const missing = overloads.filter(member => !coveredKeys.has(member.signatureKey));
+    if (missing.length === 0) {
+      return [];
+    }
+    // Name the missing overloads individually only when some of them were assigned by signature
+    return requestedMethodNames.includes(methodName) ? missing.map(member => refactorer.describeOverload(member)) : [methodName];
+  });
+  
+  if (missingFromConfig.length > 0) {
+    allErrors.push(`Configuration is incomplete. The following methods from source code are not included in any partial class:\n${missingFromConfig.map(method => `  - ${method}`).join('\n')}\n\nAll methods must be assigned to a partial class configuration.`);
+  }
+  
+  // If there are any validation errors, throw an error and don't generate any files
+  if (allErrors.length > 0) {
+    const errorMessage = `Cannot generate partial classes due to validation errors:\n\n${allErrors.map((error, index) => `${index + 1}. ${error}`).join('\n')}\n\nAvailable members in source code:\n${availableMethodNames.join(', ')}`;
+    throw new Error(errorMessage);
+  }
+
+  // Generate all partial class files before anything is written
+  const plannedFiles = [];
+  for (const partialClass of partial_classes) {
+    // With overflow "split", a partial class over its line limit becomes numbered files
+    const selected = refactorer.selectPartialMembers(partialClass);
+    const parts = partialClass.overflow === 'split'
+      ? refactorer.chunkPartialClass(partialClass, selected, new_namespace, namespace_style)
+      : [{ config: partialClass, selected }];
+
+    for (const [index, part] of parts.entries()) {
+      const fileName = part.config.fileName;
+      const filePath = path.join(destination_folder, fileName);
+
+      // Generate content for the partial class file; it fails when over the line limit
+      const content = await refactorer.generatePartialClass(part.config, new_namespace, namespace_style, part.selected);
+
+      // Get no of lines in the content
+      const lineCount = content.split('\n').length;
+
+      let description = partialClass.members.length > 0
+        ? `${partialClass.methods.length} methods and ${partialClass.members.length} members requested, ${lineCount} lines`
+        : `${partialClass.methods.length} methods requested, ${lineCount} lines`;
+      if (parts.length > 1) {
+        description = `part ${index + 1} of ${parts.length} of ${partialClass.fileName} (over ${partialClass.maxLinesPerFile} lines), ${part.selected.length} members, ${lineCount} lines`;
+      }
+
+      plannedFiles.push({
+        filePath,
+        content,
+        lineCount,
+        members: refactorer.placements[fileName] || [],
+        description
+      });
+    }
+  }
+
+  // Generate main partial class file
+  const mainFilePath = path.join(destination_folder, main_partial_class_file_name);
+  const mainContent = refactorer.generateMainPartialClass(
+    new_namespace,
+    main_partial_class_file_name,
+    main_interface
+  );
+  plannedFiles.push({
+    filePath: mainFilePath,
+    content: mainContent,
+    lineCount: mainContent.split('\n').length,
+    members: null,
+    description: 'main partial class'
+  });
+
+  // Numbered files must not replace a file of their own configuration
+  const plannedPaths = plannedFiles.map(file => file.filePath);
+  const clashes = plannedPaths.filter((filePath, index) => plannedPaths.indexOf(filePath) !== index);
+  if (clashes.length > 0) {
+    throw new Error(`More than one generated file is named ${[...new Set(clashes)].map(filePath => path.basename(filePath)).join(', ')}. Rename the partial classes so numbered overflow files don't clash.`);
+  }
+
+  // Report any unprocessed methods
+  const unprocessedMethods = [];
+  for (const [methodName, methods] of Object.entries(refactorer.methodsByName)) {
+    const hasUnprocessed = methods.some(method => method.kind === 'method' && !refactorer.processedMethods.has(method.signatureKey));
+    if (hasUnprocessed) {
+      unprocessedMethods.push(methodName);
+    }
+  }
+
+  const notes = [];
+  if (unprocessedMethods.length > 0) {
+    notes.push('');
+    notes.push('Note: The following methods were not assigned to any partial class:');
+    unprocessedMethods.forEach(method => notes.push(`  - ${method}`));
+    notes.push('These methods will remain in the main partial class file.');
+  }
+
+  if (dry_run) {
+    const preview = await previewSplit(plannedFiles);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Dry run: no files were written.\n${results.join('\n')}\n${preview.join('\n')}${notes.length > 0 ? `\n${notes.join('\n')}` : ''}`,
+        },
+      ],
+    };
+  }
+
+  // Write all files as one transaction; files they replace and the source file are journaled
+  const { id: transactionId } = await commitFiles(plannedFiles, {
+    destinationFolder: destination_folder,
+    sourceFile: source_file
+  });
+
+  for (const file of plannedFiles) {
+    results.push(`Generated: ${file.filePath} (${file.description})`);
+  }
+  results.push(...notes);
+  results.push('');
+  results.push(`Split journaled as '${transactionId}'. Use rollback_split with destination_folder ${destination_folder} to undo it.`);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Successfully split C# class into partial files:\n${results.join('\n')}`,
+      },
+    ],
+  };
+}
+
+// The partial declarations of the class in the destination folder of an earlier split, or
+// null when the folder holds none besides the source file and the split starts afresh
+async function findSplitLayout(config) {
+  const destinationFolder = path.resolve(config.destinationFolder);
+  let names;
+  try {
+    names = (await fs.readdir(destinationFolder, { withFileTypes: true })).filter(entry => entry.isFile()).map(entry => entry.name);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+
+  // The class comes from the source file, or from the main partial file once the source is gone
+  const sourcePath = path.resolve(config.sourceFile);
+  const mainPath = path.join(destinationFolder, config.mainPartialClassName);
+  const probe = new CSharpRefactorer();
+  try {
+    await probe.parseSourceFile(sourcePath, config.targetClassName);
+  } catch (error) {
+    if (!error.message.startsWith('Source file not found') || !names.includes(config.mainPartialClassName)) {
+      return null;
+    }
+    await probe.parseSourceFile(mainPath, config.targetClassName);
+  }
+  const qualifiedName = probe.targetClass.qualifiedName;
+
+  // Files the configuration writes: the main partial file, the partial files and their numbered overflow files
+  const splitNames = [config.mainPartialClassName, ...config.partialClasses.map(partialClass => partialClass.fileName)];
+  const isSplitFile = fileName => splitNames.includes(fileName) || splitNames.includes(fileName.replace(/\.\d+(\.\w+)$/, '$1'));
+  const configuredNames = new Set(config.partialClasses.flatMap(partialClass =>
+    getConfiguredMembers(partialClass).map(entry => probe.parseMemberSelector(entry).name)));
+
+  const parts = [];
+  const fileNames = names
+    .filter(name => name.endsWith('.cs'))
+    .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+  for (const fileName of fileNames) {
+    const filePath = path.join(destinationFolder, fileName);
+    const source = await fs.readFile(filePath, 'utf-8');
+    const declarations = probe.parseAllClasses(source).filter(typeInfo => typeInfo.qualifiedName === qualifiedName && typeInfo.modifiers.includes('partial'));
+    if (declarations.length > 1) {
+      throw new Error(`${qualifiedName} is declared more than once in ${filePath}. Merge those declarations by hand first.`);
+    }
+    if (declarations.length === 1) {
+      const refactorer = new CSharpRefactorer();
+      refactorer.parseSource(source, qualifiedName);
+      parts.push({ filePath, fileName, refactorer, isSplitFile: isSplitFile(fileName) });
+    }
+  }
+
+  // Only a file the configuration writes marks an earlier split; other partial declarations,
+  // such as a designer file, join the layout only when the configuration places all of their
+  // methods, as for the files of groups an earlier configuration had
+  if (!parts.some(part => part.isSplitFile && part.filePath !== sourcePath)) {
+    return null;
+  }
+  const layoutParts = parts.filter(part => part.isSplitFile || (part.refactorer.members.some(member => member.declarators.some(name => configuredNames.has(name))) &&
+    part.refactorer.members.every(member => member.kind !== 'method' || configuredNames.has(member.name))));
+  return { qualifiedName, parts: layoutParts.map(({ filePath, fileName, refactorer }) => ({ filePath, fileName, refactorer })) };
+}
+
+// Apply a configuration to a class that is already split: members move between the partial
+// files only where the configuration now places them elsewhere, and files without changes
+// are not written
+async function resplitPartialClass(config, configFiles, { qualifiedName, parts }, dry_run) {
+  const destinationFolder = path.resolve(config.destinationFolder);
+  const sourcePath = path.resolve(config.sourceFile);
+  const checker = parts[0].refactorer;
+  const results = [];
+  results.push(`Processed ${configFiles.length} configuration file(s):`);
+  configFiles.forEach(file => results.push(`  - ${file}`));
+  results.push('');
+
+  const elsewhere = parts.filter(part => part.refactorer.targetClass.namespace && part.refactorer.targetClass.namespace !== config.newNamespace);
+  if (elsewhere.length > 0) {
+    throw new Error(`${qualifiedName} is already split in ${destinationFolder} in namespace ${elsewhere[0].refactorer.targetClass.namespace}, but newNamespace is ${config.newNamespace}. A re-split only moves members between the partial files; merge them with merge_partial_classes or roll back the split to split into another namespace.`);
+  }
+
+  // Every member of the class, wherever it is now; entries with a signature claim their
+  // overload first, then bare names take the overloads left, in configuration order
+  const located = parts.flatMap(part => part.refactorer.members.map(member => ({ part, member, identity: part.refactorer.getMemberIdentity(member) })));
+  const allErrors = [];
+  const entries = config.partialClasses.flatMap(partialClass => getConfiguredMembers(partialClass).map(entry => {
+    const selector = checker.parseMemberSelector(entry);
+    const named = located.filter(({ part, member }) => (part.refactorer.methodsByName[selector.name] || []).includes(member));
+    const matches = selector.parameterTypes === null ? named
+      : named.filter(({ part, member }) => part.refactorer.parametersMatch(member.parameters, selector.parameterTypes));
+    if (named.length === 0) {
+      allErrors.push(`${partialClass.members.includes(entry) ? 'Member' : 'Method'} '${entry}' not found in the partial files (requested in ${partialClass.fileName})`);
+    } else if (matches.length !== 1 && selector.parameterTypes !== null) {
+      const candidates = named.map(({ part, member }) => `  - ${part.refactorer.describeOverload(member)} (${part.fileName})`).join('\n');
+      allErrors.push(`${matches.length === 0 ? `No overload of '${selector.name}' matches '${entry}'` : `'${entry}' matches more than one overload`}. Candidates:\n${candidates}\n(requested in ${partialClass.fileName})`);
+    }
+    return { partialClass, selector, matches };
+  }));
+  const placement = new Map();
+  for (const { partialClass, selector, matches } of entries) {
+    if (selector.parameterTypes !== null && matches.length === 1 && !placement.has(matches[0])) {
+      placement.set(matches[0], partialClass);
+    }
+  }
+  const explicit = new Set(placement.keys());
+  for (const { partialClass, selector, matches } of entries.filter(({ selector: candidate }) => candidate.parameterTypes === null)) {
+    matches.filter(match => !explicit.has(match) && !placement.has(match)).forEach(match => placement.set(match, partialClass));
+  }
+
+  for (const part of parts.filter(candidate => candidate.refactorer.directiveError)) {
+    allErrors.push(`${part.fileName} has unbalanced preprocessor directives: ${part.refactorer.directiveError}`);
+  }
+  for (const { part, member } of placement.keys()) {
+    const { error } = part.refactorer.parseDirectiveBlocks(member.content);
+    if (error) {
+      allErrors.push(`Member '${part.refactorer.describeOverload(member)}' cannot be moved: its text contains unbalanced preprocessor directives (${error}) (in ${part.fileName})`);
+    }
+  }
+  const unassigned = located.filter(entry => entry.member.kind === 'method' && !placement.has(entry));
+  if (unassigned.length > 0) {
+    const missing = [...new Set(unassigned.map(({ part, member }) => part.refactorer.describeOverload(member)))];
+    allErrors.push(`Configuration is incomplete. The following methods in the partial files are not included in any partial class:\n${missing.map(method => `  - ${method}`).join('\n')}\n\nAll methods must be assigned to a partial class configuration.`);
+  }
+  if (allErrors.length > 0) {
+    const available = [...new Set(located.map(({ member }) => member.name))];
+    throw new Error(`Cannot generate partial classes due to validation errors:\n\n${allErrors.map((error, index) => `${index + 1}. ${error}`).join('\n')}\n\nAvailable members in the partial files:\n${available.join(', ')}`);
+  }
+
+  // A member stays when it is in the file of its partial class or one of its numbered
+  // overflow files; otherwise it goes to that file, or to the smallest numbered file
+  const homesOf = partialClass => {
+    const extension = path.extname(partialClass.fileName);
+    const baseName = partialClass.fileName.slice(0, partialClass.fileName.length - extension.length);
+    const numbered = parts.filter(part => part.fileName.startsWith(`${baseName}.`) && part.fileName.endsWith(extension) &&
+      /^\d+$/.test(part.fileName.slice(baseName.length + 1, part.fileName.length - extension.length)));
+    return { fileName: partialClass.fileName, numbered: numbered.sort((a, b) => a.refactorer.sourceCode.split('\n').length - b.refactorer.sourceCode.split('\n').length) };
+  };
+  const moves = [];
+  for (const [entry, partialClass] of placement) {
+    const homes = homesOf(partialClass);
+    if (entry.part.fileName === homes.fileName || homes.numbered.includes(entry.part)) {
+      continue;
+    }
+    const to = homes.numbered.length > 0 && !parts.some(part => part.fileName === homes.fileName) ? homes.numbered[0].fileName : homes.fileName;
+    moves.push({ entry, partialClass, to });
+  }
+  moves.sort((a, b) => parts.indexOf(a.entry.part) - parts.indexOf(b.entry.part) || a.entry.member.span.start - b.entry.member.span.start);
+
+  const sourceNote = parts.some(part => part.filePath === sourcePath) ? []
+    : [`The source file ${config.sourceFile} was not read: the partial files in the destination folder hold the class now.`];
+  if (moves.length === 0) {
+    results.push(`${qualifiedName} is already split into ${parts.length} partial files in ${destinationFolder}, and they match the configuration. No files were changed.`);
+    results.push(...sourceNote);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${dry_run ? 'Dry run: no files were written.\n' : ''}${results.join('\n')}`,
+        },
+      ],
+    };
+  }
+
+  // Moves are applied file pair by file pair, each on the text the previous ones left
+  const files = new Map(parts.map(part => [part.fileName, { filePath: part.filePath, original: part.refactorer.sourceCode, content: part.refactorer.sourceCode, added: 0, removed: 0 }]));
+  const pairs = [];
+  for (const move of moves) {
+    const pair = pairs.find(candidate => candidate.from === move.entry.part.fileName && candidate.to === move.to);
+    if (pair) {
+      pair.moves.push(move);
+    } else {
+      pairs.push({ from: move.entry.part.fileName, to: move.to, partialClass: move.partialClass, moves: [move] });
+    }
+  }
+  for (const { from, to, partialClass, moves: pairMoves } of pairs) {
+    const refactorer = new CSharpRefactorer();
+    refactorer.parseSource(files.get(from).content, qualifiedName);
+    const identities = new Set(pairMoves.map(move => move.entry.identity));
+    const selected = refactorer.members.filter(member => identities.has(refactorer.getMemberIdentity(member)));
+    let destination = null;
+    if (files.has(to)) {
+      destination = new CSharpRefactorer();
+      destination.parseSource(files.get(to).content, qualifiedName);
+    }
+    const { sourceContent, destinationContent } = relocateMembers(refactorer, selected, destination,
+      destination ? null : { ...partialClass, fileName: to, namespaceStyle: config.namespaceStyle });
+    files.get(from).content = sourceContent;
+    files.get(from).removed += selected.length;
+    if (!files.has(to)) {
+      files.set(to, { filePath: path.join(destinationFolder, to), original: null, content: destinationContent, added: 0, removed: 0 });
+    }
+    files.get(to).content = destinationContent;
+    files.get(to).added += selected.length;
+  }
+
+  // Every written file must parse with the members it should hold and stay under its line
+  // limit; a file left without members is deleted when nothing else would be lost with it
+  const finalFile = entry => {
+    const move = moves.find(candidate => candidate.entry === entry);
+    return move ? move.to : entry.part.fileName;
+  };
+  const protectedNames = new Set([config.mainPartialClassName, ...config.partialClasses.map(partialClass => partialClass.fileName)]);
+  const normalize = text => text.replace(/\s+/g, '');
+  const problems = [];
+  const notes = [];
+  const plannedFiles = [];
+  for (const [fileName, file] of files) {
+    if (file.content === file.original) {
+      continue;
+    }
+    const expected = located.filter(entry => finalFile(entry) === fileName).length;
+    const { problems: found, members } = checker.checkEditedSource(file.content);
+    if (found.length === 0 && members.length !== expected) {
+      found.push(`${qualifiedName} would have ${members.length} members instead of ${expected}`);
+    }
+    problems.push(...found.map(problem => `${fileName}: ${problem}`));
+    if (found.length > 0) {
+      continue;
+    }
+
+    if (expected === 0 && !protectedNames.has(fileName)) {
+      const emptied = new CSharpRefactorer();
+      emptied.parseSource(file.content, qualifiedName);
+      const leading = emptied.getTypeLeadingText(emptied.targetClass);
+      const kept = parts.filter(part => files.get(part.fileName).content !== null && part.fileName !== fileName);
+      const lostBaseTypes = emptied.targetClass.baseTypes.filter(baseType =>
+        !kept.some(part => part.refactorer.targetClass.baseTypes.some(other => normalize(other.name) === normalize(baseType.name))));
+      if (emptied.holdsOnlyType(emptied.targetClass, leading.start) && leading.attributes.length === 0 && lostBaseTypes.length === 0) {
+        file.content = null;
+        plannedFiles.push({ filePath: file.filePath, content: null, description: 'deleted, no members left' });
+        continue;
+      }
+      notes.push(`${fileName} has no members of ${qualifiedName} left but was kept: it holds other code, attributes or base types of its own.`);
+    }
+
+    const lineCount = file.content.split('\n').length;
+    const owner = config.partialClasses.find(partialClass => {
+      const homes = homesOf(partialClass);
+      return homes.fileName === fileName || homes.numbered.some(part => part.fileName === fileName);
+    });
+    if (owner && lineCount > owner.maxLinesPerFile) {
+      problems.push(`${fileName} would have ${lineCount} lines, over its ${owner.maxLinesPerFile}-line limit`);
+    }
+    const description = file.original === null ? `new file, ${file.added} members, ${lineCount} lines`
+      : [file.added > 0 ? `${file.added} members added` : null, file.removed > 0 ? `${file.removed} members removed` : null, `${lineCount} lines`].filter(Boolean).join(', ');
+    plannedFiles.push({ filePath: file.filePath, content: file.content, description });
+  }
+  if (problems.length > 0) {
+    throw new Error(`Cannot update the split of ${qualifiedName}, nothing was written:\n${problems.map(problem => `  - ${problem}`).join('\n')}\n\nRaise maxLinesPerFile or move fewer members; a fresh split after rolling back or merging can also number overflowing files.`);
+  }
+
+  const unchanged = [...files].filter(([, file]) => file.content === file.original).map(([fileName]) => fileName);
+  results.push(`${qualifiedName} is already split into ${parts.length} partial files in ${destinationFolder}; the configuration was applied as ${moves.length} member moves and unchanged files were left as they are.`);
+  results.push(...sourceNote);
+  results.push('');
+  results.push('Moved members:');
+  moves.forEach(({ entry, to }) => results.push(`  - ${entry.part.refactorer.describeOverload(entry.member)}: ${entry.part.fileName} -> ${to}`));
+  results.push('');
+  results.push('Changed files:');
+  plannedFiles.forEach(file => results.push(`  - ${path.basename(file.filePath)} (${file.description})`));
+  if (unchanged.length > 0) {
+    results.push(`Unchanged: ${unchanged.join(', ')}`);
+  }
+  if (notes.length > 0) {
+    results.push('');
+    results.push('Notes:');
+    notes.forEach(note => results.push(`  - ${note}`));
+  }
+
+  if (dry_run) {
+    const changed = [...files].filter(([, file]) => file.content !== file.original);
+    results.push('');
+    results.push('Changes:');
+    results.push('```diff');
+    results.push(changed.filter(([, file]) => file.original !== null).map(([fileName, file]) =>
+      createUnifiedDiff(file.original, file.content ?? '', `a/${fileName}`, file.content === null ? '/dev/null' : `b/${fileName}`)).join('\n'));
+    results.push('```');
+    for (const [fileName, file] of changed.filter(([, candidate]) => candidate.original === null)) {
+      results.push('');
+      results.push(`New file (${fileName}):`);
+      results.push('```csharp');
+      results.push(file.content);
+      results.push('```');
+    }
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Dry run: no files were written.\n${results.join('\n')}`,
         },
+      ],
+    };
+  }
+
+  const { id: transactionId } = await commitFiles(plannedFiles, { destinationFolder, sourceFile: null });
+  results.push('');
+  results.push(`Re-split journaled as '${transactionId}'. Use rollback_split with destination_folder ${destinationFolder} to undo it.`);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Successfully updated the split of the C# class:\n${results.join('\n')}`,
+      },
+    ],
+  };
+}
+
+async function rollbackSplitSimple(destination_folder, transaction_id = null, force = false) {
+  const { id, restored, removed, remaining } = await rollbackSplit(destination_folder, {
+    transactionId: transaction_id,
+    force
+  });
+
+  const results = [];
+  results.push(`Rolled back split '${id}' in ${destination_folder}`);
+  results.push('');
+  results.push(`Restored files (${restored.length}):`);
+  restored.forEach(file => results.push(`  - ${file}`));
+  results.push(`Removed files (${removed.length}):`);
+  removed.forEach(file => results.push(`  - ${file}`));
+  if (remaining.length > 0) {
+    results.push('');
+    results.push(`Earlier splits that can still be rolled back: ${remaining.join(', ')}`);
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: results.join('\n'),
+      },
+    ],
+  };
+}
+
+/**
+ * Describe a planned split without writing it: files with line counts, member placement,
+ * the rewritten main file and unified diffs against files that already exist.
+ * @param {Array} plannedFiles - [{filePath, content, lineCount, members, description}], main file last
+ * @returns {Promise<string[]>} Preview lines
+ */
+async function previewSplit(plannedFiles) {
+  const preview = [];
+  const diffs = [];
+
+  preview.push('Planned files:');
+  for (const file of plannedFiles) {
+    let existing = null;
+    try {
+      existing = await fs.readFile(file.filePath, 'utf-8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    const status = existing === null ? 'new file' : existing === file.content ? 'unchanged' : 'overwrites existing file';
+    preview.push(`  - ${file.filePath} (${file.lineCount} lines, ${status})`);
+    if (existing !== null && existing !== file.content) {
+      diffs.push(createUnifiedDiff(existing, file.content, `a/${path.basename(file.filePath)}`, `b/${path.basename(file.filePath)}`));
+    }
+  }
+  preview.push('');
+
+  preview.push('Member placement:');
+  for (const file of plannedFiles.filter(planned => planned.members)) {
+    preview.push(`  ${path.basename(file.filePath)}:`);
+    file.members.forEach(member => preview.push(`    - ${member.signature.replace(/\s+/g, ' ')} (${member.lines} lines)`));
+  }
+  preview.push('');
+
+  const mainFile = plannedFiles[plannedFiles.length - 1];
+  preview.push(`Rewritten main file (${path.basename(mainFile.filePath)}):`);
+  preview.push('```csharp');
+  preview.push(mainFile.content);
+  preview.push('```');
+
+  if (diffs.length > 0) {
+    preview.push('');
+    preview.push('Changes to existing files in the destination folder:');
+    preview.push('```diff');
+    preview.push(diffs.join('\n'));
+    preview.push('```');
+  }
+
+  return preview;
+}
+
+// Main function to run the server
+async function main() {
+  const transport = new StdioServerTransport();
+  await server.connect(transport);
+  console.error('C# Refactorer Simple MCP Server running on stdio');
+}
+
+// Run the server if this file is executed directly
+if (require.main === module) {
+
+  main().catch((error) => {
+    console.error('Server error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { CSharpRefactorer, server, listCSharpMethodsSimple, ProcessSplitCSharpclassSimple, rollbackSplitSimple, suggestSplitConfig, mergePartialClasses, extractClass, extractInterface, renameMember, extractMethod, inlineMethod, changeSignature, replaceMethodBody, insertMember, deleteMember, moveMembers };
+
+async function buildDependencyTree(source_file, target_class_name = null, start_method_name, max_depth = 3) {
+  // Create refactorer instance
+  const refactorer = new CSharpRefactorer();
+
+  // Parse source file with optional target class name
+  await refactorer.parseSourceFile(source_file, target_class_name);
+
+  // Check if the starting method exists
+  if (!refactorer.methodsByName[start_method_name]) {
+    return {
+      content: [
         {
-          name: 'list_csharp_methods',
-          description: 'List all method signatures found in a C# class file with line counts. This tool shows the complete method signatures including parameters, return types, and access modifiers. Useful for creating simplified configuration files and estimating partial class sizes.',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              source_file: {
-                type: 'string',
-                description: 'Absolute full Path to the C# source file to analyze. Ex: C:\\Users\\user\\source\\MyProject\\MyClass.cs',
-              },
-              target_class_name: {
-                type: 'string',
-                description: 'Optional: specific class name to analyze if the file contains multiple classes. If not specified, the first class found will be used.',
-              },
-            },
-            required: ['source_file'],
-          },
+          type: 'text',
+          text: `Method '${start_method_name}' not found in ${source_file}${target_class_name ? ` for class "${target_class_name}"` : ''}.\n\nAvailable methods:\n${Object.keys(refactorer.methodsByName).join(', ')}`,
+        },
+      ],
+    };
+  }
+
+  // Build dependency tree
+  const startClassName = refactorer.targetClass?.name || 'this';
+  const dependencyTree = refactorer.buildDependencyTree(startClassName, start_method_name, max_depth);
+
+  // Format the tree for display
+  const formatTree = (node, depth = 0, prefix = '') => {
+    const indent = '  '.repeat(depth);
+    const status = node.circular ? ' (circular)' : node.found ? '' : ' (not found)';
+    const lines = node.lineCount > 0 ? ` [${node.lineCount} lines]` : '';
+    
+    let result = `${indent}${prefix}${node.methodName}${lines}${status}\n`;
+    
+    if (node.dependencies && node.dependencies.length > 0 && !node.circular) {
+      node.dependencies.forEach((dep, index) => {
+        const isLast = index === node.dependencies.length - 1;
+        const depPrefix = isLast ? '└── ' : '├── ';
+        result += formatTree(dep, depth + 1, depPrefix);
+      });
+    }
+    
+    return result;
+  };
+
+  const treeDisplay = formatTree(dependencyTree.root);
+  
+  // Count total methods and found methods
+  const countMethods = (node, counts = { total: 0, found: 0, circular: 0 }) => {
+    counts.total++;
+    if (node.found) counts.found++;
+    if (node.circular) counts.circular++;
+    
+    if (node.dependencies) {
+      node.dependencies.forEach(dep => countMethods(dep, counts));
+    }
+    
+    return counts;
+  };
+  
+  const stats = countMethods(dependencyTree.root);
+
+  const result = [];
+  result.push(`Dependency Tree for ${start_method_name} in ${source_file}${target_class_name ? ` (class: ${target_class_name})` : ''}:`);
+  result.push('='.repeat(80));
+  result.push('');
+  result.push(treeDisplay);
+  result.push(`Statistics:`);
+  result.push(`- Total methods in tree: ${stats.total}`);
+  result.push(`- Methods found in source: ${stats.found}`);
+  result.push(`- Circular references: ${stats.circular}`);
+  result.push(`- Max depth analyzed: ${max_depth}`);
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: result.join('\n'),
+      },
+    ],
+  };
+}
+
+async function getMethodBody(source_file, target_class_name = null, method_name) {
+  // Create refactorer instance
+  const refactorer = new CSharpRefactorer();
+
+  // Parse source file with optional target class name
+  await refactorer.parseSourceFile(source_file, target_class_name);
+
+  // Get method body
+  const methodInfo = refactorer.getMethodBody(target_class_name || 'this', method_name);
+
+  if (!methodInfo) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Method '${method_name}' not found in ${source_file}${target_class_name ? ` for class "${target_class_name}"` : ''}.\n\nAvailable methods:\n${Object.keys(refactorer.methodsByName).join(', ')}`,
+        },
+      ],
+    };
+  }
+
+  const result = [];
+  result.push(`Method Body for '${method_name}' in ${source_file}${target_class_name ? ` (class: ${target_class_name})` : ''}:`);
+  result.push('='.repeat(80));
+  result.push('');
+
+  methodInfo.methods.forEach((method, index) => {
+    if (methodInfo.methods.length > 1) {
+      result.push(`Overload ${index + 1}:`);
+      result.push('-'.repeat(40));
+    }
+    result.push(`Kind: ${method.kind}`);
+    result.push(`Signature: ${method.signature}`);
+    result.push(`Line Count: ${method.lineCount}`);
+    result.push(`Location: ${formatSpan(method.span)}`);
+    result.push('');
+    result.push('Method Content:');
+    result.push('```csharp');
+    result.push(method.content);
+    result.push('```');
+    result.push('');
+  });
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: result.join('\n'),
+      },
+    ],
+  };
+}
+
+async function findMethodCallers(source_file, target_class_name = null, target_method_name) {
+  // Create refactorer instance
+  const refactorer = new CSharpRefactorer();
+
+  // Parse source file with optional target class name
+  await refactorer.parseSourceFile(source_file, target_class_name);
+
+  // Find callers
+  const callers = refactorer.findMethodCallers(target_method_name);
+
+  if (callers.length === 0) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `No methods found that call '${target_method_name}' in ${source_file}${target_class_name ? ` for class "${target_class_name}"` : ''}.`,
         },
+      ],
+    };
+  }
+
+  const result = [];
+  result.push(`Methods calling '${target_method_name}' in ${source_file}${target_class_name ? ` (class: ${target_class_name})` : ''}:`);
+  result.push('='.repeat(80));
+  result.push('');
+
+  callers.forEach((caller, index) => {
+    result.push(`${index + 1}. ${caller.methodName} (${caller.lineCount} lines)`);
+    result.push(`   Signature: ${caller.signature}`);
+    result.push(`   Location: ${formatSpan(caller.span)}`);
+    result.push(`   Calls to ${target_method_name}: ${caller.calls.length}`);
+    caller.calls.forEach(call => {
+      result.push(`     - ${call.fullCall}`);
+    });
+    result.push('');
+  });
+
+  result.push(`Total methods calling '${target_method_name}': ${callers.length}`);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: result.join('\n'),
+      },
+    ],
+  };
+}
+
+async function getMethodStatistics(source_file, target_class_name = null, method_name) {
+  // Create refactorer instance
+  const refactorer = new CSharpRefactorer();
+
+  // Parse source file with optional target class name
+  await refactorer.parseSourceFile(source_file, target_class_name);
+
+  // Get method statistics
+  const stats = refactorer.getMethodStatistics(method_name);
+
+  if (!stats) {
+    return {
+      content: [
         {
-          name: 'build_dependency_tree',
-          description: 'Build a dependency tree starting from a specific method. This shows all methods called by the starting method and their sub-dependencies, useful for understanding code flow and impact analysis.',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              source_file: {
-                type: 'string',
-                description: 'Absolute full path to the C# source file to analyze. Ex: C:\\Users\\user\\source\\MyProject\\MyClass.cs',
-              },
-              target_class_name: {
-                type: 'string',
-                description: 'Optional: specific class name to analyze if the file contains multiple classes. If not specified, the first class found will be used.',
-              },
-              start_method_name: {
-                type: 'string',
-                description: 'The method name to start building the dependency tree from (e.g., controller action method).',
-              },
-              max_depth: {
-                type: 'number',
-                description: 'Maximum depth to traverse in the dependency tree. Default is 3. Higher values may take longer but provide more complete analysis.',
-                default: 3
-              },
-            },
-            required: ['source_file', 'start_method_name'],
-          },
+          type: 'text',
+          text: `Method '${method_name}' not found in ${source_file}${target_class_name ? ` for class "${target_class_name}"` : ''}.\n\nAvailable methods:\n${Object.keys(refactorer.methodsByName).join(', ')}`,
         },
+      ],
+    };
+  }
+
+  const result = [];
+  result.push(`Statistics for method '${method_name}' in ${source_file}${target_class_name ? ` (class: ${target_class_name})` : ''}:`);
+  result.push('='.repeat(80));
+  result.push('');
+  
+  result.push(`Method Name: ${stats.methodName}`);
+  result.push(`Overload Count: ${stats.overloadCount}`);
+  result.push(`Total Lines: ${stats.totalLines}`);
+  result.push(`Average Lines per Overload: ${stats.averageLines}`);
+  result.push('');
+
+  result.push('Locations:');
+  stats.locations.forEach((location, index) => {
+    result.push(`  ${index + 1}. ${location.signature.replace(/\s+/g, ' ')} - ${formatSpan(location.span)}`);
+  });
+  result.push('');
+  
+  result.push(`Dependencies (${stats.dependencies.length} unique methods):`);
+  stats.dependencies.forEach((dep, index) => {
+    result.push(`  ${index + 1}. ${dep}`);
+  });
+  result.push('');
+  
+  result.push(`All Method Calls (${stats.methodCalls.length} total):`);
+  const callCounts = {};
+  stats.methodCalls.forEach(call => {
+    const key = `${call.className}.${call.methodName}`;
+    callCounts[key] = (callCounts[key] || 0) + 1;
+  });
+  
+  Object.entries(callCounts)
+    .sort(([,a], [,b]) => b - a)
+    .forEach(([method, count], index) => {
+      result.push(`  ${index + 1}. ${method} (${count} calls)`);
+    });
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: result.join('\n'),
+      },
+    ],
+  };
+}
+
+async function suggestSplitConfig(source_file, target_class_name = null, max_lines_per_file = DEFAULT_MAX_LINES_PER_FILE) {
+  if (!Number.isInteger(max_lines_per_file) || max_lines_per_file <= 0) {
+    throw new Error(`max_lines_per_file must be a positive whole number, got ${max_lines_per_file}`);
+  }
+
+  // Create refactorer instance
+  const refactorer = new CSharpRefactorer();
+
+  // Parse source file with optional target class name
+  await refactorer.parseSourceFile(source_file, target_class_name);
+  const targetClass = refactorer.targetClass;
+  const { methods, state } = refactorer.buildClassGraph();
+  if (methods.length === 0) {
+    throw new Error(`No methods found in ${targetClass.qualifiedName}`);
+  }
+
+  // Each file also holds at most every using directive, namespace and type declarations, and
+  // a blank line between members
+  const usingLines = refactorer.usingDirectives.length + refactorer.namespaceUsingDirectives.length + 1;
+  const structureLines = usingLines + 4 + 2 * refactorer.getContainingTypes(targetClass).length;
+  const budget = max_lines_per_file - structureLines;
+  const units = methods.map(method => ({ ...method, lineCount: method.lineCount + 1 }));
+  const groups = clusterMethods(units, { maxLines: budget });
+  const labels = labelGroups(groups, targetClass.name);
+
+  // Private state used by the methods of one group only moves with them, unless its text uses
+  // other state or other state uses it: field initializers in different partial files run in
+  // no defined order
+  const groupOf = new Map(groups.flatMap((group, index) => group.methods.map(method => [method.name, index])));
+  const referencedState = new Set(state.flatMap(item => [...item.references]));
+  const movedState = groups.map(() => []);
+  for (const item of state.filter(item => !referencedState.has(item.name))) {
+    const users = new Set(methods.filter(method => method.state.has(item.name)).map(method => groupOf.get(method.name)));
+    const isPrivate = item.members.every(member => !member.modifiers.some(modifier => ['public', 'protected', 'internal'].includes(modifier)));
+    const lines = item.members.reduce((sum, member) => sum + member.lineCount + 1, 0);
+    const [groupIndex] = users;
+    if (users.size === 1 && isPrivate && item.references.size === 0 && groups[groupIndex].lineCount + lines <= budget) {
+      movedState[groupIndex].push(item.name);
+      groups[groupIndex].lineCount += lines;
+    }
+  }
+
+  const describeGroup = (group, index) => {
+    const names = new Set(group.methods.map(method => method.name));
+    const calls = group.methods.flatMap(method => [...method.calls].filter(callee => names.has(callee)).map(callee => `${method.name} → ${callee}`));
+    const sharedState = [...new Set(group.methods.flatMap(method => [...method.state]))]
+      .filter(stateName => group.methods.filter(method => method.state.has(stateName)).length > 1);
+    const parts = [];
+    if (group.kind === 'helpers') {
+      parts.push(`${group.methods.length} methods with no calls or shared state linking them to a group, packed by size`);
+    } else {
+      if (calls.length > 0) {
+        parts.push(`${calls.length} ${calls.length === 1 ? 'call' : 'calls'} inside the group (${calls.slice(0, 3).join(', ')}${calls.length > 3 ? ', ...' : ''})`);
+      }
+      if (sharedState.length > 0) {
+        parts.push(`shared state ${sharedState.slice(0, 5).join(', ')}${sharedState.length > 5 ? ', ...' : ''}`);
+      }
+      if (group.kind === 'named' || parts.length === 0) {
+        parts.push(`methods about "${labels[index]}"`);
+      }
+    }
+    if (movedState[index].length > 0) {
+      parts.push(`moves ${movedState[index].join(', ')}, used only here`);
+    }
+    const text = parts.join('; ');
+    return `${text.charAt(0).toUpperCase()}${text.slice(1)}.`;
+  };
+
+  const className = targetClass.name;
+  const sourcePath = path.resolve(source_file);
+  const config = {
+    sourceFile: sourcePath,
+    ...(refactorer.availableClasses.length > 1 ? { targetClassName: targetClass.qualifiedName } : {}),
+    destinationFolder: path.join(path.dirname(sourcePath), className),
+    // Types in the global namespace stay there whatever newNamespace says
+    newNamespace: refactorer.oldNamespace || className,
+    mainPartialClassName: `${className}.Core.cs`,
+    mainInterface: '',
+    ...(max_lines_per_file !== DEFAULT_MAX_LINES_PER_FILE ? { maxLinesPerFile: max_lines_per_file } : {}),
+    partialClasses: groups.map((group, index) => ({
+      fileName: `${className}.${labels[index]}.cs`,
+      rationale: describeGroup(group, index),
+      ...(movedState[index].length > 0 ? { members: movedState[index] } : {}),
+      methods: group.methods.map(method => method.name),
+    })),
+  };
+
+  const totalLines = methods.reduce((sum, method) => sum + method.lineCount, 0);
+  const result = [];
+  result.push(`Suggested split for ${targetClass.qualifiedName}: ${methods.length} methods (${totalLines} lines) in ${groups.length} files of at most ${max_lines_per_file} lines`);
+  result.push('');
+  groups.forEach((group, index) => {
+    const partialClass = config.partialClasses[index];
+    result.push(`${index + 1}. ${partialClass.fileName} (${group.methods.length} methods, ~${group.lineCount + structureLines} lines)`);
+    result.push(`   ${partialClass.rationale}`);
+  });
+
+  const oversized = methods.filter(method => method.lineCount + 1 > budget);
+  if (oversized.length > 0) {
+    result.push('');
+    result.push(`Warning: these methods are too long to fit in a ${max_lines_per_file}-line file on their own:`);
+    oversized.forEach(method => result.push(`  - ${method.name} (${method.lineCount} lines)`));
+  }
+
+  result.push('');
+  result.push('Split configuration (save as a .json file, review it with split_csharp_class dry_run, then split):');
+  result.push('```json');
+  result.push(JSON.stringify(config, null, 2));
+  result.push('```');
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: result.join('\n'),
+      },
+    ],
+  };
+}
+
+/**
+ * Find the declarations of a type in a set of files and parse each file with it as the target.
+ * @param {string[]} filePaths - Files to search, in merge order
+ * @param {string|null} typeName - Qualified or simple type name; defaults to the only partial
+ * type declared in more than one of the files
+ * @returns {Promise<Array>} [{ filePath, refactorer, typeInfo }] in file order
+ */
+async function findPartialDeclarations(filePaths, typeName) {
+  const declarations = [];
+  for (const filePath of filePaths) {
+    let source;
+    try {
+      source = await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Source file not found at ${filePath}`);
+      }
+      throw new Error(`Error reading source file: ${error.message}`);
+    }
+    for (const typeInfo of new CSharpRefactorer().parseAllClasses(source)) {
+      declarations.push({ filePath, typeInfo });
+    }
+  }
+
+  const fileCount = list => new Set(list.map(declaration => declaration.filePath)).size;
+  let matches;
+  if (typeName) {
+    const fullName = typeInfo => [typeInfo.namespace, typeInfo.qualifiedName].filter(Boolean).join('.');
+    matches = declarations.filter(({ typeInfo }) => typeInfo.qualifiedName === typeName || fullName(typeInfo) === typeName);
+    if (matches.length === 0) {
+      matches = declarations.filter(({ typeInfo }) => typeInfo.name === typeName);
+    }
+    const names = [...new Set(matches.map(({ typeInfo }) => typeInfo.qualifiedName))];
+    if (names.length > 1) {
+      throw new Error(`Type name '${typeName}' is ambiguous. Use a qualified name: ${names.join(', ')}`);
+    }
+    if (matches.length === 0) {
+      throw new Error(`Type '${typeName}' is not declared in any of the ${filePaths.length} files`);
+    }
+  } else {
+    const byName = new Map();
+    for (const declaration of declarations.filter(({ typeInfo }) => typeInfo.modifiers.includes('partial'))) {
+      if (!byName.has(declaration.typeInfo.qualifiedName)) {
+        byName.set(declaration.typeInfo.qualifiedName, []);
+      }
+      byName.get(declaration.typeInfo.qualifiedName).push(declaration);
+    }
+    const candidates = [...byName].filter(([, list]) => fileCount(list) > 1);
+    if (candidates.length === 0) {
+      throw new Error(`No type has partial declarations in more than one of the ${filePaths.length} files, so there is nothing to merge`);
+    }
+    if (candidates.length > 1) {
+      throw new Error(`Several types have partial declarations in more than one file: ${candidates.map(([name, list]) => `${name} (${fileCount(list)} files)`).join(', ')}. Set target_class_name to choose one.`);
+    }
+    matches = candidates[0][1];
+  }
+
+  if (matches.length < 2) {
+    throw new Error(`Only one declaration of ${matches[0].typeInfo.qualifiedName} was found (${matches[0].filePath}), so there is nothing to merge`);
+  }
+  if (fileCount(matches) < matches.length) {
+    const repeated = matches.map(({ filePath }) => filePath).filter((filePath, index, all) => all.indexOf(filePath) !== index);
+    throw new Error(`${matches[0].typeInfo.qualifiedName} is declared more than once in ${[...new Set(repeated)].join(', ')}. Merge those declarations by hand first.`);
+  }
+
+  const parts = [];
+  for (const { filePath, typeInfo } of matches) {
+    const refactorer = new CSharpRefactorer();
+    await refactorer.parseSourceFile(filePath, typeInfo.qualifiedName);
+    parts.push({ filePath, refactorer, typeInfo: refactorer.targetClass });
+  }
+  return parts;
+}
+
+async function mergePartialClasses({
+  source_directory = null,
+  source_files = null,
+  target_class_name = null,
+  output_file = null,
+  member_order = 'source',
+  remove_partials = true,
+  dry_run = false,
+}) {
+  if (!MEMBER_ORDERS.includes(member_order)) {
+    throw new Error(`member_order must be one of ${MEMBER_ORDERS.join(', ')}, got '${member_order}'`);
+  }
+
+  let filePaths;
+  if (Array.isArray(source_files) && source_files.length > 0) {
+    filePaths = [...new Set(source_files.map(filePath => path.resolve(filePath)))];
+  } else if (source_directory) {
+    let names;
+    try {
+      names = await fs.readdir(source_directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Source directory not found at ${source_directory}`);
+      }
+      throw error;
+    }
+    filePaths = names
+      .filter(name => name.endsWith('.cs'))
+      .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }))
+      .map(name => path.resolve(source_directory, name));
+  } else {
+    throw new Error('Missing required argument: source_directory or source_files');
+  }
+
+  const parts = await findPartialDeclarations(filePaths, target_class_name);
+  const first = parts[0];
+  const target = first.typeInfo;
+  const fileName = part => path.basename(part.filePath);
+  const normalize = text => text.replace(/\s+/g, '');
+
+  // Everything the declarations disagree on is a conflict; the merge is refused while there are any
+  const conflicts = [];
+  const reconcile = (label, valueOf) => {
+    const values = new Map();
+    for (const part of parts) {
+      const value = valueOf(part);
+      if (value !== null) {
+        values.set(value, [...(values.get(value) || []), fileName(part)]);
+      }
+    }
+    if (values.size > 1) {
+      conflicts.push(`${label} differ: ${[...values].map(([value, files]) => `${value || '(none)'} in ${files.join(', ')}`).join('; ')}`);
+    }
+  };
+  reconcile('Namespaces', part => part.typeInfo.namespace);
+  reconcile('Type kinds', part => part.typeInfo.kind);
+  reconcile('Accessibility modifiers', part => part.typeInfo.modifiers.filter(modifier => ['public', 'protected', 'internal', 'private'].includes(modifier)).join(' ') || null);
+  reconcile('Type parameters', part => part.typeInfo.typeParameters.replace(/\s+/g, ' '));
+  reconcile('Constraints', part => part.typeInfo.constraints ? part.typeInfo.constraints.replace(/\s+/g, ' ') : null);
+
+  const withParameters = parts.filter(part => part.typeInfo.parameterList);
+  if (withParameters.length > 1) {
+    conflicts.push(`Primary constructor parameters are declared in more than one file: ${withParameters.map(fileName).join(', ')}`);
+  }
+
+  const modifiers = ['file', 'new', 'static', 'abstract', 'sealed', 'readonly', 'unsafe', 'ref']
+    .filter(modifier => parts.some(part => part.typeInfo.modifiers.includes(modifier)));
+  for (const [a, b] of [['static', 'abstract'], ['static', 'sealed'], ['abstract', 'sealed']]) {
+    if (modifiers.includes(a) && modifiers.includes(b)) {
+      const filesWith = modifier => parts.filter(part => part.typeInfo.modifiers.includes(modifier)).map(fileName).join(', ');
+      conflicts.push(`Modifiers ${a} (${filesWith(a)}) and ${b} (${filesWith(b)}) cannot be combined`);
+    }
+  }
+
+  // A base class comes first in a base list; interfaces are told apart by the I prefix
+  const isInterfaceName = name => /^I[A-Z]/.test(name.replace(/<[\s\S]*$/, '').split('.').pop());
+  const baseClasses = parts
+    .filter(part => ['class', 'record'].includes(part.typeInfo.kind) && part.typeInfo.baseTypes.length > 0 && !isInterfaceName(part.typeInfo.baseTypes[0].name))
+    .map(part => ({ part, baseType: part.typeInfo.baseTypes[0] }));
+  reconcile('Base classes', part => {
+    const entry = baseClasses.find(candidate => candidate.part === part);
+    return entry ? entry.baseType.name.replace(/\s+/g, ' ') : null;
+  });
+  const baseTypes = [];
+  const addBaseType = baseType => {
+    const existing = baseTypes.findIndex(candidate => normalize(candidate.name) === normalize(baseType.name));
+    if (existing === -1) {
+      baseTypes.push(baseType);
+    } else if (baseType.text !== baseType.name) {
+      baseTypes[existing] = baseType; // keep base constructor arguments
+    }
+  };
+  baseClasses.forEach(({ baseType }) => addBaseType(baseType));
+  parts.forEach(part => part.typeInfo.baseTypes.forEach(addBaseType));
+
+  // Members defined in more than one file, except the two halves of a partial member
+  const entries = parts.flatMap(part => part.refactorer.members.map(member => ({ part, member })));
+  const byIdentity = new Map();
+  for (const entry of entries) {
+    const identity = entry.part.refactorer.getMemberIdentity(entry.member);
+    byIdentity.set(identity, [...(byIdentity.get(identity) || []), entry]);
+  }
+  for (const [identity, list] of byIdentity) {
+    const partialPair = list.length === 2 && list.every(({ member }) => member.modifiers.includes('partial'));
+    if (new Set(list.map(({ part }) => part)).size > 1 && !partialPair) {
+      conflicts.push(`${list[0].member.kind} ${identity} is defined more than once: ${list.map(({ part, member }) => `${fileName(part)}:${member.span.startLine}`).join(', ')}`);
+    }
+  }
+
+  // Aliases must mean the same thing in every file
+  const aliases = new Map();
+  for (const part of parts) {
+    for (const directive of [...part.refactorer.usingDirectives, ...part.refactorer.namespaceUsingDirectives].filter(candidate => candidate.alias)) {
+      const meanings = aliases.get(directive.alias) || new Map();
+      meanings.set(normalize(directive.name), [...(meanings.get(normalize(directive.name)) || []), fileName(part)]);
+      aliases.set(directive.alias, meanings);
+    }
+  }
+  for (const [alias, meanings] of aliases) {
+    if (meanings.size > 1) {
+      conflicts.push(`Alias ${alias} means ${[...meanings].map(([name, files]) => `${name} in ${files.join(', ')}`).join('; ')}`);
+    }
+  }
+
+  // Usings of all files, each once, sorted the way dotnet format orders them
+  const collectDirectives = (listOf, exclude = new Set()) => {
+    const unique = new Map();
+    parts.flatMap(listOf).filter(directive => !exclude.has(directive.text)).forEach(directive => unique.set(directive.text, unique.get(directive.text) || directive));
+    return sortUsingDirectives([...unique.values()]);
+  };
+  const fileUsings = collectDirectives(part => part.refactorer.usingDirectives);
+  const namespaceUsings = collectDirectives(part => part.refactorer.namespaceUsingDirectives, new Set(fileUsings.map(directive => directive.text)));
+
+  // Member order: as found file by file, or grouped by kind (and by name within a kind)
+  const rank = member => {
+    const kind = member.kind !== 'type' ? member.kind
+      : ['enum', 'interface'].includes(member.typeKind) ? member.typeKind
+        : /struct/.test(member.typeKind) ? 'struct' : 'class';
+    const index = MEMBER_KIND_ORDER.indexOf(kind);
+    return index === -1 ? MEMBER_KIND_ORDER.length : index;
+  };
+  const ordered = entries.map((entry, position) => ({ ...entry, position }));
+  if (member_order !== 'source') {
+    ordered.sort((a, b) => rank(a.member) - rank(b.member) ||
+      (member_order === 'alphabetical' ? a.member.name.localeCompare(b.member.name, 'en', { sensitivity: 'base' }) : 0) ||
+      a.position - b.position);
+  }
+
+  // Write the merged file in the namespace style of the first file
+  const style = target.namespace ? first.refactorer.namespaceStyle : null;
+  const baseDepth = style === 'block' ? 1 : 0;
+  const levelsOf = part => baseDepth - part.typeInfo.namespaceDeclarations.filter(declaration => declaration.style === 'block').length;
+  const leading = new Map(parts.map(part => [part, part.refactorer.getTypeLeadingText(part.typeInfo)]));
+  const commentsPart = parts.find(part => leading.get(part).comments.trim() !== '');
+  const attributes = [...new Set(parts.flatMap(part => leading.get(part).attributes))];
+  const keepPartial = entries.some(({ member }) => member.modifiers.includes('partial'));
+  const isAccessModifier = modifier => ['public', 'protected', 'internal', 'private'].includes(modifier);
+  const accessPart = parts.find(part => part.typeInfo.modifiers.some(isAccessModifier));
+  const access = accessPart ? accessPart.typeInfo.modifiers.filter(isAccessModifier) : [];
+  const keyword = target.keyword === 'record struct' ? 'record struct' : target.keyword === 'record' ? 'record' : target.kind;
+  let declaration = [...access, ...modifiers, ...(keepPartial ? ['partial'] : []), keyword, target.name].join(' ') +
+    target.typeParameters + (withParameters[0] ? withParameters[0].typeInfo.parameterList : '');
+  if (baseTypes.length > 0) {
+    declaration += ` : ${baseTypes.map(baseType => baseType.text).join(', ')}`;
+  }
+  const constraintsPart = parts.find(part => part.typeInfo.constraints);
+  if (constraintsPart) {
+    declaration += ` ${constraintsPart.typeInfo.constraints}`;
+  }
+
+  let content = '';
+  if (fileUsings.length > 0) {
+    content += fileUsings.map(directive => `${directive.text}\n`).join('') + '\n';
+  }
+  if (style === 'block') {
+    content += `namespace ${target.namespace}\n{\n`;
+  } else if (style === 'file-scoped') {
+    content += `namespace ${target.namespace};\n\n`;
+  }
+  if (namespaceUsings.length > 0) {
+    content += namespaceUsings.map(directive => `${'    '.repeat(baseDepth)}${directive.text}\n`).join('') + '\n';
+  }
+  const containers = first.refactorer.getContainingTypes(target).slice(0, -1);
+  containers.forEach((typeInfo, depth) => {
+    const indent = '    '.repeat(depth + baseDepth);
+    content += `${indent}${first.refactorer.getPartialDeclaration(typeInfo)}\n${indent}{\n`;
+  });
+  const typeIndent = '    '.repeat(containers.length + baseDepth);
+  if (commentsPart) {
+    content += commentsPart.refactorer.reindent(leading.get(commentsPart).comments, levelsOf(commentsPart));
+  }
+  attributes.forEach(attribute => {
+    content += `${typeIndent}${attribute}\n`;
+  });
+  content += `${typeIndent}${declaration}\n${typeIndent}{\n`;
+  content += first.refactorer.wrapInDirectives(ordered.map(({ part, member }) => ({
+    content: part.refactorer.reindent(member.content, levelsOf(part)),
+    frames: part.refactorer.getDirectiveContext(member.span.start)
+  })), levelsOf(first));
+  for (let depth = containers.length + 1; depth > 0; depth--) {
+    content += `\n${'    '.repeat(depth + baseDepth - 1)}}`;
+  }
+  if (style === 'block') {
+    content += '\n}';
+  }
+
+  // The merged file replaces one of the partial files or is a new file; the other partial
+  // files are deleted, or rewritten without the declaration when they hold other code
+  const outputPath = path.resolve(output_file || path.join(path.dirname(first.filePath), `${target.name}.cs`));
+  const outputPart = parts.find(part => part.filePath === outputPath);
+  const holdsOnlyType = part => part.refactorer.holdsOnlyType(part.typeInfo, leading.get(part).start);
+  if (outputPart && !holdsOnlyType(outputPart)) {
+    throw new Error(`${outputPath} holds other code besides ${target.qualifiedName} and would be overwritten. Choose another output_file.`);
+  }
+  if (!outputPart) {
+    const exists = await fs.access(outputPath).then(() => true, () => false);
+    if (exists) {
+      throw new Error(`Output file ${outputPath} already exists and is not one of the partial files. Choose another output_file.`);
+    }
+  }
+
+  const plannedFiles = [{ filePath: outputPath, content }];
+  const sources = parts.map(part => {
+    const memberCount = `${part.refactorer.members.length} members`;
+    if (part === outputPart) {
+      return `${part.filePath} (${memberCount}, replaced by the merged class)`;
+    }
+    if (!remove_partials) {
+      return `${part.filePath} (${memberCount}, kept)`;
+    }
+    if (holdsOnlyType(part)) {
+      plannedFiles.push({ filePath: part.filePath, content: null });
+      return `${part.filePath} (${memberCount}, deleted)`;
+    }
+    const original = part.refactorer.sourceCode;
+    const rewritten = part.refactorer.removeMembers([{ start: leading.get(part).start, end: part.typeInfo.endIndex }]);
+    plannedFiles.push({ filePath: part.filePath, content: rewritten, original });
+    return `${part.filePath} (${memberCount}, rewritten without the declaration because it holds other code)`;
+  });
+
+  const results = [];
+  results.push(`${parts.length} declarations of ${target.qualifiedName} merged into ${outputPath} (${entries.length} members, ${member_order} order, ${content.split('\n').length} lines)`);
+  results.push('');
+  results.push('Partial files:');
+  sources.forEach(source => results.push(`  - ${source}`));
+  if (conflicts.length > 0) {
+    results.push('');
+    results.push('Conflicts:');
+    conflicts.forEach(conflict => results.push(`  - ${conflict}`));
+  }
+
+  if (dry_run) {
+    if (conflicts.length > 0) {
+      results.push('The merge will be refused until these conflicts are resolved.');
+    }
+    results.push('');
+    results.push(`Merged file (${path.basename(outputPath)}):`);
+    results.push('```csharp');
+    results.push(content);
+    results.push('```');
+    const rewritten = plannedFiles.filter(file => file.content !== null && file.filePath !== outputPath);
+    if (rewritten.length > 0) {
+      results.push('');
+      results.push('Changes to rewritten files:');
+      results.push('```diff');
+      results.push(rewritten.map(file => createUnifiedDiff(file.original, file.content,
+        `a/${path.basename(file.filePath)}`, `b/${path.basename(file.filePath)}`)).join('\n'));
+      results.push('```');
+    }
+    return {
+      content: [
         {
-          name: 'get_method_body',
-          description: 'Get the complete method body/content by class name and method name. Useful for detailed code analysis and understanding method implementation.',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              source_file: {
-                type: 'string',
-                description: 'Absolute full path to the C# source file to analyze. Ex: C:\\Users\\user\\source\\MyProject\\MyClass.cs',
-              },
-              target_class_name: {
-                type: 'string',
-                description: 'Optional: specific class name to analyze if the file contains multiple classes. If not specified, the first class found will be used.',
-              },
-              method_name: {
-                type: 'string',
-                description: 'The method name to retrieve the body for.',
-              },
-            },
-            required: ['source_file', 'method_name'],
-          },
+          type: 'text',
+          text: `Dry run: no files were written.\n${results.join('\n')}`,
         },
+      ],
+    };
+  }
+
+  if (conflicts.length > 0) {
+    throw new Error(`Cannot merge ${target.qualifiedName}, the partial declarations conflict:\n${conflicts.map(conflict => `  - ${conflict}`).join('\n')}\n\nResolve the conflicts in the partial files and merge again.`);
+  }
+
+  // Write the merged file and delete or rewrite the partial files as one transaction
+  const destinationFolder = path.dirname(outputPath);
+  const { id: transactionId } = await commitFiles(plannedFiles, { destinationFolder, sourceFile: null });
+  results.push('');
+  results.push(`Merge journaled as '${transactionId}'. Use rollback_split with destination_folder ${destinationFolder} to undo it.`);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Successfully merged partial classes:\n${results.join('\n')}`,
+      },
+    ],
+  };
+}
+
+async function extractClass({
+  source_file,
+  target_class_name = null,
+  methods,
+  new_class_name,
+  injection = 'field',
+  field_name = null,
+  forwarding_stubs = false,
+  output_file = null,
+  dry_run = false,
+}) {
+  if (!Array.isArray(methods) || methods.length === 0) {
+    throw new Error('methods must list at least one method to extract');
+  }
+  const identifier = /^[A-Za-z_]\w*$/;
+  if (!identifier.test(new_class_name || '')) {
+    throw new Error(`new_class_name must be a C# identifier, got '${new_class_name}'`);
+  }
+  if (field_name !== null && !identifier.test(field_name)) {
+    throw new Error(`field_name must be a C# identifier, got '${field_name}'`);
+  }
+  if (!EXTRACT_INJECTIONS.includes(injection)) {
+    throw new Error(`injection must be one of ${EXTRACT_INJECTIONS.join(', ')}, got '${injection}'`);
+  }
+
+  const refactorer = new CSharpRefactorer();
+  await refactorer.parseSourceFile(source_file, target_class_name);
+  const target = refactorer.targetClass;
+  if (!['class', 'record', 'struct', 'record struct'].includes(target.kind)) {
+    throw new Error(`${target.qualifiedName} is an ${target.kind}; extract_class works on classes, records and structs`);
+  }
+  if (refactorer.availableClasses.some(typeInfo => typeInfo.name === new_class_name) || refactorer.methodsByName[new_class_name]) {
+    throw new Error(`${new_class_name} is already declared in ${path.basename(source_file)}. Choose another new_class_name.`);
+  }
+
+  const source = refactorer.sourceCode;
+  const describe = member => member.kind === 'method' ? refactorer.describeOverload(member) : member.name;
+  const isStatic = member => member.modifiers.includes('static') || member.kind === 'constant';
+  const isVisible = member => member.modifiers.includes('public') || member.modifiers.includes('internal');
+  const isPrivate = member => !member.modifiers.some(modifier => ['public', 'protected', 'internal'].includes(modifier));
+  const indentAt = offset => source.slice(source.lastIndexOf('\n', offset - 1) + 1).match(/^[ \t]*/)[0];
+
+  // Everything that keeps the extraction from compiling is a problem; it is refused while there are any
+  const problems = [];
+  const moved = new Set();
+  for (const entry of methods) {
+    const { members, error } = refactorer.resolveMemberSelector(entry);
+    if (error) {
+      problems.push(error);
+      continue;
+    }
+    for (const member of members) {
+      const pinned = ['override', 'virtual', 'abstract', 'partial', 'extern'].find(modifier => member.modifiers.includes(modifier));
+      if (member.kind !== 'method') {
+        problems.push(`'${entry}' is a ${member.kind}; only methods are extracted, the fields they use follow them`);
+      } else if (member.explicitInterface) {
+        problems.push(`${describe(member)} implements ${member.explicitInterface} and must stay in ${target.name}`);
+      } else if (pinned) {
+        problems.push(`${describe(member)} is ${pinned} and must stay in ${target.name}`);
+      } else {
+        moved.add(member);
+      }
+    }
+  }
+  if (moved.size === 0) {
+    throw new Error(`Nothing to extract from ${target.qualifiedName}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  }
+
+  // Calls can't be told apart by overload without types, so overloads move together
+  for (const name of new Set([...moved].map(member => member.name))) {
+    const left = refactorer.methodsByName[name].filter(member => !moved.has(member));
+    if (left.length > 0) {
+      problems.push(`Only some overloads of ${name} are selected; ${left.map(describe).join(', ')} would stay in ${target.name}. Extract all overloads of ${name} or none.`);
+    }
+  }
+
+  const referable = new Set(refactorer.members
+    .filter(member => !['constructor', 'finalizer', 'operator', 'indexer'].includes(member.kind))
+    .flatMap(member => member.declarators));
+  const referencesOf = new Map(refactorer.members.map(member => [member, refactorer.findMemberReferences(member, referable)]));
+
+  // Private state follows the moved methods when nothing that stays uses it, which may in
+  // turn free state that only the moved state used
+  const stateKinds = ['field', 'constant', 'property', 'event'];
+  for (let changed = true; changed;) {
+    changed = false;
+    const used = new Set([...moved].flatMap(member => referencesOf.get(member).map(reference => reference.name)));
+    for (const name of used) {
+      const state = refactorer.methodsByName[name].filter(member => stateKinds.includes(member.kind));
+      if (state.length === 0 || state.some(member => moved.has(member)) || !state.every(isPrivate)) {
+        continue;
+      }
+      // A field moves with all of its declarators, `int _a, _b;` only when nothing that stays uses _b either
+      const names = new Set(state.flatMap(member => member.declarators));
+      const usedElsewhere = refactorer.members.some(member => !moved.has(member) && !state.includes(member) &&
+        referencesOf.get(member).some(reference => names.has(reference.name)));
+      if (!usedElsewhere) {
+        state.forEach(member => moved.add(member));
+        changed = true;
+      }
+    }
+  }
+  const movedMembers = refactorer.members.filter(member => moved.has(member));
+  const remainingMembers = refactorer.members.filter(member => !moved.has(member));
+  const staticClass = movedMembers.every(isStatic);
+  const fieldName = field_name || `_${new_class_name.charAt(0).toLowerCase()}${new_class_name.slice(1)}`;
+  const parameterName = fieldName.replace(/^_+/, '') || 'collaborator';
+  if (!staticClass && refactorer.methodsByName[fieldName]) {
+    problems.push(`${target.name} already has a member named ${fieldName}. Choose another field_name.`);
+  }
+
+  const typeParameters = refactorer.getContainingTypes(target)
+    .flatMap(typeInfo => (typeInfo.typeParameters.match(/[A-Za-z_]\w*/g) || []).filter(name => !['in', 'out'].includes(name)));
+
+  // The moved code may only use what moves with it, and static members or nested types of the
+  // original class that other classes can see; those are qualified with the class name
+  const movedEdits = new Map(movedMembers.map(member => [member, []]));
+  for (const member of movedMembers) {
+    const tokens = tokenize(member.content);
+    const bodyRange = refactorer.findBodyTokenRange(tokens);
+    const body = bodyRange ? codeTokens(tokens.slice(bodyRange.start, bodyRange.end)) : [];
+    if (body.some((token, index) => token.value === 'base' || (token.value === 'this' && !['.', '?.'].includes(body[index + 1]?.value)))) {
+      problems.push(`${describe(member)} passes on this or uses base, which would mean ${new_class_name} instead of ${target.name}`);
+    }
+    const usedTypeParameter = codeTokens(tokens).find(token => token.type === TokenType.IDENTIFIER && typeParameters.includes(token.value));
+    if (usedTypeParameter) {
+      problems.push(`${describe(member)} uses the type parameter ${usedTypeParameter.value} of ${target.name}; extracting from generic types is not supported`);
+    }
+
+    for (const reference of referencesOf.get(member)) {
+      const owners = refactorer.methodsByName[reference.name];
+      const qualifierEnd = reference.qualifierStart + (reference.qualifier || '').length;
+      if (owners.some(owner => moved.has(owner))) {
+        if (reference.qualifier === target.name) {
+          movedEdits.get(member).push({ start: reference.qualifierStart, end: qualifierEnd, text: new_class_name });
+        }
+      } else if (owners.every(owner => owner.kind === 'type' || isStatic(owner))) {
+        if (!owners.every(isVisible)) {
+          problems.push(`${describe(member)} uses ${reference.name}, which is ${owners[0].modifiers.includes('protected') ? 'protected' : 'private'} in ${target.name}`);
+        } else if (reference.qualifier === null) {
+          movedEdits.get(member).push({ start: reference.start, end: reference.start, text: `${target.qualifiedName}.` });
+        } else if (reference.qualifier === target.name) {
+          movedEdits.get(member).push({ start: reference.qualifierStart, end: qualifierEnd, text: target.qualifiedName });
+        }
+      } else {
+        problems.push(`${describe(member)} uses ${reference.name}, which stays in ${target.name}`);
+      }
+    }
+  }
+
+  // Calls from the members that stay go through the field, or the new class for static members
+  const edits = [];
+  const calledFromOutside = new Set();
+  let rewrittenCalls = 0;
+  for (const member of remainingMembers) {
+    for (const reference of referencesOf.get(member)) {
+      const owners = refactorer.methodsByName[reference.name];
+      if (!owners.some(owner => moved.has(owner)) || reference.qualifier === 'base') {
+        continue;
+      }
+      const receiver = owners.every(isStatic) ? new_class_name : fieldName;
+      const start = member.span.start + reference.qualifierStart;
+      edits.push(reference.qualifier
+        ? { start, end: start + reference.qualifier.length, text: receiver }
+        : { start, end: start, text: `${receiver}.` });
+      calledFromOutside.add(reference.name);
+      rewrittenCalls++;
+    }
+  }
+
+  // Forwarding stubs keep callers of the original class compiling. Extension methods get none,
+  // two of them with the same signature would make calls ambiguous
+  const hasSystemUsing = (target.namespace || '').split('.')[0] === 'System' ||
+    [...refactorer.usingDirectives, ...refactorer.namespaceUsingDirectives].some(directive => directive.name === 'System' && !directive.alias && !directive.isStatic);
+  const stubbed = forwarding_stubs
+    ? movedMembers.filter(member => member.kind === 'method' && !isPrivate(member) && !member.parameters.some(parameter => parameter.modifier === 'this'))
+    : [];
+  for (const member of stubbed) {
+    const header = significantTokens(tokenize(member.signature));
+    let first = 0;
+    while (header[first]?.value === '[') {
+      first = findMatchingToken(header, first) + 1;
+    }
+    const signature = member.signature.slice(header[first].start).replace(/\basync\s+/, '');
+    const typeArguments = member.typeParameters.length > 0 ? `<${member.typeParameters.join(', ')}>` : '';
+    const argumentList = member.parameters.map(parameter => {
+      const passing = (parameter.modifier || '').split(' ').find(word => ['ref', 'out', 'in'].includes(word));
+      return passing ? `${passing} ${parameter.name}` : parameter.name;
+    }).join(', ');
+    const receiver = isStatic(member) ? new_class_name : fieldName;
+    const firstToken = significantTokens(tokenize(member.content))[0];
+    const comments = member.content.slice(0, member.content.lastIndexOf('\n', firstToken.start) + 1);
+    const indent = indentAt(member.span.start + firstToken.start);
+    edits.push({
+      start: member.span.start,
+      end: member.span.end,
+      text: `${comments}${indent}[${hasSystemUsing ? '' : 'System.'}Obsolete("Use ${new_class_name}.${member.name} instead.")]\n` +
+        `${indent}${signature} => ${receiver}.${member.name}${typeArguments}(${argumentList});`
+    });
+    calledFromOutside.add(member.name);
+  }
+
+  // Moved members used from outside the new class can't stay private or protected there
+  for (const member of movedMembers.filter(candidate => candidate.declarators.some(name => calledFromOutside.has(name)) && !isVisible(candidate))) {
+    const header = significantTokens(tokenize(member.content));
+    let first = 0;
+    while (header[first]?.value === '[') {
+      first = findMatchingToken(header, first) + 1;
+    }
+    const access = [];
+    for (let i = first; i < header.length && MEMBER_MODIFIERS.includes(header[i].value); i++) {
+      if (['private', 'protected'].includes(header[i].value)) {
+        access.push(header[i]);
+      }
+    }
+    movedEdits.get(member).push(access.length > 0
+      ? { start: access[0].start, end: access[access.length - 1].end, text: 'internal' }
+      : { start: header[first].start, end: header[first].start, text: 'internal ' });
+  }
+
+  // The original class holds the new class in a field, created there or passed to every constructor
+  let holder = 'none (all extracted members are static)';
+  if (!staticClass) {
+    const memberIndent = indentAt(refactorer.members[0].span.start + refactorer.members[0].content.search(/\S/));
+    const constructors = remainingMembers.filter(member => member.kind === 'constructor' && !member.modifiers.includes('static'));
+    let declaration = injection === 'field'
+      ? `private readonly ${new_class_name} ${fieldName} = new ${new_class_name}();`
+      : `private readonly ${new_class_name} ${fieldName};`;
+    holder = `field ${fieldName}, ${injection === 'field' ? 'created by its initializer' : `set from a ${new_class_name} constructor parameter`}`;
+
+    if (injection === 'constructor') {
+      if (target.parameterList) {
+        problems.push(`${target.name} has a primary constructor; use injection 'field' or add the parameter by hand`);
+      }
+      if (constructors.length === 0) {
+        declaration += `\n\n${memberIndent}public ${target.name}(${new_class_name} ${parameterName})\n${memberIndent}{\n${memberIndent}    ${fieldName} = ${parameterName};\n${memberIndent}}`;
+      }
+      for (const constructor of constructors) {
+        const tokens = tokenize(constructor.content);
+        const header = significantTokens(tokens);
+        const open = header.findIndex((token, index) => token.value === constructor.name && header[index + 1]?.value === '(') + 1;
+        const close = findMatchingToken(header, open);
+        const at = offset => constructor.span.start + offset;
+        const indent = indentAt(constructor.span.start + constructor.content.search(/\S/));
+        const assignment = `${fieldName} = ${parameterName};`;
+        edits.push({ start: at(header[open].end), end: at(header[open].end), text: `${new_class_name} ${parameterName}${close > open + 1 ? ', ' : ''}` });
+
+        // A constructor calling another one of the class passes the parameter on
+        let headerEnd = close;
+        if (header[close + 1]?.value === ':' && header[close + 3]?.value === '(') {
+          const argumentsClose = findMatchingToken(header, close + 3);
+          if (header[close + 2].value === 'this') {
+            edits.push({ start: at(header[close + 3].end), end: at(header[close + 3].end), text: `${parameterName}${argumentsClose > close + 4 ? ', ' : ''}` });
+            continue;
+          }
+          headerEnd = argumentsClose;
+        }
+
+        const bodyRange = refactorer.findBodyTokenRange(tokens);
+        if (bodyRange && bodyRange.kind === 'block') {
+          const brace = tokens[bodyRange.start - 1];
+          const inside = constructor.content.slice(brace.end, tokens[bodyRange.end].start);
+          edits.push({
+            start: at(brace.end),
+            end: at(brace.end),
+            text: inside.includes('\n') ? `\n${indent}    ${assignment}` : ` ${assignment}${inside === '' ? ' ' : ''}`
+          });
+        } else if (bodyRange) {
+          const expression = constructor.content.slice(tokens[bodyRange.start].start, tokens[bodyRange.end - 1].end).trim();
+          edits.push({
+            start: at(header[headerEnd].end),
+            end: constructor.span.end,
+            text: `\n${indent}{\n${indent}    ${assignment}\n${indent}    ${expression};\n${indent}}`
+          });
+        }
+      }
+    }
+
+    // After the last field that stays, or before the first member
+    const lastField = remainingMembers.filter(member => ['field', 'constant'].includes(member.kind)).pop();
+    edits.push(lastField
+      ? { start: lastField.span.end, end: lastField.span.end, text: `\n${memberIndent}${declaration}` }
+      : { start: refactorer.members[0].span.start, end: refactorer.members[0].span.start, text: `${memberIndent}${declaration}\n\n` });
+  }
+
+  // Rewrite the original file: edits back to front (a stub replaces its method, anything
+  // inserted at the same offset goes before it), then take out the other moved members at
+  // their spans, shifted by the edits before them
+  edits.sort((a, b) => b.start - a.start || b.end - a.end);
+  let rewritten = source;
+  for (const edit of edits) {
+    rewritten = rewritten.slice(0, edit.start) + edit.text + rewritten.slice(edit.end);
+  }
+  const shifted = offset => offset + edits.filter(edit => edit.end <= offset)
+    .reduce((sum, edit) => sum + edit.text.length - (edit.end - edit.start), 0);
+  const removed = movedMembers.filter(member => !stubbed.includes(member))
+    .map(member => ({ start: shifted(member.span.start), end: shifted(member.span.end) }));
+  const sourceContent = refactorer.removeEmptyDirectiveBlocks(refactorer.removeMembers(removed, rewritten));
+  const { error: directiveError } = refactorer.parseDirectiveBlocks(sourceContent);
+  if (directiveError) {
+    problems.push(`${path.basename(source_file)} would contain unbalanced preprocessor directives: ${directiveError}`);
+  }
+
+  // The new class sits in the namespace of the original, next to its outermost containing type
+  const extracted = movedMembers.map(member => {
+    let content = member.content;
+    [...movedEdits.get(member)].sort((a, b) => b.start - a.start).forEach(edit => {
+      content = content.slice(0, edit.start) + edit.text + content.slice(edit.end);
+    });
+    return { ...member, content };
+  });
+  const access = refactorer.getContainingTypes(target).every(typeInfo => typeInfo.modifiers.includes('public')) ? 'public' : 'internal';
+  const declaration = `${access} ${staticClass ? 'static ' : ''}class ${new_class_name}`;
+  const usings = refactorer.getRequiredUsings(extracted, [declaration]);
+  const style = target.namespace ? refactorer.namespaceStyle : null;
+  const baseDepth = style === 'block' ? 1 : 0;
+  const sourceDepth = target.namespaceDeclarations.filter(namespaceDeclaration => namespaceDeclaration.style === 'block').length +
+    refactorer.getContainingTypes(target).length - 1;
+  const levels = baseDepth - sourceDepth;
+  const typeIndent = '    '.repeat(baseDepth);
+
+  let content = '';
+  if (usings.file.length > 0) {
+    content += usings.file.map(usingStmt => `${usingStmt}\n`).join('') + '\n';
+  }
+  if (style === 'block') {
+    content += `namespace ${target.namespace}\n{\n`;
+  } else if (style === 'file-scoped') {
+    content += `namespace ${target.namespace};\n\n`;
+  }
+  if (usings.namespace.length > 0) {
+    content += usings.namespace.map(usingStmt => `${typeIndent}${usingStmt}\n`).join('') + '\n';
+  }
+  content += `${typeIndent}${declaration}\n${typeIndent}{\n`;
+  content += refactorer.wrapInDirectives(extracted.map(member => ({
+    content: refactorer.reindent(member.content, levels),
+    frames: refactorer.getDirectiveContext(member.span.start)
+  })), levels);
+  content += `\n${typeIndent}}`;
+  if (style === 'block') {
+    content += '\n}';
+  }
+
+  const outputPath = path.resolve(output_file || path.join(path.dirname(source_file), `${new_class_name}.cs`));
+  if (await fs.access(outputPath).then(() => true, () => false)) {
+    throw new Error(`Output file ${outputPath} already exists. Choose another output_file.`);
+  }
+
+  const results = [];
+  results.push(`${movedMembers.length} members of ${target.qualifiedName} extracted into ${new_class_name} (${outputPath}, ${content.split('\n').length} lines)`);
+  results.push('');
+  results.push('Moved members:');
+  movedMembers.forEach(member => results.push(`  - ${member.kind} ${describe(member)} (${member.lineCount} lines${stubbed.includes(member) ? ', forwarding stub left behind' : ''})`));
+  results.push('');
+  results.push(`${target.name} reaches ${new_class_name} through: ${holder}`);
+  results.push(`Calls rewritten in ${target.name}: ${rewrittenCalls}`);
+  if (problems.length > 0) {
+    results.push('');
+    results.push('Problems:');
+    [...new Set(problems)].forEach(problem => results.push(`  - ${problem}`));
+  }
+
+  if (dry_run) {
+    if (problems.length > 0) {
+      results.push('The extraction will be refused until these problems are resolved.');
+    }
+    results.push('');
+    results.push(`New class (${path.basename(outputPath)}):`);
+    results.push('```csharp');
+    results.push(content);
+    results.push('```');
+    results.push('');
+    results.push(`Changes to ${path.basename(source_file)}:`);
+    results.push('```diff');
+    results.push(createUnifiedDiff(source, sourceContent, `a/${path.basename(source_file)}`, `b/${path.basename(source_file)}`));
+    results.push('```');
+    return {
+      content: [
         {
-          name: 'find_method_callers',
-          description: 'Find all methods that call a specific target method (reverse dependency analysis). Useful for impact analysis when modifying a method.',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              source_file: {
-                type: 'string',
-                description: 'Absolute full path to the C# source file to analyze. Ex: C:\\Users\\user\\source\\MyProject\\MyClass.cs',
-              },
-              target_class_name: {
-                type: 'string',
-                description: 'Optional: specific class name to analyze if the file contains multiple classes. If not specified, the first class found will be used.',
-              },
-              target_method_name: {
-                type: 'string',
-                description: 'The method name to find callers for.',
-              },
-            },
-            required: ['source_file', 'target_method_name'],
-          },
+          type: 'text',
+          text: `Dry run: no files were written.\n${results.join('\n')}`,
         },
+      ],
+    };
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Cannot extract ${new_class_name} from ${target.qualifiedName}:\n${[...new Set(problems)].map(problem => `  - ${problem}`).join('\n')}\n\nAdjust the methods list and extract again.`);
+  }
+
+  // Write the new class and the rewritten original as one transaction
+  const destinationFolder = path.dirname(outputPath);
+  const { id: transactionId } = await commitFiles([
+    { filePath: outputPath, content },
+    { filePath: path.resolve(source_file), content: sourceContent },
+  ], { destinationFolder, sourceFile: null });
+  results.push('');
+  results.push(`Extraction journaled as '${transactionId}'. Use rollback_split with destination_folder ${destinationFolder} to undo it.`);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Successfully extracted class:\n${results.join('\n')}`,
+      },
+    ],
+  };
+}
+
+async function extractInterface({
+  source_file,
+  target_class_name = null,
+  interface_name = null,
+  members = null,
+  output_file = null,
+  dry_run = false,
+}) {
+  const refactorer = new CSharpRefactorer();
+  await refactorer.parseSourceFile(source_file, target_class_name);
+  const target = refactorer.targetClass;
+  if (!['class', 'record', 'struct', 'record struct'].includes(target.kind)) {
+    throw new Error(`${target.qualifiedName} is an ${target.kind}; extract_interface works on classes, records and structs`);
+  }
+  const interfaceName = interface_name || `I${target.name}`;
+  if (!/^[A-Za-z_]\w*$/.test(interfaceName)) {
+    throw new Error(`interface_name must be a C# identifier, got '${interfaceName}'`);
+  }
+  if (refactorer.availableClasses.some(typeInfo => typeInfo.name === interfaceName)) {
+    throw new Error(`${interfaceName} is already declared in ${path.basename(source_file)}. Choose another interface_name.`);
+  }
+  const interfaceReference = `${interfaceName}${target.typeParameters}`;
+  if (target.baseTypes.some(baseType => baseType.name.replace(/\s+/g, '') === interfaceReference.replace(/\s+/g, ''))) {
+    throw new Error(`${target.qualifiedName} already lists ${interfaceReference} in its base list`);
+  }
+
+  // Public instance methods, properties, indexers and events make up the interface; overrides
+  // of object members don't belong in it
+  const objectMembers = ['ToString', 'Equals', 'GetHashCode', 'Finalize'];
+  const isContractMember = member => ['method', 'property', 'indexer', 'event'].includes(member.kind) &&
+    member.modifiers.includes('public') && !member.modifiers.includes('static') && !member.explicitInterface &&
+    !(member.modifiers.includes('override') && objectMembers.includes(member.name));
+  let selected;
+  if (Array.isArray(members) && members.length > 0) {
+    const problems = [];
+    selected = [];
+    for (const entry of members) {
+      const { members: found, error } = refactorer.resolveMemberSelector(entry);
+      if (error) {
+        problems.push(error);
+      }
+      found.filter(member => !isContractMember(member)).forEach(member =>
+        problems.push(`${refactorer.describeOverload(member)} is not a public instance method, property, indexer or event`));
+      selected.push(...found.filter(isContractMember));
+    }
+    if (problems.length > 0) {
+      throw new Error(`Cannot extract ${interfaceName} from ${target.qualifiedName}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    }
+    selected = refactorer.members.filter(member => selected.includes(member));
+  } else {
+    selected = refactorer.members.filter(isContractMember);
+  }
+
+  // A partial method's declaration and implementation are one interface member
+  const identities = new Set();
+  const entries = [];
+  for (const member of selected) {
+    const identity = refactorer.getMemberIdentity(member);
+    const declaration = identities.has(identity) ? null : refactorer.getInterfaceMemberDeclaration(member);
+    if (declaration) {
+      identities.add(identity);
+      entries.push({ member, declaration });
+    }
+  }
+  if (entries.length === 0) {
+    throw new Error(`${target.qualifiedName} has no public instance members to put in ${interfaceName}`);
+  }
+
+  // Each member keeps its XML doc comment and the #if and #region sections it sits in
+  const style = target.namespace ? refactorer.namespaceStyle : null;
+  const baseDepth = style === 'block' ? 1 : 0;
+  const memberIndent = '    '.repeat(baseDepth + 1);
+  const sourceDepth = target.namespaceDeclarations.filter(declaration => declaration.style === 'block').length +
+    refactorer.getContainingTypes(target).length - 1;
+  const interfaceMembers = entries.map(({ member, declaration }) => {
+    const firstToken = significantTokens(tokenize(member.content))[0];
+    const docComments = member.content.slice(0, firstToken.start).split('\n')
+      .filter(line => /^\s*\/\/\//.test(line))
+      .map(line => `${memberIndent}${line.trim()}\n`);
+    return { ...member, content: `${docComments.join('')}${memberIndent}${declaration}` };
+  });
+  const access = refactorer.getContainingTypes(target).every(typeInfo => typeInfo.modifiers.includes('public')) ? 'public' : 'internal';
+  let declaration = `${access} interface ${interfaceReference}`;
+  if (target.constraints) {
+    declaration += ` ${target.constraints}`;
+  }
+  const usings = refactorer.getRequiredUsings(interfaceMembers, [declaration]);
+  const typeIndent = '    '.repeat(baseDepth);
+
+  let content = '';
+  if (usings.file.length > 0) {
+    content += usings.file.map(usingStmt => `${usingStmt}\n`).join('') + '\n';
+  }
+  if (style === 'block') {
+    content += `namespace ${target.namespace}\n{\n`;
+  } else if (style === 'file-scoped') {
+    content += `namespace ${target.namespace};\n\n`;
+  }
+  if (usings.namespace.length > 0) {
+    content += usings.namespace.map(usingStmt => `${typeIndent}${usingStmt}\n`).join('') + '\n';
+  }
+  content += `${typeIndent}${declaration}\n${typeIndent}{\n`;
+  content += refactorer.wrapInDirectives(interfaceMembers.map(member => ({
+    content: member.content,
+    frames: refactorer.getDirectiveContext(member.span.start)
+  })), baseDepth - sourceDepth);
+  content += `\n${typeIndent}}`;
+  if (style === 'block') {
+    content += '\n}';
+  }
+
+  // The class implements the new interface
+  const source = refactorer.sourceCode;
+  const edit = target.baseListEnd !== null
+    ? { start: target.baseListEnd, text: `, ${interfaceReference}` }
+    : { start: target.nameEnd, text: ` : ${interfaceReference}` };
+  const sourceContent = source.slice(0, edit.start) + edit.text + source.slice(edit.start);
+
+  const outputPath = path.resolve(output_file || path.join(path.dirname(source_file), `${interfaceName}.cs`));
+  if (await fs.access(outputPath).then(() => true, () => false)) {
+    throw new Error(`Output file ${outputPath} already exists. Choose another output_file.`);
+  }
+
+  const results = [];
+  results.push(`${interfaceName} extracted from ${target.qualifiedName} with ${entries.length} members (${outputPath}, ${content.split('\n').length} lines)`);
+  results.push('');
+  results.push('Interface members:');
+  entries.forEach(({ declaration: text }) => results.push(`  - ${text}`));
+  results.push('');
+  results.push(`${interfaceReference} added to the base list of ${target.name} in ${path.basename(source_file)}`);
+
+  if (dry_run) {
+    results.push('');
+    results.push(`Interface (${path.basename(outputPath)}):`);
+    results.push('```csharp');
+    results.push(content);
+    results.push('```');
+    results.push('');
+    results.push(`Changes to ${path.basename(source_file)}:`);
+    results.push('```diff');
+    results.push(createUnifiedDiff(source, sourceContent, `a/${path.basename(source_file)}`, `b/${path.basename(source_file)}`));
+    results.push('```');
+    return {
+      content: [
         {
-          name: 'get_method_statistics',
-          description: 'Get detailed statistics and complexity metrics for a specific method including line counts, dependencies, and method calls.',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              source_file: {
-                type: 'string',
-                description: 'Absolute full path to the C# source file to analyze. Ex: C:\\Users\\user\\source\\MyProject\\MyClass.cs',
-              },
-              target_class_name: {
-                type: 'string',
-                description: 'Optional: specific class name to analyze if the file contains multiple classes. If not specified, the first class found will be used.',
-              },
-              method_name: {
-                type: 'string',
-                description: 'The method name to get statistics for.',
-              },
-            },
-            required: ['source_file', 'method_name'],
-          },
+          type: 'text',
+          text: `Dry run: no files were written.\n${results.join('\n')}`,
         },
       ],
+    };
+  }
+
+  // Write the interface and the class's new base list as one transaction
+  const destinationFolder = path.dirname(outputPath);
+  const { id: transactionId } = await commitFiles([
+    { filePath: outputPath, content },
+    { filePath: path.resolve(source_file), content: sourceContent },
+  ], { destinationFolder, sourceFile: null });
+  results.push('');
+  results.push(`Extraction journaled as '${transactionId}'. Use rollback_split with destination_folder ${destinationFolder} to undo it.`);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Successfully extracted interface:\n${results.join('\n')}`,
+      },
+    ],
   };
-});
+}
 
-// Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+async function findCSharpFiles(directory) {
+  let entries;
+  try {
+    entries = await fs.readdir(directory, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Search directory not found at ${directory}`);
+    }
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name, 'en', { numeric: true }))) {
+    const entryPath = path.resolve(directory, entry.name);
+    if (entry.isDirectory()) {
+      if (!entry.name.startsWith('.') && !SKIPPED_FOLDERS.includes(entry.name)) {
+        files.push(...await findCSharpFiles(entryPath));
+      }
+    } else if (entry.name.endsWith('.cs')) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+// The name of a base type without namespace or type arguments
+const simpleTypeName = text => text.replace(/<[\s\S]*$/, '').split('.').pop().trim();
+
+// The files that may hold the class, its derived types and its callers: every file under the
+// search directory, or without one the files in the folder of the source file
+async function loadTypeFiles(refactorer, source_file, search_directory) {
+  const target = refactorer.targetClass;
+  const sourcePath = path.resolve(source_file);
+  const filePaths = search_directory
+    ? await findCSharpFiles(search_directory)
+    : (await fs.readdir(path.dirname(sourcePath))).filter(name => name.endsWith('.cs')).map(name => path.resolve(path.dirname(sourcePath), name));
+  if (!filePaths.includes(sourcePath)) {
+    filePaths.unshift(sourcePath);
+  }
+
+  // Parse every file, with a refactorer per declaration of the class and per derived type
+  const files = [];
+  for (const filePath of filePaths) {
+    const text = filePath === sourcePath ? refactorer.sourceCode : await fs.readFile(filePath, 'utf-8');
+    const types = refactorer.parseAllClasses(text);
+    const isPart = typeInfo => typeInfo.qualifiedName === target.qualifiedName && typeInfo.namespace === target.namespace &&
+      (filePath === sourcePath || typeInfo.modifiers.includes('partial'));
+    const parsed = async typeInfo => {
+      const typeRefactorer = new CSharpRefactorer();
+      await typeRefactorer.parseSourceFile(filePath, typeInfo.qualifiedName);
+      return { typeInfo, refactorer: typeRefactorer };
+    };
+    const file = { filePath, text, types, parts: [], derived: [], edits: new Map() };
+    for (const typeInfo of types) {
+      if (isPart(typeInfo)) {
+        file.parts.push(await parsed(typeInfo));
+      } else if (typeInfo.baseTypes.some(baseType => simpleTypeName(baseType.name) === target.name)) {
+        file.derived.push(await parsed(typeInfo));
+      }
+    }
+    files.push(file);
+  }
+
+  const parts = files.flatMap(file => file.parts.map(part => ({ ...part, file })));
+  const root = path.resolve(search_directory || path.dirname(sourcePath));
+  const displayPath = filePath => path.relative(root, filePath).split(path.sep).join('/');
+  return { files, parts, root, displayPath };
+}
+
+// Uses of a member outside the type's own code: member access, object initializers and string
+// literals holding the name. An access is certain when the receiver is the type itself or a
+// variable declared with it. Only the receiver's declared type is known, so a name declared with
+// different types in one file stays uncertain.
+function findMemberAccesses(text, typeName, memberName) {
+  const tokens = codeTokens(tokenize(text));
+  const declaredTypes = new Map();
+  const declare = (name, type) => declaredTypes.set(name, new Set([...(declaredTypes.get(name) || []), type]));
+  tokens.forEach((token, index) => {
+    if (token.type !== TokenType.IDENTIFIER) {
+      return;
+    }
+    const next = tokens[index + 1];
+    if (next?.value === '=' && tokens[index - 1]?.value === 'var') {
+      const creation = tokens[index + 2]?.value === 'new' ? tokens[index + 3] : null;
+      declare(token.value, creation && creation.type === TokenType.IDENTIFIER ? creation.value : '?');
+      return;
+    }
+    let typeIndex = index - 1;
+    if (tokens[typeIndex]?.value === '?') {
+      typeIndex--;
+    }
+    if (tokens[typeIndex]?.value === '>') {
+      let depth = 0;
+      for (; typeIndex >= 0; typeIndex--) {
+        if (tokens[typeIndex].value === '>') depth++;
+        if (tokens[typeIndex].value === '<' && --depth === 0) break;
+      }
+      typeIndex--;
+    }
+    const type = tokens[typeIndex];
+    if (type && type.type === TokenType.IDENTIFIER && type.value !== 'var' && next &&
+        ['=', ';', ',', ')', 'in', '=>', '{'].includes(next.value) && !['await', 'yield', 'return', 'nameof'].includes(type.value)) {
+      declare(token.value, type.value);
+    }
+  });
+  const isTyped = name => {
+    const types = declaredTypes.get(name);
+    return types && types.size === 1 && types.has(typeName);
+  };
+
+  const accesses = [];
+  tokens.forEach((token, index) => {
+    const add = (kind, certain, reason = null) => accesses.push({ kind, index, start: token.start, certain, reason, tokens });
+    if (token.type === TokenType.STRING && /^@?\$?"(.*)"$/.test(token.value) && token.value.replace(/^@?\$?"|"$/g, '') === memberName) {
+      add('string', false, 'string literal, e.g. reflection or data binding');
+      return;
+    }
+    if (token.type !== TokenType.IDENTIFIER || token.value !== memberName) {
+      return;
+    }
+    const previous = tokens[index - 1];
+    if (['.', '?.'].includes(previous?.value)) {
+      const receiver = tokens[index - 2];
+      if (!receiver || ['this', 'base'].includes(receiver.value)) {
+        return;
+      }
+      if (receiver.value === typeName || (receiver.type === TokenType.IDENTIFIER && isTyped(receiver.value))) {
+        add('access', true);
+      } else {
+        const types = receiver.type === TokenType.IDENTIFIER ? [...(declaredTypes.get(receiver.value) || [])].filter(type => type !== '?') : [];
+        add('access', false, types.length > 0 ? `receiver declared as ${types.join(' or ')}` : 'receiver type unknown');
+      }
+    } else if (['{', ','].includes(previous?.value) && tokens[index + 1]?.value === '=') {
+      // Object initializer: new Type { Name = ... }
+      let depth = 0;
+      let open = index - 1;
+      for (; open >= 0; open--) {
+        if (tokens[open].value === '}') depth++;
+        if (tokens[open].value === '{' && depth-- === 0) break;
+      }
+      let typeIndex = open - 1;
+      if (tokens[typeIndex]?.value === ')') {
+        for (depth = 0; typeIndex >= 0; typeIndex--) {
+          if (tokens[typeIndex].value === ')') depth++;
+          if (tokens[typeIndex].value === '(' && --depth === 0) break;
+        }
+        typeIndex--;
+      }
+      if (tokens[typeIndex]?.value === typeName && tokens[typeIndex - 1]?.value === 'new') {
+        add('initializer', true);
+      } else if (tokens[typeIndex]?.value === 'new') {
+        add('initializer', false, 'object initializer of a target-typed new()');
+      }
+    }
+  });
+  return accesses;
+}
+
+async function renameMember({
+  source_file,
+  target_class_name = null,
+  member_name,
+  new_name,
+  search_directory = null,
+  dry_run = false,
+}) {
+  if (!/^@?[A-Za-z_]\w*$/.test(new_name || '')) {
+    throw new Error(`new_name must be a C# identifier, got '${new_name}'`);
+  }
+  if (new_name === member_name) {
+    throw new Error(`${member_name} already has that name`);
+  }
+
+  const refactorer = new CSharpRefactorer();
+  await refactorer.parseSourceFile(source_file, target_class_name);
+  const target = refactorer.targetClass;
+  if (new_name === target.name) {
+    throw new Error(`A member can't be named like its class ${target.name}`);
+  }
+
+  // Without a search directory only the other partial files of the class are searched
+  const loaded = await loadTypeFiles(refactorer, source_file, search_directory);
+  const { parts, root, displayPath } = loaded;
+  const files = loaded.files.filter(file => search_directory || file.parts.length > 0);
+  const declared = parts.flatMap(part => part.refactorer.methodsByName[member_name] || []);
+  if (declared.length === 0) {
+    throw new Error(`Member '${member_name}' not found in ${target.qualifiedName}`);
+  }
+  const renamable = ['method', 'property', 'field', 'constant', 'event'];
+  const unsupported = declared.find(member => !renamable.includes(member.kind) || member.explicitInterface);
+  if (unsupported) {
+    throw new Error(`${member_name} is ${unsupported.explicitInterface ? `an explicit implementation of ${unsupported.explicitInterface}` : `a ${unsupported.kind}`}; rename_member renames methods, properties, fields, constants and events`);
+  }
+
+  // The new name must not clash with members of the class
+  const existing = parts.flatMap(part => (part.refactorer.methodsByName[new_name] || []).map(member => ({ part, member })));
+  for (const { part, member } of existing) {
+    const clashes = member.kind !== 'method' || declared.some(renamed => renamed.kind !== 'method' ||
+      part.refactorer.getMemberIdentity({ ...renamed, name: new_name }) === part.refactorer.getMemberIdentity(member));
+    if (clashes) {
+      throw new Error(`${target.name} already has a ${member.kind} ${new_name} (${path.basename(part.file.filePath)}:${member.span.startLine}); choose another new_name`);
+    }
+  }
+
+  const uncertain = [];
+  const locate = (file, start) => {
+    file.locator = file.locator || refactorer.createLocator(file.text);
+    return file.locator(start, start + member_name.length);
+  };
+  const addEdit = (file, start) => {
+    file.edits.set(start, { start, end: start + member_name.length });
+  };
+  const addUncertain = (file, start, reason) => {
+    const { startLine, startColumn } = locate(file, start);
+    const lineStart = file.text.lastIndexOf('\n', start - 1) + 1;
+    const lineEnd = file.text.indexOf('\n', start);
+    const line = file.text.slice(lineStart, lineEnd === -1 ? file.text.length : lineEnd).trim();
+    uncertain.push(`${displayPath(file.filePath)}:${startLine}:${startColumn} ${line} (${reason})`);
+  };
+
+  // A member's own name: the first identifier with that name in its header
+  const declarationStart = member => {
+    const token = significantTokens(tokenize(member.content)).find((candidate, index, tokens) =>
+      candidate.value === member_name && ['(', '<', '{', '=', ';', '=>', ','].includes(tokens[index + 1]?.value));
+    return member.span.start + token.start;
+  };
+  const renameWithin = ({ file, refactorer: typeRefactorer }, qualifiers) => {
+    for (const member of typeRefactorer.methodsByName[member_name] || []) {
+      addEdit(file, declarationStart(member));
+    }
+    for (const member of typeRefactorer.members) {
+      typeRefactorer.findMemberReferences(member, new Set([member_name]))
+        .filter(reference => qualifiers.includes(reference.qualifier))
+        .forEach(reference => addEdit(file, member.span.start + reference.start));
+    }
+  };
 
-  try {
-    if (name === 'split_csharp_class') {
-      const { config_file } = args;
+  // Declarations and references in the class itself; base.Name means the base class member
+  parts.forEach(part => renameWithin(part, [null, 'this', part.typeInfo.name]));
+  for (const member of declared.filter(candidate => candidate.modifiers.includes('override'))) {
+    const part = parts.find(candidate => (candidate.refactorer.methodsByName[member_name] || []).includes(member));
+    addUncertain(part.file, declarationStart(member), `overrides a base class member, which is not renamed`);
+  }
 
-      if (!config_file) {
-        throw new Error("Missing required argument: config_file");
+  // Derived types: overrides are renamed with the member, inherited uses follow it, and a
+  // derived member hiding it keeps its name
+  for (const file of files) {
+    for (const derived of file.derived) {
+      const own = derived.refactorer.methodsByName[member_name] || [];
+      if (own.length === 0 || own.every(member => member.modifiers.includes('override'))) {
+        renameWithin({ ...derived, file }, [null, 'this', 'base', derived.typeInfo.name]);
+      } else {
+        own.forEach(member => addUncertain(file, declarationStart(member), `${derived.typeInfo.name} declares its own ${member_name}`));
       }
+    }
+  }
 
-      return await ProcessSplitCSharpclassSimple(config_file);
-    } else if (name === 'list_csharp_classes') {
-      return await listCSharpClasses(args.source_file);
-    } else if (name === 'list_csharp_methods') {
-      return await listCSharpMethodsSimple(args.source_file, args.target_class_name);
-    } else if (name === 'build_dependency_tree') {
-      return await buildDependencyTree(args.source_file, args.target_class_name, args.start_method_name, args.max_depth);
-    } else if (name === 'get_method_body') {
-      return await getMethodBody(args.source_file, args.target_class_name, args.method_name);
-    } else if (name === 'find_method_callers') {
-      return await findMethodCallers(args.source_file, args.target_class_name, args.target_method_name);
-    } else if (name === 'get_method_statistics') {
-      return await getMethodStatistics(args.source_file, args.target_class_name, args.method_name);
-    } else {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Unknown tool: ${name}`,
-          },
-        ],
-      };
+  // Interfaces the class implements may declare the member too
+  const interfaceNames = new Set(parts.flatMap(part => part.typeInfo.baseTypes.map(baseType => simpleTypeName(baseType.name))));
+  for (const file of files) {
+    for (const typeInfo of file.types.filter(candidate => candidate.kind === 'interface' && interfaceNames.has(candidate.name))) {
+      const interfaceRefactorer = new CSharpRefactorer();
+      interfaceRefactorer.parseCSharpMethods(typeInfo.content, typeInfo.startIndex, file.text);
+      (interfaceRefactorer.methodsByName[member_name] || []).forEach(member =>
+        addUncertain(file, declarationStart(member), `${target.name} implements ${typeInfo.name}, which declares ${member_name} too`));
     }
-  } catch (error) {
+  }
+
+  // Member access everywhere else, string literals and object initializers
+  for (const file of files) {
+    for (const access of findMemberAccesses(file.text, target.name, member_name)) {
+      if (file.edits.has(access.start)) {
+        continue;
+      }
+      if (access.certain) {
+        addEdit(file, access.start);
+      } else {
+        addUncertain(file, access.start, access.reason);
+      }
+    }
+  }
+
+  // Apply the edits back to front
+  const changedFiles = files.filter(file => file.edits.size > 0).map(file => {
+    let content = file.text;
+    [...file.edits.values()].sort((a, b) => b.start - a.start).forEach(edit => {
+      content = content.slice(0, edit.start) + new_name + content.slice(edit.end);
+    });
+    return { filePath: file.filePath, content, original: file.text, count: file.edits.size };
+  });
+  const editCount = changedFiles.reduce((sum, file) => sum + file.count, 0);
+
+  const results = [];
+  results.push(`${target.qualifiedName}.${member_name} renamed to ${new_name}: ${editCount} occurrences in ${changedFiles.length} files (${files.length} files searched)`);
+  results.push('');
+  results.push('Changed files:');
+  changedFiles.forEach(file => results.push(`  - ${file.filePath} (${file.count} occurrences)`));
+  if (uncertain.length > 0) {
+    results.push('');
+    results.push('Uncertain matches, not renamed:');
+    uncertain.forEach(match => results.push(`  - ${match}`));
+  }
+  results.push('');
+  results.push('Changes:');
+  results.push('```diff');
+  results.push(changedFiles.map(file => createUnifiedDiff(file.original, file.content,
+    `a/${displayPath(file.filePath)}`, `b/${displayPath(file.filePath)}`)).join('\n'));
+  results.push('```');
+
+  if (dry_run) {
     return {
       content: [
         {
           type: 'text',
-          text: `Error: ${error.message}`,
+          text: `Dry run: no files were written.\n${results.join('\n')}`,
         },
       ],
     };
   }
-});
 
-async function listCSharpMethodsSimple(source_file, target_class_name = null) {
-  // Create refactorer instance
-  const refactorer = new CSharpRefactorer();
+  // Rewrite all changed files as one transaction
+  const { id: transactionId } = await commitFiles(
+    changedFiles.map(({ filePath, content }) => ({ filePath, content })),
+    { destinationFolder: root, sourceFile: null }
+  );
+  results.push('');
+  results.push(`Rename journaled as '${transactionId}'. Use rollback_split with destination_folder ${root} to undo it.`);
 
-  // Parse source file with optional target class name
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Successfully renamed member:\n${results.join('\n')}`,
+      },
+    ],
+  };
+}
+
+async function extractMethod({
+  source_file,
+  target_class_name = null,
+  start_line,
+  end_line,
+  new_method_name,
+  dry_run = false,
+}) {
+  if (!/^[A-Za-z_]\w*$/.test(new_method_name || '')) {
+    throw new Error(`new_method_name must be a C# identifier, got '${new_method_name}'`);
+  }
+  if (!Number.isInteger(start_line) || !Number.isInteger(end_line) || start_line < 1 || end_line < start_line) {
+    throw new Error(`start_line and end_line must be line numbers with start_line <= end_line, got ${start_line} and ${end_line}`);
+  }
+
+  const refactorer = new CSharpRefactorer();
   await refactorer.parseSourceFile(source_file, target_class_name);
+  const target = refactorer.targetClass;
+  const source = refactorer.sourceCode;
+  const label = start_line === end_line ? `line ${start_line}` : `lines ${start_line}-${end_line}`;
 
-  // Format methods information
-  const methodNames = refactorer.getAvailableMethodNames();
+  const member = refactorer.members.find(candidate => candidate.span.startLine <= start_line && candidate.span.endLine >= end_line);
+  if (!member || !['method', 'constructor', 'finalizer', 'operator'].includes(member.kind) || member.bodyKind !== 'block') {
+    throw new Error(`The code on ${label} is not inside the block body of a method, constructor, finalizer or operator of ${target.qualifiedName}`);
+  }
+  const describe = refactorer.describeOverload(member);
 
-  if (methodNames.length === 0) {
+  // The selection is made of whole lines, as offsets into the member's content
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') {
+      lineStarts.push(i + 1);
+    }
+  }
+  const rangeStart = lineStarts[start_line - 1];
+  let rangeEnd = end_line < lineStarts.length ? lineStarts[end_line] - 1 : source.length;
+  if (source[rangeEnd - 1] === '\r') {
+    rangeEnd--;
+  }
+  const base = member.span.start;
+  const allTokens = tokenize(member.content);
+  const bodyRange = refactorer.findBodyTokenRange(allTokens);
+  const bodyStart = allTokens[bodyRange.start - 1].end;
+  const bodyEnd = allTokens[bodyRange.end].start;
+  if (rangeStart - base < bodyStart || rangeEnd - base > bodyEnd) {
+    throw new Error(`The code on ${label} is not inside the body of ${describe}; select statements between its braces`);
+  }
+  if (/^[ \t]*#/m.test(source.slice(rangeStart, rangeEnd))) {
+    throw new Error(`The code on ${label} contains preprocessor directives; select statements inside one #if or #region section`);
+  }
+
+  const tokens = codeTokens(allTokens).filter(token => token.start >= bodyStart && token.end <= bodyEnd);
+  const from = tokens.findIndex(token => token.start >= rangeStart - base);
+  let to = tokens.length - 1;
+  while (to >= 0 && tokens[to].start >= rangeEnd - base) {
+    to--;
+  }
+  if (from === -1 || from > to) {
+    throw new Error(`The code on ${label} contains no statements`);
+  }
+
+  const matchBackward = (index, open, close) => {
+    let depth = 0;
+    for (let i = index; i >= 0; i--) {
+      if (tokens[i].type === TokenType.PUNCTUATION && tokens[i].value === close) depth++;
+      if (tokens[i].type === TokenType.PUNCTUATION && tokens[i].value === open && --depth === 0) return i;
+    }
+    return -1;
+  };
+  const matchForward = index => {
+    const close = { '(': ')', '[': ']', '{': '}' }[tokens[index].value];
+    let depth = 0;
+    for (let i = index; i < tokens.length; i++) {
+      if (tokens[i].type === TokenType.PUNCTUATION && tokens[i].value === tokens[index].value) depth++;
+      if (tokens[i].type === TokenType.PUNCTUATION && tokens[i].value === close && --depth === 0) return i;
+    }
+    return tokens.length;
+  };
+  // The ';' that ends the statement starting at index, or the token before an unmatched closing bracket
+  const statementEnd = index => {
+    let depth = 0;
+    for (let i = index; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.type !== TokenType.PUNCTUATION) continue;
+      if (['(', '[', '{'].includes(token.value)) depth++;
+      if ([')', ']', '}'].includes(token.value) && --depth < 0) return i - 1;
+      if (token.value === ';' && depth === 0) return i;
+    }
+    return tokens.length - 1;
+  };
+  const lineOf = index => source.slice(0, base + tokens[index].start).split('\n').length;
+
+  // Relative bracket depth of every selected token; the selection must be balanced
+  const braceDepth = [];
+  const parenDepth = [];
+  let braces = 0;
+  let parens = 0;
+  for (let i = from; i <= to; i++) {
+    const token = tokens[i];
+    if (token.type === TokenType.PUNCTUATION && ['}', ')', ']'].includes(token.value)) {
+      token.value === '}' ? braces-- : parens--;
+      if (braces < 0 || parens < 0) {
+        throw new Error(`The code on ${label} crosses block boundaries; select whole statements inside one block`);
+      }
+    }
+    braceDepth[i] = braces;
+    parenDepth[i] = parens;
+    if (token.type === TokenType.PUNCTUATION && ['{', '(', '['].includes(token.value)) {
+      token.value === '{' ? braces++ : parens++;
+    }
+  }
+  if (braces !== 0 || parens !== 0) {
+    throw new Error(`The code on ${label} crosses block boundaries; select whole statements inside one block`);
+  }
+
+  // Whole statements only: not the else of an if, the catch of a try or the while of a do
+  const closesDo = index => tokens[index]?.value === '}' && tokens[matchBackward(index, '{', '}') - 1]?.value === 'do';
+  const before = tokens[from - 1];
+  const after = tokens[to + 1];
+  if ((before && !['{', '}', ';'].includes(before.value)) || ['else', 'catch', 'finally'].includes(tokens[from].value) ||
+      (tokens[from].value === 'while' && closesDo(from - 1))) {
+    throw new Error(`Line ${start_line} starts in the middle of a statement; select whole statements`);
+  }
+  if (!['}', ';'].includes(tokens[to].value) || (after && ['else', 'catch', 'finally', ';', ')', ',', '.', '?.', ']'].includes(after.value)) ||
+      (after?.value === 'while' && closesDo(to))) {
+    throw new Error(`Line ${end_line} ends in the middle of a statement; select whole statements`);
+  }
+
+  // Lambda, anonymous method and local function bodies have their own control flow
+  const functionBodies = refactorer.findFunctionBodies(tokens, from, to);
+  const asyncLambdas = [];
+  for (let i = from; i <= to; i++) {
+    if (tokens[i].value === 'async' && tokens[i].type === TokenType.IDENTIFIER) {
+      asyncLambdas.push([i, statementEnd(i)]);
+    }
+  }
+  const inFunction = index => functionBodies.some(([open, close]) => index > open && index < close);
+
+  // The body a loop or switch statement at index runs, as a token range
+  const loopBody = index => {
+    const keyword = tokens[index].value;
+    let bodyIndex = index + 1;
+    if (keyword !== 'do') {
+      if (tokens[bodyIndex]?.value !== '(') return null;
+      bodyIndex = matchForward(bodyIndex) + 1;
+    }
+    const end = tokens[bodyIndex]?.value === '{' ? matchForward(bodyIndex) : statementEnd(bodyIndex);
+    return [bodyIndex, end];
+  };
+
+  let hasAwait = false;
+  const returns = [];
+  for (let i = from; i <= to; i++) {
+    const token = tokens[i];
+    if (inFunction(i) || ![TokenType.KEYWORD, TokenType.IDENTIFIER].includes(token.type)) continue;
+    if (token.value === 'await' && !asyncLambdas.some(([start, end]) => i > start && i <= end)) {
+      hasAwait = true;
+    } else if (token.value === 'yield' && ['return', 'break'].includes(tokens[i + 1]?.value)) {
+      throw new Error(`yield ${tokens[i + 1].value} on line ${lineOf(i)} can't be moved out of the iterator ${describe}`);
+    } else if (token.value === 'goto') {
+      throw new Error(`goto on line ${lineOf(i)} can't be extracted; select statements without goto`);
+    } else if (token.value === 'return') {
+      returns.push(i);
+    } else if (['break', 'continue'].includes(token.value)) {
+      const enclosing = ['for', 'foreach', 'while', 'do', ...(token.value === 'break' ? ['switch'] : [])];
+      const inside = tokens.slice(from, i).some((candidate, offset) => {
+        if (!enclosing.includes(candidate.value) || candidate.type !== TokenType.KEYWORD) return false;
+        const body = loopBody(from + offset);
+        return body && i >= body[0] && i <= body[1];
+      });
+      if (!inside) {
+        throw new Error(`${token.value} on line ${lineOf(i)} leaves the selected lines; select the whole loop or switch`);
+      }
+    } else if (braceDepth[i] === 0 && (token.value === 'case' || (token.value === 'default' && tokens[i + 1]?.value === ':'))) {
+      throw new Error(`The code on ${label} crosses switch sections; select statements inside one section`);
+    }
+  }
+
+  // A return is only extracted when it ends the selection: the call site returns what the new method returns.
+  // It must be a statement of the selection itself, not the embedded statement of an if or loop.
+  let finalReturn = null;
+  if (returns.length > 0) {
+    const last = returns[returns.length - 1];
+    const startsStatement = last === from || [';', '}'].includes(tokens[last - 1].value);
+    if (returns.length > 1 || braceDepth[last] !== 0 || !startsStatement || statementEnd(last) !== to) {
+      throw new Error(`return on line ${lineOf(returns[0])} can't be extracted; only a return that ends the selected lines can`);
+    }
+    finalReturn = { hasValue: tokens[last + 1].value !== ';' };
+  }
+
+  // Locals and parameters: where they are declared, read and written
+  const declarations = refactorer.findLocalDeclarations(tokens);
+  const declarationAt = new Map(declarations.map(declaration => [declaration.index, declaration]));
+  const parameters = new Map((member.parameters || []).map(parameter => [parameter.name, parameter]));
+  const localNames = new Set([...parameters.keys(), ...declarations.map(declaration => declaration.name)]);
+  const compoundAssignments = ['+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<=', '??='];
+  const opensInitializer = braceIndex => {
+    let i = braceIndex - 1;
+    if (tokens[i]?.value === ')') {
+      i = matchBackward(i, '(', ')') - 1;
+    }
+    while (tokens[i] && (tokens[i].type === TokenType.IDENTIFIER || ['.', '<', '>', ',', '?', '[', ']'].includes(tokens[i].value))) {
+      i--;
+    }
+    return ['new', 'with'].includes(tokens[i]?.value);
+  };
+  const enclosingBrace = index => {
+    let depth = 0;
+    for (let i = index - 1; i >= 0; i--) {
+      if (tokens[i].value === '}') depth++;
+      if (tokens[i].value === '{' && depth-- === 0) return i;
+    }
+    return -1;
+  };
+
+  const occurrences = [];
+  tokens.forEach((token, index) => {
+    if (token.type !== TokenType.IDENTIFIER || !localNames.has(token.value)) return;
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+    if (['.', '?.', '::'].includes(previous?.value) || (next?.value === ':' && ['(', ','].includes(previous?.value)) ||
+        (next?.value === '=' && ['{', ','].includes(previous?.value) && opensInitializer(enclosingBrace(index)))) {
+      return;
+    }
+    const declaration = declarationAt.get(index);
+    let read = true;
+    let write = false;
+    if (declaration) {
+      read = false;
+      write = ['=', ')', 'in', ':', '=>'].includes(next?.value) || tokens[declaration.typeStart - 1]?.value === 'out';
+    } else if (previous?.value === 'out') {
+      read = false;
+      write = true;
+    } else if (next?.value === '=') {
+      read = false;
+      write = true;
+    } else if (previous?.value === 'ref' || compoundAssignments.includes(next?.value) || (next?.value === '>' && tokens[index + 2]?.value === '>=') ||
+        ['++', '--'].includes(next?.value) || ['++', '--'].includes(previous?.value)) {
+      write = true;
+    }
+    occurrences.push({ name: token.value, index, declaration, read, write });
+  });
+
+  // Code before the selection that runs again after it: the body of the outermost loop around it
+  let loopStart = from;
+  tokens.slice(0, from).forEach((token, index) => {
+    if (['for', 'foreach', 'while', 'do'].includes(token.value) && token.type === TokenType.KEYWORD) {
+      const body = loopBody(index);
+      if (body && body[0] < from && body[1] > to) {
+        loopStart = Math.min(loopStart, index);
+      }
+    }
+  });
+
+  // Declarations in these headers are scoped to their statement
+  const scopedHeaders = ['for', 'foreach', 'using', 'catch', 'fixed', 'while', 'lock'];
+  const leaksFromSelection = declaration => {
+    if (declaration.typeStart === -1 || braceDepth[declaration.index] !== 0) return false;
+    if (parenDepth[declaration.index] === 0) return true;
+    let open = declaration.index;
+    for (let depth = 0; open > from; open--) {
+      if (tokens[open].value === ')') depth++;
+      if (tokens[open].value === '(' && depth-- === 0) break;
+    }
+    return !scopedHeaders.includes(tokens[open - 1]?.value);
+  };
+
+  const problems = [];
+  const typeOf = (name, declaration) => {
+    if (!declaration) {
+      return parameters.get(name).type;
+    }
+    if (declaration.typeStart === -1) {
+      return null;
+    }
+    const typeText = member.content.slice(tokens[declaration.typeStart].start, tokens[declaration.index - 1].end).replace(/\s+/g, ' ');
+    if (typeText !== 'var') {
+      return typeText;
+    }
+    // var: the type of a constructor call or a literal initializer
+    const value = tokens[declaration.index + 2];
+    if (tokens[declaration.index + 1]?.value !== '=' || !value) {
+      return null;
+    }
+    if (value.value === 'new' && tokens[declaration.index + 3]?.type === TokenType.IDENTIFIER) {
+      const typeEnd = refactorer.skipTypeArgumentList(tokens, declaration.index + 4);
+      let end = typeEnd;
+      while (tokens[end]?.value === '.' && tokens[end + 1]?.type === TokenType.IDENTIFIER) {
+        end = refactorer.skipTypeArgumentList(tokens, end + 2);
+      }
+      return ['(', '{'].includes(tokens[end]?.value) ? member.content.slice(tokens[declaration.index + 3].start, tokens[end - 1].end) : null;
+    }
+    let valueEnd = declaration.index + 3;
+    while (tokens[valueEnd] && tokens[valueEnd].start < value.end) {
+      valueEnd++;
+    }
+    if (![';', ','].includes(tokens[valueEnd]?.value)) {
+      return null;
+    }
+    if (value.type === TokenType.STRING) return 'string';
+    if (value.type === TokenType.CHAR) return 'char';
+    if (['true', 'false'].includes(value.value)) return 'bool';
+    if (value.type === TokenType.NUMBER) {
+      const suffix = value.value.match(/(ul|lu|[mfdlu])$/i);
+      if (suffix) {
+        return { m: 'decimal', f: 'float', d: 'double', l: 'long', u: 'uint', ul: 'ulong', lu: 'ulong' }[suffix[1].toLowerCase()];
+      }
+      return /^0[xb]/i.test(value.value) || !/[.e]/i.test(value.value) ? 'int' : 'double';
+    }
+    return null;
+  };
+
+  // A plain assignment or out argument that every path through the selection runs
+  const assignsOnEveryPath = occurrence => braceDepth[occurrence.index] === 0 && !inFunction(occurrence.index) && (tokens[occurrence.index - 1]?.value === 'out' ||
+    (tokens[occurrence.index + 1]?.value === '=' && parenDepth[occurrence.index] === 0 &&
+      (occurrence.index === from || [';', '}'].includes(tokens[occurrence.index - 1]?.value))));
+
+  const variables = [];
+  for (const name of localNames) {
+    const all = occurrences.filter(occurrence => occurrence.name === name);
+    const inside = all.filter(occurrence => occurrence.index >= from && occurrence.index <= to);
+    if (inside.length === 0) continue;
+    const afterwards = all.filter(occurrence => occurrence.index > to || (occurrence.index >= loopStart && occurrence.index < from));
+
+    if (inside[0].declaration) {
+      // Declared in the selection: it comes back out when code after the selection still uses it
+      const declaration = inside[0].declaration;
+      const redeclared = all.some(occurrence => occurrence.index > to && occurrence.declaration);
+      if (leaksFromSelection(declaration) && !redeclared && all.some(occurrence => occurrence.index > to)) {
+        // Only a value the selection is sure to assign comes back; a bare declaration stays at the call site
+        const assigned = inside[0].write || inside.slice(1).some(assignsOnEveryPath);
+        if (assigned || inside.length === 1) {
+          variables.push({ name, first: inside[0].index, declaration, declaredInside: true, input: false, output: assigned, hoisted: !assigned });
+        } else {
+          problems.push(`${name} is declared on line ${lineOf(inside[0].index)} but not assigned on every path through the selected lines, and used after line ${end_line}; declare it before the selected lines`);
+        }
+      }
+      continue;
+    }
+
+    const declaration = [...all].reverse().find(occurrence => occurrence.index < from && occurrence.declaration)?.declaration;
+    if (!declaration && !parameters.has(name)) continue;
+    // A plain assignment that starts the selection replaces the incoming value
+    const first = inside[0];
+    const replaced = !first.read && braceDepth[first.index] === 0 &&
+      !inside.some(occurrence => occurrence.read && occurrence.index <= statementEnd(first.index));
+    variables.push({
+      name,
+      first: first.index,
+      declaration,
+      declaredInside: false,
+      input: !replaced && inside.some(occurrence => occurrence.read),
+      output: inside.some(occurrence => occurrence.write) && afterwards.length > 0,
+    });
+  }
+  variables.sort((a, b) => a.first - b.first);
+
+  // After a final return nothing else runs, so no values come back
+  const outputs = finalReturn ? [] : variables.filter(variable => variable.output);
+  const returned = outputs.length === 1 ? outputs[0] : null;
+  const isAsync = hasAwait || (!!finalReturn && member.modifiers.includes('async'));
+  for (const variable of variables) {
+    variable.type = typeOf(variable.name, variable.declaration);
+    variable.mode = outputs.includes(variable) && variable !== returned
+      ? (variable.declaredInside || !variable.input ? 'out' : 'ref')
+      : variable.input ? 'value' : variable.hoisted ? 'hoisted' : variable.declaredInside ? 'declared' : 'local';
+    if (!variable.type && (variable.mode !== 'declared' || variable === returned)) {
+      problems.push(`${variable.name} is declared with var and its type can't be inferred here; declare it with an explicit type before extracting`);
+    }
+  }
+  if (isAsync && variables.some(variable => ['ref', 'out'].includes(variable.mode))) {
+    problems.push(`The selected code awaits and changes ${outputs.map(variable => variable.name).join(', ')}, which are used afterwards; async methods can return only one value`);
+  }
+
+  // Variables returned through out parameters are assigned, not declared, in the new method;
+  // bare declarations move to the call site
+  const bodyEdits = [];
+  for (const variable of variables.filter(candidate => candidate.declaredInside && ['out', 'hoisted'].includes(candidate.mode))) {
+    const { typeStart, index } = variable.declaration;
+    const next = tokens[index + 1].value;
+    if (next === ';' && tokens[typeStart - 1]?.value !== 'out') {
+      const lineStart = source.lastIndexOf('\n', base + tokens[typeStart].start - 1) + 1;
+      const lineEnd = source.indexOf('\n', base + tokens[index + 1].end);
+      const onItsOwnLine = source.slice(lineStart, base + tokens[typeStart].start).trim() === '' &&
+        source.slice(base + tokens[index + 1].end, lineEnd === -1 ? source.length : lineEnd).trim() === '';
+      bodyEdits.push(onItsOwnLine
+        ? { start: lineStart, end: lineEnd === -1 ? source.length : lineEnd + 1 }
+        : { start: base + tokens[typeStart].start, end: base + tokens[index + 1].end });
+    } else if (next === '=' || tokens[typeStart - 1]?.value === 'out') {
+      bodyEdits.push({ start: base + tokens[typeStart].start, end: base + tokens[index].start });
+    } else {
+      problems.push(`${variable.name} is declared by a pattern or loop and used after line ${end_line}; select lines that include its uses`);
+    }
+  }
+
+  // The new name must not clash with a member of the class
+  const modeOrder = ['value', 'ref', 'out'];
+  const passed = variables.filter(variable => modeOrder.includes(variable.mode))
+    .sort((a, b) => modeOrder.indexOf(a.mode) - modeOrder.indexOf(b.mode) || a.first - b.first);
+  const newParameters = passed
+    .map(variable => ({ modifier: variable.mode === 'value' ? null : variable.mode, type: variable.type || 'var', name: variable.name }));
+  const mentions = (text, name) => new RegExp(`\\b${name}\\b`).test(text || '');
+  const usesTypeParameters = (member.typeParameters || []).some(name => tokens.slice(from, to + 1).some(token => token.value === name) ||
+    variables.some(variable => mentions(variable.type, name)) || (finalReturn && mentions(member.returnType, name)));
+  const typeParameters = usesTypeParameters ? member.typeParameters : [];
+  const identity = refactorer.getMemberIdentity({ kind: 'method', name: new_method_name, modifiers: [], parameters: newParameters, typeParameters });
+  for (const existing of refactorer.methodsByName[new_method_name] || []) {
+    if (existing.kind !== 'method' || refactorer.getMemberIdentity(existing) === identity) {
+      throw new Error(`${target.name} already has a ${existing.kind} ${refactorer.describeOverload(existing)}; choose another new_method_name`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Cannot extract ${label} of ${describe} into ${new_method_name}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  }
+
+  // The new method, indented like the member it is extracted from
+  const indentAt = offset => source.slice(source.lastIndexOf('\n', offset - 1) + 1).match(/^[ \t]*/)[0];
+  const memberIndent = indentAt(base + allTokens.find(token => !isTrivia(token)).start);
+  const bodyIndent = `${memberIndent}    `;
+  let selectedText = source.slice(rangeStart, rangeEnd);
+  bodyEdits.sort((a, b) => b.start - a.start).forEach(edit => {
+    selectedText = selectedText.slice(0, edit.start - rangeStart) + selectedText.slice(edit.end - rangeStart);
+  });
+  const minIndent = Math.min(...selectedText.split('\n').filter(line => line.trim()).map(line => line.match(/^[ \t]*/)[0].length));
+  const body = refactorer.reindent(selectedText, Math.round((bodyIndent.length - minIndent) / 4));
+
+  const valueType = finalReturn
+    ? (finalReturn.hasValue ? member.returnType : 'void')
+    : returned ? returned.type : 'void';
+  const returnType = !isAsync || finalReturn ? (finalReturn && isAsync ? member.returnType : valueType)
+    : valueType === 'void' ? 'Task' : `Task<${valueType}>`;
+  const modifiers = ['private'];
+  if (member.modifiers.includes('static') || member.kind === 'operator') modifiers.push('static');
+  if (member.modifiers.includes('unsafe')) modifiers.push('unsafe');
+  if (isAsync) modifiers.push('async');
+  const typeParameterList = typeParameters.length > 0 ? `<${typeParameters.join(', ')}>` : '';
+  const constraints = usesTypeParameters ? (member.signature.match(/\)\s*(where\b[\s\S]*)$/) || [])[1] : null;
+  const parameterList = newParameters.map(parameter => `${parameter.modifier ? `${parameter.modifier} ` : ''}${parameter.type} ${parameter.name}`).join(', ');
+  const methodLines = [`${memberIndent}${modifiers.join(' ')} ${returnType} ${new_method_name}${typeParameterList}(${parameterList})${constraints ? ` ${constraints.replace(/\s+/g, ' ')}` : ''}`, `${memberIndent}{`];
+  variables.filter(variable => variable.mode === 'local')
+    .forEach(variable => methodLines.push(`${bodyIndent}${variable.type} ${variable.name};`));
+  if (body.trim()) {
+    methodLines.push(body);
+  }
+  if (returned) {
+    methodLines.push(`${bodyIndent}return ${returned.name};`);
+  }
+  methodLines.push(`${memberIndent}}`);
+
+  // The call that replaces the selected lines
+  const callIndent = indentAt(base + tokens[from].start);
+  const argumentList = passed.map(variable => {
+    if (variable.mode === 'out') {
+      return variable.declaredInside ? `out ${variable.type} ${variable.name}` : `out ${variable.name}`;
+    }
+    return variable.mode === 'ref' ? `ref ${variable.name}` : variable.name;
+  }).join(', ');
+  const call = `${isAsync ? 'await ' : ''}${new_method_name}${typeParameterList}(${argumentList})`;
+  const hoisted = variables.filter(variable => variable.mode === 'hoisted')
+    .map(variable => `${member.content.slice(tokens[variable.declaration.typeStart].start, tokens[variable.declaration.index].end)};\n${callIndent}`).join('');
+  let callText;
+  if (finalReturn) {
+    callText = finalReturn.hasValue ? `return ${call};` : `${call};\n${callIndent}return;`;
+  } else if (returned) {
+    callText = returned.declaredInside ? `${returned.type} ${returned.name} = ${call};` : `${returned.name} = ${call};`;
+  } else {
+    callText = `${call};`;
+  }
+  callText = hoisted + callText;
+
+  const memberEnd = member.span.end;
+  const content = source.slice(0, rangeStart) + callIndent + callText + source.slice(rangeEnd, memberEnd) +
+    `\n\n${methodLines.join('\n')}` + source.slice(memberEnd);
+
+  const describeMode = variable => ({
+    value: 'passed in',
+    ref: 'passed by ref: read and changed',
+    out: 'out parameter: changed and used afterwards',
+  })[variable.mode];
+  const results = [];
+  results.push(`Code on ${label} of ${describe} extracted into ${new_method_name}`);
+  results.push(`  Signature: ${methodLines[0].trim()}`);
+  results.push(`  Call: ${callText.replace(/\n\s*/g, ' ')}`);
+  if (passed.length > 0) {
+    results.push('  Parameters:');
+    passed.forEach(variable => results.push(`    - ${variable.name} (${describeMode(variable)})`));
+  }
+  if (returned) {
+    results.push(`  Returns: ${returned.name}, which is used afterwards`);
+  } else if (finalReturn) {
+    results.push('  Returns: the value the selected lines returned');
+  }
+  results.push('');
+  results.push('Changes:');
+  results.push('```diff');
+  results.push(createUnifiedDiff(source, content, `a/${path.basename(source_file)}`, `b/${path.basename(source_file)}`));
+  results.push('```');
+
+  if (dry_run) {
     return {
       content: [
         {
           type: 'text',
-          text: `No methods found in ${source_file}${target_class_name ? ` for class "${target_class_name}"` : ''}`,
+          text: `Dry run: no files were written.\n${results.join('\n')}`,
         },
       ],
     };
   }
 
-  const methodsInfo = [];
-  methodsInfo.push(`Method signatures found in ${source_file}${target_class_name ? ` for class "${target_class_name}"` : ''}:`);
-  methodsInfo.push('='.repeat(50));
-  methodsInfo.push('');
+  const destinationFolder = path.dirname(path.resolve(source_file));
+  const { id: transactionId } = await commitFiles([{ filePath: path.resolve(source_file), content }], { destinationFolder, sourceFile: null });
+  results.push('');
+  results.push(`Extraction journaled as '${transactionId}'. Use rollback_split with destination_folder ${destinationFolder} to undo it.`);
 
-  let totalLines = 0;
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Successfully extracted method:\n${results.join('\n')}`,
+      },
+    ],
+  };
+}
+
+async function inlineMethod({
+  source_file,
+  target_class_name = null,
+  method_name,
+  dry_run = false,
+}) {
+  const refactorer = new CSharpRefactorer();
+  await refactorer.parseSourceFile(source_file, target_class_name);
+  const target = refactorer.targetClass;
+  const source = refactorer.sourceCode;
+
+  const { members: selected, error } = refactorer.resolveMemberSelector(method_name || '');
+  if (error) {
+    throw new Error(error);
+  }
+  if (selected.length > 1) {
+    throw new Error(`${method_name} has ${selected.length} overloads: ${selected.map(member => refactorer.describeOverload(member)).join(', ')}. Select one by signature, e.g. "${refactorer.describeOverload(selected[0])}"`);
+  }
+  const method = selected[0];
+  const name = method.name;
+  const describe = refactorer.describeOverload(method);
+
+  // Methods whose body can't simply take the place of a call are refused
+  const reasons = [];
+  const access = method.modifiers.find(modifier => ['public', 'protected', 'internal'].includes(modifier));
+  const pinned = ['abstract', 'virtual', 'override', 'extern', 'partial', 'async'].find(modifier => method.modifiers.includes(modifier));
+  if (method.kind !== 'method') {
+    throw new Error(`${method_name} is a ${method.kind}; only methods can be inlined`);
+  }
+  if (access) {
+    reasons.push(`it is ${access}; only private methods are inlined, since callers outside ${target.name} can't be updated`);
+  }
+  if (pinned) {
+    reasons.push(`it is ${pinned}`);
+  } else if (method.bodyKind === 'none') {
+    reasons.push('it has no body');
+  }
+  if ((method.typeParameters || []).length > 0) {
+    reasons.push('it is generic');
+  }
+  for (const parameter of method.parameters || []) {
+    if (['out', 'ref', 'params', 'this'].some(modifier => parameter.modifier.split(' ').includes(modifier))) {
+      const kind = { out: 'an out parameter', ref: 'a ref parameter', params: 'a params array', this: 'an extension method receiver' }[parameter.modifier.split(' ').find(modifier => ['out', 'ref', 'params', 'this'].includes(modifier))];
+      reasons.push(`it has ${kind} (${parameter.name})`);
+    }
+  }
+
+  const methodTokens = codeTokens(tokenize(method.content));
+  const bodyRange = method.bodyKind === 'none' ? null : refactorer.findBodyTokenRange(tokenize(method.content));
+  let bodyStart = 0;
+  let bodyEnd = 0;
+  if (bodyRange) {
+    const allTokens = tokenize(method.content);
+    bodyStart = allTokens[bodyRange.start - 1].end;
+    bodyEnd = allTokens[bodyRange.end]?.start ?? method.content.length;
+  }
+  const bodyFrom = methodTokens.findIndex(token => token.start >= bodyStart);
+  let bodyTo = methodTokens.length - 1;
+  while (bodyTo >= 0 && methodTokens[bodyTo].start >= bodyEnd) {
+    bodyTo--;
+  }
+  if (bodyRange && refactorer.findMemberReferences(method, new Set([name])).some(reference => reference.isCall)) {
+    reasons.push('it calls itself');
+  }
+
+  // A block body may end with one return: its statements go before the call, its value replaces it
+  let statements = { start: bodyStart, end: bodyEnd };
+  let result = null;
+  if (bodyRange && bodyRange.kind === 'expression') {
+    statements = null;
+    result = { start: methodTokens[bodyFrom].start, end: methodTokens[bodyTo].end };
+    if (method.returnType === 'void') {
+      statements = { start: result.start, end: methodTokens[bodyTo].end, terminate: true };
+      result = null;
+    }
+  } else if (bodyRange && bodyFrom !== -1 && bodyFrom <= bodyTo) {
+    const functionBodies = refactorer.findFunctionBodies(methodTokens, bodyFrom, bodyTo);
+    const inFunction = index => functionBodies.some(([open, close]) => index > open && index < close);
+    const returns = [];
+    let depth = 0;
+    for (let i = bodyFrom; i <= bodyTo; i++) {
+      const token = methodTokens[i];
+      if (token.type === TokenType.PUNCTUATION && token.value === '{') depth++;
+      if (token.type === TokenType.PUNCTUATION && token.value === '}') depth--;
+      if (inFunction(i)) continue;
+      if (token.value === 'yield' && ['return', 'break'].includes(methodTokens[i + 1]?.value)) {
+        reasons.push('it is an iterator');
+        break;
+      }
+      if (token.value === 'return' && token.type === TokenType.KEYWORD) {
+        returns.push({ index: i, depth });
+      }
+    }
+    if (returns.length > 1) {
+      reasons.push(`it has ${returns.length} return statements`);
+    } else if (returns.length === 1) {
+      // The return must be a statement of its own, not the embedded statement of an if or loop
+      const { index, depth: returnDepth } = returns[0];
+      const last = methodTokens[bodyTo];
+      const startsStatement = index === bodyFrom || [';', '}'].includes(methodTokens[index - 1].value);
+      if (returnDepth !== 0 || !startsStatement || last.value !== ';' || methodTokens.slice(index, bodyTo).some(token => token.value === ';')) {
+        reasons.push('it returns before its end');
+      } else {
+        statements = { start: bodyStart, end: methodTokens[index].start };
+        if (methodTokens[index + 1].value !== ';') {
+          result = { start: methodTokens[index + 1].start, end: methodTokens[bodyTo - 1].end };
+        }
+      }
+    }
+  }
+  if (reasons.length > 0) {
+    throw new Error(`Cannot inline ${describe}: ${reasons.join('; ')}`);
+  }
+
+  // Parameters: how often the body uses each, and whether it assigns to it
+  const parameters = method.parameters || [];
+  const bodyTokens = methodTokens.slice(bodyFrom, bodyTo + 1);
+  const isReference = (tokens, index) => !['.', '?.', '::'].includes(tokens[index - 1]?.value) &&
+    !(tokens[index + 1]?.value === ':' && ['(', ','].includes(tokens[index - 1]?.value));
+  const assignments = ['=', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<=', '??=', '++', '--'];
+  const usage = new Map(parameters.map(parameter => [parameter.name, { uses: 0, written: false }]));
+  bodyTokens.forEach((token, index) => {
+    const entry = token.type === TokenType.IDENTIFIER && usage.get(token.value);
+    if (entry && isReference(bodyTokens, index)) {
+      entry.uses++;
+      entry.written = entry.written || assignments.includes(bodyTokens[index + 1]?.value) || ['++', '--'].includes(bodyTokens[index - 1]?.value);
+    }
+  });
+  const bodyLocals = [...new Set(refactorer.findLocalDeclarations(bodyTokens).map(declaration => declaration.name))];
+
+  // Member names the body uses unqualified; a caller's local of the same name would capture them
+  const memberNames = new Set(refactorer.members.flatMap(member => member.declarators));
+  const bodyMemberReferences = refactorer.findMemberReferences(method, memberNames)
+    .filter(reference => reference.qualifier === null && reference.start >= bodyStart && reference.start < bodyEnd);
+
+  const isStatic = method.modifiers.includes('static');
+  const otherOverloads = (refactorer.methodsByName[name] || []).filter(member => member !== method && member.kind === 'method');
+  const accepts = (member, count) => {
+    const required = (member.parameters || []).filter(parameter => parameter.defaultValue === null && !parameter.modifier.includes('params')).length;
+    return count >= required && (count <= (member.parameters || []).length || (member.parameters || []).some(parameter => parameter.modifier.includes('params')));
+  };
+  const simpleArgument = tokens => tokens.length > 0 && (tokens.every(token => token.type === TokenType.IDENTIFIER || token.value === '.' || token.value === 'this') ||
+    (tokens.length === 1 && [TokenType.NUMBER, TokenType.STRING, TokenType.CHAR].includes(tokens[0].type) && !tokens[0].interpolations) ||
+    (tokens.length === 1 && ['true', 'false', 'null'].includes(tokens[0].value)) ||
+    (tokens.length === 2 && tokens[0].value === '-' && tokens[1].type === TokenType.NUMBER));
+  const sideEffects = tokens => tokens.some(token => ['(', 'new', 'await', 'stackalloc', ...assignments].includes(token.value) ||
+    (token.type === TokenType.STRING && token.interpolations));
+  // An expression between these needs no parentheses: an argument, initializer, assigned or returned value
+  const delimited = (previous, next) => ['(', ',', '=>', 'return', '[', ...assignments.filter(value => value.endsWith('='))].includes(previous?.value) &&
+    [')', ',', ';', ']'].includes(next?.value);
+  const isInvocation = tokens => {
+    for (let i = 0; i < tokens.length;) {
+      while (tokens[i] && (tokens[i].type === TokenType.IDENTIFIER || ['.', '?.', 'this', 'base'].includes(tokens[i].value))) {
+        i++;
+      }
+      if (tokens[i]?.value !== '(') {
+        return false;
+      }
+      i = findMatchingToken(tokens, i) + 1;
+      if (i === tokens.length) {
+        return true;
+      }
+    }
+    return false;
+  };
+  // Expressions that may stand as a statement when the call's value is discarded
+  const statementExpression = text => {
+    const tokens = codeTokens(tokenize(text));
+    const expression = tokens[0]?.value === 'await' ? tokens.slice(1) : tokens;
+    return isInvocation(expression) || expression[0]?.value === 'new' || tokens.some(token => assignments.includes(token.value));
+  };
+
+  // A '}' that ends a block statement, and a ':' that ends a case label
+  const closesBlock = (tokens, index) => {
+    let open = index;
+    for (let depth = 0; open >= 0; open--) {
+      if (tokens[open].value === '}') depth++;
+      if (tokens[open].value === '{' && --depth === 0) break;
+    }
+    const previous = tokens[open - 1];
+    if (!previous || [';', '{', '}', 'else', 'do', 'try', 'finally', 'checked', 'unchecked', 'unsafe'].includes(previous.value)) {
+      return true;
+    }
+    if (previous.value !== ')') {
+      return false;
+    }
+    let parenthesis = open - 1;
+    for (let depth = 0; parenthesis >= 0; parenthesis--) {
+      if (tokens[parenthesis].value === ')') depth++;
+      if (tokens[parenthesis].value === '(' && --depth === 0) break;
+    }
+    return ['if', 'while', 'for', 'foreach', 'using', 'lock', 'switch', 'catch', 'fixed'].includes(tokens[parenthesis - 1]?.value);
+  };
+  const startsSection = (tokens, index) => {
+    let start = index - 1;
+    while (start >= 0 && ![';', '{', '}', ':'].includes(tokens[start].value)) {
+      start--;
+    }
+    return ['case', 'default'].includes(tokens[start + 1]?.value);
+  };
+  const indentAt = offset => source.slice(source.lastIndexOf('\n', offset - 1) + 1).match(/^[ \t]*/)[0];
+  const bodyIndent = indentAt(method.span.start + (bodyTokens[0]?.start ?? 0));
+  const lineAt = offset => source.slice(0, offset).split('\n').length;
+  const edits = [];
+  const inlined = [];
+  const blockers = [];
+
+  for (const caller of refactorer.members) {
+    if (caller === method) {
+      continue;
+    }
+    if (['class', 'struct', 'record', 'record struct', 'interface'].includes(caller.kind)) {
+      if (codeTokens(tokenize(caller.content)).some(token => token.type === TokenType.IDENTIFIER && token.value === name)) {
+        blockers.push(`nested type ${caller.name} may use ${name}`);
+      }
+      continue;
+    }
+    const references = refactorer.findMemberReferences(caller, new Set([name]));
+    if (references.length === 0) {
+      continue;
+    }
+    const tokens = codeTokens(tokenize(caller.content));
+    const base = caller.span.start;
+    const usedNames = new Set(tokens.filter(token => token.type === TokenType.IDENTIFIER).map(token => token.value));
+    const callerLocals = refactorer.findLocalNames(caller);
+    const callerBody = refactorer.findBodyTokenRange(tokenize(caller.content));
+    const callerBlock = callerBody && callerBody.kind === 'block';
+
+    for (const reference of references) {
+      const where = `line ${lineAt(base + reference.start)} in ${refactorer.describeOverload(caller)}`;
+      if (!reference.isCall || !['this', target.name, null].includes(reference.qualifier)) {
+        blockers.push(`${where} uses ${name} without calling it`);
+        continue;
+      }
+      const nameIndex = tokens.findIndex(token => token.start === reference.start);
+      const openIndex = refactorer.skipTypeArgumentList(tokens, nameIndex + 1);
+      const closeIndex = findMatchingToken(tokens, openIndex);
+      const startIndex = reference.qualifier ? tokens.findIndex(token => token.start === reference.qualifierStart) : nameIndex;
+
+      // Arguments, positional then named
+      const argumentList = refactorer.splitArguments(tokens, openIndex).map(argument => argument.tokens);
+      if (otherOverloads.some(member => accepts(member, argumentList.length))) {
+        if (accepts(method, argumentList.length)) {
+          blockers.push(`${where} may call another overload of ${name}`);
+        }
+        continue;
+      }
+      const values = new Map();
+      let valid = accepts(method, argumentList.length);
+      argumentList.forEach((argumentTokens, position) => {
+        let valueTokens = argumentTokens;
+        let parameter = parameters[position];
+        if (argumentTokens[0]?.type === TokenType.IDENTIFIER && argumentTokens[1]?.value === ':') {
+          parameter = parameters.find(candidate => candidate.name === argumentTokens[0].value);
+          valueTokens = argumentTokens.slice(2);
+        }
+        if (!parameter || ['ref', 'out', 'in'].includes(valueTokens[0]?.value)) {
+          valid = false;
+          return;
+        }
+        values.set(parameter.name, {
+          tokens: valueTokens,
+          text: caller.content.slice(valueTokens[0].start, valueTokens[valueTokens.length - 1].end),
+        });
+      });
+      if (!valid) {
+        blockers.push(`${where} passes arguments ${describe} can't take inline`);
+        continue;
+      }
+
+      // Each parameter becomes the argument itself, or a temporary when the argument has side
+      // effects, is evaluated more than once or is assigned to by the body
+      const taken = new Set(usedNames);
+      const freshName = wanted => {
+        let candidate = wanted;
+        for (let suffix = 2; taken.has(candidate); suffix++) {
+          candidate = `${wanted}${suffix}`;
+        }
+        taken.add(candidate);
+        return candidate;
+      };
+      const temporaries = [];
+      const temporaryNames = [];
+      const replacements = new Map();
+      const compound = new Set();
+      for (const parameter of parameters) {
+        const { uses, written } = usage.get(parameter.name);
+        const value = values.get(parameter.name) || { tokens: codeTokens(tokenize(parameter.defaultValue)), text: parameter.defaultValue };
+        const simple = simpleArgument(value.tokens);
+        if (sideEffects(value.tokens) || written || (uses > 1 && !simple)) {
+          const temporary = freshName(parameter.name);
+          temporaries.push(`${parameter.type} ${temporary} = ${value.text};`);
+          temporaryNames.push(temporary);
+          replacements.set(parameter.name, temporary);
+        } else if (uses > 0) {
+          replacements.set(parameter.name, value.text);
+          if (!simple) {
+            compound.add(parameter.name);
+          }
+        }
+      }
+      bodyLocals.forEach(local => replacements.set(local, freshName(local)));
+      const qualifier = isStatic ? target.name : 'this';
+      const substitute = range => {
+        let text = '';
+        let position = range.start;
+        const rangeTokens = bodyTokens.filter(token => token.start >= range.start && token.end <= range.end);
+        rangeTokens.forEach((token, index) => {
+          let replacement = null;
+          if (token.type === TokenType.IDENTIFIER && replacements.has(token.value) && isReference(rangeTokens, index)) {
+            replacement = replacements.get(token.value);
+            if (compound.has(token.value) && !delimited(rangeTokens[index - 1], rangeTokens[index + 1])) {
+              replacement = `(${replacement})`;
+            }
+          } else if (bodyMemberReferences.some(reference => reference.start === token.start) && callerLocals.has(token.value)) {
+            replacement = `${qualifier}.${token.value}`;
+          }
+          if (replacement !== null) {
+            text += method.content.slice(position, token.start) + replacement;
+            position = token.end;
+          }
+        });
+        return text + method.content.slice(position, range.end);
+      };
 
-  // Group methods by name and show overloads with full signatures and line counts
-  methodNames.forEach((methodName, index) => {
-    const methodOverloads = refactorer.methodsByName[methodName];
-    let methodTotalLines = 0;
+      // Where the call sits: a statement of its own, the value of a return or assignment, or
+      // inside a larger expression
+      let statementStart = startIndex;
+      let boundary = null;
+      for (let i = startIndex - 1, depth = 0; i >= 0; i--) {
+        const value = tokens[i].value;
+        if (depth === 0 && ((value === '}' && closesBlock(tokens, i)) || (value === ':' && startsSection(tokens, i)))) {
+          boundary = ';';
+          break;
+        }
+        if (tokens[i].type === TokenType.PUNCTUATION && [')', ']', '}'].includes(value)) {
+          depth++;
+        } else if (tokens[i].type === TokenType.PUNCTUATION && ['(', '[', '{'].includes(value)) {
+          if (depth === 0) {
+            boundary = value;
+            break;
+          }
+          depth--;
+        } else if (value === ';' && depth === 0) {
+          boundary = value;
+          break;
+        }
+        statementStart = i;
+      }
+      const callStart = base + tokens[startIndex].start;
+      const callEnd = base + tokens[closeIndex].end;
+      const inBlock = callerBlock && ['{', ';', null].includes(boundary) && tokens[closeIndex + 1]?.value === ';';
+      const lead = tokens.slice(statementStart, startIndex);
+      let shape = 'expression';
+      if (inBlock && lead.length === 0) {
+        shape = 'statement';
+      } else if (inBlock && ((lead.length === 1 && lead[0].value === 'return') ||
+          (lead.length > 0 && lead[lead.length - 1].value === '=' && !lead.slice(0, -1).some(token => ['(', '[', '=', '.'].includes(token.value))))) {
+        shape = 'value';
+      }
 
-    methodsInfo.push(`${index + 1}. ${methodName}:`);
+      // The body moves from the method's indentation to the call's
+      const indent = indentAt(base + tokens[statementStart].start);
+      const shift = Math.round((indent.length - bodyIndent.length) / 4);
+      const place = range => refactorer.reindent(substitute(range), shift).trim();
+      const statementText = statements ? place(statements) : '';
+      const resultText = result ? place(result) : null;
+      const hoisted = [...temporaries];
+      if (statementText) {
+        hoisted.push(statements.terminate ? `${statementText};` : statementText);
+      }
+      if (shape === 'expression' && hoisted.length > 0) {
+        blockers.push(`${where}: the call is part of a larger expression and ${describe} needs statements before it`);
+        continue;
+      }
+      if (shape === 'value' && resultText === null) {
+        continue;
+      }
 
-    // Show each overload with its full signature
-    methodOverloads.forEach((method, overloadIndex) => {
-      methodTotalLines += method.lineCount;
-      const overloadLabel = methodOverloads.length > 1 ? ` [Overload ${overloadIndex + 1}]` : '';
-      methodsInfo.push(`   ${method.signature}${overloadLabel}`);
-      methodsInfo.push(`   (${method.lineCount} lines)`);
-      if (overloadIndex < methodOverloads.length - 1) {
-        methodsInfo.push('');
+      // Statements sharing their line with other code, as in a one-line block, stay on that line
+      const statementBegin = base + tokens[statementStart].start;
+      const ownLine = source.slice(source.lastIndexOf('\n', statementBegin - 1) + 1, statementBegin).trim() === '';
+      const separator = ownLine ? `\n${indent}` : ' ';
+      if (!ownLine && hoisted.some(text => text.includes('//'))) {
+        blockers.push(`${where}: the call shares its line with other code and ${describe} has line comments`);
+        continue;
       }
-    });
+      const hoistedText = hoisted.map(text => ownLine ? text : text.replace(/\s*\n\s*/g, ' ')).join(separator);
+      if (shape === 'statement') {
+        const parts = hoisted.length > 0 ? [hoistedText] : [];
+        if (resultText !== null && statementExpression(resultText)) {
+          parts.push(`${resultText};`);
+        }
+        const statementEnd = base + tokens[closeIndex + 1].end;
+        let start = callStart;
+        let end = statementEnd;
+        let text = parts.join(separator);
+        if (parts.length === 0 && ownLine) {
+          // Nothing left of the call: remove its line
+          start = source.lastIndexOf('\n', callStart - 1) + 1;
+          const lineEnd = source.indexOf('\n', statementEnd);
+          end = source.slice(statementEnd, lineEnd).trim() === '' ? lineEnd + 1 : statementEnd;
+          text = '';
+        }
+        edits.push({ start, end, text, where });
+      } else if (shape === 'value') {
+        const prefix = hoisted.length > 0 ? `${hoistedText}${separator}` : '';
+        edits.push({ start: statementBegin, end: callEnd, text: `${prefix}${source.slice(statementBegin, callStart)}${resultText}`, where });
+      } else {
+        const resultTokens = codeTokens(tokenize(resultText));
+        const atomic = simpleArgument(resultTokens) || isInvocation(resultTokens) || delimited(tokens[startIndex - 1], tokens[closeIndex + 1]);
+        edits.push({ start: callStart, end: callEnd, text: atomic ? resultText : `(${resultText})`, where });
+      }
+      inlined.push(where);
+      bodyLocals.forEach(local => usedNames.add(replacements.get(local)));
+      temporaryNames.forEach(temporary => usedNames.add(temporary));
+    }
+  }
 
-    totalLines += methodTotalLines;
-    methodsInfo.push('');
+  // Calls nested in the arguments of another call are left for a second run
+  edits.sort((a, b) => a.start - b.start);
+  const applied = edits.filter((edit, index) => {
+    const overlaps = edits.some((other, otherIndex) => otherIndex !== index && other.start < edit.end && edit.start < other.end && (other.end - other.start) > (edit.end - edit.start));
+    if (overlaps) {
+      blockers.push(`${edit.where}: the call is inside another call to ${name}; run inline_method again`);
+      inlined.splice(inlined.indexOf(edit.where), 1);
+    }
+    return !overlaps;
   });
 
-  methodsInfo.push('');
-  methodsInfo.push(`Total methods: ${methodNames.length}`);
-  methodsInfo.push(`Total lines: ${totalLines}`);
-  methodsInfo.push('');
-
-  // Show available classes if multiple classes exist
-  if (refactorer.availableClasses.length > 1) {
-    methodsInfo.push('Available classes in this file:');
-    refactorer.availableClasses.forEach((cls, index) => {
-      methodsInfo.push(`  ${index + 1}. ${cls.name} (${cls.lineCount} lines)`);
-    });
+  if (inlined.length === 0 && blockers.length > 0) {
+    throw new Error(`Cannot inline ${describe}:\n${blockers.map(blocker => `  - ${blocker}`).join('\n')}`);
   }
 
-  return {
-    content: [
-      {
-        type: 'text',
-        text: methodsInfo.join('\n'),
-      },
-    ],
-  };
-}
-
-async function listCSharpClasses(source_file) {
-  // Create refactorer instance
-  const refactorer = new CSharpRefactorer();
+  let content = source;
+  [...applied].sort((a, b) => b.start - a.start).forEach(edit => {
+    content = content.slice(0, edit.start) + edit.text + content.slice(edit.end);
+  });
 
-  // Parse source file to get all classes
-  await refactorer.parseSourceFile(source_file);
+  // The declaration goes once nothing else can call it
+  const isPartial = target.modifiers.includes('partial');
+  const removed = blockers.length === 0 && !isPartial;
+  if (removed) {
+    // The calls were all rewritten in other members, so only those before it move its span
+    const shift = applied.filter(edit => edit.end <= method.span.start)
+      .reduce((sum, edit) => sum + edit.text.length - (edit.end - edit.start), 0);
+    content = refactorer.removeMembers([{ start: method.span.start + shift, end: method.span.end + shift }], content);
+    content = refactorer.removeEmptyDirectiveBlocks(content);
+  }
 
-  // Get available classes
-  const classes = refactorer.getAvailableClasses();
+  const results = [];
+  results.push(`${inlined.length} calls to ${describe} inlined in ${target.qualifiedName}`);
+  inlined.forEach(where => results.push(`  - ${where}`));
+  if (blockers.length > 0) {
+    results.push('');
+    results.push('Not inlined:');
+    blockers.forEach(blocker => results.push(`  - ${blocker}`));
+  }
+  results.push('');
+  if (removed) {
+    results.push(`Declaration of ${describe} removed.`);
+  } else if (isPartial && blockers.length === 0) {
+    results.push(`Declaration of ${describe} kept: ${target.name} is partial and other partial files may call it. Delete it once they don't.`);
+  } else {
+    results.push(`Declaration of ${describe} kept for the remaining uses.`);
+  }
+  results.push('');
+  results.push('Changes:');
+  results.push('```diff');
+  results.push(createUnifiedDiff(source, content, `a/${path.basename(source_file)}`, `b/${path.basename(source_file)}`));
+  results.push('```');
 
-  if (classes.length === 0) {
+  if (dry_run) {
     return {
       content: [
         {
           type: 'text',
-          text: `No classes found in ${source_file}`,
+          text: `Dry run: no files were written.\n${results.join('\n')}`,
         },
       ],
     };
   }
 
-  const classesInfo = [];
-  classesInfo.push(`Classes found in ${source_file}:`);
-  classesInfo.push('='.repeat(50));
-  classesInfo.push('');
-
-  // Display class information
-  classes.forEach((cls, index) => {
-    classesInfo.push(`${index + 1}. ${cls.name} (${cls.lineCount} lines)`);
-    classesInfo.push(`   Declaration: ${cls.declaration}`);
-    classesInfo.push('');
-  });
-
-  classesInfo.push(`Total classes: ${classes.length}`);
-  classesInfo.push('');
-  classesInfo.push('Use the "list_csharp_methods" tool with target_class_name to see methods for a specific class.');
+  const destinationFolder = path.dirname(path.resolve(source_file));
+  const { id: transactionId } = await commitFiles([{ filePath: path.resolve(source_file), content }], { destinationFolder, sourceFile: null });
+  results.push('');
+  results.push(`Inlining journaled as '${transactionId}'. Use rollback_split with destination_folder ${destinationFolder} to undo it.`);
 
   return {
     content: [
       {
         type: 'text',
-        text: classesInfo.join('\n'),
+        text: `Successfully inlined method:\n${results.join('\n')}`,
       },
     ],
   };
 }
 
-async function ProcessSplitCSharpclassSimple(config_file_input) {
-  // Parse config file(s) - can be single file or comma-separated list
-  const configFiles = config_file_input.split(',').map(file => file.trim());
-
-  // Merge all configuration files
-  const config = await mergeConfigurations(configFiles);
-
-  // Map properties from the merged config
-  const source_file = config.sourceFile;
-  const target_class_name = config.targetClassName; // Add target class name support
-  const destination_folder = config.destinationFolder;
-  const new_namespace = config.newNamespace;
-  const main_partial_class_file_name = config.mainPartialClassName;
-  const partial_classes = config.partialClasses;
-  const main_interface = config.mainInterface || '';
+async function changeSignature({
+  source_file,
+  target_class_name = null,
+  method_name,
+  parameters,
+  search_directory = null,
+  dry_run = false,
+}) {
+  if (!Array.isArray(parameters)) {
+    throw new Error('parameters must list the new parameters in order: names of parameters to keep, and { name, type, argument } for new ones');
+  }
 
-  // Create refactorer instance
   const refactorer = new CSharpRefactorer();
-
-  // Parse source file with optional target class name
   await refactorer.parseSourceFile(source_file, target_class_name);
+  const target = refactorer.targetClass;
 
-  // Create destination folder if it doesn't exist
-  await fs.mkdir(destination_folder, { recursive: true });
-
-  const results = [];
-  results.push(`Processed ${configFiles.length} configuration file(s):`);
-  configFiles.forEach(file => results.push(`  - ${file}`));
-  results.push('');
-
-  // Show which class was processed if multiple classes exist
-  if (refactorer.availableClasses.length > 1) {
-    const processedClass = target_class_name || refactorer.availableClasses[0].name;
-    results.push(`Processing class: ${processedClass}`);
-    results.push(`Available classes: ${refactorer.availableClasses.map(c => c.name).join(', ')}`);
-    results.push('');
+  const { members: selected, error } = refactorer.resolveMemberSelector(method_name || '');
+  if (error) {
+    throw new Error(error);
+  }
+  if (selected.length > 1) {
+    throw new Error(`${method_name} has ${selected.length} overloads: ${selected.map(member => refactorer.describeOverload(member)).join(', ')}. Select one by signature, e.g. "${refactorer.describeOverload(selected[0])}"`);
+  }
+  const method = selected[0];
+  const name = method.name;
+  const describe = refactorer.describeOverload(method);
+  if (method.kind !== 'method') {
+    throw new Error(`${method_name} is a ${method.kind}; change_signature changes methods`);
+  }
+  if (method.modifiers.includes('override') || method.explicitInterface) {
+    throw new Error(`${describe} ${method.explicitInterface ? `implements ${method.explicitInterface} explicitly` : 'overrides a base class member'}; change the signature where the method is declared`);
   }
 
-  // Validate all methods in all partial classes before generating any files
-  const allErrors = [];
-  const allRequestedMethods = [];
-  
-  for (const partialClass of partial_classes) {
-    for (const methodName of partialClass.methods) {
-      allRequestedMethods.push({ methodName, fileName: partialClass.fileName });
-      
-      // Check if method exists
-      if (!refactorer.methodsByName[methodName]) {
-        allErrors.push(`Method '${methodName}' not found in source code (requested in ${partialClass.fileName})`);
+  // The new parameter list: kept parameters by name, new ones with the argument existing calls pass
+  const oldParameters = method.parameters || [];
+  const problems = [];
+  const plan = parameters.map(entry => {
+    if (typeof entry === 'string') {
+      const from = oldParameters.findIndex(parameter => parameter.name === entry);
+      if (from === -1) {
+        problems.push(`${describe} has no parameter ${entry}`);
       }
+      return { from, name: entry };
+    }
+    const { name: parameterName, type, argument = null, default_value: defaultValue = null } = entry || {};
+    if (!/^@?[A-Za-z_]\w*$/.test(parameterName || '') || !type) {
+      problems.push(`new parameter ${JSON.stringify(entry)} needs a name and a type`);
+    } else if (argument === null && defaultValue === null) {
+      problems.push(`new parameter ${parameterName} needs an argument for the existing calls or a default_value`);
+    } else if (oldParameters.some(parameter => parameter.name === parameterName)) {
+      problems.push(`${parameterName} is already a parameter; list it by name to keep it`);
     }
+    return { from: -1, name: parameterName, type, argument, defaultValue };
+  });
+  const listed = plan.map(entry => entry.name);
+  listed.filter((entry, index) => listed.indexOf(entry) !== index).forEach(entry => problems.push(`${entry} is listed more than once`));
+  const hasModifier = (parameter, modifier) => !!parameter && parameter.modifier.split(' ').includes(modifier);
+  const isOptional = entry => entry.from === -1 ? entry.defaultValue !== null : oldParameters[entry.from]?.defaultValue !== null;
+  if (hasModifier(oldParameters[0], 'this') && plan[0]?.from !== 0) {
+    problems.push(`the extension method receiver ${oldParameters[0].name} must stay first`);
   }
-  
-  // Check if all methods from source code are included in the configuration
-  const availableMethodNames = Object.keys(refactorer.methodsByName);
-  const requestedMethodNames = allRequestedMethods.map(m => m.methodName);
-  const missingFromConfig = availableMethodNames.filter(methodName => !requestedMethodNames.includes(methodName));
-  
-  if (missingFromConfig.length > 0) {
-    allErrors.push(`Configuration is incomplete. The following methods from source code are not included in any partial class:\n${missingFromConfig.map(method => `  - ${method}`).join('\n')}\n\nAll methods must be assigned to a partial class configuration.`);
+  plan.forEach((entry, index) => {
+    if (entry.from !== -1 && hasModifier(oldParameters[entry.from], 'params') && index !== plan.length - 1) {
+      problems.push(`the params array ${entry.name} must stay last`);
+    }
+  });
+  const firstOptional = plan.findIndex(isOptional);
+  if (firstOptional !== -1) {
+    plan.slice(firstOptional + 1).filter(entry => !isOptional(entry) && !hasModifier(oldParameters[entry.from], 'params'))
+      .forEach(entry => problems.push(`${entry.name} is required but follows the optional parameter ${plan[firstOptional].name}`));
   }
-  
-  // If there are any validation errors, throw an error and don't generate any files
-  if (allErrors.length > 0) {
-    const errorMessage = `Cannot generate partial classes due to validation errors:\n\n${allErrors.map((error, index) => `${index + 1}. ${error}`).join('\n')}\n\nAvailable methods in source code:\n${availableMethodNames.join(', ')}`;
-    throw new Error(errorMessage);
+  const removed = oldParameters.map((parameter, index) => index).filter(index => !plan.some(entry => entry.from === index));
+  if (problems.length === 0 && removed.length === 0 && plan.every((entry, index) => entry.from === index)) {
+    throw new Error(`The parameters of ${describe} are already ${plan.map(entry => entry.name).join(', ') || 'empty'}`);
   }
 
-  // Generate partial class files
-  for (const partialClass of partial_classes) {
-    const fileName = partialClass.fileName;
-    const filePath = path.join(destination_folder, fileName);
-
-    // Generate content for the partial class file
-    const content = await refactorer.generatePartialClass(partialClass, new_namespace);
+  const newParameters = plan.map(entry => entry.from !== -1
+    ? oldParameters[entry.from]
+    : { modifier: '', type: entry.type, name: entry.name, defaultValue: entry.defaultValue });
+  const changed = { ...method, parameters: newParameters };
+  const newDescribe = refactorer.describeOverload(changed);
+  const identity = refactorer.getMemberIdentity(method);
+  const oldTypes = oldParameters.map(parameter => [parameter.modifier, parameter.type].filter(Boolean).join(' '));
+
+  const { files, parts, root, displayPath } = await loadTypeFiles(refactorer, source_file, search_directory);
+  const overloads = parts.flatMap(part => (part.refactorer.methodsByName[name] || []).map(member => ({ member, part })));
+  const clash = overloads.find(({ member }) => refactorer.getMemberIdentity(member) === refactorer.getMemberIdentity(changed));
+  if (clash && refactorer.getMemberIdentity(changed) !== identity) {
+    problems.push(`${target.name} already has ${newDescribe} (${path.basename(clash.part.file.filePath)}:${clash.member.span.startLine})`);
+  }
+  const otherOverloads = overloads.map(({ member }) => member).filter(member => refactorer.getMemberIdentity(member) !== identity);
+
+  const uncertain = [];
+  const addUncertain = (file, start, reason) => {
+    file.locator = file.locator || refactorer.createLocator(file.text);
+    const { startLine, startColumn } = file.locator(start, start + 1);
+    const lineStart = file.text.lastIndexOf('\n', start - 1) + 1;
+    const lineEnd = file.text.indexOf('\n', start);
+    const line = file.text.slice(lineStart, lineEnd === -1 ? file.text.length : lineEnd).trim();
+    uncertain.push(`${displayPath(file.filePath)}:${startLine}:${startColumn} ${line} (${reason})`);
+  };
+  files.forEach(file => {
+    file.sites = [];
+    file.tokens = codeTokens(tokenize(file.text));
+    file.indexAt = new Map(file.tokens.map((token, index) => [token.start, index]));
+  });
 
-    // Get no of lines in the content
-    const lineCount = content.split('\n').length;
-    if (lineCount > 5000) {
-      throw new Error(`Generated partial file ${fileName} exceeds 5000 lines. Please split the methods into smaller groups in the configuration.`);
+  // Declarations: the method in every partial file, overrides in derived types and the interfaces
+  // the class implements. Each keeps its own parameter names.
+  const declarations = overloads.filter(({ member }) => refactorer.getMemberIdentity(member) === identity)
+    .map(({ member, part }) => ({ member, file: part.file, owner: part.typeInfo.name }));
+  const hiding = new Set();
+  for (const file of files) {
+    for (const derived of file.derived) {
+      const own = (derived.refactorer.methodsByName[name] || []).filter(member => derived.refactorer.parametersMatch(member.parameters, oldTypes));
+      own.filter(member => member.modifiers.includes('override')).forEach(member => declarations.push({ member, file, owner: derived.typeInfo.name }));
+      own.filter(member => !member.modifiers.includes('override')).forEach(member => {
+        hiding.add(derived);
+        addUncertain(file, member.span.start + member.content.search(new RegExp(`\\b${name}\\b`)), `${derived.typeInfo.name} declares its own ${name}`);
+      });
     }
-
-    // Write content to file
-    await fs.writeFile(filePath, content, 'utf-8');
-
-    results.push(`Generated: ${filePath} (${partialClass.methods.length} methods requested, ${lineCount} lines)`);
   }
-
-  // Generate main partial class file
-  const mainFilePath = path.join(destination_folder, main_partial_class_file_name);
-  const mainContent = refactorer.generateMainPartialClass(
-    new_namespace,
-    main_partial_class_file_name,
-    main_interface
-  );
-
-  await fs.writeFile(mainFilePath, mainContent, 'utf-8');
-  results.push(`Generated: ${mainFilePath} (main partial class)`);
-
-  // Report any unprocessed methods
-  const unprocessedMethods = [];
-  for (const [methodName, methods] of Object.entries(refactorer.methodsByName)) {
-    const hasUnprocessed = methods.some(method => !refactorer.processedMethods.has(method.signatureKey));
-    if (hasUnprocessed) {
-      unprocessedMethods.push(methodName);
+  const interfaceNames = new Set(parts.flatMap(part => part.typeInfo.baseTypes.map(baseType => simpleTypeName(baseType.name))));
+  const interfaces = [];
+  for (const file of files) {
+    for (const typeInfo of file.types.filter(candidate => candidate.kind === 'interface' && interfaceNames.has(candidate.name))) {
+      const interfaceRefactorer = new CSharpRefactorer();
+      interfaceRefactorer.parseCSharpMethods(typeInfo.content, typeInfo.startIndex, file.text);
+      for (const member of interfaceRefactorer.methodsByName[name] || []) {
+        if (interfaceRefactorer.parametersMatch(member.parameters, oldTypes)) {
+          declarations.push({ member, file, owner: typeInfo.name });
+          interfaces.push(typeInfo.name);
+        } else if ((member.parameters || []).length === oldParameters.length) {
+          addUncertain(file, member.span.start + member.content.search(new RegExp(`\\b${name}\\b`)), `${typeInfo.name} declares ${name} with other parameter types`);
+        }
+      }
+    }
+  }
+  for (const file of files) {
+    for (const typeInfo of file.types) {
+      const implemented = typeInfo.baseTypes.map(baseType => simpleTypeName(baseType.name)).find(baseName => interfaces.includes(baseName));
+      const handled = file.parts.some(part => part.typeInfo === typeInfo) || file.derived.some(derived => derived.typeInfo === typeInfo);
+      if (implemented && !handled) {
+        addUncertain(file, typeInfo.nameEnd - typeInfo.name.length, `${typeInfo.name} implements ${implemented} too and keeps the old signature`);
+      }
     }
   }
 
-  if (unprocessedMethods.length > 0) {
-    results.push('');
-    results.push('Note: The following methods were not assigned to any partial class:');
-    unprocessedMethods.forEach(method => results.push(`  - ${method}`));
-    results.push('These methods will remain in the main partial class file.');
+  // Bodies must not use removed parameters, and new parameters must not clash with their locals
+  for (const { member, owner } of declarations) {
+    const allTokens = tokenize(member.content);
+    const bodyRange = member.bodyKind === 'none' ? null : refactorer.findBodyTokenRange(allTokens);
+    if (!bodyRange) {
+      continue;
+    }
+    const bodyStart = allTokens[bodyRange.start - 1].end;
+    const bodyTokens = codeTokens(allTokens).filter(token => token.start >= bodyStart);
+    const ownNames = (member.parameters || []).map(parameter => parameter.name);
+    for (const index of removed) {
+      const used = bodyTokens.some((token, position) => token.value === ownNames[index] && token.type === TokenType.IDENTIFIER &&
+        !['.', '?.', '::'].includes(bodyTokens[position - 1]?.value) && !(bodyTokens[position + 1]?.value === ':' && ['(', ','].includes(bodyTokens[position - 1]?.value)));
+      if (used) {
+        problems.push(`${owner}.${name} still uses ${ownNames[index]}`);
+      }
+    }
+    const locals = new Set(refactorer.findLocalDeclarations(bodyTokens).map(declaration => declaration.name));
+    plan.filter(entry => entry.from === -1 && locals.has(entry.name)).forEach(entry => problems.push(`${owner}.${name} has a local named ${entry.name}`));
+  }
+  if (problems.length > 0) {
+    throw new Error(`Cannot change ${describe}: ${[...new Set(problems)].join('; ')}`);
   }
 
-  return {
-    content: [
-      {
-        type: 'text',
-        text: `Successfully split C# class into partial files:\n${results.join('\n')}`,
-      },
-    ],
+  // A list keeps its layout: one item per line when the items were on separate lines
+  const separatorFor = (text, items) => {
+    for (let i = 1; i < items.length; i++) {
+      if (text.slice(items[i - 1][items[i - 1].length - 1].end, items[i][0].start).includes('\n')) {
+        return `,\n${text.slice(text.lastIndexOf('\n', items[i][0].start - 1) + 1).match(/^[ \t]*/)[0]}`;
+      }
+    }
+    return ', ';
+  };
+  const replaceList = (file, tokens, openIndex, items, render) => {
+    const closeIndex = findMatchingToken(tokens, openIndex);
+    const start = items.length > 0 ? items[0][0].start : tokens[openIndex].end;
+    const end = items.length > 0 ? items[items.length - 1][items[items.length - 1].length - 1].end : tokens[closeIndex].start;
+    const separator = separatorFor(file.text, items);
+    file.sites.push({ start, end, render: () => render().join(separator) });
   };
-}
-
-// Main function to run the server
-async function main() {
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  console.error('C# Refactorer Simple MCP Server running on stdio');
-}
-
-// Run the server if this file is executed directly
-if (require.main === module) {
-
-  main().catch((error) => {
-    console.error('Server error:', error);
-    process.exit(1);
-  });
-}
-
-module.exports = { CSharpRefactorer, server, listCSharpMethodsSimple, ProcessSplitCSharpclassSimple };
-
-async function buildDependencyTree(source_file, target_class_name = null, start_method_name, max_depth = 3) {
-  // Create refactorer instance
-  const refactorer = new CSharpRefactorer();
-
-  // Parse source file with optional target class name
-  await refactorer.parseSourceFile(source_file, target_class_name);
 
-  // Check if the starting method exists
-  if (!refactorer.methodsByName[start_method_name]) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Method '${start_method_name}' not found in ${source_file}${target_class_name ? ` for class "${target_class_name}"` : ''}.\n\nAvailable methods:\n${Object.keys(refactorer.methodsByName).join(', ')}`,
-        },
-      ],
-    };
+  for (const { member, file } of declarations) {
+    const base = member.span.start;
+    const tokens = codeTokens(tokenize(member.content)).map(token => ({ ...token, start: base + token.start, end: base + token.end }));
+    const nameIndex = tokens.findIndex((token, index) => token.value === name && ['(', '<'].includes(tokens[index + 1]?.value));
+    const openIndex = refactorer.skipTypeArgumentList(tokens, nameIndex + 1);
+    const declared = refactorer.splitArguments(tokens, openIndex, true).map(parameter => parameter.tokens);
+    replaceList(file, tokens, openIndex, declared, () => plan.map(entry => entry.from !== -1
+      ? file.text.slice(declared[entry.from][0].start, declared[entry.from][declared[entry.from].length - 1].end)
+      : `${entry.type} ${entry.name}${entry.defaultValue !== null ? ` = ${entry.defaultValue}` : ''}`));
+
+    // Doc comments lose the tags of removed parameters
+    const ownNames = (member.parameters || []).map(parameter => parameter.name);
+    for (const index of removed) {
+      const tag = new RegExp(`^[ \\t]*///[ \\t]*<param name="${ownNames[index]}">.*</param>[ \\t]*\\r?\\n`, 'm').exec(member.content.slice(0, tokens[nameIndex].start - base));
+      if (tag) {
+        file.sites.push({ start: base + tag.index, end: base + tag.index + tag[0].length, render: () => '' });
+      }
+    }
   }
 
-  // Build dependency tree
-  const startClassName = target_class_name || refactorer.availableClasses[0]?.name || 'this';
-  const dependencyTree = refactorer.buildDependencyTree(startClassName, start_method_name, max_depth);
-
-  // Format the tree for display
-  const formatTree = (node, depth = 0, prefix = '') => {
-    const indent = '  '.repeat(depth);
-    const status = node.circular ? ' (circular)' : node.found ? '' : ' (not found)';
-    const lines = node.lineCount > 0 ? ` [${node.lineCount} lines]` : '';
-    
-    let result = `${indent}${prefix}${node.methodName}${lines}${status}\n`;
-    
-    if (node.dependencies && node.dependencies.length > 0 && !node.circular) {
-      node.dependencies.forEach((dep, index) => {
-        const isLast = index === node.dependencies.length - 1;
-        const depPrefix = isLast ? '└── ' : '├── ';
-        result += formatTree(dep, depth + 1, depPrefix);
-      });
-    }
-    
-    return result;
+  // Calls: inside the class and derived types, and through receivers typed as the class, a derived
+  // type or a changed interface anywhere else
+  const calls = new Map();
+  const accepts = (member, argumentList) => {
+    const candidates = member.parameters || [];
+    const hasParams = candidates.some(parameter => hasModifier(parameter, 'params'));
+    const required = candidates.filter(parameter => parameter.defaultValue === null && !hasModifier(parameter, 'params')).length;
+    return argumentList.length >= required && (argumentList.length <= candidates.length || hasParams) &&
+      argumentList.every(argument => !argument.name || candidates.some(parameter => parameter.name === argument.name));
   };
+  const addCall = (file, nameIndex, ownNames) => {
+    const key = `${file.filePath}:${file.tokens[nameIndex].start}`;
+    if (calls.has(key)) {
+      return;
+    }
+    const openIndex = refactorer.skipTypeArgumentList(file.tokens, nameIndex + 1);
+    if (openIndex === -1 || file.tokens[openIndex].value !== '(') {
+      calls.set(key, null);
+      addUncertain(file, file.tokens[nameIndex].start, `uses ${name} as a method group`);
+      return;
+    }
+    const argumentList = refactorer.splitArguments(file.tokens, openIndex);
+    const targetAccepts = accepts({ parameters: oldParameters.map((parameter, index) => ({ ...parameter, name: ownNames[index] })) }, argumentList);
+    const ambiguous = otherOverloads.some(member => accepts(member, argumentList));
+    calls.set(key, targetAccepts && !ambiguous ? { file, nameIndex } : null);
+    if (targetAccepts && ambiguous) {
+      addUncertain(file, file.tokens[nameIndex].start, `may call another overload of ${name}`);
+      return;
+    }
+    if (!targetAccepts) {
+      return;
+    }
 
-  const treeDisplay = formatTree(dependencyTree.root);
-  
-  // Count total methods and found methods
-  const countMethods = (node, counts = { total: 0, found: 0, circular: 0 }) => {
-    counts.total++;
-    if (node.found) counts.found++;
-    if (node.circular) counts.circular++;
-    
-    if (node.dependencies) {
-      node.dependencies.forEach(dep => countMethods(dep, counts));
+    // Arguments for each old parameter; a params array collects the remaining positional ones
+    const values = oldParameters.map(() => null);
+    let position = 0;
+    for (const argument of argumentList) {
+      const index = argument.name ? ownNames.indexOf(argument.name) : Math.min(position, oldParameters.length - 1);
+      if (!argument.name && !hasModifier(oldParameters[index], 'params')) {
+        position++;
+      }
+      values[index] = [...(values[index] || []), argument];
+    }
+
+    // Once an argument is left out or passed by name, the following ones are passed by name
+    const layout = [];
+    let named = false;
+    for (const entry of plan) {
+      const value = entry.from !== -1 ? values[entry.from] : null;
+      const parameterName = entry.from !== -1 ? ownNames[entry.from] : entry.name;
+      if (value || (entry.from === -1 && entry.argument !== null)) {
+        named = named || (value || []).some(argument => argument.name);
+        layout.push({ value, argument: entry.argument, label: named ? `${parameterName}: ` : '' });
+        if (named && value && value.length > 1) {
+          calls.set(key, null);
+          addUncertain(file, file.tokens[nameIndex].start, 'its params arguments would have to follow named arguments');
+          return;
+        }
+      } else {
+        named = true;
+      }
     }
-    
-    return counts;
+    const renderValue = argument => renderRange(file, argument.valueTokens[0].start, argument.valueTokens[argument.valueTokens.length - 1].end);
+    replaceList(file, file.tokens, openIndex, argumentList.map(argument => argument.tokens), () =>
+      layout.map(({ value, argument, label }) => `${label}${value ? value.map(renderValue).join(', ') : argument}`));
   };
-  
-  const stats = countMethods(dependencyTree.root);
 
-  const result = [];
-  result.push(`Dependency Tree for ${start_method_name} in ${source_file}${target_class_name ? ` (class: ${target_class_name})` : ''}:`);
-  result.push('='.repeat(80));
-  result.push('');
-  result.push(treeDisplay);
-  result.push(`Statistics:`);
-  result.push(`- Total methods in tree: ${stats.total}`);
-  result.push(`- Methods found in source: ${stats.found}`);
-  result.push(`- Circular references: ${stats.circular}`);
-  result.push(`- Max depth analyzed: ${max_depth}`);
-  
-  return {
-    content: [
-      {
-        type: 'text',
-        text: result.join('\n'),
-      },
-    ],
+  const oldNames = oldParameters.map(parameter => parameter.name);
+  const callsWithin = (file, typeRefactorer, qualifiers) => {
+    for (const member of typeRefactorer.members) {
+      typeRefactorer.findMemberReferences(member, new Set([name]))
+        .filter(reference => qualifiers.includes(reference.qualifier))
+        .forEach(reference => addCall(file, file.indexAt.get(member.span.start + reference.start), oldNames));
+    }
   };
-}
-
-async function getMethodBody(source_file, target_class_name = null, method_name) {
-  // Create refactorer instance
-  const refactorer = new CSharpRefactorer();
+  parts.forEach(part => callsWithin(part.file, part.refactorer, [null, 'this', part.typeInfo.name]));
+  for (const file of files) {
+    file.derived.filter(derived => !hiding.has(derived))
+      .forEach(derived => callsWithin(file, derived.refactorer, [null, 'this', 'base', derived.typeInfo.name]));
+  }
+  const receiverTypes = [
+    { typeName: target.name, ownNames: oldNames },
+    ...files.flatMap(file => file.derived.filter(derived => !hiding.has(derived)).map(derived => ({ typeName: derived.typeInfo.name, ownNames: oldNames }))),
+    ...declarations.filter(({ owner }) => interfaces.includes(owner))
+      .map(({ member, owner }) => ({ typeName: owner, ownNames: member.parameters.map(parameter => parameter.name) })),
+  ];
+  for (const file of files) {
+    const unknown = new Map();
+    for (const { typeName, ownNames } of receiverTypes) {
+      for (const access of findMemberAccesses(file.text, typeName, name).filter(candidate => candidate.kind === 'access')) {
+        if (access.certain) {
+          addCall(file, access.index, ownNames);
+        } else {
+          unknown.set(access.start, access);
+        }
+      }
+    }
+    [...unknown.values()].filter(access => !calls.has(`${file.filePath}:${access.start}`))
+      .forEach(access => addUncertain(file, access.start, access.reason));
+  }
 
-  // Parse source file with optional target class name
-  await refactorer.parseSourceFile(source_file, target_class_name);
+  // Render each file, replacing outer lists first: an argument may hold another call
+  function renderRange(file, start, end) {
+    let text = '';
+    let cursor = start;
+    for (const site of file.sites) {
+      if (site.start >= cursor && site.end <= end) {
+        text += file.text.slice(cursor, site.start) + site.render();
+        cursor = site.end;
+      }
+    }
+    return text + file.text.slice(cursor, end);
+  }
+  const changedFiles = files.filter(file => file.sites.length > 0).map(file => {
+    file.sites.sort((a, b) => a.start - b.start || b.end - a.end);
+    return { filePath: file.filePath, content: renderRange(file, 0, file.text.length), original: file.text };
+  }).filter(file => file.content !== file.original);
+  const callCount = [...calls.values()].filter(Boolean).length;
 
-  // Get method body
-  const methodInfo = refactorer.getMethodBody(target_class_name || 'this', method_name);
+  const results = [];
+  results.push(`${target.qualifiedName}.${describe} changed to ${newDescribe}: ${declarations.length} declarations and ${callCount} calls updated in ${changedFiles.length} files (${files.length} files searched)`);
+  results.push('');
+  results.push('Changed files:');
+  changedFiles.forEach(file => results.push(`  - ${file.filePath}`));
+  if (uncertain.length > 0) {
+    results.push('');
+    results.push('Not updated:');
+    uncertain.forEach(match => results.push(`  - ${match}`));
+  }
+  results.push('');
+  results.push('Changes:');
+  results.push('```diff');
+  results.push(changedFiles.map(file => createUnifiedDiff(file.original, file.content,
+    `a/${displayPath(file.filePath)}`, `b/${displayPath(file.filePath)}`)).join('\n'));
+  results.push('```');
 
-  if (!methodInfo) {
+  if (dry_run) {
     return {
       content: [
         {
           type: 'text',
-          text: `Method '${method_name}' not found in ${source_file}${target_class_name ? ` for class "${target_class_name}"` : ''}.\n\nAvailable methods:\n${Object.keys(refactorer.methodsByName).join(', ')}`,
+          text: `Dry run: no files were written.\n${results.join('\n')}`,
         },
       ],
     };
   }
 
-  const result = [];
-  result.push(`Method Body for '${method_name}' in ${source_file}${target_class_name ? ` (class: ${target_class_name})` : ''}:`);
-  result.push('='.repeat(80));
-  result.push('');
-
-  methodInfo.methods.forEach((method, index) => {
-    if (methodInfo.methods.length > 1) {
-      result.push(`Overload ${index + 1}:`);
-      result.push('-'.repeat(40));
-    }
-    result.push(`Signature: ${method.signature}`);
-    result.push(`Line Count: ${method.lineCount}`);
-    result.push('');
-    result.push('Method Content:');
-    result.push('```csharp');
-    result.push(method.content);
-    result.push('```');
-    result.push('');
-  });
+  // Rewrite all changed files as one transaction
+  const { id: transactionId } = await commitFiles(
+    changedFiles.map(({ filePath, content }) => ({ filePath, content })),
+    { destinationFolder: root, sourceFile: null }
+  );
+  results.push('');
+  results.push(`Signature change journaled as '${transactionId}'. Use rollback_split with destination_folder ${root} to undo it.`);
 
   return {
     content: [
       {
         type: 'text',
-        text: result.join('\n'),
+        text: `Successfully changed signature:\n${results.join('\n')}`,
       },
     ],
   };
 }
 
-async function findMethodCallers(source_file, target_class_name = null, target_method_name) {
-  // Create refactorer instance
-  const refactorer = new CSharpRefactorer();
+// Member text given to an edit tool, indented like the members it joins. Lines inside
+// multi-line strings other than raw strings keep their whitespace.
+function indentMemberText(refactorer, text, indent) {
+  const lines = text.replace(/\r\n/g, '\n').replace(/^\s*\n|\s+$/g, '').split('\n');
+  const protectedRanges = tokenize(lines.join('\n'))
+    .filter(token => token.type === TokenType.STRING && !/^\$*"{3}/.test(token.value) && token.value.includes('\n'))
+    .map(token => [token.start, token.end]);
+  let offset = 0;
+  const shifted = lines.map(line => {
+    const lineStart = offset;
+    offset += line.length + 1;
+    return { line, kept: line.trim() === '' || protectedRanges.some(([start, end]) => lineStart > start && lineStart < end) };
+  });
+  const minIndent = Math.min(...shifted.filter(({ kept }) => !kept).map(({ line }) => line.match(/^[ \t]*/)[0].length));
+  const lineBreak = refactorer.sourceCode.includes('\r\n') ? '\r\n' : '\n';
+  return shifted.map(({ line, kept }) => kept ? line : indent + line.slice(minIndent)).join(lineBreak);
+}
 
-  // Parse source file with optional target class name
-  await refactorer.parseSourceFile(source_file, target_class_name);
+// The text an edit tool adds must be balanced on its own
+function checkNewText(refactorer, text, what) {
+  const problems = refactorer.findBracketProblems(text);
+  if (problems.length > 0) {
+    throw new Error(`The new ${what} is not well formed, nothing was written:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  }
+}
 
-  // Find callers
-  const callers = refactorer.findMethodCallers(target_method_name);
+// Check an edited file, show its diff and write it in a journaled transaction
+async function finishMemberEdit({ refactorer, source_file, content, results, expectedMembers, action, dry_run }) {
+  const { problems, members } = refactorer.checkEditedSource(content);
+  if (problems.length === 0 && members.length !== expectedMembers) {
+    problems.push(`${refactorer.targetClass.qualifiedName} would have ${members.length} members instead of ${expectedMembers}; the text must hold exactly one member`);
+  }
+  if (problems.length > 0) {
+    throw new Error(`The edit would break ${path.basename(source_file)}, nothing was written:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  }
 
-  if (callers.length === 0) {
+  results.push('');
+  results.push('Changes:');
+  results.push('```diff');
+  results.push(createUnifiedDiff(refactorer.sourceCode, content, `a/${path.basename(source_file)}`, `b/${path.basename(source_file)}`));
+  results.push('```');
+
+  if (dry_run) {
     return {
       content: [
         {
           type: 'text',
-          text: `No methods found that call '${target_method_name}' in ${source_file}${target_class_name ? ` for class "${target_class_name}"` : ''}.`,
+          text: `Dry run: no files were written.\n${results.join('\n')}`,
         },
       ],
     };
   }
 
-  const result = [];
-  result.push(`Methods calling '${target_method_name}' in ${source_file}${target_class_name ? ` (class: ${target_class_name})` : ''}:`);
-  result.push('='.repeat(80));
-  result.push('');
-
-  callers.forEach((caller, index) => {
-    result.push(`${index + 1}. ${caller.methodName} (${caller.lineCount} lines)`);
-    result.push(`   Signature: ${caller.signature}`);
-    result.push(`   Calls to ${target_method_name}: ${caller.calls.length}`);
-    caller.calls.forEach(call => {
-      result.push(`     - ${call.fullCall}`);
-    });
-    result.push('');
-  });
-
-  result.push(`Total methods calling '${target_method_name}': ${callers.length}`);
+  const destinationFolder = path.dirname(path.resolve(source_file));
+  const { id: transactionId } = await commitFiles([{ filePath: path.resolve(source_file), content }], { destinationFolder, sourceFile: null });
+  results.push('');
+  results.push(`Edit journaled as '${transactionId}'. Use rollback_split with destination_folder ${destinationFolder} to undo it.`);
 
   return {
     content: [
       {
         type: 'text',
-        text: result.join('\n'),
+        text: `Successfully ${action}:\n${results.join('\n')}`,
       },
     ],
   };
 }
 
-async function getMethodStatistics(source_file, target_class_name = null, method_name) {
-  // Create refactorer instance
+// Text added after the last member of the target class in this file, before its closing brace
+function appendToClassBody(refactorer, text) {
+  const target = refactorer.targetClass;
+  const source = refactorer.sourceCode;
+  const lineBreak = source.includes('\r\n') ? '\r\n' : '\n';
+  const classIndent = source.slice(source.lastIndexOf('\n', target.startIndex - 1) + 1).match(/^[ \t]*/)[0];
+  const classTokens = codeTokens(tokenize(target.content));
+  const close = classTokens[classTokens.length - 1];
+  if (!close || close.value !== '}') {
+    throw new Error(`${target.qualifiedName} has no body to insert into`);
+  }
+  const closeAt = target.startIndex + close.start;
+  const lineStart = source.lastIndexOf('\n', closeAt - 1) + 1;
+  const separator = refactorer.members.length > 0 ? lineBreak : '';
+  if (source.slice(lineStart, closeAt).trim() === '') {
+    return {
+      insertAt: lineStart + separator.length,
+      content: source.slice(0, lineStart) + separator + text + lineBreak + source.slice(lineStart),
+    };
+  }
+  if (refactorer.members.length === 0) {
+    // An empty body on one line, as in `class Empty { }`, opens up
+    const open = classTokens[classTokens.length - 2];
+    const kept = source.slice(0, target.startIndex + open.start).trimEnd();
+    return {
+      insertAt: kept.length + 2 * lineBreak.length + classIndent.length + 1,
+      content: `${kept}${lineBreak}${classIndent}{${lineBreak}${text}${lineBreak}${classIndent}}${source.slice(closeAt + 1)}`,
+    };
+  }
+  const kept = source.slice(0, closeAt).trimEnd();
+  return {
+    insertAt: kept.length + lineBreak.length + separator.length,
+    content: kept + lineBreak + separator + text + lineBreak + classIndent + source.slice(closeAt),
+  };
+}
+
+// The one member a selector names; several overloads must be told apart by signature
+function selectOneMember(refactorer, selectorText, argumentName) {
+  const { members, error } = refactorer.resolveMemberSelector(selectorText || '');
+  if (error) {
+    throw new Error(`${argumentName}: ${error}`);
+  }
+  if (members.length > 1) {
+    throw new Error(`${argumentName}: ${selectorText} has ${members.length} overloads: ${members.map(member => refactorer.describeOverload(member)).join(', ')}. Select one by signature, e.g. "${refactorer.describeOverload(members[0])}"`);
+  }
+  return members[0];
+}
+
+async function replaceMethodBody({
+  source_file,
+  target_class_name = null,
+  member_name,
+  body = null,
+  declaration = null,
+  dry_run = false,
+}) {
+  if ((body === null) === (declaration === null)) {
+    throw new Error('Give either body, to replace the body, or declaration, to replace the whole member');
+  }
+
+  const refactorer = new CSharpRefactorer();
+  await refactorer.parseSourceFile(source_file, target_class_name);
+  checkNewText(refactorer, declaration ?? body, declaration !== null ? 'declaration' : 'body');
+  const target = refactorer.targetClass;
+  const source = refactorer.sourceCode;
+  const member = selectOneMember(refactorer, member_name, 'member_name');
+  const describe = refactorer.describeOverload(member);
+  const base = member.span.start;
+  const allTokens = tokenize(member.content);
+  const indent = member.content.match(/^[ \t]*/)[0];
+
+  let start;
+  let end;
+  let text;
+  if (declaration !== null) {
+    // Leading comments stay unless the new declaration brings its own
+    const ownComments = /^\s*(\/\/|\/\*)/.test(declaration);
+    const first = allTokens.find(token => !isTrivia(token));
+    start = ownComments ? base : base + member.content.lastIndexOf('\n', first.start - 1) + 1;
+    end = member.span.end;
+    text = indentMemberText(refactorer, declaration, indent);
+  } else {
+    const bodyRange = ['method', 'constructor', 'finalizer', 'operator'].includes(member.kind) && member.bodyKind !== 'none'
+      ? refactorer.findBodyTokenRange(allTokens)
+      : null;
+    if (!bodyRange) {
+      throw new Error(`${describe} is a ${member.bodyKind === 'none' ? `${member.kind} without a body` : member.kind}; replace its declaration instead`);
+    }
+
+    // The new body: an expression body, a block, or statements that become a block
+    const trimmed = body.trim();
+    const bodyTokens = codeTokens(tokenize(trimmed));
+    let kind = 'statements';
+    if (bodyTokens[0]?.value === '=>') {
+      kind = 'expression';
+    } else if (bodyTokens[0]?.value === '{' && findMatchingToken(bodyTokens, 0) === bodyTokens.length - 1) {
+      kind = 'block';
+    }
+    const codeIndexes = allTokens.map((token, index) => index).filter(index => !isTrivia(allTokens[index]));
+    const opener = allTokens[bodyRange.start - 1];
+    const closer = bodyRange.kind === 'block' ? allTokens[bodyRange.end] : allTokens[codeIndexes.filter(index => index >= bodyRange.start).pop()];
+    const beforeOpener = allTokens[codeIndexes.filter(index => index < bodyRange.start - 1).pop()];
+    end = base + closer.end;
+    if (kind === 'expression') {
+      start = base + beforeOpener.end;
+      text = ` ${trimmed.replace(/;?$/, ';')}`;
+    } else {
+      const statements = kind === 'block' ? trimmed.slice(bodyTokens[0].end, bodyTokens[bodyTokens.length - 1].start) : trimmed;
+      const inner = statements.trim() ? `\n${indentMemberText(refactorer, statements, `${indent}    `)}\n` : '\n';
+      const block = `{${inner}${indent}}`;
+      const keepsBrace = bodyRange.kind === 'block';
+      start = keepsBrace ? base + opener.start : base + beforeOpener.end;
+      text = keepsBrace ? block : `\n${indent}${block}`;
+    }
+  }
+
+  const content = source.slice(0, start) + text + source.slice(end);
+  const results = [];
+  results.push(`${declaration !== null ? 'Declaration' : 'Body'} of ${describe} replaced in ${target.qualifiedName}`);
+  return finishMemberEdit({
+    refactorer, source_file, content, results, expectedMembers: refactorer.members.length, action: 'replaced member text', dry_run,
+  });
+}
+
+async function insertMember({
+  source_file,
+  target_class_name = null,
+  member,
+  before = null,
+  after = null,
+  dry_run = false,
+}) {
+  if (!member || !member.trim()) {
+    throw new Error('member must hold the text of the member to insert');
+  }
+  if (before !== null && after !== null) {
+    throw new Error('Give before or after, not both');
+  }
+
   const refactorer = new CSharpRefactorer();
+  await refactorer.parseSourceFile(source_file, target_class_name);
+  checkNewText(refactorer, member, 'member');
+  const target = refactorer.targetClass;
+  const source = refactorer.sourceCode;
+  const lineBreak = source.includes('\r\n') ? '\r\n' : '\n';
+
+  // Before or after a member, else before the closing brace of the class in this file
+  const anchor = before !== null || after !== null ? selectOneMember(refactorer, before ?? after, before !== null ? 'before' : 'after') : null;
+  const neighbour = anchor || refactorer.members[refactorer.members.length - 1];
+  const classIndent = source.slice(source.lastIndexOf('\n', target.startIndex - 1) + 1).match(/^[ \t]*/)[0];
+  const indent = neighbour ? neighbour.content.match(/^[ \t]*/)[0] : `${classIndent}    `;
+  const text = indentMemberText(refactorer, member, indent);
+
+  let insertAt;
+  let content;
+  let where;
+  if (before !== null) {
+    insertAt = anchor.span.start;
+    content = source.slice(0, insertAt) + text + lineBreak + lineBreak + source.slice(insertAt);
+    where = `before ${refactorer.describeOverload(anchor)} in ${target.qualifiedName}`;
+  } else if (anchor) {
+    insertAt = anchor.span.end + 2 * lineBreak.length;
+    content = source.slice(0, anchor.span.end) + lineBreak + lineBreak + text + source.slice(anchor.span.end);
+    where = `after ${refactorer.describeOverload(anchor)} in ${target.qualifiedName}`;
+  } else {
+    ({ content, insertAt } = appendToClassBody(refactorer, text));
+    where = `at the end of ${target.qualifiedName} in ${path.basename(source_file)}`;
+  }
 
-  // Parse source file with optional target class name
+  // The new member must not repeat the identity of an existing one
+  const added = refactorer.checkEditedSource(content).members.find(candidate => candidate.span.start === insertAt);
+  const existing = added && refactorer.members.find(candidate => refactorer.getMemberIdentity(candidate) === refactorer.getMemberIdentity(added));
+  if (existing && !(existing.modifiers.includes('partial') && added.modifiers.includes('partial'))) {
+    throw new Error(`${target.name} already has ${refactorer.describeOverload(existing)} (line ${existing.span.startLine})`);
+  }
+
+  const results = [];
+  results.push(`${added ? refactorer.describeOverload(added) : 'Member'} inserted ${where}`);
+  return finishMemberEdit({
+    refactorer, source_file, content, results, expectedMembers: refactorer.members.length + 1, action: 'inserted member', dry_run,
+  });
+}
+
+async function deleteMember({
+  source_file,
+  target_class_name = null,
+  member_name,
+  dry_run = false,
+}) {
+  const refactorer = new CSharpRefactorer();
   await refactorer.parseSourceFile(source_file, target_class_name);
+  const target = refactorer.targetClass;
+  const source = refactorer.sourceCode;
+  const member = selectOneMember(refactorer, member_name, 'member_name');
+  const describe = refactorer.describeOverload(member);
 
-  // Get method statistics
-  const stats = refactorer.getMethodStatistics(method_name);
+  // Uses left in the class are reported; the compiler will point at them too
+  const references = refactorer.members.filter(candidate => candidate !== member).flatMap(candidate =>
+    refactorer.findMemberReferences(candidate, new Set(member.declarators))
+      .filter(reference => reference.qualifier !== 'base')
+      .map(reference => `line ${source.slice(0, candidate.span.start + reference.start).split('\n').length} in ${refactorer.describeOverload(candidate)}`));
 
-  if (!stats) {
+  const content = refactorer.removeEmptyDirectiveBlocks(refactorer.removeMembers([member.span]));
+
+  const results = [];
+  results.push(`${describe} deleted from ${target.qualifiedName}`);
+  if (references.length > 0) {
+    results.push('');
+    results.push(`Uses of ${member.declarators.join(', ')} left in ${target.name}${(refactorer.methodsByName[member.name] || []).length > 1 ? ' (they may call another overload)' : ''}:`);
+    references.forEach(reference => results.push(`  - ${reference}`));
+  }
+  return finishMemberEdit({
+    refactorer, source_file, content, results, expectedMembers: refactorer.members.length - 1, action: 'deleted member', dry_run,
+  });
+}
+
+// Using directives added to a file join its list at the same level, which is kept sorted when
+// it already was; a file without such a list gets a new one at anchor, the start of a line
+function addUsingDirectives(content, list, added, anchor, lineBreak) {
+  if (added.length === 0) {
+    return content;
+  }
+  if (list.length === 0) {
+    const indent = content.slice(anchor).match(/^[ \t]*/)[0];
+    return content.slice(0, anchor) + added.map(directive => `${indent}${directive.text}${lineBreak}`).join('') + lineBreak + content.slice(anchor);
+  }
+
+  const from = list[0].start;
+  const to = list[list.length - 1].end;
+  const indent = content.slice(content.lastIndexOf('\n', from - 1) + 1, from);
+  const sorted = sortUsingDirectives(list).every((directive, index) => directive === list[index]);
+  const compact = list.every((directive, index) => index === 0 || /^[ \t]*\r?\n[ \t]*$/.test(content.slice(list[index - 1].end, directive.start)));
+  if (!sorted || !compact) {
+    return content.slice(0, to) + added.map(directive => `${lineBreak}${indent}${directive.text}`).join('') + content.slice(to);
+  }
+  const textOf = directive => list.includes(directive) ? content.slice(directive.start, directive.end) : directive.text;
+  return content.slice(0, from) + sortUsingDirectives([...list, ...added]).map(textOf).join(`${lineBreak}${indent}`) + content.slice(to);
+}
+
+// Using directives removed with their lines; a list left empty takes the blank line after it along
+function removeUsingDirectives(content, list, removed) {
+  let result = content;
+  const emptied = removed.length > 0 && removed.length === list.length;
+  [...removed].sort((a, b) => b.start - a.start).forEach((directive, index) => {
+    let start = result.lastIndexOf('\n', directive.start - 1) + 1;
+    let end = directive.end;
+    if (result.slice(start, directive.start).trim() !== '') {
+      start = directive.start;
+    }
+    const lineBreak = result.slice(end).match(/^[ \t]*\r?\n/);
+    if (lineBreak) {
+      end += lineBreak[0].length;
+      const blankLine = result.slice(end).match(/^[ \t]*\r?\n/);
+      if (emptied && index === 0 && blankLine) {
+        end += blankLine[0].length;
+      }
+    }
+    result = result.slice(0, start) + result.slice(end);
+  });
+  return result;
+}
+
+// Move members of the target class out of its partial file into another one, in memory.
+// The members go after the last member of destination, the parsed destination file, in their
+// #if and #region sections and with the usings it lacks; without a destination they make up a
+// new file rendered from newFile, a partial class config that may carry a namespaceStyle. The
+// source loses the members, the sections they leave empty and the usings only they needed;
+// usings stay when the file holds other code they may be needed for.
+function relocateMembers(refactorer, selected, destination, newFile = null) {
+  const target = refactorer.targetClass;
+  const remaining = refactorer.members.filter(member => !selected.includes(member));
+  const needed = refactorer.getRequiredUsings(selected);
+  const directiveOf = (list, text) => list.find(directive => directive.text === text);
+  let destinationContent;
+  let addedUsings;
+  if (destination) {
+    const destinationType = destination.targetClass;
+    const blockDepth = typeInfo => typeInfo.namespaceDeclarations.filter(declaration => declaration.style === 'block').length;
+    const levels = blockDepth(destinationType) - blockDepth(target);
+    const lineBreak = destination.sourceCode.includes('\r\n') ? '\r\n' : '\n';
+    const text = refactorer.wrapInDirectives(selected.map(member => ({
+      content: refactorer.reindent(member.content, levels),
+      frames: refactorer.getDirectiveContext(member.span.start)
+    })), levels).replace(/\r?\n/g, lineBreak);
+    destinationContent = appendToClassBody(destination, text).content;
+
+    // A file that keeps its usings inside the namespace gets them there. Usings come before
+    // the type, so their offsets still hold; the later list is edited first.
+    const present = new Set([...destination.usingDirectives, ...destination.namespaceUsingDirectives].map(directive => directive.text));
+    let addedFile = needed.file.filter(text => !present.has(text)).map(text => directiveOf(refactorer.usingDirectives, text));
+    let addedNamespace = needed.namespace.filter(text => !present.has(text)).map(text => directiveOf(refactorer.namespaceUsingDirectives, text));
+    if (destination.usingDirectives.length === 0 && destination.namespaceUsingDirectives.length > 0) {
+      addedNamespace = [...addedFile, ...addedNamespace];
+      addedFile = [];
+    }
+    const tokens = significantTokens(tokenize(destination.sourceCode));
+    const lineStart = offset => destination.sourceCode.lastIndexOf('\n', offset - 1) + 1;
+    if (addedNamespace.length > 0) {
+      const innermost = destinationType.namespaceDeclarations[destinationType.namespaceDeclarations.length - 1];
+      const bodyIndex = tokens.findIndex(token => token.start >= innermost.nameEnd && ['{', ';'].includes(token.value));
+      destinationContent = addUsingDirectives(destinationContent, destination.namespaceUsingDirectives, addedNamespace, lineStart(tokens[bodyIndex + 1].start), lineBreak);
+    }
+    destinationContent = addUsingDirectives(destinationContent, destination.usingDirectives, addedFile, lineStart(tokens[0].start), lineBreak);
+    addedUsings = [...addedFile, ...addedNamespace].map(directive => directive.text);
+  } else {
+    destinationContent = refactorer.renderPartialClass(newFile, selected.map(member => ({ entry: member.name, member })), null, newFile.namespaceStyle || null);
+    addedUsings = [...needed.file, ...needed.namespace];
+  }
+
+  const leading = refactorer.getTypeLeadingText(target);
+  const declarations = [...refactorer.getContainingTypes(target).map(typeInfo => typeInfo.declaration), ...leading.attributes];
+  const usedBefore = refactorer.getRequiredUsings(refactorer.members, declarations);
+  const usedAfter = refactorer.getRequiredUsings(remaining, declarations);
+  const prunable = refactorer.holdsOnlyType(target, leading.start);
+  let sourceContent = refactorer.removeEmptyDirectiveBlocks(refactorer.removeMembers(selected.map(member => member.span)));
+  const unused = (list, level) => prunable ? list.filter(directive => usedBefore[level].includes(directive.text) && !usedAfter[level].includes(directive.text)) : [];
+  const removedNamespace = unused(refactorer.namespaceUsingDirectives, 'namespace');
+  const removedFile = unused(refactorer.usingDirectives, 'file');
+  sourceContent = removeUsingDirectives(sourceContent, refactorer.namespaceUsingDirectives, removedNamespace);
+  sourceContent = removeUsingDirectives(sourceContent, refactorer.usingDirectives, removedFile);
+
+  return { sourceContent, destinationContent, addedUsings, removedUsings: [...removedFile, ...removedNamespace].map(directive => directive.text) };
+}
+
+async function moveMembers({
+  source_file,
+  target_class_name = null,
+  members,
+  destination_file,
+  max_lines_per_file = null,
+  config_file = null,
+  dry_run = false,
+}) {
+  if (!Array.isArray(members) || members.length === 0 || members.some(entry => typeof entry !== 'string')) {
+    throw new Error('members must list the names or signatures of the members to move');
+  }
+  if (!destination_file) {
+    throw new Error('Missing required argument: destination_file');
+  }
+  if (max_lines_per_file !== null && (!Number.isInteger(max_lines_per_file) || max_lines_per_file <= 0)) {
+    throw new Error(`Invalid max_lines_per_file "${max_lines_per_file}". Use a positive whole number.`);
+  }
+
+  // A bare destination file name is taken to be next to the source file
+  const sourcePath = path.resolve(source_file);
+  const destinationPath = path.resolve(path.dirname(sourcePath), destination_file);
+  const sourceName = path.basename(sourcePath);
+  const destinationName = path.basename(destinationPath);
+  if (destinationPath === sourcePath) {
+    throw new Error('destination_file is the source file; choose another partial file');
+  }
+
+  const refactorer = new CSharpRefactorer();
+  await refactorer.parseSourceFile(sourcePath, target_class_name);
+  const target = refactorer.targetClass;
+  const fullName = [target.namespace, target.qualifiedName].filter(Boolean).join('.');
+  if (!target.modifiers.includes('partial')) {
+    throw new Error(`${target.qualifiedName} is not partial in ${sourceName}; split it with split_csharp_class first`);
+  }
+  if (refactorer.directiveError) {
+    throw new Error(`${sourceName} has unbalanced preprocessor directives: ${refactorer.directiveError}`);
+  }
+
+  // Bare names move every overload, like the entries of a split configuration
+  const problems = [];
+  const moved = new Set();
+  for (const entry of members) {
+    const { members: found, error } = refactorer.resolveMemberSelector(entry);
+    if (error) {
+      problems.push(error);
+    }
+    for (const member of found) {
+      const { error: directiveError } = refactorer.parseDirectiveBlocks(member.content);
+      if (directiveError) {
+        problems.push(`${refactorer.describeOverload(member)} cannot be moved: its text contains unbalanced preprocessor directives (${directiveError})`);
+      }
+      moved.add(member);
+    }
+  }
+  if (problems.length > 0) {
+    throw new Error(`Cannot move members of ${target.qualifiedName} out of ${sourceName}:\n${problems.map(problem => `  - ${problem}`).join('\n')}\n\nMembers in ${sourceName}: ${Object.keys(refactorer.methodsByName).join(', ')}`);
+  }
+  const selected = refactorer.members.filter(member => moved.has(member));
+  const remaining = refactorer.members.filter(member => !moved.has(member));
+
+  // The limit of the destination in the split configuration, unless given
+  let maxLines = max_lines_per_file;
+  if (maxLines === null && config_file) {
+    const config = await mergeConfigurations(config_file.split(',').map(file => file.trim()));
+    const configured = config.partialClasses.find(partialClass =>
+      [destinationName, destinationName.replace(/\.\d+(\.\w+)$/, '$1')].includes(partialClass.fileName));
+    maxLines = configured ? configured.maxLinesPerFile : config.maxLinesPerFile;
+  }
+  maxLines = maxLines ?? DEFAULT_MAX_LINES_PER_FILE;
+
+  // An existing destination must be a partial declaration of the same type
+  const destinationExists = await fs.access(destinationPath).then(() => true, () => false);
+  let destination = null;
+  if (destinationExists) {
+    destination = new CSharpRefactorer();
+    try {
+      await destination.parseSourceFile(destinationPath, target.qualifiedName);
+    } catch (error) {
+      throw new Error(`${destinationName} does not declare ${target.qualifiedName}: ${error.message}`);
+    }
+    const destinationType = destination.targetClass;
+    const destinationFullName = [destinationType.namespace, destinationType.qualifiedName].filter(Boolean).join('.');
+    if (destinationFullName !== fullName) {
+      throw new Error(`${destinationName} declares ${destinationFullName}, not ${fullName}`);
+    }
+    if (!destinationType.modifiers.includes('partial')) {
+      throw new Error(`${target.qualifiedName} is not partial in ${destinationName}`);
+    }
+  }
+  const source = refactorer.sourceCode;
+  const { sourceContent, destinationContent, addedUsings, removedUsings } =
+    relocateMembers(refactorer, selected, destination, destination ? null : { fileName: destinationName });
+
+  // Both files must still parse, with the members counted where they went
+  const checkFile = (owner, content, expectedMembers, fileName) => {
+    const { problems: found, members: parsed } = owner.checkEditedSource(content);
+    if (found.length === 0 && parsed.length !== expectedMembers) {
+      found.push(`${target.qualifiedName} would have ${parsed.length} members instead of ${expectedMembers}`);
+    }
+    return found.map(problem => `${fileName}: ${problem}`);
+  };
+  const broken = [
+    ...checkFile(refactorer, sourceContent, remaining.length, sourceName),
+    ...checkFile(destination || refactorer, destinationContent, (destination ? destination.members.length : 0) + selected.length, destinationName),
+  ];
+  if (broken.length > 0) {
+    throw new Error(`The move would break the partial files, nothing was written:\n${broken.map(problem => `  - ${problem}`).join('\n')}`);
+  }
+
+  const lineCount = destinationContent.split('\n').length;
+  if (lineCount > maxLines) {
+    const sizes = selected.map(member => `  - ${refactorer.describeOverload(member)}: ${member.lineCount} lines`).join('\n');
+    throw new Error(`${destinationName} would have ${lineCount} lines, over its ${maxLines}-line limit. Nothing was written.\n\nMembers to move:\n${sizes}\n\nMove fewer members, choose another destination_file, or raise the limit.`);
+  }
+
+  const results = [];
+  results.push(`${selected.length} members of ${target.qualifiedName} moved from ${sourceName} to ${destinationExists ? '' : 'new file '}${destinationName} (${lineCount} lines, limit ${maxLines})`);
+  results.push('');
+  results.push('Moved:');
+  selected.forEach(member => results.push(`  - ${refactorer.describeOverload(member)}`));
+  if (addedUsings.length > 0) {
+    results.push('');
+    results.push(`Using directives added to ${destinationName}:`);
+    addedUsings.forEach(text => results.push(`  - ${text}`));
+  }
+  if (removedUsings.length > 0) {
+    results.push('');
+    results.push(`Using directives removed from ${sourceName}:`);
+    removedUsings.forEach(text => results.push(`  - ${text}`));
+  }
+  if (remaining.length === 0) {
+    results.push('');
+    results.push(`No members of ${target.name} are left in ${sourceName}; delete it if it holds nothing else.`);
+  }
+  results.push('');
+  results.push('Changes:');
+  results.push('```diff');
+  results.push(createUnifiedDiff(source, sourceContent, `a/${sourceName}`, `b/${sourceName}`));
+  if (destination) {
+    results.push(createUnifiedDiff(destination.sourceCode, destinationContent, `a/${destinationName}`, `b/${destinationName}`));
+  }
+  results.push('```');
+  if (!destination) {
+    results.push('');
+    results.push(`New file (${destinationName}):`);
+    results.push('```csharp');
+    results.push(destinationContent);
+    results.push('```');
+  }
+
+  if (dry_run) {
     return {
       content: [
         {
           type: 'text',
-          text: `Method '${method_name}' not found in ${source_file}${target_class_name ? ` for class "${target_class_name}"` : ''}.\n\nAvailable methods:\n${Object.keys(refactorer.methodsByName).join(', ')}`,
+          text: `Dry run: no files were written.\n${results.join('\n')}`,
         },
       ],
     };
   }
 
-  const result = [];
-  result.push(`Statistics for method '${method_name}' in ${source_file}${target_class_name ? ` (class: ${target_class_name})` : ''}:`);
-  result.push('='.repeat(80));
-  result.push('');
-  
-  result.push(`Method Name: ${stats.methodName}`);
-  result.push(`Overload Count: ${stats.overloadCount}`);
-  result.push(`Total Lines: ${stats.totalLines}`);
-  result.push(`Average Lines per Overload: ${stats.averageLines}`);
-  result.push('');
-  
-  result.push(`Dependencies (${stats.dependencies.length} unique methods):`);
-  stats.dependencies.forEach((dep, index) => {
-    result.push(`  ${index + 1}. ${dep}`);
-  });
-  result.push('');
-  
-  result.push(`All Method Calls (${stats.methodCalls.length} total):`);
-  const callCounts = {};
-  stats.methodCalls.forEach(call => {
-    const key = `${call.className}.${call.methodName}`;
-    callCounts[key] = (callCounts[key] || 0) + 1;
-  });
-  
-  Object.entries(callCounts)
-    .sort(([,a], [,b]) => b - a)
-    .forEach(([method, count], index) => {
-      result.push(`  ${index + 1}. ${method} (${count} calls)`);
-    });
+  const destinationFolder = path.dirname(sourcePath);
+  const { id: transactionId } = await commitFiles([
+    { filePath: sourcePath, content: sourceContent },
+    { filePath: destinationPath, content: destinationContent },
+  ], { destinationFolder, sourceFile: null });
+  results.push('');
+  results.push(`Move journaled as '${transactionId}'. Use rollback_split with destination_folder ${destinationFolder} to undo it.`);
 
   return {
     content: [
       {
         type: 'text',
-        text: result.join('\n'),
+        text: `Successfully moved members:\n${results.join('\n')}`,
       },
     ],
   };
@@ -0,0 +1,422 @@
+/**
+ * C# Usings
+ * Parses using directives and works out which of them a piece of code needs.
+ * There is no compilation to ask, so need is judged from the identifiers the code references:
+ * well-known framework namespaces are matched against the type and extension method names
+ * they provide, and any other namespace is kept whenever the code references a name that
+ * nothing else explains. Keeping a using too many is harmless; dropping a needed one is not.
+ */
+
+const { TokenType } = require('./csharp_lexer.js');
+
+// Type names provided by common framework namespaces. Attribute names are listed without
+// their Attribute suffix.
+const KNOWN_TYPES = {
+  'System': [
+    'Action', 'Activator', 'AggregateException', 'AppDomain', 'ApplicationException', 'ArgumentException',
+    'ArgumentNullException', 'ArgumentOutOfRangeException', 'ArithmeticException', 'Array', 'ArraySegment',
+    'Attribute', 'AttributeTargets', 'AttributeUsage', 'BitConverter', 'Boolean', 'Buffer', 'Byte',
+    'Char', 'CLSCompliant', 'Comparison', 'Console', 'ConsoleColor', 'ConsoleKey', 'ConsoleKeyInfo',
+    'Convert', 'Converter', 'DateOnly', 'DateTime', 'DateTimeKind', 'DateTimeOffset', 'DayOfWeek', 'DBNull',
+    'Decimal', 'Delegate', 'DivideByZeroException', 'Double', 'Enum', 'Environment', 'EventArgs',
+    'EventHandler', 'Exception', 'Flags', 'FormatException', 'FormattableString', 'Func', 'GC', 'Guid',
+    'Half', 'HashCode', 'IAsyncDisposable', 'ICloneable', 'IComparable', 'IConvertible', 'IDisposable',
+    'IEquatable', 'IFormatProvider', 'IFormattable', 'IndexOutOfRangeException', 'Index', 'Int16', 'Int32',
+    'Int64', 'Int128', 'IntPtr', 'InvalidCastException', 'InvalidOperationException', 'IObservable',
+    'IObserver', 'IProgress', 'IServiceProvider', 'Lazy', 'Math', 'MathF', 'Memory', 'MidpointRounding',
+    'MTAThread', 'MulticastDelegate', 'NonSerialized', 'NotImplementedException', 'NotSupportedException',
+    'Nullable', 'NullReferenceException', 'Object', 'ObjectDisposedException', 'Obsolete',
+    'OperationCanceledException', 'OutOfMemoryException', 'OverflowException', 'ParamArray',
+    'PlatformNotSupportedException', 'Predicate', 'Progress', 'Random', 'Range', 'ReadOnlyMemory',
+    'ReadOnlySpan', 'SByte', 'Serializable', 'Single', 'Span', 'STAThread', 'String', 'StringComparer',
+    'StringComparison', 'StringSplitOptions', 'ThreadStatic', 'TimeOnly', 'TimeoutException', 'TimeSpan',
+    'TimeZoneInfo', 'Tuple', 'Type', 'TypeCode', 'UInt16', 'UInt32', 'UInt64', 'UIntPtr',
+    'UnauthorizedAccessException', 'Uri', 'UriBuilder', 'UriKind', 'ValueTuple', 'Version', 'WeakReference',
+  ],
+  'System.Collections': [
+    'ArrayList', 'BitArray', 'CollectionBase', 'DictionaryEntry', 'Hashtable', 'ICollection', 'IComparer',
+    'IDictionary', 'IDictionaryEnumerator', 'IEnumerable', 'IEnumerator', 'IEqualityComparer', 'IList',
+    'IStructuralEquatable', 'SortedList', 'Queue', 'Stack',
+  ],
+  'System.Collections.Concurrent': [
+    'BlockingCollection', 'ConcurrentBag', 'ConcurrentDictionary', 'ConcurrentQueue', 'ConcurrentStack',
+    'IProducerConsumerCollection', 'Partitioner',
+  ],
+  'System.Collections.Generic': [
+    'Comparer', 'Dictionary', 'EqualityComparer', 'HashSet', 'IAsyncEnumerable', 'IAsyncEnumerator',
+    'ICollection', 'IComparer', 'IDictionary', 'IEnumerable', 'IEnumerator', 'IEqualityComparer', 'IList',
+    'IReadOnlyCollection', 'IReadOnlyDictionary', 'IReadOnlyList', 'IReadOnlySet', 'ISet',
+    'KeyNotFoundException', 'KeyValuePair', 'LinkedList', 'LinkedListNode', 'List', 'PriorityQueue', 'Queue',
+    'SortedDictionary', 'SortedList', 'SortedSet', 'Stack',
+  ],
+  'System.Collections.ObjectModel': ['Collection', 'KeyedCollection', 'ObservableCollection', 'ReadOnlyCollection', 'ReadOnlyDictionary', 'ReadOnlyObservableCollection'],
+  'System.ComponentModel': [
+    'BackgroundWorker', 'Browsable', 'CancelEventArgs', 'Category', 'Component', 'DefaultValue', 'Description',
+    'DisplayName', 'EditorBrowsable', 'EditorBrowsableState', 'INotifyPropertyChanged', 'INotifyPropertyChanging',
+    'PropertyChangedEventArgs', 'PropertyChangedEventHandler', 'TypeConverter', 'Win32Exception',
+  ],
+  'System.ComponentModel.DataAnnotations': [
+    'Compare', 'Display', 'EmailAddress', 'Key', 'MaxLength', 'MinLength', 'Phone', 'Range', 'RegularExpression',
+    'Required', 'StringLength', 'Url', 'ValidationAttribute', 'ValidationContext', 'ValidationException',
+    'ValidationResult', 'Validator',
+  ],
+  'System.Data': [
+    'CommandBehavior', 'CommandType', 'ConnectionState', 'DataColumn', 'DataRow', 'DataRowState', 'DataSet',
+    'DataTable', 'DataView', 'DbType', 'IDataReader', 'IDataRecord', 'IDbCommand', 'IDbConnection',
+    'IDbDataParameter', 'IDbTransaction', 'IsolationLevel', 'ParameterDirection', 'SqlDbType',
+  ],
+  'System.Diagnostics': [
+    'Activity', 'ActivitySource', 'Conditional', 'Debug', 'Debugger', 'DebuggerDisplay', 'DebuggerHidden',
+    'DebuggerStepThrough', 'EventLog', 'Process', 'ProcessStartInfo', 'StackFrame', 'StackTrace', 'Stopwatch',
+    'Trace', 'TraceSource',
+  ],
+  'System.Diagnostics.CodeAnalysis': ['AllowNull', 'DisallowNull', 'ExcludeFromCodeCoverage', 'MaybeNull', 'MaybeNullWhen', 'MemberNotNull', 'NotNull', 'NotNullWhen', 'SuppressMessage'],
+  'System.Globalization': [
+    'Calendar', 'CompareInfo', 'CompareOptions', 'CultureInfo', 'DateTimeFormatInfo', 'DateTimeStyles',
+    'NumberFormatInfo', 'NumberStyles', 'RegionInfo', 'TextInfo', 'UnicodeCategory',
+  ],
+  'System.IO': [
+    'BinaryReader', 'BinaryWriter', 'BufferedStream', 'Directory', 'DirectoryInfo', 'DirectoryNotFoundException',
+    'DriveInfo', 'EndOfStreamException', 'File', 'FileAccess', 'FileAttributes', 'FileInfo', 'FileMode',
+    'FileNotFoundException', 'FileShare', 'FileStream', 'FileSystemInfo', 'FileSystemWatcher', 'InvalidDataException',
+    'IOException', 'MemoryStream', 'Path', 'PathTooLongException', 'SearchOption', 'SeekOrigin', 'Stream',
+    'StreamReader', 'StreamWriter', 'StringReader', 'StringWriter', 'TextReader', 'TextWriter',
+  ],
+  'System.Linq': [
+    'Enumerable', 'IGrouping', 'ILookup', 'IOrderedEnumerable', 'IOrderedQueryable', 'IQueryable', 'Lookup',
+    'ParallelEnumerable', 'Queryable',
+  ],
+  'System.Linq.Expressions': ['Expression', 'LambdaExpression', 'MemberExpression', 'MethodCallExpression', 'ParameterExpression'],
+  'System.Net': [
+    'CookieContainer', 'Dns', 'HttpStatusCode', 'HttpWebRequest', 'HttpWebResponse', 'IPAddress', 'IPEndPoint',
+    'NetworkCredential', 'SecurityProtocolType', 'ServicePointManager', 'WebClient', 'WebException',
+    'WebRequest', 'WebResponse', 'WebUtility',
+  ],
+  'System.Net.Http': [
+    'ByteArrayContent', 'FormUrlEncodedContent', 'HttpClient', 'HttpClientHandler', 'HttpCompletionOption',
+    'HttpContent', 'HttpMessageHandler', 'HttpMethod', 'HttpRequestException', 'HttpRequestMessage',
+    'HttpResponseMessage', 'MultipartFormDataContent', 'StreamContent', 'StringContent',
+  ],
+  'System.Reflection': [
+    'Assembly', 'AssemblyName', 'BindingFlags', 'ConstructorInfo', 'CustomAttributeExtensions', 'EventInfo',
+    'FieldInfo', 'MemberInfo', 'MethodBase', 'MethodInfo', 'Module', 'ParameterInfo', 'PropertyInfo',
+    'TargetInvocationException', 'TypeInfo',
+  ],
+  'System.Runtime.CompilerServices': [
+    'CallerArgumentExpression', 'CallerFilePath', 'CallerLineNumber', 'CallerMemberName', 'ConditionalWeakTable',
+    'ConfiguredTaskAwaitable', 'InternalsVisibleTo', 'IsExternalInit', 'MethodImpl', 'MethodImplOptions',
+    'ModuleInitializer', 'RuntimeHelpers', 'TaskAwaiter', 'Unsafe',
+  ],
+  'System.Runtime.InteropServices': ['CallingConvention', 'CharSet', 'DllImport', 'GCHandle', 'LayoutKind', 'LibraryImport', 'Marshal', 'MarshalAs', 'StructLayout', 'UnmanagedType'],
+  'System.Runtime.Serialization': ['DataContract', 'DataMember', 'IgnoreDataMember', 'ISerializable', 'SerializationException', 'SerializationInfo', 'StreamingContext'],
+  'System.Security.Cryptography': [
+    'Aes', 'CryptographicException', 'CryptoStream', 'CryptoStreamMode', 'HashAlgorithm', 'HashAlgorithmName',
+    'HMACSHA256', 'HMACSHA512', 'ICryptoTransform', 'MD5', 'RandomNumberGenerator', 'Rfc2898DeriveBytes', 'RSA',
+    'SHA1', 'SHA256', 'SHA384', 'SHA512',
+  ],
+  'System.Text': ['ASCIIEncoding', 'Decoder', 'Encoder', 'Encoding', 'NormalizationForm', 'Rune', 'StringBuilder', 'UnicodeEncoding', 'UTF8Encoding'],
+  'System.Text.Json': [
+    'JsonDocument', 'JsonElement', 'JsonException', 'JsonNamingPolicy', 'JsonProperty', 'JsonSerializer',
+    'JsonSerializerDefaults', 'JsonSerializerOptions', 'JsonValueKind', 'Utf8JsonReader', 'Utf8JsonWriter',
+  ],
+  'System.Text.Json.Serialization': ['JsonConverter', 'JsonIgnore', 'JsonIgnoreCondition', 'JsonInclude', 'JsonPropertyName', 'JsonStringEnumConverter'],
+  'System.Text.RegularExpressions': ['Capture', 'CaptureCollection', 'GeneratedRegex', 'Group', 'GroupCollection', 'Match', 'MatchCollection', 'MatchEvaluator', 'Regex', 'RegexOptions'],
+  'System.Threading': [
+    'AsyncLocal', 'AutoResetEvent', 'Barrier', 'CancellationToken', 'CancellationTokenRegistration',
+    'CancellationTokenSource', 'CountdownEvent', 'EventWaitHandle', 'Interlocked', 'Lock', 'ManualResetEvent',
+    'ManualResetEventSlim', 'Monitor', 'Mutex', 'ReaderWriterLockSlim', 'Semaphore', 'SemaphoreSlim',
+    'SpinLock', 'SpinWait', 'SynchronizationContext', 'Thread', 'ThreadLocal', 'ThreadPool', 'ThreadStart',
+    'Timeout', 'Timer', 'Volatile', 'WaitHandle',
+  ],
+  'System.Threading.Channels': ['BoundedChannelOptions', 'Channel', 'ChannelReader', 'ChannelWriter', 'UnboundedChannelOptions'],
+  'System.Threading.Tasks': ['Parallel', 'ParallelLoopState', 'ParallelOptions', 'Task', 'TaskCanceledException', 'TaskCompletionSource', 'TaskContinuationOptions', 'TaskCreationOptions', 'TaskFactory', 'TaskScheduler', 'TaskStatus', 'ValueTask'],
+  'System.Xml': ['XmlAttribute', 'XmlDocument', 'XmlElement', 'XmlException', 'XmlNode', 'XmlNodeList', 'XmlNodeType', 'XmlReader', 'XmlReaderSettings', 'XmlWriter', 'XmlWriterSettings'],
+  'System.Xml.Linq': ['LoadOptions', 'SaveOptions', 'XAttribute', 'XCData', 'XComment', 'XContainer', 'XDeclaration', 'XDocument', 'XElement', 'XName', 'XNamespace', 'XNode', 'XText'],
+  'System.Xml.Serialization': ['XmlArray', 'XmlArrayItem', 'XmlAttribute', 'XmlElement', 'XmlEnum', 'XmlIgnore', 'XmlInclude', 'XmlRoot', 'XmlSerializer', 'XmlText', 'XmlType'],
+};
+
+// Extension methods provided by common framework namespaces, matched after a member access
+const KNOWN_EXTENSIONS = {
+  'System.Linq': [
+    'Aggregate', 'All', 'Any', 'Append', 'AsEnumerable', 'AsParallel', 'AsQueryable', 'Average', 'Cast',
+    'Chunk', 'Concat', 'Contains', 'Count', 'DefaultIfEmpty', 'Distinct', 'DistinctBy', 'ElementAt',
+    'ElementAtOrDefault', 'Except', 'ExceptBy', 'First', 'FirstOrDefault', 'GroupBy', 'GroupJoin', 'Intersect',
+    'IntersectBy', 'Join', 'Last', 'LastOrDefault', 'LongCount', 'Max', 'MaxBy', 'Min', 'MinBy', 'OfType',
+    'Order', 'OrderBy', 'OrderByDescending', 'OrderDescending', 'Prepend', 'Reverse', 'Select', 'SelectMany',
+    'SequenceEqual', 'Single', 'SingleOrDefault', 'Skip', 'SkipLast', 'SkipWhile', 'Sum', 'Take', 'TakeLast',
+    'TakeWhile', 'ThenBy', 'ThenByDescending', 'ToArray', 'ToDictionary', 'ToHashSet', 'ToList', 'ToLookup',
+    'TryGetNonEnumeratedCount', 'Union', 'UnionBy', 'Where', 'Zip',
+  ],
+  'System.Collections.Generic': ['AsReadOnly', 'GetValueOrDefault'],
+  'System.Threading.Tasks': ['WaitAsync'],
+  'System.Reflection': ['GetCustomAttribute', 'GetCustomAttributes', 'GetTypeInfo', 'IsDefined'],
+};
+
+// Namespaces too large to list; like unknown namespaces they are also kept when the code
+// references a name nothing else explains
+const OPEN_NAMESPACES = new Set(['System']);
+
+// Members found on most objects, strings and collections, which never need a using
+const COMMON_MEMBERS = new Set([
+  'Add', 'AddRange', 'Append', 'AppendFormat', 'AppendLine', 'Clear', 'Clone', 'Close', 'CompareTo',
+  'ConfigureAwait', 'Contains', 'ContainsKey', 'ContainsValue', 'CopyTo', 'Dispose', 'DisposeAsync',
+  'EndsWith', 'Equals', 'Exists', 'Find', 'FindAll', 'FindIndex', 'ForEach', 'Format', 'GetAwaiter',
+  'GetEnumerator', 'GetHashCode', 'GetResult', 'GetType', 'GetValue', 'HasFlag', 'IndexOf', 'Insert',
+  'Invoke', 'IsNullOrEmpty', 'IsNullOrWhiteSpace', 'LastIndexOf', 'MoveNext', 'PadLeft', 'PadRight',
+  'Parse', 'Peek', 'Pop', 'Push', 'Remove', 'RemoveAll', 'RemoveAt', 'Replace', 'Reset', 'SetValue',
+  'Sort', 'Split', 'StartsWith', 'Substring', 'ToCharArray', 'ToLower', 'ToLowerInvariant', 'ToString',
+  'ToUpper', 'ToUpperInvariant', 'Trim', 'TrimEnd', 'TrimStart', 'TryAdd', 'TryDequeue', 'TryGetValue',
+  'TryParse', 'Dequeue', 'Enqueue', 'Wait', 'WhenAll', 'WhenAny', 'Run', 'Delay', 'FromResult',
+]);
+
+// Names that are namespace roots rather than types
+const NAMESPACE_ROOTS = new Set(['System', 'Microsoft', 'global']);
+
+/**
+ * Parse the using directives and extern aliases that start at a token.
+ * `using (...)` statements and `using var` declarations are not directives and end the list.
+ * @param {string} source - Source text the tokens index into
+ * @param {Array} tokens - Significant tokens of the source
+ * @param {number} index - Index of the first token to look at
+ * @returns {Array} Directives: { text, isGlobal, isStatic, isExtern, alias, name, start, end }
+ */
+function parseUsingDirectives(source, tokens, index = 0) {
+  const directives = [];
+  for (let i = index; i < tokens.length;) {
+    const start = i;
+    const directive = { isGlobal: false, isStatic: false, isExtern: false, alias: null, name: '' };
+
+    if (tokens[i].value === 'extern' && tokens[i + 1] && tokens[i + 1].value === 'alias') {
+      directive.isExtern = true;
+      directive.alias = tokens[i + 2] ? tokens[i + 2].value : '';
+      i += 3;
+    } else {
+      if (tokens[i].value === 'global' && tokens[i + 1] && tokens[i + 1].value === 'using') {
+        directive.isGlobal = true;
+        i++;
+      }
+      const next = tokens[i + 1];
+      if (tokens[i].value !== 'using' || !next || next.value === '(' || next.value === 'var') {
+        break;
+      }
+      i++;
+      if (tokens[i].value === 'static') {
+        directive.isStatic = true;
+        i++;
+      }
+      if (tokens[i + 1] && tokens[i + 1].value === '=') {
+        directive.alias = tokens[i].value;
+        i += 2;
+      }
+    }
+
+    const nameStart = i;
+    while (i < tokens.length && tokens[i].value !== ';') {
+      i++;
+    }
+    if (i >= tokens.length) {
+      break;
+    }
+    if (!directive.isExtern) {
+      directive.name = tokens.slice(nameStart, i).map(token => token.value).join('').replace(/,/g, ', ');
+    }
+    directive.text = source.slice(tokens[start].start, tokens[i].end).replace(/\s+/g, ' ');
+    directive.start = tokens[start].start;
+    directive.end = tokens[i].end;
+    directives.push(directive);
+    i++;
+  }
+  return directives;
+}
+
+/**
+ * Collect the names a piece of code references.
+ * @param {Array} tokens - Code tokens, including interpolation holes (see codeTokens)
+ * @returns {Object} { names, memberCalls, qualifiers, querySyntax } where names are simple names,
+ * memberCalls are names invoked after a member access ("Receiver.Name" when the receiver is a
+ * simple name), and qualifiers are names before '::'
+ */
+function collectReferences(tokens) {
+  const references = { names: new Set(), memberCalls: new Set(), qualifiers: new Set(), querySyntax: false };
+  tokens.forEach((token, index) => {
+    if (token.type !== TokenType.IDENTIFIER) {
+      return;
+    }
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+    if (next && next.value === '::') {
+      references.qualifiers.add(token.value);
+    } else if (previous && ['.', '?.', '->'].includes(previous.value)) {
+      if (next && (next.value === '(' || next.value === '<')) {
+        const receiver = tokens[index - 2];
+        const qualified = tokens[index - 3] && ['.', '?.', '::'].includes(tokens[index - 3].value);
+        references.memberCalls.add(receiver && receiver.type === TokenType.IDENTIFIER && !qualified
+          ? `${receiver.value}.${token.value}`
+          : token.value);
+      }
+    } else if (!previous || previous.value !== '::') {
+      references.names.add(token.value);
+    }
+
+    // "from x in" or "from Type x in" starts a query expression
+    if (token.value === 'from' && tokens.slice(index + 2, index + 4).some(candidate => candidate.value === 'in') &&
+      next && (next.type === TokenType.IDENTIFIER || next.type === TokenType.KEYWORD)) {
+      references.querySyntax = true;
+    }
+  });
+  return references;
+}
+
+/**
+ * Combine the references of several pieces of code.
+ * @param {Array} list - Results of collectReferences
+ * @returns {Object} Combined references
+ */
+function mergeReferences(list) {
+  return {
+    names: new Set(list.flatMap(references => [...references.names])),
+    memberCalls: new Set(list.flatMap(references => [...references.memberCalls])),
+    qualifiers: new Set(list.flatMap(references => [...references.qualifiers])),
+    querySyntax: list.some(references => references.querySyntax),
+  };
+}
+
+/**
+ * Pick the directives that code needs.
+ * Aliases are kept when the alias name is used, extern aliases when they qualify a name.
+ * Namespace usings are kept when a name the namespace provides is used; unknown and open
+ * namespaces, and static usings, are also kept while any referenced name stays unexplained.
+ * A well-known name only counts as explained when the file imports a namespace providing it:
+ * otherwise a project type of the same name (Activity, Range, Timer) may come from an unknown
+ * namespace. Global usings already apply to the whole project and are never picked.
+ * @param {Array} directives - From parseUsingDirectives
+ * @param {Object} references - From collectReferences or mergeReferences
+ * @param {Object} context - { declaredNames: names resolved without a using (members, type
+ * parameters), fileTypes: Map namespace => type names declared in the same file, imported:
+ * namespaces the whole file imports, when directives are only some of its usings }
+ * @returns {Array} The needed directives, in their original order
+ */
+function selectUsingDirectives(directives, references, { declaredNames = new Set(), fileTypes = new Map(), imported = null } = {}) {
+  const typeNamespaces = new Map();
+  const provide = (table, namespace, names) => names.forEach(name => {
+    if (!table.has(name)) {
+      table.set(name, new Set());
+    }
+    table.get(name).add(namespace);
+  });
+  Object.entries(KNOWN_TYPES).forEach(([namespace, names]) => provide(typeNamespaces, namespace, names));
+  const sameFileTypes = new Map();
+  for (const [namespace, names] of fileTypes) {
+    provide(sameFileTypes, namespace, [...names]);
+  }
+  const extensionNamespaces = new Map();
+  Object.entries(KNOWN_EXTENSIONS).forEach(([namespace, names]) => provide(extensionNamespaces, namespace, names));
+  const importedNamespaces = new Set(imported || directives
+    .filter(directive => !directive.isExtern && !directive.alias && !directive.isStatic)
+    .map(directive => directive.name.replace(/^global::/, '')));
+  const importedOf = namespaces => [...(namespaces || [])].filter(namespace => importedNamespaces.has(namespace));
+
+  const aliases = new Set(directives.filter(directive => directive.alias).map(directive => directive.alias));
+  const used = new Set();
+  let unexplained = false;
+
+  for (const name of references.names) {
+    if (declaredNames.has(name) || NAMESPACE_ROOTS.has(name) || aliases.has(name) || !/^[A-Z]/.test(name)) {
+      continue;
+    }
+    const declaredInFile = sameFileTypes.get(name) || sameFileTypes.get(name.replace(/Attribute$/, ''));
+    if (declaredInFile) {
+      declaredInFile.forEach(namespace => used.add(namespace));
+      continue;
+    }
+    const namespaces = importedOf(typeNamespaces.get(name) || typeNamespaces.get(name.replace(/Attribute$/, '')));
+    if (namespaces.length > 0) {
+      namespaces.forEach(namespace => used.add(namespace));
+    } else {
+      unexplained = true;
+    }
+  }
+  for (const call of references.memberCalls) {
+    const [receiver, name] = call.includes('.') ? call.split('.') : [null, call];
+    // Calls on a framework type are its static methods, never extension methods
+    if (receiver && !declaredNames.has(receiver) && (sameFileTypes.has(receiver) || importedOf(typeNamespaces.get(receiver)).length > 0)) {
+      continue;
+    }
+    const namespaces = importedOf(extensionNamespaces.get(name));
+    if (namespaces.length > 0) {
+      namespaces.forEach(namespace => used.add(namespace));
+    } else if (!COMMON_MEMBERS.has(name) && !declaredNames.has(name)) {
+      unexplained = true;
+    }
+  }
+  if (references.querySyntax) {
+    used.add('System.Linq');
+  }
+
+  const known = namespace => Object.prototype.hasOwnProperty.call(KNOWN_TYPES, namespace) ||
+    Object.prototype.hasOwnProperty.call(KNOWN_EXTENSIONS, namespace) || fileTypes.has(namespace);
+  return directives.filter(directive => {
+    if (directive.isGlobal) {
+      return false;
+    }
+    if (directive.isExtern) {
+      return references.qualifiers.has(directive.alias);
+    }
+    if (directive.alias) {
+      return references.names.has(directive.alias) || references.qualifiers.has(directive.alias);
+    }
+    if (directive.isStatic) {
+      return unexplained;
+    }
+    const name = directive.name.replace(/^global::/, '');
+    return used.has(name) || (unexplained && (OPEN_NAMESPACES.has(name) || !known(name)));
+  });
+}
+
+/**
+ * Compare dotted names segment by segment, ignoring case first and then by case.
+ */
+function compareNames(a, b) {
+  const left = a.split('.');
+  const right = b.split('.');
+  for (let i = 0; i < Math.min(left.length, right.length); i++) {
+    const order = left[i].toLowerCase().localeCompare(right[i].toLowerCase(), 'en') ||
+      (left[i] < right[i] ? -1 : left[i] > right[i] ? 1 : 0);
+    if (order !== 0) {
+      return order;
+    }
+  }
+  return left.length - right.length;
+}
+
+/**
+ * Sort directives the way `dotnet format` orders them: extern aliases, global usings, then
+ * namespace usings, static usings and aliases, each with System namespaces first and then
+ * in alphabetical order (aliases by alias name).
+ * @param {Array} directives - From parseUsingDirectives
+ * @returns {Array} Sorted copy
+ */
+function sortUsingDirectives(directives) {
+  const group = directive => directive.isExtern ? 0 : (directive.isGlobal ? 1 : 4) +
+    (directive.alias ? 2 : directive.isStatic ? 1 : 0);
+  const isSystem = name => /^(global::)?System(\.|$)/.test(name);
+  return [...directives].sort((a, b) => {
+    const order = group(a) - group(b);
+    if (order !== 0) {
+      return order;
+    }
+    if (a.alias && b.alias) {
+      return compareNames(a.alias, b.alias);
+    }
+    const system = Number(isSystem(b.name)) - Number(isSystem(a.name));
+    return system || compareNames(a.name.replace(/^global::/, ''), b.name.replace(/^global::/, ''));
+  });
+}
+
+module.exports = {
+  parseUsingDirectives,
+  collectReferences,
+  mergeReferences,
+  selectUsingDirectives,
+  sortUsingDirectives,
+};
@@ -190,12 +190,17 @@ class EnhancedCSharpAnalyzer {
         return methodList.map(method => ({
           className: className || 'Unknown',
           methodName: methodName,
-          returnType: 'Unknown',
-          parameters: [],
-          modifiers: 'Unknown',
+          kind: method.kind,
+          returnType: method.returnType || 'Unknown',
+          parameters: (method.parameters || []).map(p => [p.modifier, p.type, p.name].filter(Boolean).join(' ')),
+          modifiers: method.modifiers.length > 0 ? method.modifiers.join(' ') : 'Unknown',
           lineCount: method.lineCount,
-          startLine: 'Unknown',
-          endLine: 'Unknown',
+          startLine: method.span.startLine,
+          startColumn: method.span.startColumn,
+          endLine: method.span.endLine,
+          endColumn: method.span.endColumn,
+          startOffset: method.span.start,
+          endOffset: method.span.end,
           signature: method.signature
         }));
       }).flat();
@@ -470,8 +475,12 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         
         result.classes.forEach((cls, index) => {
           output.push(`${index + 1}. ${cls.name}`);
+          if (cls.kind) output.push(`   Kind: ${cls.kind}`);
           output.push(`   File: ${cls.filePath || 'Unknown'}`);
           output.push(`   Lines: ${cls.lineCount || 'Unknown'}`);
+          if (cls.span) {
+            output.push(`   Location: ${cls.span.startLine}:${cls.span.startColumn}-${cls.span.endLine}:${cls.span.endColumn}, offsets ${cls.span.start}-${cls.span.end}`);
+          }
           if (cls.modifiers) output.push(`   Modifiers: ${cls.modifiers}`);
           if (cls.baseTypes && cls.baseTypes.length > 0) {
             output.push(`   Base types: ${cls.baseTypes.join(', ')}`);
@@ -513,6 +522,9 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         
         result.methods.forEach((method, index) => {
           output.push(`${index + 1}. ${method.methodName}`);
+          if (method.kind) {
+            output.push(`   Kind: ${method.kind}`);
+          }
           if (method.returnType && method.returnType !== 'Unknown') {
             output.push(`   Return Type: ${method.returnType}`);
           }
@@ -523,6 +535,11 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             output.push(`   Modifiers: ${method.modifiers}`);
           }
           output.push(`   Lines: ${method.lineCount || 'Unknown'}`);
+          if (method.startLine && method.startLine !== 'Unknown') {
+            output.push(method.startColumn
+              ? `   Location: ${method.startLine}:${method.startColumn}-${method.endLine}:${method.endColumn}, offsets ${method.startOffset}-${method.endOffset}`
+              : `   Location: lines ${method.startLine}-${method.endLine}`);
+          }
           if (method.signature) {
             output.push(`   Signature: ${method.signature}`);
           }
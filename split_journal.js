@@ -0,0 +1,289 @@
+/**
+ * Split Journal
+ * Writes the files of a split, a merge or an extraction as one transaction and keeps
+ * what they replaced or deleted, so it can be rolled back to the exact previous state of the
+ * destination folder and the source file.
+ *
+ * Each transaction lives in <destinationFolder>/.split-journal/<id>/ with a journal.json
+ * manifest and a backups/ folder holding byte-for-byte copies of the files it replaced.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const JOURNAL_FOLDER = '.split-journal';
+const MANIFEST_FILE = 'journal.json';
+
+function hashContent(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+async function readIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create a transaction id that sorts by creation time and is unused in the journal folder.
+ * @param {string} journalRoot - The .split-journal folder
+ * @returns {Promise<string>} Transaction id
+ */
+async function createTransactionId(journalRoot) {
+  await fs.mkdir(journalRoot, { recursive: true });
+  const base = new Date().toISOString().replace(/[:.]/g, '-');
+  for (let attempt = 0; ; attempt++) {
+    const id = attempt === 0 ? base : `${base}-${attempt}`;
+    try {
+      await fs.mkdir(path.join(journalRoot, id));
+      return id;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Write all files of a split as one transaction.
+ * Every file is first staged next to its destination and the files they replace are backed up;
+ * only then are the staged files renamed into place. A failure before the renames leaves the
+ * destination untouched, a failure while renaming restores the backups.
+ * @param {Array} files - [{filePath, content}] to write; a null content deletes the file
+ * @param {Object} options - { destinationFolder, sourceFile }; the source file is backed up too
+ * @returns {Promise<Object>} { id, journalFolder }
+ */
+async function commitFiles(files, { destinationFolder, sourceFile }) {
+  const destination = path.resolve(destinationFolder);
+  const createdFolder = await fs.mkdir(destination, { recursive: true }) || null;
+  const journalRoot = path.join(destination, JOURNAL_FOLDER);
+  const id = await createTransactionId(journalRoot);
+  const journalFolder = path.join(journalRoot, id);
+
+  const staged = [];
+  const removeStaged = () => Promise.all(staged.filter(file => file.stagedPath).map(file => fs.rm(file.stagedPath, { force: true })));
+  const entries = [];
+  const manifest = {
+    id,
+    createdAt: new Date().toISOString(),
+    status: 'pending',
+    destinationFolder: destination,
+    createdFolder,
+    sourceFile: sourceFile ? path.resolve(sourceFile) : null,
+    files: entries,
+  };
+  try {
+    for (const file of files) {
+      const filePath = path.resolve(file.filePath);
+      if (file.content === null) {
+        staged.push({ filePath, stagedPath: null, hash: null });
+        continue;
+      }
+      const stagedPath = `${filePath}.${id}.staged`;
+      const buffer = Buffer.from(file.content, 'utf-8');
+      staged.push({ filePath, stagedPath, hash: hashContent(buffer) });
+      await fs.writeFile(stagedPath, buffer);
+    }
+
+    // Back up every file the transaction replaces, and the source file even when it is not
+    // replaced, so a rollback can bring back both
+    const targets = staged.map(file => ({ filePath: file.filePath, written: file.hash }));
+    if (manifest.sourceFile && !targets.some(target => target.filePath === manifest.sourceFile)) {
+      targets.push({ filePath: manifest.sourceFile, written: null });
+    }
+    await fs.mkdir(path.join(journalFolder, 'backups'), { recursive: true });
+    for (const [index, target] of targets.entries()) {
+      const existing = await readIfExists(target.filePath);
+      const backup = existing === null ? null : path.join('backups', String(index));
+      if (backup) {
+        await fs.writeFile(path.join(journalFolder, backup), existing);
+      }
+      entries.push({
+        path: target.filePath,
+        backup,
+        original: existing === null ? null : hashContent(existing),
+        written: target.written,
+      });
+    }
+    await writeManifest(journalFolder, manifest);
+  } catch (error) {
+    await removeStaged();
+    await fs.rm(journalFolder, { recursive: true, force: true });
+    await removeEmptyFolders(journalRoot, createdFolder);
+    throw new Error(`Split aborted before any file was replaced, nothing was written: ${error.message}`);
+  }
+
+  try {
+    for (const file of staged) {
+      if (file.stagedPath) {
+        await fs.rename(file.stagedPath, file.filePath);
+      } else {
+        await fs.rm(file.filePath, { force: true });
+      }
+    }
+  } catch (error) {
+    await removeStaged();
+    await restoreEntries(journalFolder, entries);
+    await fs.rm(journalFolder, { recursive: true, force: true });
+    await removeEmptyFolders(journalRoot, createdFolder);
+    throw new Error(`Split failed while writing files, the previous files were restored: ${error.message}`);
+  }
+
+  manifest.status = 'committed';
+  await writeManifest(journalFolder, manifest);
+  return { id, journalFolder };
+}
+
+async function writeManifest(journalFolder, manifest) {
+  await fs.writeFile(path.join(journalFolder, MANIFEST_FILE), JSON.stringify(manifest, null, 2), 'utf-8');
+}
+
+/**
+ * Put back the backed-up content of each entry and delete files the transaction created.
+ * @param {string} journalFolder - Folder of the transaction
+ * @param {Array} entries - Manifest file entries
+ * @returns {Promise<Object>} { restored, removed } file paths
+ */
+async function restoreEntries(journalFolder, entries) {
+  const restored = [];
+  const removed = [];
+  for (const entry of entries) {
+    const current = await readIfExists(entry.path);
+    if (entry.backup) {
+      const backup = await fs.readFile(path.join(journalFolder, entry.backup));
+      if (current === null || !current.equals(backup)) {
+        await fs.mkdir(path.dirname(entry.path), { recursive: true });
+        await fs.writeFile(entry.path, backup);
+        restored.push(entry.path);
+      }
+    } else if (current !== null && entry.written) {
+      await fs.rm(entry.path, { force: true });
+      removed.push(entry.path);
+    }
+  }
+  return { restored, removed };
+}
+
+/**
+ * Remove the journal folder when it is empty, then every empty folder up to and including
+ * the folder the transaction created.
+ * @param {string} journalRoot - The .split-journal folder
+ * @param {string|null} createdFolder - Topmost folder created by the transaction
+ */
+async function removeEmptyFolders(journalRoot, createdFolder) {
+  const tryRemove = async folder => {
+    try {
+      await fs.rmdir(folder);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return true;
+      }
+      if (error.code === 'ENOTEMPTY' || error.code === 'EEXIST') {
+        return false;
+      }
+      throw error;
+    }
+  };
+
+  if (!await tryRemove(journalRoot) || !createdFolder) {
+    return;
+  }
+  for (let folder = path.dirname(journalRoot); ; folder = path.dirname(folder)) {
+    if (!await tryRemove(folder) || folder === createdFolder || path.dirname(folder) === folder) {
+      return;
+    }
+  }
+}
+
+/**
+ * Read the manifests of all transactions journaled in a destination folder.
+ * @param {string} destinationFolder - Destination folder of the splits
+ * @returns {Promise<Array>} Manifests, oldest first
+ */
+async function listTransactions(destinationFolder) {
+  const journalRoot = path.join(path.resolve(destinationFolder), JOURNAL_FOLDER);
+  let ids;
+  try {
+    ids = await fs.readdir(journalRoot);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const manifests = [];
+  for (const id of ids.sort()) {
+    const text = await readIfExists(path.join(journalRoot, id, MANIFEST_FILE));
+    if (text !== null) {
+      manifests.push(JSON.parse(text.toString('utf-8')));
+    }
+  }
+  return manifests;
+}
+
+/**
+ * Roll back the most recent split into a destination folder.
+ * Files changed since the split are not overwritten unless force is set.
+ * @param {string} destinationFolder - Destination folder of the split
+ * @param {Object} options - { transactionId, force }; transactionId must be the latest transaction
+ * @returns {Promise<Object>} { id, restored, removed, remaining }
+ */
+async function rollbackSplit(destinationFolder, { transactionId = null, force = false } = {}) {
+  const transactions = await listTransactions(destinationFolder);
+  if (transactions.length === 0) {
+    throw new Error(`No split to roll back: no journal found in ${path.join(path.resolve(destinationFolder), JOURNAL_FOLDER)}`);
+  }
+
+  const latest = transactions[transactions.length - 1];
+  if (transactionId && transactionId !== latest.id) {
+    if (!transactions.some(transaction => transaction.id === transactionId)) {
+      throw new Error(`Split '${transactionId}' not found. Journaled splits: ${transactions.map(transaction => transaction.id).join(', ')}`);
+    }
+    throw new Error(`Split '${transactionId}' is not the latest split. Roll back the newer splits first, starting with '${latest.id}'.`);
+  }
+
+  const journalRoot = path.join(latest.destinationFolder, JOURNAL_FOLDER);
+  const journalFolder = path.join(journalRoot, latest.id);
+
+  // A file is untouched when it still holds what the split wrote, or what it replaced
+  // (a pending transaction may have stopped before renaming it). Deleted files are simply
+  // brought back.
+  const modified = [];
+  for (const entry of latest.files) {
+    const current = await readIfExists(entry.path);
+    const hash = current === null ? null : hashContent(current);
+    if (current !== null && hash !== entry.original && hash !== entry.written) {
+      modified.push(entry.path);
+    }
+  }
+  if (modified.length > 0 && !force) {
+    throw new Error(`These files changed after split '${latest.id}' and would be overwritten by the rollback:\n${modified.map(file => `  - ${file}`).join('\n')}\n\nSet force to roll back anyway.`);
+  }
+
+  const { restored, removed } = await restoreEntries(journalFolder, latest.files);
+  await fs.rm(journalFolder, { recursive: true, force: true });
+  await removeEmptyFolders(journalRoot, latest.createdFolder);
+
+  return {
+    id: latest.id,
+    restored,
+    removed,
+    remaining: transactions.slice(0, -1).map(transaction => transaction.id),
+  };
+}
+
+module.exports = {
+  JOURNAL_FOLDER,
+  commitFiles,
+  listTransactions,
+  rollbackSplit,
+};
@@ -0,0 +1,266 @@
+/**
+ * Split Suggester
+ * Groups the methods of a class into cohesive partial files. Methods that call each other
+ * or use the same fields end up together, and every group stays under a line limit.
+ */
+
+// Leading words that say what a method does rather than what it works on
+const ACTION_WORDS = new Set([
+  'get', 'set', 'try', 'is', 'has', 'can', 'should', 'create', 'build', 'make', 'add', 'remove',
+  'delete', 'update', 'save', 'load', 'read', 'write', 'find', 'search', 'validate', 'check',
+  'ensure', 'handle', 'process', 'parse', 'format', 'convert', 'to', 'on', 'do', 'run', 'execute',
+  'calculate', 'compute', 'init', 'initialize', 'reset', 'clear', 'apply', 'send', 'receive',
+  'fetch', 'insert', 'upsert', 'map', 'register', 'generate', 'prepare', 'fill', 'copy', 'open',
+  'close', 'start', 'stop', 'begin', 'end', 'count', 'list', 'print', 'log', 'show', 'render',
+]);
+
+// Words that carry no meaning in a group name
+const FILLER_WORDS = new Set(['async', 'by', 'with', 'for', 'of', 'and', 'or', 'from', 'all', 'in', 'at', 'the', 'if', 'internal', 'impl', 'core']);
+
+// Groups linked less strongly than this are not merged
+const MIN_COHESION = 0.25;
+
+/**
+ * Split a member name into lowercase words: "GetUserById2" gives ["get", "user", "by", "id", "2"].
+ * @param {string} name - Member name
+ * @returns {string[]} Words
+ */
+function nameWords(name) {
+  return name
+    .replace(/^_+/, '')
+    .split(/_+|(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])|(?<=[A-Za-z])(?=\d)/)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+}
+
+/**
+ * Words of a method name that name its subject, without the leading action and filler words.
+ * @param {string} name - Method name
+ * @returns {string[]} Subject words
+ */
+function subjectWords(name) {
+  const words = nameWords(name);
+  const start = words.length > 1 && ACTION_WORDS.has(words[0]) ? 1 : 0;
+  return words.slice(start).filter(word => word.length > 1 && !FILLER_WORDS.has(word) && !/^\d+$/.test(word));
+}
+
+/**
+ * Link strength between every pair of methods: one per call in either direction, and for
+ * each piece of state used by several methods a share that shrinks with the number of users,
+ * so a field every method touches says little about how to group them.
+ * @param {Array} methods - [{name, calls, state}]
+ * @returns {Map} "i|j" (i < j) => weight
+ */
+function buildLinks(methods) {
+  const indexOf = new Map(methods.map((method, index) => [method.name, index]));
+  const links = new Map();
+  const link = (a, b, weight) => {
+    if (a === b) {
+      return;
+    }
+    const key = a < b ? `${a}|${b}` : `${b}|${a}`;
+    links.set(key, (links.get(key) || 0) + weight);
+  };
+
+  methods.forEach((method, index) => {
+    method.calls.forEach(callee => link(index, indexOf.get(callee), 1));
+  });
+
+  const users = new Map();
+  methods.forEach((method, index) => {
+    method.state.forEach(stateName => {
+      if (!users.has(stateName)) {
+        users.set(stateName, []);
+      }
+      users.get(stateName).push(index);
+    });
+  });
+  const widelyUsed = Math.max(10, methods.length / 4);
+  for (const indexes of users.values()) {
+    if (indexes.length < 2 || indexes.length > widelyUsed) {
+      continue;
+    }
+    const share = 1 / (indexes.length - 1);
+    indexes.forEach((a, position) => indexes.slice(position + 1).forEach(b => link(a, b, share)));
+  }
+
+  return links;
+}
+
+/**
+ * Cluster methods into groups of at most maxLines lines.
+ * Groups are merged greedily, strongest link first, where the link between two groups is the
+ * sum of their method links divided by the geometric mean of their sizes. Methods left on
+ * their own join a group whose methods share a name subject, small groups join the group they
+ * are most linked to, and whatever remains is packed into helper groups by size.
+ * @param {Array} methods - [{name, lineCount, calls, state}] as built by buildClassGraph
+ * @param {Object} options - { maxLines }
+ * @returns {Array} Groups: { methods, lineCount, kind } where kind is 'linked', 'named' or 'helpers'
+ */
+function clusterMethods(methods, { maxLines }) {
+  const links = buildLinks(methods);
+  const groups = methods.map((method, index) => ({ id: index, members: [index], lineCount: method.lineCount, neighbors: new Map() }));
+  for (const [key, weight] of links) {
+    const [a, b] = key.split('|').map(Number);
+    groups[a].neighbors.set(b, weight);
+    groups[b].neighbors.set(a, weight);
+  }
+
+  const alive = new Set(groups.map(group => group.id));
+  const merge = (target, source) => {
+    target.members.push(...source.members);
+    target.lineCount += source.lineCount;
+    for (const [neighbor, weight] of source.neighbors) {
+      groups[neighbor].neighbors.delete(source.id);
+      if (neighbor !== target.id) {
+        target.neighbors.set(neighbor, (target.neighbors.get(neighbor) || 0) + weight);
+        groups[neighbor].neighbors.set(target.id, target.neighbors.get(neighbor));
+      }
+    }
+    target.neighbors.delete(source.id);
+    alive.delete(source.id);
+  };
+
+  for (;;) {
+    let best = null;
+    for (const id of alive) {
+      const group = groups[id];
+      for (const [neighbor, weight] of group.neighbors) {
+        const other = groups[neighbor];
+        if (neighbor < id || group.lineCount + other.lineCount > maxLines) {
+          continue;
+        }
+        const score = weight / Math.sqrt(group.members.length * other.members.length);
+        if (score >= MIN_COHESION && (!best || score > best.score)) {
+          best = { score, target: group, source: other };
+        }
+      }
+    }
+    if (!best) {
+      break;
+    }
+    merge(best.target, best.source);
+  }
+
+  // Methods still on their own join a group that works on the same subject
+  const linked = () => [...alive].map(id => groups[id]).filter(group => group.members.length > 1);
+  const subjects = group => new Set(group.members.flatMap(index => subjectWords(methods[index].name)));
+  for (const id of [...alive]) {
+    const group = groups[id];
+    if (group.members.length > 1) {
+      continue;
+    }
+    const words = subjectWords(methods[group.members[0]].name);
+    const match = linked()
+      .filter(candidate => candidate.lineCount + group.lineCount <= maxLines)
+      .map(candidate => ({ candidate, shared: words.filter(word => subjects(candidate).has(word)).length }))
+      .filter(entry => entry.shared > 0)
+      .sort((a, b) => b.shared - a.shared)[0];
+    if (match) {
+      merge(match.candidate, group);
+    }
+  }
+
+  // Lone methods with the same subject form a group of their own
+  const bySubject = new Map();
+  for (const id of [...alive]) {
+    const group = groups[id];
+    if (group.members.length > 1) {
+      continue;
+    }
+    const subject = subjectWords(methods[group.members[0]].name)[0];
+    if (subject) {
+      const existing = bySubject.get(subject);
+      if (existing && existing.lineCount + group.lineCount <= maxLines) {
+        merge(existing, group);
+        existing.named = true;
+      } else if (!existing) {
+        bySubject.set(subject, group);
+      }
+    }
+  }
+
+  // Small groups join the group they are most linked to
+  const smallGroup = Math.min(200, maxLines / 10);
+  for (const id of [...alive].sort((a, b) => groups[a].lineCount - groups[b].lineCount)) {
+    const group = groups[id];
+    if (!alive.has(id) || group.members.length < 2 || group.lineCount >= smallGroup) {
+      continue;
+    }
+    const target = [...group.neighbors]
+      .filter(([neighbor]) => groups[neighbor].members.length > 1 && groups[neighbor].lineCount + group.lineCount <= maxLines)
+      .sort((a, b) => b[1] - a[1])[0];
+    if (target) {
+      merge(groups[target[0]], group);
+    }
+  }
+
+  // Everything else is packed into helper groups, largest methods first
+  const result = [];
+  const helpers = [];
+  for (const id of alive) {
+    const group = groups[id];
+    if (group.members.length > 1) {
+      result.push({ methods: group.members.map(index => methods[index]), lineCount: group.lineCount, kind: group.named ? 'named' : 'linked' });
+    } else {
+      helpers.push(methods[group.members[0]]);
+    }
+  }
+  const bins = [];
+  for (const method of helpers.sort((a, b) => b.lineCount - a.lineCount)) {
+    const bin = bins.find(candidate => candidate.lineCount + method.lineCount <= maxLines);
+    if (bin) {
+      bin.methods.push(method);
+      bin.lineCount += method.lineCount;
+    } else {
+      bins.push({ methods: [method], lineCount: method.lineCount, kind: 'helpers' });
+    }
+  }
+
+  return [...result.sort((a, b) => b.lineCount - a.lineCount), ...bins];
+}
+
+/**
+ * Pick a file label for each group from the subjects of its method names, weighted by lines.
+ * Labels are unique; helper groups are labelled "Helpers".
+ * @param {Array} groups - Groups from clusterMethods
+ * @param {string} className - Name of the class, whose own words are not used as labels
+ * @returns {string[]} One PascalCase label per group
+ */
+function labelGroups(groups, className) {
+  const classWords = new Set(nameWords(className));
+  const used = new Set();
+  const unique = label => {
+    let candidate = label;
+    for (let number = 2; used.has(candidate); number++) {
+      candidate = `${label}${number}`;
+    }
+    used.add(candidate);
+    return candidate;
+  };
+  const pascal = word => word.charAt(0).toUpperCase() + word.slice(1);
+
+  return groups.map(group => {
+    if (group.kind === 'helpers') {
+      return unique('Helpers');
+    }
+    const scores = new Map();
+    for (const method of group.methods) {
+      for (const word of new Set(subjectWords(method.name))) {
+        if (!classWords.has(word)) {
+          scores.set(word, (scores.get(word) || 0) + method.lineCount + 1);
+        }
+      }
+    }
+    const ranked = [...scores].sort((a, b) => b[1] - a[1]).map(([word]) => pascal(word));
+    const label = ranked.find(word => !used.has(word)) || ranked[0] || 'Operations';
+    return unique(label);
+  });
+}
+
+module.exports = {
+  nameWords,
+  subjectWords,
+  clusterMethods,
+  labelGroups,
+};
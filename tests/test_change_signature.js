@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for change_signature: a method's parameters are added, removed or reordered in every
+ * declaration, override and interface, and the calls that can be tied to it are rewritten.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { changeSignature, rollbackSplitSimple } = require('../csharp_refactorer.js');
+
+const projectFiles = {
+    'Store.cs': `namespace Shop
+{
+    public partial class Store : IStore
+    {
+        /// <summary>Saves an item.</summary>
+        /// <param name="key">The key.</param>
+        /// <param name="tag">Unused.</param>
+        public virtual void Save(string key, bool flush, string tag = null)
+        {
+            Log(key, flush);
+        }
+
+        public void Save(string key) => Save(key, true);
+
+        public void Touch(string key)
+        {
+            Save(Normalize(key), false);
+            this.Save(key, flush: true, tag: "x");
+            Save(key, false, "y");
+            Action<string, bool, string> handler = Save;
+        }
+
+        private string Normalize(string key) => key.Trim();
+
+        private void Log(string key, bool flush) { }
+    }
+}
+`,
+    'Store.Batch.cs': `namespace Shop
+{
+    public partial class Store
+    {
+        public void SaveAll(string[] keys)
+        {
+            foreach (var key in keys) Save(key,
+                                           Save(key) == null);
+        }
+    }
+}
+`,
+    'IStore.cs': `namespace Shop
+{
+    public interface IStore
+    {
+        void Save(string name, bool flush, string tag = null);
+    }
+
+    public class FakeStore : IStore
+    {
+        public void Save(string name, bool flush, string tag = null) { }
+    }
+}
+`,
+    'Clients/Client.cs': `namespace Shop.Clients
+{
+    public class Client
+    {
+        public void Run(Store store, IStore port, Cache cache)
+        {
+            store.Save("a", true);
+            port.Save(name: "b", flush: false);
+            cache.Save("c", true);
+        }
+    }
+
+    public class BigStore : Store
+    {
+        public override void Save(string key, bool flush, string tag = null)
+        {
+            base.Save(key, flush);
+        }
+    }
+}
+`,
+};
+
+async function runChangeSignatureTests() {
+    console.log('🧪 Running Change Signature Tests...\n');
+
+    let passed = 0;
+    let total = 0;
+
+    const check = (description, condition) => {
+        total++;
+        if (condition) {
+            console.log(`✅ ${description}`);
+            passed++;
+        } else {
+            console.log(`❌ ${description}`);
+        }
+    };
+
+    const rejects = promise => promise.then(() => null, error => error.message);
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'change-signature-'));
+    try {
+        const read = fileName => fs.readFile(path.join(tempDir, fileName), 'utf-8');
+        const sourceFile = path.join(tempDir, 'Store.cs');
+        for (const [fileName, content] of Object.entries(projectFiles)) {
+            await fs.mkdir(path.dirname(path.join(tempDir, fileName)), { recursive: true });
+            await fs.writeFile(path.join(tempDir, fileName), content);
+        }
+
+        // Test 1: Reordering, removing and adding parameters across a directory
+        console.log('Test 1: Changing parameters across a directory...');
+        const result = (await changeSignature({
+            source_file: sourceFile,
+            method_name: 'Save(string, bool, string)',
+            parameters: ['flush', 'key', { name: 'retries', type: 'int', argument: '3' }],
+            search_directory: tempDir,
+        })).content[0].text;
+        const store = await read('Store.cs');
+        const client = await read('Clients/Client.cs');
+        check('Declaration gets the new parameter list', store.includes('public virtual void Save(bool flush, string key, int retries)'));
+        check('Doc comment tags of removed parameters dropped', !store.includes('<param name="tag">') && store.includes('<param name="key">'));
+        check('Calls in the class are permuted, dropped and extended',
+            store.includes('public void Save(string key) => Save(true, key, 3);') && store.includes('Save(false, Normalize(key), 3);'));
+        check('Named arguments keep their names and later arguments follow by name', store.includes('this.Save(flush: true, key: key, retries: 3);'));
+        check('Calls on several lines keep their layout, nested calls are left to their overload',
+            (await read('Store.Batch.cs')).includes('Save(Save(key) == null,\n                                           key,\n                                           3);'));
+        check('Interface declaration and calls through it changed with its own names',
+            (await read('IStore.cs')).includes('void Save(bool flush, string name, int retries);') && client.includes('port.Save(flush: false, name: "b", retries: 3);'));
+        check('Overrides and base calls in derived types changed',
+            client.includes('public override void Save(bool flush, string key, int retries)') && client.includes('base.Save(flush, key, 3);'));
+        check('Typed receivers rewritten, others listed', client.includes('store.Save(true, "a", 3);') && client.includes('cache.Save("c", true);') &&
+            result.includes('Clients/Client.cs:9:19 cache.Save("c", true); (receiver declared as Cache)'));
+        check('Method groups and other implementations listed', result.includes('(uses Save as a method group)') &&
+            result.includes('(FakeStore implements IStore too and keeps the old signature)'));
+        check('Result counts declarations and calls', result.includes('Store.Save(string, bool, string) changed to Save(bool, string, int): 3 declarations and 8 calls updated in 4 files (4 files searched)'));
+
+        // Test 2: Rollback
+        console.log('\nTest 2: Rollback...');
+        await rollbackSplitSimple(tempDir);
+        check('Rollback restores every changed file', (await read('Store.cs')) === projectFiles['Store.cs'] &&
+            (await read('Clients/Client.cs')) === projectFiles['Clients/Client.cs'] && (await read('IStore.cs')) === projectFiles['IStore.cs']);
+
+        // Test 3: Optional parameters without a search directory
+        console.log('\nTest 3: Optional parameters...');
+        const trailing = (await changeSignature({
+            source_file: sourceFile,
+            method_name: 'Log',
+            parameters: ['key', 'flush', { name: 'level', type: 'int', default_value: '0' }],
+            dry_run: true,
+        })).content[0].text;
+        check('New optional parameter declared with its default, calls left as they are',
+            trailing.includes('+        private void Log(string key, bool flush, int level = 0) { }') && !trailing.includes('+            Log('));
+        const skipped = (await changeSignature({
+            source_file: sourceFile,
+            method_name: 'Save(string, bool, string)',
+            parameters: ['key', 'flush', { name: 'level', type: 'int', default_value: '0' }, 'tag'],
+            dry_run: true,
+        })).content[0].text;
+        check('Arguments after a left-out one are passed by name, calls passing none are unchanged',
+            skipped.includes('+            Save(key, false, tag: "y");') && !skipped.includes('+        public void Save(string key)'));
+        check('Only the folder of the source file is searched', skipped.includes('(3 files searched)') &&
+            skipped.includes('+        void Save(string name, bool flush, int level = 0, string tag = null);'));
+        check('Dry run writes nothing', skipped.startsWith('Dry run') && (await read('Store.cs')) === projectFiles['Store.cs']);
+
+        // Test 4: Refused changes
+        console.log('\nTest 4: Refused changes...');
+        const used = await rejects(changeSignature({ source_file: sourceFile, method_name: 'Save(string, bool, string)', parameters: ['key'] }));
+        check('Removing a parameter the body uses is refused', used && used.includes('Store.Save still uses flush'));
+        check('Clash with another overload is refused', used && used.includes('Store already has Save(string) (Store.cs:13)'));
+        const order = await rejects(changeSignature({ source_file: sourceFile, method_name: 'Save(string, bool, string)', parameters: ['key', 'tag', 'flush'] }));
+        check('Required parameter after an optional one is refused', order && order.includes('flush is required but follows the optional parameter tag'));
+        const ambiguous = await rejects(changeSignature({ source_file: sourceFile, method_name: 'Save', parameters: ['key'] }));
+        check('Overloaded name asks for a signature', ambiguous && ambiguous.includes('Select one by signature'));
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    // Print summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 TEST SUMMARY');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${total}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${total - passed}`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+}
+
+// Run the tests
+if (require.main === module) {
+    runChangeSignatureTests();
+}
+
+module.exports = { runChangeSignatureTests };
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the dry_run option of split_csharp_class and the unified diff helper.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ProcessSplitCSharpclassSimple } = require('../csharp_refactorer.js');
+const { createUnifiedDiff } = require('../text_diff.js');
+
+const dryRunSource = `namespace Billing
+{
+    public class Invoice
+    {
+        private decimal _total;
+
+        public void Add(decimal amount) { _total += amount; }
+
+        public decimal Total() { return _total; }
+
+        public void Print() { }
+    }
+}
+`;
+
+async function runDryRunTests() {
+    console.log('🧪 Running Dry Run Tests...\n');
+
+    let passed = 0;
+    let total = 0;
+
+    const check = (description, condition) => {
+        total++;
+        if (condition) {
+            console.log(`✅ ${description}`);
+            passed++;
+        } else {
+            console.log(`❌ ${description}`);
+        }
+    };
+
+    // Test 1: Unified diff format
+    console.log('Test 1: Unified diffs...');
+    const diff = createUnifiedDiff('a\nb\nc\nd\n', 'a\nB\nc\nd\n', 'a/file.cs', 'b/file.cs');
+    check('Diff header and hunk', diff.startsWith('--- a/file.cs\n+++ b/file.cs\n@@ -1,4 +1,4 @@\n a\n-b\n+B\n c\n d'));
+    check('Identical texts give no diff', createUnifiedDiff('same\n', 'same\n', 'a', 'b') === '');
+    check('Missing final line break is marked', createUnifiedDiff('x', 'x\n', 'a', 'b').includes('-x\n\\ No newline at end of file\n+x'));
+    const interleaved = createUnifiedDiff('a\nx\nb\ny\nc\n', 'a\nX\nb\nY\nc\n', 'a', 'b');
+    check('Each change removes lines before adding them', interleaved.includes(' a\n-x\n+X\n b\n-y\n+Y\n c'));
+    const rewritten = createUnifiedDiff(Array.from({ length: 10000 }, (_, i) => `old ${i}`).join('\n'), Array.from({ length: 10000 }, (_, i) => `new ${i}`).join('\n'), 'a', 'b');
+    check('A rewrite of a large file is one hunk', rewritten.split('\n@@ ').length === 2 && rewritten.includes('@@ -1,10000 +1,10000 @@') &&
+        rewritten.includes('-old 9999\n\\ No newline at end of file\n+new 0'));
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dry-run-'));
+    try {
+        const sourceFile = path.join(tempDir, 'Invoice.cs');
+        const outputDir = path.join(tempDir, 'out');
+        const configFile = path.join(tempDir, 'config.json');
+        await fs.writeFile(sourceFile, dryRunSource);
+        await fs.writeFile(configFile, JSON.stringify({
+            sourceFile, destinationFolder: outputDir, newNamespace: 'Billing', mainPartialClassName: 'Invoice.Core.cs', regenerate: true,
+            partialClasses: [{ fileName: 'Invoice.Amounts.cs', methods: ['Add', 'Total'] }, { fileName: 'Invoice.Output.cs', methods: ['Print'] }]
+        }));
+
+        // Test 2: Preview of a new split
+        console.log('\nTest 2: Previewing a new split...');
+        const preview = (await ProcessSplitCSharpclassSimple(configFile, true)).content[0].text;
+        const folderExists = await fs.access(outputDir).then(() => true, () => false);
+        check('Nothing written', !folderExists && preview.startsWith('Dry run: no files were written.'));
+        check('Planned files with line counts', preview.includes(`${path.join(outputDir, 'Invoice.Amounts.cs')} (`) && preview.includes('lines, new file)'));
+        check('Member placement listed', preview.includes('  Invoice.Amounts.cs:\n    - public void Add(decimal amount) (1 lines)\n    - public decimal Total() (1 lines)'));
+        check('Rewritten main file shown', preview.includes('Rewritten main file (Invoice.Core.cs):\n```csharp') && preview.includes('private decimal _total;'));
+
+        // Test 3: Diff against files already in the destination folder
+        console.log('\nTest 3: Diffing existing files...');
+        await ProcessSplitCSharpclassSimple(configFile);
+        const amountsFile = path.join(outputDir, 'Invoice.Amounts.cs');
+        const edited = (await fs.readFile(amountsFile, 'utf-8')).replace('return _total;', 'return _total * 2;');
+        await fs.writeFile(amountsFile, edited);
+        const changed = (await ProcessSplitCSharpclassSimple(configFile, true)).content[0].text;
+        check('Existing files are diffed', changed.includes('overwrites existing file') && changed.includes('--- a/Invoice.Amounts.cs') &&
+            changed.includes('-        public decimal Total() { return _total * 2; }') && changed.includes('+        public decimal Total() { return _total; }'));
+        check('Unchanged files are reported', changed.includes('Invoice.Output.cs') && changed.includes('unchanged'));
+        check('Existing files left untouched', await fs.readFile(amountsFile, 'utf-8') === edited);
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    // Print summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 TEST SUMMARY');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${total}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${total - passed}`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+}
+
+// Run the tests
+if (require.main === module) {
+    runDryRunTests();
+}
+
+module.exports = { runDryRunTests };
@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for extract_class: selected methods move into a new class together with the state only
+ * they use, the original reaches them through a field, and forwarding stubs keep callers working.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { extractClass, rollbackSplitSimple, CSharpRefactorer } = require('../csharp_refactorer.js');
+
+const utilitySource = `using System;
+using System.Collections.Generic;
+using System.Text;
+
+namespace Acme.Tools
+{
+    public class Utility
+    {
+        private readonly Dictionary<string, string> _cache = new Dictionary<string, string>();
+        private int _hits;
+        public const int MaxLength = 80;
+        private readonly string _name;
+
+        public Utility(string name)
+        {
+            _name = name;
+        }
+
+        public Utility() : this("default") { }
+
+        /// <summary>Formats a report line.</summary>
+        public string FormatLine(string text)
+        {
+            var builder = new StringBuilder();
+            builder.Append(Pad(text));
+            return builder.ToString();
+        }
+
+        private string Pad(string text) => text.PadRight(MaxLength);
+
+        public string Lookup(string key)
+        {
+            _hits++;
+            return _cache.TryGetValue(key, out var value) ? value : null;
+        }
+
+        public string Describe() => _name + ": " + FormatLine(_name) + this.Lookup(Pad(_name));
+
+        public static int Clamp(int value) => Math.Min(value, MaxLength);
+
+        public static int Clamp(int value, int max) => Math.Min(value, max);
+
+        public int Sum(List<int> values)
+        {
+            var total = 0;
+            foreach (var item in values) total += Clamp(item);
+            return total;
+        }
+
+        public string Name() => _name;
+
+        public string Label() => Name() + _name.Length;
+
+        public Utility Self() => this;
+    }
+}
+`;
+
+async function runExtractClassTests() {
+    console.log('🧪 Running Extract Class Tests...\n');
+
+    let passed = 0;
+    let total = 0;
+
+    const check = (description, condition) => {
+        total++;
+        if (condition) {
+            console.log(`✅ ${description}`);
+            passed++;
+        } else {
+            console.log(`❌ ${description}`);
+        }
+    };
+
+    const rejects = promise => promise.then(() => null, error => error.message);
+    const exists = filePath => fs.access(filePath).then(() => true, () => false);
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'extract-class-'));
+    try {
+        const sourceFile = path.join(tempDir, 'Utility.cs');
+        const newFile = path.join(tempDir, 'LineFormatter.cs');
+        const reset = async () => {
+            await fs.rm(tempDir, { recursive: true, force: true });
+            await fs.mkdir(tempDir, { recursive: true });
+            await fs.writeFile(sourceFile, utilitySource);
+        };
+
+        // Test 1: Field injection with forwarding stubs
+        console.log('Test 1: Field injection and stubs...');
+        await reset();
+        const result = (await extractClass({
+            source_file: sourceFile, methods: ['FormatLine', 'Lookup', 'Pad'], new_class_name: 'LineFormatter', forwarding_stubs: true,
+        })).content[0].text;
+        const extracted = await fs.readFile(newFile, 'utf-8');
+        const original = await fs.readFile(sourceFile, 'utf-8');
+        check('Methods and the state only they use move to the new class', result.includes('5 members of Utility extracted') &&
+            ['_cache', '_hits', 'FormatLine(', 'Pad(', 'Lookup('].every(text => extracted.includes(text)) &&
+            extracted.startsWith('using System;\nusing System.Collections.Generic;\nusing System.Text;\n\nnamespace Acme.Tools\n{\n    public class LineFormatter\n'));
+        check('Visible static members of the original are qualified', extracted.includes('text.PadRight(Utility.MaxLength)'));
+        check('Private method called from the original becomes internal', extracted.includes('internal string Pad(string text)'));
+        check('Original holds the new class in a field after its fields',
+            original.includes('        private readonly string _name;\n        private readonly LineFormatter _lineFormatter = new LineFormatter();\n'));
+        check('Calls in the original go through the field',
+            original.includes('public string Describe() => _name + ": " + _lineFormatter.FormatLine(_name) + _lineFormatter.Lookup(_lineFormatter.Pad(_name));'));
+        check('Public methods leave obsolete forwarding stubs, private ones none',
+            original.includes('        /// <summary>Formats a report line.</summary>\n        [Obsolete("Use LineFormatter.FormatLine instead.")]\n        public string FormatLine(string text) => _lineFormatter.FormatLine(text);') &&
+            original.includes('public string Lookup(string key) => _lineFormatter.Lookup(key);') && !original.includes('private string Pad') && !original.includes('_cache'));
+
+        // Test 2: Rollback
+        console.log('\nTest 2: Rollback...');
+        await rollbackSplitSimple(tempDir);
+        check('Rollback restores the original and removes the new class',
+            (await fs.readFile(sourceFile, 'utf-8')) === utilitySource && !(await exists(newFile)));
+
+        // Test 3: Constructor injection
+        console.log('\nTest 3: Constructor injection...');
+        await reset();
+        await extractClass({ source_file: sourceFile, methods: ['FormatLine', 'Lookup', 'Pad'], new_class_name: 'LineFormatter', injection: 'constructor' });
+        const injected = await fs.readFile(sourceFile, 'utf-8');
+        check('Constructors take the new class and store it', injected.includes('private readonly LineFormatter _lineFormatter;\n') &&
+            injected.includes('public Utility(LineFormatter lineFormatter, string name)\n        {\n            _lineFormatter = lineFormatter;\n            _name = name;'));
+        check('Chained constructors pass the parameter on', injected.includes('public Utility(LineFormatter lineFormatter) : this(lineFormatter, "default") { }'));
+
+        // Test 4: Static methods
+        console.log('\nTest 4: Static methods...');
+        await reset();
+        const preview = (await extractClass({ source_file: sourceFile, methods: ['Clamp'], new_class_name: 'Limits', dry_run: true })).content[0].text;
+        check('Only static members make a static class without a field', preview.includes('public static class Limits') &&
+            preview.includes('through: none') && preview.includes('+            foreach (var item in values) total += Limits.Clamp(item);'));
+        check('Dry run writes nothing', preview.startsWith('Dry run') && !(await exists(path.join(tempDir, 'Limits.cs'))) &&
+            (await fs.readFile(sourceFile, 'utf-8')) === utilitySource);
+
+        // Test 5: Problems refuse the extraction
+        console.log('\nTest 5: Problems...');
+        const error = await rejects(extractClass({
+            source_file: sourceFile, methods: ['Label', 'Self', 'Clamp(int)'], new_class_name: 'Labels',
+        }));
+        check('Instance members staying behind and this are reported', error &&
+            error.includes('Label() uses Name, which stays in Utility') && error.includes('Self() passes on this'));
+        check('State used by members that stay does not move', error && error.includes('Label() uses _name, which stays in Utility'));
+        check('Partly selected overloads are reported', error && error.includes('Only some overloads of Clamp are selected'));
+        check('Nothing written when the extraction is refused', !(await exists(path.join(tempDir, 'Labels.cs'))) &&
+            (await fs.readFile(sourceFile, 'utf-8')) === utilitySource);
+
+        // Test 6: Member references
+        console.log('\nTest 6: Member references...');
+        const refactorer = new CSharpRefactorer();
+        await fs.writeFile(sourceFile, `class Orders
+{
+    private int Count;
+    private string Name;
+
+    public Order Build(int size)
+    {
+        var Name = "local";
+        var order = new Order { Count = size, Name = Name };
+        return Create(count: Count, this.Name);
+    }
+}`);
+        await refactorer.parseSourceFile(sourceFile);
+        const build = refactorer.methodsByName.Build[0];
+        const references = refactorer.findMemberReferences(build, new Set(['Count', 'Name', 'Build']))
+            .map(reference => `${reference.qualifier ? `${reference.qualifier}.` : ''}${reference.name}`);
+        check('Locals, initializer members and named arguments are not member references', references.join('|') === 'Count|this.Name');
+
+        // Test 7: An identical member in another class of the file
+        console.log('\nTest 7: Identical members in another class...');
+        await fs.writeFile(sourceFile, 'class Other\n{\n    private int Twice(int x) => x * 2;\n}\n\n' +
+            'class Calc\n{\n    public int Run(int v) => Twice(v);\n\n    private int Twice(int x) => x * 2;\n}\n');
+        await extractClass({ source_file: sourceFile, target_class_name: 'Calc', methods: ['Twice'], new_class_name: 'Doubler' });
+        check('Only the target class loses the member', (await fs.readFile(sourceFile, 'utf-8')) === 'class Other\n{\n    private int Twice(int x) => x * 2;\n}\n\n' +
+            'class Calc\n{\n    private readonly Doubler _doubler = new Doubler();\n\n    public int Run(int v) => _doubler.Twice(v);\n}\n');
+
+        // Test 8: Locals only shadow a member inside their own scope
+        console.log('\nTest 8: Scoped locals...');
+        const statsSource = `class Stats
+{
+    private int _limit;
+    private int _seen;
+
+    public int Count(int[] xs)
+    {
+        var n = xs.Count(_limit => _limit > 0);
+        return n + _limit;
+    }
+
+    public int Last(int[] xs)
+    {
+        foreach (var _seen in xs) { }
+        return _seen;
+    }
+
+    public void Reset() { _limit = 0; _seen = 0; }
+}
+`;
+        await fs.writeFile(sourceFile, statsSource);
+        const scoped = await rejects(extractClass({ source_file: sourceFile, methods: ['Count', 'Last'], new_class_name: 'Counter' }));
+        check('A lambda parameter does not hide the field after the lambda', scoped && scoped.includes('Count(int[]) uses _limit, which stays in Stats'));
+        check('A foreach variable does not hide the field after the loop', scoped && scoped.includes('Last(int[]) uses _seen, which stays in Stats'));
+        check('Nothing written for the scoped locals', (await fs.readFile(sourceFile, 'utf-8')) === statsSource);
+
+        // Test 9: A field declaring several names moves only when none of them stays in use
+        console.log('\nTest 9: Several declarators...');
+        const utilSource = 'class Util\n{\n    private int _a, _b;\n\n    public int Next() => ++_a;\n\n    public int Name() => _b;\n}\n';
+        await fs.writeFile(sourceFile, utilSource);
+        const declarators = await rejects(extractClass({ source_file: sourceFile, methods: ['Next'], new_class_name: 'Sequence' }));
+        check('A field whose other declarator stays in use does not move', declarators && declarators.includes('Next() uses _a, which stays in Util') &&
+            (await fs.readFile(sourceFile, 'utf-8')) === utilSource);
+        await extractClass({ source_file: sourceFile, methods: ['Next', 'Name'], new_class_name: 'Sequence' });
+        check('A field moves with all of its declarators', (await fs.readFile(path.join(tempDir, 'Sequence.cs'), 'utf-8')).includes('private int _a, _b;'));
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    // Print summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 TEST SUMMARY');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${total}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${total - passed}`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+}
+
+// Run the tests
+if (require.main === module) {
+    runExtractClassTests();
+}
+
+module.exports = { runExtractClassTests };
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for extract_interface: an interface is generated from the public instance members of a
+ * class, with doc comments, constraints and public accessors, and added to the class's base list.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { extractInterface, rollbackSplitSimple } = require('../csharp_refactorer.js');
+
+const repositorySource = `using System;
+using System.Collections.Generic;
+using System.Text;
+using System.Threading.Tasks;
+
+namespace Acme.Data
+{
+    public class Repository<T> : IDisposable where T : class, new()
+    {
+        private readonly List<T> _items = new List<T>();
+
+        public Repository() { }
+
+        /// <summary>Number of items.</summary>
+        public int Count => _items.Count;
+
+        public string Name { get; private set; }
+
+        // Not part of the docs
+        /// <summary>Gets an item.</summary>
+        /// <param name="index">Position.</param>
+        public T this[int index] { get { return _items[index]; } set { _items[index] = value; } }
+
+        public event EventHandler Changed;
+
+        /// <summary>Loads items.</summary>
+        public async Task<IReadOnlyList<TResult>> LoadAsync<TResult>(Func<T, TResult> map,
+            int limit = 10) where TResult : struct
+        {
+            await Task.Yield();
+            return null;
+        }
+
+#if DEBUG
+        public void Dump() { }
+#endif
+
+        public static Repository<T> Create() => new Repository<T>();
+
+        public override string ToString() => Name;
+
+        private void Reset() { }
+
+        public void Dispose() { }
+
+        void IDisposable.Dispose() { }
+    }
+}
+`;
+
+const partialSource = `namespace Shop;
+
+public partial class OrderService
+{
+    public void Cancel(int id) { }
+
+    public bool IsOpen(int id) => true;
+}
+`;
+
+async function runExtractInterfaceTests() {
+    console.log('🧪 Running Extract Interface Tests...\n');
+
+    let passed = 0;
+    let total = 0;
+
+    const check = (description, condition) => {
+        total++;
+        if (condition) {
+            console.log(`✅ ${description}`);
+            passed++;
+        } else {
+            console.log(`❌ ${description}`);
+        }
+    };
+
+    const rejects = promise => promise.then(() => null, error => error.message);
+    const exists = filePath => fs.access(filePath).then(() => true, () => false);
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'extract-interface-'));
+    try {
+        const sourceFile = path.join(tempDir, 'Repository.cs');
+        const interfaceFile = path.join(tempDir, 'IRepository.cs');
+        await fs.writeFile(sourceFile, repositorySource);
+
+        // Test 1: Interface from all public instance members
+        console.log('Test 1: Generated interface...');
+        const result = (await extractInterface({ source_file: sourceFile })).content[0].text;
+        const generated = await fs.readFile(interfaceFile, 'utf-8');
+        check('Generic interface with the class constraints', result.includes('IRepository extracted from Repository with 7 members') &&
+            generated.includes('namespace Acme.Data\n{\n    public interface IRepository<T> where T : class, new()\n    {\n'));
+        check('Usings limited to what the members reference', generated.startsWith('using System;\nusing System.Collections.Generic;\nusing System.Threading.Tasks;\n\nnamespace'));
+        check('XML doc comments kept, other comments dropped',
+            generated.includes('        /// <summary>Gets an item.</summary>\n        /// <param name="index">Position.</param>\n        T this[int index] { get; set; }') &&
+            !generated.includes('Not part of the docs'));
+        check('Properties list only their public accessors', generated.includes('        int Count { get; }') && generated.includes('        string Name { get; }'));
+        check('Generic methods keep type parameters, defaults and constraints',
+            generated.includes('        Task<IReadOnlyList<TResult>> LoadAsync<TResult>(Func<T, TResult> map, int limit = 10) where TResult : struct;'));
+        check('Members in #if sections stay conditional', generated.includes('#if DEBUG\n        void Dump();\n#endif'));
+        check('Static, private, explicit and object members left out', !['Create', 'Reset', 'ToString', 'IDisposable.'].some(text => generated.includes(text)) &&
+            generated.includes('event EventHandler Changed;') && generated.includes('void Dispose();'));
+        check('Class implements the interface', (await fs.readFile(sourceFile, 'utf-8'))
+            .includes('public class Repository<T> : IDisposable, IRepository<T> where T : class, new()'));
+
+        // Test 2: Rollback
+        console.log('\nTest 2: Rollback...');
+        await rollbackSplitSimple(tempDir);
+        check('Rollback removes the interface and restores the class', !(await exists(interfaceFile)) &&
+            (await fs.readFile(sourceFile, 'utf-8')) === repositorySource);
+
+        // Test 3: Selected members and a partial file
+        console.log('\nTest 3: Selected members...');
+        const partialFile = path.join(tempDir, 'OrderService.Cancel.cs');
+        await fs.writeFile(partialFile, partialSource);
+        const preview = (await extractInterface({
+            source_file: partialFile, interface_name: 'IOrderCancellation', members: ['Cancel'], dry_run: true,
+        })).content[0].text;
+        check('Only the listed members, file-scoped namespace kept', preview.includes('namespace Shop;\n\npublic interface IOrderCancellation\n{\n    void Cancel(int id);\n}') &&
+            !preview.includes('bool IsOpen(int id);'));
+        check('Partial declaration gets the base list, dry run writes nothing',
+            preview.includes('+public partial class OrderService : IOrderCancellation') && !(await exists(path.join(tempDir, 'IOrderCancellation.cs'))));
+        const error = await rejects(extractInterface({ source_file: sourceFile, members: ['Create', 'Reset'] }));
+        check('Members that cannot be in the interface are reported', error &&
+            error.includes('Create() is not a public instance') && error.includes('Reset() is not a public instance'));
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    // Print summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 TEST SUMMARY');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${total}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${total - passed}`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+}
+
+// Run the tests
+if (require.main === module) {
+    runExtractInterfaceTests();
+}
+
+module.exports = { runExtractInterfaceTests };
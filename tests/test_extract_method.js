@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for extract_method: a line range of a method body becomes a new private method whose
+ * parameters, ref/out parameters and return value follow from the locals the lines read and write.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { extractMethod, rollbackSplitSimple } = require('../csharp_refactorer.js');
+
+const invoiceSource = `using System;
+using System.Collections.Generic;
+using System.Threading.Tasks;
+
+namespace Shop
+{
+    public class Invoice
+    {
+        private readonly List<decimal> _lines = new List<decimal>();
+
+        public decimal Total(decimal rate, int count)
+        {
+            decimal subtotal = 0;
+            foreach (var line in _lines)
+            {
+                if (line < 0)
+                {
+                    break;
+                }
+                subtotal += line;
+            }
+            decimal discount = count > 10 ? 0.1m : 0m;
+            decimal tax = subtotal * rate;
+            string note = "Tax: ";
+            Console.WriteLine(note + tax);
+            return subtotal - discount + tax;
+        }
+
+        public async Task<int> LoadAsync(string name)
+        {
+            int length = name.Length;
+            await Task.Delay(length);
+            int doubled = length * 2;
+            return doubled;
+        }
+
+        public void Adjust(int a)
+        {
+            int low = a;
+            int high = a;
+            low--;
+            high++;
+            Console.WriteLine(low + high);
+        }
+
+        public int Count(string text)
+        {
+            var words = text.Split(' ');
+            var total = words.Length;
+            return total;
+        }
+
+        public static int Sum<T>(T[] values, Func<T, int> weight) where T : class
+        {
+            int total = 0;
+            int last = 0;
+            for (int i = 0; i < values.Length; i++)
+            {
+                total += weight(values[i]) - last;
+                last = weight(values[i]);
+            }
+            return total;
+        }
+
+        public int Cap(int y)
+        {
+            if (y > 3) return y;
+            return 0;
+        }
+
+        public int Average(int n)
+        {
+            int sum = 0;
+            int count;
+            for (int i = 0; i < n; i++) sum += i;
+            count = n > 0 ? n : 1;
+            return sum / count;
+        }
+    }
+}
+`;
+
+async function runExtractMethodTests() {
+    console.log('🧪 Running Extract Method Tests...\n');
+
+    let passed = 0;
+    let total = 0;
+
+    const check = (description, condition) => {
+        total++;
+        if (condition) {
+            console.log(`✅ ${description}`);
+            passed++;
+        } else {
+            console.log(`❌ ${description}`);
+        }
+    };
+
+    const rejects = promise => promise.then(() => null, error => error.message);
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'extract-method-'));
+    try {
+        const sourceFile = path.join(tempDir, 'Invoice.cs');
+        await fs.writeFile(sourceFile, invoiceSource);
+        const preview = async (start_line, end_line, new_method_name) =>
+            (await extractMethod({ source_file: sourceFile, start_line, end_line, new_method_name, dry_run: true })).content[0].text;
+
+        // Test 1: A local declared in the lines and used afterwards is returned
+        console.log('Test 1: Returned local...');
+        await extractMethod({ source_file: sourceFile, start_line: 13, end_line: 21, new_method_name: 'SumLines' });
+        const extracted = await fs.readFile(sourceFile, 'utf-8');
+        check('Call site declares the returned local', extracted.includes('        {\n            decimal subtotal = SumLines();\n            decimal discount'));
+        check('New private method follows the original', extracted.includes(
+            '            return subtotal - discount + tax;\n        }\n\n        private decimal SumLines()\n        {\n            decimal subtotal = 0;\n            foreach (var line in _lines)') &&
+            extracted.includes('                subtotal += line;\n            }\n            return subtotal;\n        }\n'));
+
+        // Test 2: Rollback
+        console.log('\nTest 2: Rollback...');
+        await rollbackSplitSimple(tempDir);
+        check('Rollback restores the file', (await fs.readFile(sourceFile, 'utf-8')) === invoiceSource);
+
+        // Test 3: Parameters, ref and out
+        console.log('\nTest 3: Parameters...');
+        check('Locals and parameters read become parameters', (await preview(23, 25, 'ApplyTax'))
+            .includes('+            decimal tax = ApplyTax(subtotal, rate);'));
+        const compute = await preview(13, 23, 'Compute');
+        check('Several values used afterwards come back through out parameters',
+            compute.includes('+            Compute(count, rate, out decimal subtotal, out decimal discount, out decimal tax);') &&
+            compute.includes('+            discount = count > 10 ? 0.1m : 0m;'));
+        check('Values read and changed are passed by ref', (await preview(41, 42, 'Shift')).includes('+        private void Shift(ref int low, ref int high)'));
+        check('A single changed value is passed in and returned', (await preview(41, 41, 'Lower')).includes('+            low = Lower(low);'));
+        const weigh = await preview(60, 60, 'Weigh');
+        check('Loop variables read in the next iteration count as used afterwards, generic static methods stay so',
+            weigh.includes('+                last = Weigh<T>(weight, values, i);') &&
+            weigh.includes('+        private static int Weigh<T>(Func<T, int> weight, T[] values, int i) where T : class\n+        {\n+            int last;'));
+
+        // Test 4: Returns and await
+        console.log('\nTest 4: Returns and await...');
+        check('A final return makes the call site return', (await preview(24, 26, 'Finish')).includes('+            return Finish(tax, subtotal, discount);'));
+        const delay = await preview(32, 34, 'DelayAndDouble');
+        check('Awaiting code gives an async method', delay.includes('+            return await DelayAndDouble(length);') &&
+            delay.includes('+        private async Task<int> DelayAndDouble(int length)'));
+        check('Dry run writes nothing', delay.startsWith('Dry run') && (await fs.readFile(sourceFile, 'utf-8')) === invoiceSource);
+
+        // Test 5: Refused ranges
+        console.log('\nTest 5: Refused ranges...');
+        const crossing = await rejects(preview(14, 15, 'Bad'));
+        check('Ranges crossing block boundaries are refused', crossing && crossing.includes('crosses block boundaries'));
+        const leaving = await rejects(preview(16, 19, 'Stop'));
+        check('A break leaving the lines is refused', leaving && leaving.includes('break on line 18 leaves the selected lines'));
+        const inferred = await rejects(preview(49, 49, 'CountWords'));
+        check('Locals declared with var need a readable type', inferred && inferred.includes('words is declared with var'));
+        const outside = await rejects(preview(11, 12, 'Header'));
+        check('Lines outside the method body are refused', outside && outside.includes('is not inside the body of Total(decimal, int)'));
+        const conditional = await rejects(preview(67, 67, 'Check'));
+        check('A return inside an if without braces is refused', conditional && conditional.includes("return on line 67 can't be extracted"));
+
+        // Test 6: Declarations the lines don't assign
+        console.log('\nTest 6: Unassigned declarations...');
+        const average = await preview(73, 75, 'SumTo');
+        check('An unassigned local stays declared at the call site and is not passed',
+            average.includes('+            int sum = SumTo(n);') && average.includes('+        private int SumTo(int n)') &&
+            average.includes('             int count;\n-            for') && !average.includes('out int count'));
+        const bare = await preview(74, 74, 'Declare');
+        check('A lone declaration is not returned', bare.includes('             int count;\n+            Declare();') &&
+            bare.includes('+        private void Declare()\n+        {\n') && !bare.includes('+            return count;'));
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    // Print summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 TEST SUMMARY');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${total}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${total - passed}`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+}
+
+// Run the tests
+if (require.main === module) {
+    runExtractMethodTests();
+}
+
+module.exports = { runExtractMethodTests };
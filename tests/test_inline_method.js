@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for inline_method: calls to a private method are replaced with its body, arguments are
+ * substituted or stored in temporaries, and the declaration goes once no calls remain.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { inlineMethod, rollbackSplitSimple } = require('../csharp_refactorer.js');
+
+const reportSource = `using System;
+
+namespace Shop
+{
+    public class Report
+    {
+        private readonly string _title = "!";
+        private int _count;
+
+        public string Header(string name)
+        {
+            var label = Format(name, _count + 1);
+            return label;
+        }
+
+        public void Print(string name)
+        {
+            Log(GetName(name));
+            Log("done");
+            Console.WriteLine(Format(name, 2).Trim());
+        }
+
+        public int Sum(int a, int b) => Twice(a) + Twice(b + 1);
+
+        private string Format(string text, int width)
+        {
+            var padded = text.PadLeft(width);
+            return padded + _title;
+        }
+
+        private void Log(string message)
+        {
+            var line = $"[{_count}] {message}";
+            Console.WriteLine(line);
+            _count++;
+        }
+
+        private static int Twice(int value) => value * 2;
+
+        private string GetName(string name) => name.Trim();
+
+        private int Clamp(int value) { if (value < 0) return 0; return value; }
+
+        private int Fact(int n) => n <= 1 ? 1 : n * Fact(n - 1);
+
+        private void Read(out int value) { value = 1; }
+
+        public void Reset() { _count = 0; }
+    }
+}
+`;
+
+async function runInlineMethodTests() {
+    console.log('🧪 Running Inline Method Tests...\n');
+
+    let passed = 0;
+    let total = 0;
+
+    const check = (description, condition) => {
+        total++;
+        if (condition) {
+            console.log(`✅ ${description}`);
+            passed++;
+        } else {
+            console.log(`❌ ${description}`);
+        }
+    };
+
+    const rejects = promise => promise.then(() => null, error => error.message);
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'inline-method-'));
+    try {
+        const sourceFile = path.join(tempDir, 'Report.cs');
+        const read = () => fs.readFile(sourceFile, 'utf-8');
+        await fs.writeFile(sourceFile, reportSource);
+
+        // Test 1: Statements with temporaries
+        console.log('Test 1: Inlining statements...');
+        const result = (await inlineMethod({ source_file: sourceFile, method_name: 'Log' })).content[0].text;
+        const inlined = await read();
+        check('Argument with side effects stored in a temporary', inlined.includes(
+            '            string message = GetName(name);\n            var line = $"[{_count}] {message}";\n            Console.WriteLine(line);\n            _count++;\n'));
+        check('Simple argument substituted, clashing local renamed',
+            inlined.includes('            var line2 = $"[{_count}] {"done"}";\n            Console.WriteLine(line2);\n            _count++;\n'));
+        check('Declaration removed once no calls remain', result.includes('2 calls to Log(string) inlined in Report') &&
+            result.includes('Declaration of Log(string) removed.') && !inlined.includes('private void Log'));
+
+        // Test 2: Rollback
+        console.log('\nTest 2: Rollback...');
+        await rollbackSplitSimple(tempDir);
+        check('Rollback restores the file', (await read()) === reportSource);
+
+        // Test 3: Values and expressions
+        console.log('\nTest 3: Values and expressions...');
+        const format = (await inlineMethod({ source_file: sourceFile, method_name: 'Format(string, int)', dry_run: true })).content[0].text;
+        check('Assigned call takes the statements before it and the result in its place',
+            format.includes('+            var padded = name.PadLeft(_count + 1);\n+            var label = padded + _title;'));
+        check('Call inside a larger expression is listed and the declaration kept',
+            format.includes('line 20 in Print(string): the call is part of a larger expression') && format.includes('Declaration of Format(string, int) kept'));
+        const twice = (await inlineMethod({ source_file: sourceFile, method_name: 'Twice', dry_run: true })).content[0].text;
+        check('Expression body inlined with parentheses where needed',
+            twice.includes('+        public int Sum(int a, int b) => (a * 2) + ((b + 1) * 2);'));
+        check('Dry run writes nothing', twice.startsWith('Dry run') && (await read()) === reportSource);
+
+        // Test 4: Statement boundaries
+        console.log('\nTest 4: Statement boundaries...');
+        await fs.writeFile(sourceFile, `class Flow
+{
+    private int _total;
+
+    public void Run(int mode, int[] values)
+    {
+        if (mode > 0)
+        {
+            _total = 0;
+        }
+        Add(values[0]);
+        switch (mode)
+        {
+            case 1:
+                Add(mode);
+                break;
+        }
+        values.ToList().ForEach(v => { Add(v); });
+    }
+
+    private void Add(int amount) { _total += amount; }
+}
+`);
+        const flow = (await inlineMethod({ source_file: sourceFile, method_name: 'Add', dry_run: true })).content[0].text;
+        check('Calls after a block and in a case section are statements',
+            flow.includes('+        _total += values[0];') && flow.includes('+                _total += mode;'));
+        check('Call in a one-line block stays on its line', flow.includes('+        values.ToList().ForEach(v => { _total += v; });'));
+        await fs.writeFile(sourceFile, reportSource);
+
+        // Test 5: Refused methods
+        console.log('\nTest 5: Refused methods...');
+        const returns = await rejects(inlineMethod({ source_file: sourceFile, method_name: 'Clamp' }));
+        check('Several returns refused', returns && returns.includes('Cannot inline Clamp(int): it has 2 return statements'));
+        const recursion = await rejects(inlineMethod({ source_file: sourceFile, method_name: 'Fact' }));
+        check('Recursion refused', recursion && recursion.includes('it calls itself'));
+        const out = await rejects(inlineMethod({ source_file: sourceFile, method_name: 'Read' }));
+        check('Out parameters refused', out && out.includes('it has an out parameter (value)'));
+        const visible = await rejects(inlineMethod({ source_file: sourceFile, method_name: 'Reset' }));
+        check('Methods visible outside the class refused', visible && visible.includes('Cannot inline Reset(): it is public; only private methods are inlined'));
+        check('Nothing written when refused', (await read()) === reportSource);
+        const guardSource = `class Guard
+{
+    private int _n;
+
+    public void Run(int a)
+    {
+        Helper(a);
+        _n = 5;
+    }
+
+    private void Helper(int a) { _n++; if (a > 0) return; }
+}
+`;
+        await fs.writeFile(sourceFile, guardSource);
+        const guarded = await rejects(inlineMethod({ source_file: sourceFile, method_name: 'Helper' }));
+        check('Return inside an if without braces refused', guarded && guarded.includes('Cannot inline Helper(int): it returns before its end') &&
+            (await read()) === guardSource);
+
+        // Test 6: An identical method in another class
+        console.log('\nTest 6: Identical methods in another class...');
+        await fs.writeFile(sourceFile, `class B
+{
+    private int Two() => 2;
+
+    public int G() => Two();
+}
+
+class A
+{
+    private int Two() => 2;
+
+    public int F() => Two();
+}
+`);
+        const identical = (await inlineMethod({ source_file: sourceFile, target_class_name: 'A', method_name: 'Two' })).content[0].text;
+        check('Declaration removed from its own class only', identical.includes('Declaration of Two() removed.') && (await read()) ===
+            'class B\n{\n    private int Two() => 2;\n\n    public int G() => Two();\n}\n\nclass A\n{\n    public int F() => 2;\n}\n');
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    // Print summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 TEST SUMMARY');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${total}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${total - passed}`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+}
+
+// Run the tests
+if (require.main === module) {
+    runInlineMethodTests();
+}
+
+module.exports = { runInlineMethodTests };
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the C# lexer and the parsers built on it.
+ * Covers every literal and comment form that used to break method boundaries.
+ */
+
+const { tokenize, significantTokens, findMatchingToken } = require('../csharp_lexer.js');
+const { CSharpRefactorer } = require('../csharp_refactorer.js');
+
+const trickySource = `namespace Tricky.Literals
+{
+    public class Tricky
+    {
+        private string _path = @"C:\\temp\\{folder}";
+
+        public string Verbatim()
+        {
+            return @"a } "" {";
+        }
+
+        public string Interpolated(int x)
+        {
+            return $"{{ {Format(x)} }} {x:N2}";
+        }
+
+        public string Raw()
+        {
+            return """
+                { "json": } }
+                """;
+        }
+
+        /* A block comment with a brace } */
+        public char Brace()
+        {
+            return '}'; // closing } in a comment
+        }
+
+        public void Calls()
+        {
+            var user = new User();
+            Helper<int>(1);
+            this.Other();
+        }
+
+        private void Helper<T>(T value) { }
+
+        private void Other() { }
+    }
+}`;
+
+async function runLexerTests() {
+    console.log('🧪 Running C# Lexer Tests...\n');
+
+    let passed = 0;
+    let total = 0;
+
+    const check = (description, condition) => {
+        total++;
+        if (condition) {
+            console.log(`✅ ${description}`);
+            passed++;
+        } else {
+            console.log(`❌ ${description}`);
+        }
+    };
+
+    // Test 1: Literal forms are single tokens
+    console.log('Test 1: Tokenizing literals...');
+    const literals = significantTokens(tokenize('@"a""b" $"{x}" """raw "" text""" \'{\' $$"""{{y}}"""'));
+    check('Verbatim string is one token', literals[0].type === 'string' && literals[0].value === '@"a""b"');
+    check('Interpolated string exposes its hole', literals[1].interpolations && literals[1].interpolations[0].tokens[0].value === 'x');
+    check('Raw string literal is one token', literals[2].value === '"""raw "" text"""');
+    check('Char literal with a brace is one token', literals[3].type === 'char' && literals[3].value === '\'{\'');
+    check('Raw interpolated string uses the dollar count', literals[4].interpolations.length === 1);
+
+    // Test 2: Comments and directives are trivia
+    console.log('\nTest 2: Tokenizing comments and directives...');
+    const trivia = tokenize('#region A\n/* { */ // }\nx');
+    check('Preprocessor directive is recognized', trivia[0].type === 'preprocessor' && trivia[0].value === '#region A');
+    check('Block and line comments are recognized', trivia.filter(t => t.type === 'comment').length === 2);
+
+    // Test 3: Brace matching ignores literals and comments
+    console.log('\nTest 3: Matching braces...');
+    const braceTokens = tokenize('{ "}" \'}\' /* } */ { } }');
+    check('Matching brace skips literals and comments', findMatchingToken(braceTokens, 0) === braceTokens.length - 1);
+
+    // Test 4: Method spans are right with tricky literals
+    console.log('\nTest 4: Parsing method spans...');
+    const refactorer = new CSharpRefactorer();
+    const classes = refactorer.parseAllClasses(trickySource);
+    check('Class found', classes.length === 1 && classes[0].name === 'Tricky');
+    refactorer.parseCSharpMethods(classes[0].content);
+    const names = refactorer.getAvailableMethodNames();
+    check('All methods found', ['Verbatim', 'Interpolated', 'Raw', 'Brace', 'Calls', 'Helper', 'Other'].every(n => names.includes(n)));
+    check('Verbatim method ends after its body', refactorer.methodsByName['Verbatim'][0].content.trim().endsWith('return @"a } "" {";\n        }'));
+    check('Raw string method ends after its body', refactorer.methodsByName['Raw'][0].lineCount === 6);
+    check('Block comment is kept with the following method', refactorer.methodsByName['Brace'][0].content.includes('/* A block comment'));
+
+    // Test 5: Call detection
+    console.log('\nTest 5: Detecting method calls...');
+    const calls = refactorer.parseMethodCalls(refactorer.methodsByName['Calls'][0].content).map(c => c.methodName);
+    check('Generic and this-qualified calls detected', calls.includes('Helper') && calls.includes('Other'));
+    check('Object creation is not a call', !calls.includes('User'));
+    const interpolatedCalls = refactorer.parseMethodCalls(refactorer.methodsByName['Interpolated'][0].content);
+    check('Calls inside interpolation holes detected', interpolatedCalls.some(c => c.methodName === 'Format'));
+
+    // Print summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 TEST SUMMARY');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${total}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${total - passed}`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+}
+
+// Run the tests
+if (require.main === module) {
+    runLexerTests();
+}
+
+module.exports = { runLexerTests };
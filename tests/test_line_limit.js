@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for configurable line limits (maxLinesPerFile) and overflow splitting into numbered files.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ProcessSplitCSharpclassSimple } = require('../csharp_refactorer.js');
+
+const body = lines => Array.from({ length: lines }, (_, index) => `            var step${index} = ${index};`).join('\n');
+
+const limitSource = `namespace Orders
+{
+    public class Orders
+    {
+        private int _batch;
+
+        public void Import()
+        {
+${body(4)}
+            Decode();
+        }
+
+        private void Decode()
+        {
+${body(4)}
+            Store();
+        }
+
+        private void Store()
+        {
+${body(4)}
+        }
+
+        public void Flush()
+        {
+${body(4)}
+            _batch = 0;
+        }
+
+        public void Enqueue()
+        {
+${body(4)}
+            _batch++;
+        }
+    }
+}
+`;
+
+async function runLineLimitTests() {
+    console.log('🧪 Running Line Limit Tests...\n');
+
+    let passed = 0;
+    let total = 0;
+
+    const check = (description, condition) => {
+        total++;
+        if (condition) {
+            console.log(`✅ ${description}`);
+            passed++;
+        } else {
+            console.log(`❌ ${description}`);
+        }
+    };
+
+    const rejects = promise => promise.then(() => null, error => error.message);
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'line-limit-'));
+    try {
+        const sourceFile = path.join(tempDir, 'Orders.cs');
+        const outputDir = path.join(tempDir, 'out');
+        const configFile = path.join(tempDir, 'config.json');
+        await fs.writeFile(sourceFile, limitSource);
+        const split = async (settings, partialClass) => {
+            await fs.rm(outputDir, { recursive: true, force: true });
+            await fs.writeFile(configFile, JSON.stringify({
+                sourceFile, destinationFolder: outputDir, newNamespace: 'Orders', mainPartialClassName: 'Orders.Core.cs', ...settings,
+                partialClasses: [{ fileName: 'Orders.Data.cs', members: ['_batch'], methods: ['Import', 'Decode', 'Store', 'Flush', 'Enqueue'], ...partialClass }]
+            }));
+            return ProcessSplitCSharpclassSimple(configFile);
+        };
+        const lines = async fileName => (await fs.readFile(path.join(outputDir, fileName), 'utf-8')).split('\n').length;
+
+        // Test 1: Configurable limits
+        console.log('Test 1: Configurable limits...');
+        const global = await rejects(split({ maxLinesPerFile: 30 }, {}));
+        check('Global limit enforced', global && global.includes('exceeds 30-line limit') && global.includes('overflow to "split"'));
+        const perPartial = await rejects(split({ maxLinesPerFile: 1000 }, { maxLinesPerFile: 25 }));
+        check('Per-partial limit overrides the global one', perPartial && perPartial.includes('exceeds 25-line limit'));
+        await split({ maxLinesPerFile: 30 }, { maxLinesPerFile: 100 });
+        check('Raised per-partial limit lets the file through', await lines('Orders.Data.cs') > 30);
+        const invalid = await rejects(split({ maxLinesPerFile: -5 }, {}));
+        check('Invalid limit rejected', invalid && invalid.includes('Invalid maxLinesPerFile "-5"'));
+        const invalidMode = await rejects(split({}, { overflow: 'chunk' }));
+        check('Invalid overflow mode rejected', invalidMode && invalidMode.includes('Invalid overflow "chunk"'));
+
+        // Test 2: Overflow splitting
+        console.log('\nTest 2: Overflow splitting...');
+        const result = (await split({ maxLinesPerFile: 34, overflow: 'split' }, {})).content[0].text;
+        const files = (await fs.readdir(outputDir)).filter(file => file.endsWith('.cs')).sort();
+        check('Numbered files written', files.join(',') === 'Orders.Core.cs,Orders.Data.1.cs,Orders.Data.2.cs');
+        check('Every numbered file within the limit', await lines('Orders.Data.1.cs') <= 34 && await lines('Orders.Data.2.cs') <= 34);
+        const first = await fs.readFile(path.join(outputDir, 'Orders.Data.1.cs'), 'utf-8');
+        const second = await fs.readFile(path.join(outputDir, 'Orders.Data.2.cs'), 'utf-8');
+        check('Callers and callees kept together', ['Import()', 'Decode()', 'Store()'].every(name => second.includes(name)));
+        check('Shared state kept with its users', ['_batch;', 'Flush()', 'Enqueue()'].every(name => first.includes(name)));
+        check('Parts reported', result.includes('part 1 of 2 of Orders.Data.cs (over 34 lines)'));
+        await split({ overflow: 'split' }, {});
+        check('Files under the limit keep their name', (await fs.readdir(outputDir)).includes('Orders.Data.cs'));
+
+        // Test 3: Overflow that cannot be split
+        console.log('\nTest 3: Members too large for any file...');
+        const tooLarge = await rejects(split({ maxLinesPerFile: 12, overflow: 'split' }, {}));
+        check('Oversized member reported', tooLarge && tooLarge.includes("does not fit in a file on its own") && tooLarge.includes("'Import'"));
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    // Print summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 TEST SUMMARY');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${total}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${total - passed}`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+}
+
+// Run the tests
+if (require.main === module) {
+    runLineLimitTests();
+}
+
+module.exports = { runLineLimitTests };
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the member edit tools: replace_method_body, insert_member and delete_member edit
+ * one member by name and overload, and refuse text that would break the file.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { replaceMethodBody, insertMember, deleteMember, rollbackSplitSimple } = require('../csharp_refactorer.js');
+
+const storeSource = `using System;
+
+namespace Shop
+{
+    public class Store
+    {
+        private int _count;
+
+        /// <summary>Saves an item.</summary>
+        public void Save(string key)
+        {
+            _count++;
+        }
+
+        public void Save(string key, bool flush) => Save(key);
+
+        public Store() : this(0) { }
+
+        public int Count() => _count;
+
+#if DEBUG
+        public void Dump() { }
+#endif
+    }
+
+    class Empty { }
+}
+`;
+
+async function runMemberEditsTests() {
+    console.log('🧪 Running Member Edits Tests...\n');
+
+    let passed = 0;
+    let total = 0;
+
+    const check = (description, condition) => {
+        total++;
+        if (condition) {
+            console.log(`✅ ${description}`);
+            passed++;
+        } else {
+            console.log(`❌ ${description}`);
+        }
+    };
+
+    const rejects = promise => promise.then(() => null, error => error.message);
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'member-edits-'));
+    try {
+        const sourceFile = path.join(tempDir, 'Store.cs');
+        const read = () => fs.readFile(sourceFile, 'utf-8');
+        await fs.writeFile(sourceFile, storeSource);
+
+        // Test 1: Replacing bodies
+        console.log('Test 1: Replacing bodies...');
+        const result = (await replaceMethodBody({
+            source_file: sourceFile, member_name: 'Save(string)', body: 'if (key == null)\n{\n    return;\n}\n_count += 2;',
+        })).content[0].text;
+        check('Statements indented into the block body', (await read()).includes(
+            '        public void Save(string key)\n        {\n            if (key == null)\n            {\n                return;\n            }\n            _count += 2;\n        }'));
+        check('Result names the member and shows the diff', result.includes('Body of Save(string) replaced in Store') && result.includes('+            _count += 2;'));
+        await rollbackSplitSimple(tempDir);
+        check('Rollback restores the file', (await read()) === storeSource);
+        const block = (await replaceMethodBody({ source_file: sourceFile, member_name: 'Count', body: '{\n  return _count + 1;\n}', dry_run: true })).content[0].text;
+        check('Expression body becomes a block', block.includes('+        public int Count()\n+        {\n+            return _count + 1;\n+        }'));
+        const expression = (await replaceMethodBody({ source_file: sourceFile, member_name: 'Store()', body: '=> Console.WriteLine()', dry_run: true })).content[0].text;
+        check('Constructor keeps its initializer with an expression body', expression.includes('+        public Store() : this(0) => Console.WriteLine();'));
+        const declaration = (await replaceMethodBody({
+            source_file: sourceFile, member_name: 'Save(string)', declaration: 'public bool Save(string key)\n{\n    return true;\n}', dry_run: true,
+        })).content[0].text;
+        check('Whole declaration replaced, doc comment kept', declaration.includes(' /// <summary>Saves an item.</summary>\n-        public void Save(string key)') &&
+            declaration.includes('+        public bool Save(string key)') && declaration.startsWith('Dry run'));
+
+        // Test 2: Inserting members
+        console.log('\nTest 2: Inserting members...');
+        const after = (await insertMember({ source_file: sourceFile, member: '  public bool IsEmpty => _count == 0;', after: 'Count', dry_run: true })).content[0].text;
+        check('Member inserted after another, indented like it', after.includes('IsEmpty inserted after Count() in Store') &&
+            after.includes('         public int Count() => _count;\n \n+        public bool IsEmpty => _count == 0;\n+\n #if DEBUG'));
+        const before = (await insertMember({ source_file: sourceFile, member: 'public void Clear()\n{\n    _count = 0;\n}', before: 'Save(string)', dry_run: true })).content[0].text;
+        check('Member inserted before another and its doc comment',
+            before.includes('+        public void Clear()\n+        {\n+            _count = 0;\n+        }\n+\n         /// <summary>Saves an item.</summary>'));
+        const end = (await insertMember({ source_file: sourceFile, member: 'public void Reset() { }', dry_run: true })).content[0].text;
+        check('Member appended after an #if section at the end of the class', end.includes(' #endif\n+\n+        public void Reset() { }\n     }'));
+        const empty = (await insertMember({ source_file: sourceFile, target_class_name: 'Empty', member: 'void Fill() { }', dry_run: true })).content[0].text;
+        check('Empty one-line class opens up', empty.includes('+    class Empty\n+    {\n+        void Fill() { }\n+    }'));
+
+        // Test 3: Deleting members
+        console.log('\nTest 3: Deleting members...');
+        const deleted = (await deleteMember({ source_file: sourceFile, member_name: 'Save(string)', dry_run: true })).content[0].text;
+        check('Member and doc comment deleted, uses left listed', deleted.includes('-        /// <summary>Saves an item.</summary>\n-        public void Save(string key)') &&
+            deleted.includes('Uses of Save left in Store (they may call another overload):\n  - line 15 in Save(string, bool)'));
+        const dump = (await deleteMember({ source_file: sourceFile, member_name: 'Dump', dry_run: true })).content[0].text;
+        check('Emptied #if section removed', dump.includes('-#if DEBUG\n-        public void Dump() { }\n-#endif'));
+
+        // Test 4: Refused edits
+        console.log('\nTest 4: Refused edits...');
+        const unbalanced = await rejects(replaceMethodBody({ source_file: sourceFile, member_name: 'Save(string)', body: 'if (key == null) {' }));
+        check('Unbalanced body refused with its line', unbalanced && unbalanced.includes("The new body is not well formed") && unbalanced.includes("line 1: '{' is never closed"));
+        const literal = await rejects(insertMember({ source_file: sourceFile, member: 'private string _name = "open;' }));
+        check('Unterminated literal refused', literal && literal.includes('unterminated string literal'));
+        const twoMembers = await rejects(insertMember({ source_file: sourceFile, member: 'public int A; public int B;' }));
+        check('Text holding two members refused', twoMembers && twoMembers.includes('the text must hold exactly one member'));
+        const duplicate = await rejects(insertMember({ source_file: sourceFile, member: 'public int Count() => 1;' }));
+        check('Existing signature refused', duplicate && duplicate.includes('Store already has Count() (line 19)'));
+        const overloaded = await rejects(deleteMember({ source_file: sourceFile, member_name: 'Save' }));
+        check('Overloaded name needs a signature', overloaded && overloaded.includes('Select one by signature'));
+        const property = await rejects(replaceMethodBody({ source_file: sourceFile, member_name: '_count', body: 'return;' }));
+        check('Members without a method body need a declaration', property && property.includes('replace its declaration instead'));
+        check('Nothing written when refused', (await read()) === storeSource);
+
+        // Test 5: An identical member in another class of the file
+        console.log('\nTest 5: Identical members in another class...');
+        await fs.writeFile(sourceFile, 'class A\n{\n    public int Size() => 1;\n}\n\nclass B\n{\n    public int Size() => 1;\n\n    public int Other() => 2;\n}\n');
+        await deleteMember({ source_file: sourceFile, target_class_name: 'B', member_name: 'Size' });
+        check('Only the target class loses the member', (await read()) === 'class A\n{\n    public int Size() => 1;\n}\n\nclass B\n{\n    public int Other() => 2;\n}\n');
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    // Print summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 TEST SUMMARY');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${total}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${total - passed}`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+}
+
+// Run the tests
+if (require.main === module) {
+    runMemberEditsTests();
+}
+
+module.exports = { runMemberEditsTests };
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the typed member model produced by parseCSharpMethods.
+ * Every member kind should be listed with its name, modifiers, return type, parameters and span.
+ */
+
+const { CSharpRefactorer } = require('../csharp_refactorer.js');
+
+const membersSource = `namespace Members
+{
+    public class Shapes<T> : IShape, IDisposable where T : class
+    {
+        public const int Max = 10;
+        private readonly int _count;
+        public event EventHandler Changed;
+        public event EventHandler Custom { add { } remove { } }
+        public int Count { get; private set; } = 5;
+        public string Name { get { return _name; } set { _name = value; } }
+        public int this[int index] { get { return index; } }
+
+        public Shapes(int count) : this() { _count = count; }
+
+        static Shapes() { }
+
+        ~Shapes() { }
+
+        public static Shapes<T> operator +(Shapes<T> a, Shapes<T> b) { return a; }
+
+        public static implicit operator int(Shapes<T> shape) { return 0; }
+
+        void IDisposable.Dispose() { }
+
+        public void Save<TItem>(ref TItem item, params object[] rest) where TItem : struct { }
+
+        private class Inner { }
+    }
+}`;
+
+async function runMemberModelTests() {
+    console.log('🧪 Running Member Model Tests...\n');
+
+    let passed = 0;
+    let total = 0;
+
+    const check = (description, condition) => {
+        total++;
+        if (condition) {
+            console.log(`✅ ${description}`);
+            passed++;
+        } else {
+            console.log(`❌ ${description}`);
+        }
+    };
+
+    const refactorer = new CSharpRefactorer();
+    const shapes = refactorer.parseAllClasses(membersSource)[0];
+    refactorer.parseCSharpMethods(shapes.content, shapes.startIndex, membersSource);
+    const byName = refactorer.methodsByName;
+
+    // Test 1: Every member kind is found
+    console.log('Test 1: Member kinds...');
+    const kindOf = name => byName[name] && byName[name][0].kind;
+    check('Constant', kindOf('Max') === 'constant');
+    check('Field', kindOf('_count') === 'field');
+    check('Field-like and accessor events', kindOf('Changed') === 'event' && kindOf('Custom') === 'event');
+    check('Auto and accessor properties', kindOf('Count') === 'property' && kindOf('Name') === 'property');
+    check('Indexer', kindOf('this[]') === 'indexer');
+    check('Instance and static constructors', byName['Shapes'] && byName['Shapes'].length === 2 && kindOf('Shapes') === 'constructor');
+    check('Finalizer', kindOf('~Shapes') === 'finalizer');
+    check('Operator and conversion operator', kindOf('operator +') === 'operator' && kindOf('implicit operator int') === 'operator');
+    check('Explicit interface method', kindOf('Dispose') === 'method' && byName['Dispose'][0].explicitInterface === 'IDisposable');
+    check('Nested type', kindOf('Inner') === 'type' && byName['Inner'][0].typeKind === 'class');
+
+    // Test 2: Member details
+    console.log('\nTest 2: Member details...');
+    const save = byName['Save'][0];
+    check('Modifiers parsed', save.modifiers.join(' ') === 'public');
+    check('Return type parsed', save.returnType === 'void');
+    check('Type parameters parsed', save.typeParameters.join(',') === 'TItem');
+    check('Parameters parsed', save.parameters.length === 2 &&
+        save.parameters[0].modifier === 'ref' && save.parameters[0].type === 'TItem' &&
+        save.parameters[1].modifier === 'params' && save.parameters[1].type === 'object[]');
+    check('Property initializer stays with the property', byName['Count'][0].content.trim().endsWith('= 5;'));
+
+    // Test 3: Spans point into the whole source
+    console.log('\nTest 3: Member spans...');
+    const finalizer = byName['~Shapes'][0];
+    check('Span covers the member text', membersSource.slice(finalizer.span.start, finalizer.span.end) === finalizer.content);
+    check('Span has line and column numbers', finalizer.span.startLine === 17 && finalizer.span.startColumn === 1 &&
+        finalizer.span.endLine === 17 && finalizer.span.endColumn === 21);
+    check('Type span starts at its declaration', shapes.span.startLine === 3 && shapes.span.startColumn === 5 && shapes.span.endLine === 28);
+
+    // Test 4: Expression-bodied and bodyless members
+    console.log('\nTest 4: Expression-bodied and bodyless members...');
+    const bodiesSource = `public abstract partial class Calc
+{
+    private int _a;
+    public int Total() => _a + Compute();
+    public Foo Make() => new Foo { A = 1 };
+    public abstract void Run();
+    [DllImport("user32.dll")]
+    private static extern int MessageBox(IntPtr handle, string text);
+    partial void OnChanged();
+}`;
+    const calc = new CSharpRefactorer();
+    calc.parseCSharpMethods(calc.parseAllClasses(bodiesSource)[0].content);
+    const calcMembers = calc.methodsByName;
+    check('Expression-bodied method found', calcMembers['Total'] && calcMembers['Total'][0].bodyKind === 'expression');
+    check('Object initializer braces stay inside the expression body', calcMembers['Make'] && calcMembers['Make'][0].content.trim().endsWith('};'));
+    check('Abstract, extern and partial declarations found', ['Run', 'MessageBox', 'OnChanged'].every(n => calcMembers[n] && calcMembers[n][0].bodyKind === 'none'));
+    check('Attributes stay with an extern method', calcMembers['MessageBox'][0].content.includes('[DllImport'));
+    check('Calls in expression bodies detected', calc.parseMethodCalls(calcMembers['Total'][0].content).some(c => c.methodName === 'Compute'));
+
+    // Test 5: Tuple types
+    console.log('\nTest 5: Tuple types...');
+    const tuplesSource = `public class Pairs
+{
+    private (int a, int b) _pair;
+    public (int, int) Current => _pair;
+    public (int a, int b) Pair() => _pair;
+    private (string, (int, int))[] Group<TKey>(TKey key, (int, int) seed) { return null; }
+}`;
+    const pairs = new CSharpRefactorer();
+    pairs.parseCSharpMethods(pairs.parseAllClasses(tuplesSource)[0].content);
+    const pairMembers = pairs.methodsByName;
+    check('Tuple-typed field and property', pairMembers['_pair'] && pairMembers['_pair'][0].kind === 'field' && pairMembers['_pair'][0].returnType === '(int a, int b)' &&
+        pairMembers['Current'] && pairMembers['Current'][0].kind === 'property');
+    check('Method returning a tuple', pairMembers['Pair'] && pairMembers['Pair'][0].kind === 'method' &&
+        pairMembers['Pair'][0].returnType === '(int a, int b)' && pairMembers['Pair'][0].parameters.length === 0);
+    check('Nested tuple array return type and tuple parameter', pairMembers['Group'] && pairMembers['Group'][0].returnType === '(string, (int, int))[]' &&
+        pairMembers['Group'][0].typeParameters.join(',') === 'TKey' && pairMembers['Group'][0].parameters.map(parameter => parameter.type).join('|') === 'TKey|(int, int)');
+
+    // Test 6: Fields with several declarators
+    console.log('\nTest 6: Several declarators...');
+    const countersSource = `public class Counters
+{
+    private int _a, _b;
+    private Dictionary<int, string> _first = Build(1, 2), _second;
+    public event EventHandler Opened, Closed;
+
+    public int Sum() => _a + Next(_b);
+}`;
+    const counters = new CSharpRefactorer();
+    counters.parseCSharpMethods(counters.parseAllClasses(countersSource)[0].content);
+    const [pair, maps, events] = counters.members;
+    check('Every declarator is recorded on the member', pair.name === '_a' && pair.declarators.join(',') === '_a,_b' &&
+        maps.declarators.join(',') === '_first,_second' && events.kind === 'event' && events.declarators.join(',') === 'Opened,Closed');
+    check('Each declarator finds the member by name', counters.methodsByName['_b'][0] === pair && counters.methodsByName['Closed'][0] === events &&
+        counters.resolveMemberSelector('_second').members[0] === maps && counters.members.length === 4);
+    check('One state item per field, used through any of its names', (() => {
+        const { methods, state } = counters.buildClassGraph();
+        return state.map(item => item.name).join(',') === '_a,_first,Opened' && [...methods[0].state].join(',') === '_a';
+    })());
+    check('Uses of a later declarator are member references', counters.findMemberReferences(counters.methodsByName['Sum'][0], new Set(pair.declarators))
+        .map(reference => reference.name).join(',') === '_a,_b' && counters.findMemberReferences(pair, new Set(pair.declarators)).length === 0);
+
+    // Print summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 TEST SUMMARY');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${total}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${total - passed}`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+}
+
+// Run the tests
+if (require.main === module) {
+    runMemberModelTests();
+}
+
+module.exports = { runMemberModelTests };
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the "members" list of partial class configs: fields, constants, properties,
+ * events and nested types move into partial files together with their methods.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ProcessSplitCSharpclassSimple } = require('../csharp_refactorer.js');
+
+const membersSource = `namespace Cache
+{
+    public class Store
+    {
+        private const int MaxEntries = 100;
+        private readonly Dictionary<string, Entry> _entries = new();
+        private int _hits;
+
+        public event EventHandler Evicted;
+
+        public int Hits => _hits;
+
+        public Store() { }
+
+        public Entry Get(string key) { _hits++; return _entries[key]; }
+
+        public void Evict(string key) { _entries.Remove(key); Evicted?.Invoke(this, EventArgs.Empty); }
+
+        public void Log(string message) { }
+
+        private sealed class Entry
+        {
+            public string Value { get; set; }
+        }
+    }
+}
+`;
+
+async function runMemberMoveTests() {
+    console.log('🧪 Running Member Move Tests...\n');
+
+    let passed = 0;
+    let total = 0;
+
+    const check = (description, condition) => {
+        total++;
+        if (condition) {
+            console.log(`✅ ${description}`);
+            passed++;
+        } else {
+            console.log(`❌ ${description}`);
+        }
+    };
+
+    const rejects = promise => promise.then(() => null, error => error.message);
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'member-moves-'));
+    try {
+        const sourceFile = path.join(tempDir, 'Store.cs');
+        const outputDir = path.join(tempDir, 'out');
+        const configFile = path.join(tempDir, 'config.json');
+        await fs.writeFile(sourceFile, membersSource);
+        const split = async (partialClasses, options = {}) => {
+            await fs.writeFile(configFile, JSON.stringify({
+                sourceFile, destinationFolder: outputDir, newNamespace: 'Cache', mainPartialClassName: 'Store.Core.cs', regenerate: true, ...options, partialClasses
+            }));
+            return ProcessSplitCSharpclassSimple(configFile);
+        };
+
+        // Test 1: Members move with their methods
+        console.log('Test 1: Moving members...');
+        const result = (await split([
+            { fileName: 'Store.Entries.cs', members: ['MaxEntries', '_entries', 'Evicted', 'Entry'], methods: ['Get', 'Evict'] },
+            { fileName: 'Store.Logging.cs', members: ['Log', '_hits', 'Hits'] }
+        ])).content[0].text;
+        const entries = await fs.readFile(path.join(outputDir, 'Store.Entries.cs'), 'utf-8');
+        const logging = await fs.readFile(path.join(outputDir, 'Store.Logging.cs'), 'utf-8');
+        const main = await fs.readFile(path.join(outputDir, 'Store.Core.cs'), 'utf-8');
+        check('Constant, field, event and nested type moved', ['private const int MaxEntries', 'Dictionary<string, Entry> _entries',
+            'public event EventHandler Evicted;', 'private sealed class Entry'].every(text => entries.includes(text)));
+        check('Members are written before methods', entries.indexOf('private sealed class Entry') < entries.indexOf('public Entry Get'));
+        check('A members-only partial file', logging.includes('private int _hits;') && logging.includes('public int Hits => _hits;') &&
+            logging.includes('public void Log(string message)'));
+        check('Moved members removed from the main file', !/_entries|_hits|Evicted|class Entry|MaxEntries/.test(main));
+        check('Unlisted members stay in the main file', main.includes('public Store() { }'));
+        check('Requested counts reported', result.includes('2 methods and 4 members requested') && result.includes('0 methods and 3 members requested'));
+
+        // Test 2: Members are validated like methods
+        console.log('\nTest 2: Validation...');
+        const missing = await rejects(split([{ fileName: 'Store.All.cs', members: ['_missing'], methods: ['Get', 'Evict', 'Log'] }]));
+        check('Unknown member reported', missing && missing.includes("Member '_missing' not found in source code (requested in Store.All.cs)"));
+        const incomplete = await rejects(split([{ fileName: 'Store.All.cs', members: ['Get', 'Evict'] }]));
+        check('Methods must still all be assigned', incomplete && incomplete.includes('Configuration is incomplete') && incomplete.includes('  - Log'));
+        const invalid = await rejects(split([{ fileName: 'Store.All.cs', members: '_hits', methods: ['Get', 'Evict', 'Log'] }]));
+        check('Members must be a list of names', invalid && invalid.includes('"members" of partial class "Store.All.cs" must be an array of member names'));
+        const empty = await rejects(split([{ fileName: 'Store.All.cs' }]));
+        check('A partial class needs a list', empty && empty.includes('needs a "methods" or "members" list'));
+
+        // Test 3: An identical member in an earlier class of the file
+        console.log('\nTest 3: Identical members in another class...');
+        const twoClassesFile = path.join(tempDir, 'Counters.cs');
+        await fs.writeFile(twoClassesFile, 'namespace Cache\n{\n    public class Counter\n    {\n        private int _count;\n    }\n\n' +
+            '    public class Store\n    {\n        private int _count;\n\n        public void Add() { }\n    }\n}\n');
+        await split([{ fileName: 'Store.Counting.cs', members: ['_count'], methods: ['Add'] }], { sourceFile: twoClassesFile, targetClassName: 'Store' });
+        const counters = await fs.readFile(path.join(outputDir, 'Store.Core.cs'), 'utf-8');
+        check('Only the target class loses the member', counters === 'namespace Cache\n{\n    public class Counter\n    {\n        private int _count;\n    }\n\n' +
+            '    public partial class Store\n    {\n    }\n}\n');
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    // Print summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 TEST SUMMARY');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${total}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${total - passed}`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+}
+
+// Run the tests
+if (require.main === module) {
+    runMemberMoveTests();
+}
+
+module.exports = { runMemberMoveTests };
@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for merge_partial_classes: partial declarations of a class are recombined into one
+ * class file with merged usings, base lists and member order, and conflicts stop the merge.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { mergePartialClasses, rollbackSplitSimple } = require('../csharp_refactorer.js');
+
+const partialFiles = {
+    'Store.Core.cs': `using System;
+using System.Collections.Generic;
+
+namespace Cache
+{
+    /// <summary>A small cache.</summary>
+    [Serializable]
+    public partial class Store : IDisposable
+    {
+        private int _hits;
+
+        public Store() { }
+
+        partial void OnEvicted(string key);
+    }
+}`,
+    'Store.Data.cs': `using System.Linq;
+using System;
+
+namespace Cache
+{
+    public partial class Store : IEnumerable<string>
+    {
+        private readonly Dictionary<string, string> _entries = new();
+
+        public string Get(string key) { _hits++; return _entries[key]; }
+
+        public IEnumerable<string> Keys() => _entries.Keys.ToList();
+
+        partial void OnEvicted(string key) { _entries.Remove(key); }
+    }
+}`,
+    'Store.Debug.cs': `namespace Cache
+{
+    public sealed partial class Store
+    {
+#if DEBUG
+        public void Dump() { }
+#endif
+
+        public void Dispose() { }
+
+        private const int MaxEntries = 100;
+    }
+}`,
+};
+
+async function runMergePartialsTests() {
+    console.log('🧪 Running Merge Partial Classes Tests...\n');
+
+    let passed = 0;
+    let total = 0;
+
+    const check = (description, condition) => {
+        total++;
+        if (condition) {
+            console.log(`✅ ${description}`);
+            passed++;
+        } else {
+            console.log(`❌ ${description}`);
+        }
+    };
+
+    const rejects = promise => promise.then(() => null, error => error.message);
+    const exists = filePath => fs.access(filePath).then(() => true, () => false);
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'merge-partials-'));
+    try {
+        const folder = path.join(tempDir, 'Store');
+        const writeFiles = async (files, target = folder) => {
+            await fs.rm(target, { recursive: true, force: true });
+            await fs.mkdir(target, { recursive: true });
+            for (const [fileName, content] of Object.entries(files)) {
+                await fs.writeFile(path.join(target, fileName), content);
+            }
+        };
+        const outputFile = path.join(folder, 'Store.cs');
+
+        // Test 1: Merging a folder of partial files
+        console.log('Test 1: Merging partial files...');
+        await writeFiles(partialFiles);
+        const result = (await mergePartialClasses({ source_directory: folder })).content[0].text;
+        const merged = await fs.readFile(outputFile, 'utf-8');
+        check('Merged file written and partial files deleted', result.includes('3 declarations of Store merged') &&
+            !(await exists(path.join(folder, 'Store.Core.cs'))) && !(await exists(path.join(folder, 'Store.Data.cs'))));
+        check('Usings deduplicated and sorted', merged.startsWith('using System;\nusing System.Collections.Generic;\nusing System.Linq;\n\nnamespace Cache'));
+        check('Doc comment, attributes, modifiers and base list combined',
+            merged.includes('    /// <summary>A small cache.</summary>\n    [Serializable]\n    public sealed partial class Store : IDisposable, IEnumerable<string>\n'));
+        check('Members kept in file order with their #if sections', ['_hits', 'public Store()', '_entries', 'Get(', 'Keys(', '#if DEBUG', 'Dump()', '#endif', 'Dispose()', 'MaxEntries']
+            .every((text, index, all) => index === 0 || merged.indexOf(all[index - 1]) < merged.indexOf(text)));
+        check('Partial method halves are no conflict and keep the class partial',
+            (merged.match(/partial void OnEvicted/g) || []).length === 2 && merged.includes('sealed partial class'));
+
+        // Test 2: Rollback brings the partial files back
+        console.log('\nTest 2: Rollback...');
+        await rollbackSplitSimple(folder);
+        check('Rollback restores deleted files and removes the merged file',
+            (await fs.readFile(path.join(folder, 'Store.Data.cs'), 'utf-8')) === partialFiles['Store.Data.cs'] && !(await exists(outputFile)));
+
+        // Test 3: Member order
+        console.log('\nTest 3: Member order...');
+        const preview = (await mergePartialClasses({ source_directory: folder, member_order: 'kind', dry_run: true })).content[0].text;
+        check('Kind order puts constants, fields, constructors and methods in that order',
+            ['MaxEntries', '_hits', '_entries', 'public Store()', 'Get(', 'Keys('].every((text, index, all) => index === 0 || preview.indexOf(all[index - 1]) < preview.indexOf(text)));
+        const alphabetical = (await mergePartialClasses({ source_directory: folder, member_order: 'alphabetical', dry_run: true })).content[0].text;
+        check('Alphabetical order sorts by name within a kind', ['Dispose()', 'Dump()', 'Get(', 'Keys(', 'OnEvicted']
+            .every((text, index, all) => index === 0 || alphabetical.indexOf(all[index - 1]) < alphabetical.indexOf(text)));
+        check('Dry run writes nothing', preview.startsWith('Dry run') && await exists(path.join(folder, 'Store.Core.cs')) && !(await exists(outputFile)));
+
+        // Test 4: Conflicts
+        console.log('\nTest 4: Conflicts...');
+        await writeFiles({
+            ...partialFiles,
+            'Store.Extra.cs': `using Map = System.Collections.Generic.SortedDictionary<string, int>;
+
+namespace Cache
+{
+    internal partial class Store : CacheBase
+    {
+        public string Get(string key) => null;
+    }
+}`,
+            'Store.Alias.cs': `using Map = System.Collections.Generic.Dictionary<string, int>;
+
+namespace Cache
+{
+    partial class Store : StoreBase
+    {
+    }
+}`,
+        });
+        const error = await rejects(mergePartialClasses({ source_directory: folder }));
+        check('Member defined twice reported with locations', error && error.includes('method Get(string) is defined more than once: Store.Data.cs:10, Store.Extra.cs:7'));
+        check('Differing accessibility, base classes and aliases reported', error && error.includes('Accessibility modifiers differ') &&
+            error.includes('Base classes differ: StoreBase in Store.Alias.cs; CacheBase in Store.Extra.cs') && error.includes('Alias Map means'));
+        check('Nothing written when the merge is refused', !(await exists(outputFile)) && await exists(path.join(folder, 'Store.Extra.cs')));
+
+        // Test 5: Files holding other code, chosen output file
+        console.log('\nTest 5: Files with other code...');
+        await writeFiles({
+            'Store.Core.cs': partialFiles['Store.Core.cs'],
+            'Store.Data.cs': partialFiles['Store.Data.cs'].replace('\n}', '\n\n    public class Helper { }\n}'),
+        });
+        const listed = (await mergePartialClasses({
+            source_files: [path.join(folder, 'Store.Core.cs'), path.join(folder, 'Store.Data.cs')],
+            output_file: path.join(folder, 'Store.Core.cs'),
+        })).content[0].text;
+        const rest = await fs.readFile(path.join(folder, 'Store.Data.cs'), 'utf-8');
+        check('Output file may replace one of the partial files', listed.includes('replaced by the merged class') &&
+            (await fs.readFile(path.join(folder, 'Store.Core.cs'), 'utf-8')).includes('public string Get('));
+        check('A file holding other code keeps it', !rest.includes('partial class Store') && rest.includes('public class Helper { }'));
+        const occupied = await rejects(mergePartialClasses({
+            source_files: [path.join(folder, 'Store.Core.cs'), path.join(folder, 'Store.Data.cs')],
+            target_class_name: 'Store',
+        }));
+        check('Single declaration left is nothing to merge', occupied && occupied.includes('nothing to merge'));
+
+        // Test 6: An identical declaration of another type in the file
+        console.log('\nTest 6: Identical declarations of other types...');
+        const nested = 'namespace Cache;\n\npublic class Outer\n{\npublic partial class Store\n{\n    public void Ping() { }\n}\n}\n';
+        await writeFiles({
+            'Store.Core.cs': 'namespace Cache;\n\npublic partial class Store\n{\n    public void Get() { }\n}\n',
+            'Store.Extra.cs': `${nested}\npublic partial class Store\n{\n    public void Ping() { }\n}\n`,
+        });
+        await mergePartialClasses({
+            source_files: [path.join(folder, 'Store.Core.cs'), path.join(folder, 'Store.Extra.cs')],
+            output_file: path.join(folder, 'Store.Core.cs'),
+            target_class_name: 'Store',
+        });
+        check('Only the merged declaration is removed', (await fs.readFile(path.join(folder, 'Store.Extra.cs'), 'utf-8')) === nested);
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    // Print summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 TEST SUMMARY');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${total}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${total - passed}`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+}
+
+// Run the tests
+if (require.main === module) {
+    runMergePartialsTests();
+}
+
+module.exports = { runMergePartialsTests };
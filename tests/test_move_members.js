@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for move_members: members move between the partial files of a split class, or into a
+ * new partial file, taking their using directives along and staying under the line limit.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { moveMembers, rollbackSplitSimple } = require('../csharp_refactorer.js');
+
+const partialFiles = {
+    'Store.cs': `using System;
+
+namespace Shop
+{
+    public partial class Store : IDisposable
+    {
+        private int _count;
+
+        public void Dispose() { }
+    }
+}
+`,
+    'Store.Orders.cs': `using System;
+using System.Linq;
+using System.Text;
+
+namespace Shop
+{
+    public partial class Store
+    {
+        /// <summary>Saves an order.</summary>
+        public void Save(string key)
+        {
+            Console.WriteLine(key);
+        }
+
+        public void Save(string key, bool flush) => Save(key);
+
+        public string Describe(int[] ids)
+        {
+            var builder = new StringBuilder();
+            return builder.Append(ids.Sum()).ToString();
+        }
+
+#if DEBUG
+        public void Dump() { }
+#endif
+    }
+}
+`,
+    'Store.Billing.cs': `using System;
+
+namespace Shop
+{
+    public partial class Store
+    {
+        public decimal Total() => 0m;
+    }
+}
+`,
+    'Store.Reports.cs': `namespace Shop;
+
+using System.Collections.Generic;
+
+public partial class Store
+{
+    public List<string> Lines() => new List<string>();
+}
+`,
+    'Other.cs': `namespace Shop
+{
+    public partial class Other
+    {
+    }
+}
+`,
+};
+
+async function runMoveMembersTests() {
+    console.log('🧪 Running Move Members Tests...\n');
+
+    let passed = 0;
+    let total = 0;
+
+    const check = (description, condition) => {
+        total++;
+        if (condition) {
+            console.log(`✅ ${description}`);
+            passed++;
+        } else {
+            console.log(`❌ ${description}`);
+        }
+    };
+
+    const rejects = promise => promise.then(() => null, error => error.message);
+    const exists = filePath => fs.access(filePath).then(() => true, () => false);
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'move-members-'));
+    try {
+        const read = fileName => fs.readFile(path.join(tempDir, fileName), 'utf-8');
+        const sourceFile = path.join(tempDir, 'Store.Orders.cs');
+        for (const [fileName, content] of Object.entries(partialFiles)) {
+            await fs.writeFile(path.join(tempDir, fileName), content);
+        }
+
+        // Test 1: Moving into an existing partial file
+        console.log('Test 1: Moving into an existing partial file...');
+        const result = (await moveMembers({ source_file: sourceFile, members: ['Describe', 'Dump'], destination_file: 'Store.Billing.cs' })).content[0].text;
+        const billing = await read('Store.Billing.cs');
+        const orders = await read('Store.Orders.cs');
+        check('Members appended after the last member, #if section kept',
+            billing.includes('        public decimal Total() => 0m;\n\n        public string Describe(int[] ids)\n        {\n') &&
+            billing.includes('        }\n\n#if DEBUG\n        public void Dump() { }\n#endif\n    }\n}\n'));
+        check('Usings the members need added in order', billing.startsWith('using System;\nusing System.Linq;\nusing System.Text;\n\nnamespace Shop'));
+        check('Members and usings only they needed removed from the source',
+            orders.startsWith('using System;\n\nnamespace Shop') && !orders.includes('Describe') && !orders.includes('#if DEBUG') &&
+            orders.includes('        public void Save(string key, bool flush) => Save(key);\n    }\n}\n'));
+        check('Result lists moved members and usings', result.includes('2 members of Store moved from Store.Orders.cs to Store.Billing.cs (22 lines, limit 5000)') &&
+            result.includes('Moved:\n  - Describe(int[])\n  - Dump()') && result.includes('Using directives removed from Store.Orders.cs:\n  - using System.Linq;'));
+
+        // Test 2: Rollback
+        console.log('\nTest 2: Rollback...');
+        await rollbackSplitSimple(tempDir);
+        check('Rollback restores both files', (await read('Store.Orders.cs')) === partialFiles['Store.Orders.cs'] &&
+            (await read('Store.Billing.cs')) === partialFiles['Store.Billing.cs']);
+
+        // Test 3: New files and other namespace layouts
+        console.log('\nTest 3: New partial files...');
+        const created = (await moveMembers({ source_file: sourceFile, members: ['Save'], destination_file: 'Store.Persistence.cs', dry_run: true })).content[0].text;
+        check('Bare name moves every overload into a new partial file', created.includes('to new file Store.Persistence.cs') &&
+            created.includes('New file (Store.Persistence.cs):\n```csharp\nusing System;\n\nnamespace Shop\n{\n    public partial class Store\n    {\n        /// <summary>Saves an order.</summary>\n') &&
+            created.includes('        public void Save(string key, bool flush) => Save(key);\n    }\n}\n```'));
+        check('Dry run writes nothing', created.startsWith('Dry run') && !(await exists(path.join(tempDir, 'Store.Persistence.cs'))));
+        const reports = (await moveMembers({ source_file: sourceFile, members: ['Describe'], destination_file: 'Store.Reports.cs', dry_run: true })).content[0].text;
+        check('Members re-indented for a file-scoped namespace', reports.includes('+    public string Describe(int[] ids)\n+    {\n+        var builder = new StringBuilder();'));
+        check('Usings added to a file that keeps them inside the namespace', reports.includes(' using System.Collections.Generic;\n+using System.Linq;\n+using System.Text;\n'));
+        const emptied = (await moveMembers({ source_file: path.join(tempDir, 'Store.Billing.cs'), members: ['Total'], destination_file: 'Store.cs', dry_run: true })).content[0].text;
+        check('A partial file left without members is reported', emptied.includes('No members of Store are left in Store.Billing.cs'));
+
+        // Test 4: Line limits
+        console.log('\nTest 4: Line limits...');
+        const limited = await rejects(moveMembers({ source_file: sourceFile, members: ['Describe'], destination_file: 'Store.Billing.cs', max_lines_per_file: 12 }));
+        check('Destination over the limit refused', limited && limited.includes('Store.Billing.cs would have 18 lines, over its 12-line limit') &&
+            limited.includes('  - Describe(int[]): 5 lines'));
+        const configFile = path.join(tempDir, 'split.json');
+        await fs.writeFile(configFile, JSON.stringify({
+            sourceFile: path.join(tempDir, 'Original.cs'), destinationFolder: tempDir, newNamespace: 'Shop', mainPartialClassName: 'Store.cs', maxLinesPerFile: 100,
+            partialClasses: [{ fileName: 'Store.Billing.cs', methods: ['Total'], maxLinesPerFile: 15 }],
+        }));
+        const configured = await rejects(moveMembers({ source_file: sourceFile, members: ['Describe'], destination_file: 'Store.Billing.cs', config_file: configFile }));
+        check('Limit of the destination taken from the split configuration', configured && configured.includes('over its 15-line limit'));
+        const numbered = (await moveMembers({ source_file: sourceFile, members: ['Describe'], destination_file: 'Store.Orders.2.cs', config_file: configFile, dry_run: true })).content[0].text;
+        check('Other files use the configuration limit', numbered.includes('(14 lines, limit 100)'));
+
+        // Test 5: Refused moves
+        console.log('\nTest 5: Refused moves...');
+        const missing = await rejects(moveMembers({ source_file: sourceFile, members: ['Load', 'Save(int)'], destination_file: 'Store.cs' }));
+        check('Unknown members and overloads reported together', missing && missing.includes("Member 'Load' not found") && missing.includes("No overload of 'Save' matches 'Save(int)'"));
+        const other = await rejects(moveMembers({ source_file: sourceFile, members: ['Dump'], destination_file: 'Other.cs' }));
+        check('Destination declaring another type refused', other && other.includes('Other.cs does not declare Store'));
+        const same = await rejects(moveMembers({ source_file: sourceFile, members: ['Dump'], destination_file: sourceFile }));
+        check('Moving into the source file refused', same && same.includes('destination_file is the source file'));
+        check('Nothing written when refused', (await read('Store.Orders.cs')) === partialFiles['Store.Orders.cs'] &&
+            (await read('Store.Billing.cs')) === partialFiles['Store.Billing.cs']);
+
+        // Test 6: An identical member in another class of the file
+        console.log('\nTest 6: Identical members in another class...');
+        const toolsFile = path.join(tempDir, 'Store.Tools.cs');
+        await fs.writeFile(toolsFile, 'namespace Shop\n{\n    public class Tool\n    {\n        public void Reset() { }\n    }\n\n' +
+            '    public partial class Store\n    {\n        public void Reset() { }\n\n        public void Clear() { }\n    }\n}\n');
+        await moveMembers({ source_file: toolsFile, target_class_name: 'Store', members: ['Reset'], destination_file: 'Store.Billing.cs' });
+        check('Only the target class loses the member', (await fs.readFile(toolsFile, 'utf-8')) === 'namespace Shop\n{\n    public class Tool\n    {\n' +
+            '        public void Reset() { }\n    }\n\n    public partial class Store\n    {\n        public void Clear() { }\n    }\n}\n');
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    // Print summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 TEST SUMMARY');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${total}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${total - passed}`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+}
+
+// Run the tests
+if (require.main === module) {
+    runMoveMembersTests();
+}
+
+module.exports = { runMoveMembersTests };
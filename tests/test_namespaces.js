@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for namespace handling when splitting classes.
+ * Covers file-scoped namespaces, several namespaces in one file and the namespaceStyle override.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { CSharpRefactorer } = require('../csharp_refactorer.js');
+
+const fileScopedSource = `using System;
+
+namespace Shop.Orders;
+
+public class OrderService
+{
+    private int _count;
+
+    public void Place()
+    {
+        var sql = @"SELECT *
+FROM Orders";
+        _count++;
+    }
+}
+`;
+
+const multipleNamespacesSource = `using System;
+
+namespace First.Area
+{
+    public class Helper
+    {
+        public void Help() { }
+    }
+}
+
+namespace Second.Area
+{
+    namespace Inner
+    {
+        public class Worker
+        {
+            public void Work() { }
+
+            public void Rest() { }
+        }
+    }
+}
+`;
+
+async function runNamespaceTests() {
+    console.log('🧪 Running Namespace Tests...\n');
+
+    let passed = 0;
+    let total = 0;
+
+    const check = (description, condition) => {
+        total++;
+        if (condition) {
+            console.log(`✅ ${description}`);
+            passed++;
+        } else {
+            console.log(`❌ ${description}`);
+        }
+    };
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'namespaces-'));
+    try {
+        // Test 1: File-scoped namespaces keep their style
+        console.log('Test 1: File-scoped namespace...');
+        const fileScopedPath = path.join(tempDir, 'OrderService.cs');
+        await fs.writeFile(fileScopedPath, fileScopedSource);
+
+        const fileScoped = new CSharpRefactorer();
+        await fileScoped.parseSourceFile(fileScopedPath);
+        check('Namespace and style detected', fileScoped.oldNamespace === 'Shop.Orders' && fileScoped.namespaceStyle === 'file-scoped');
+        check('Using directives found', fileScoped.usingStatements.join() === 'using System;');
+
+        const partial = await fileScoped.generatePartialClass({ fileName: 'OrderService.Place.cs', methods: ['Place'] }, 'Shop.Sales');
+        check('Partial uses a file-scoped namespace', partial.includes('namespace Shop.Sales;\n\npublic partial class OrderService\n{'));
+        check('Partial has no namespace braces', partial.trim().endsWith('}') && !partial.includes('\n}\n}'));
+
+        const main = fileScoped.generateMainPartialClass('Shop.Sales', 'OrderService.Core.cs');
+        check('Main file namespace renamed in place', main.includes('namespace Shop.Sales;') && !main.includes('Shop.Orders'));
+
+        // Test 2: Style override re-indents members but not string contents
+        console.log('\nTest 2: Namespace style override...');
+        const blockStyle = new CSharpRefactorer();
+        await blockStyle.parseSourceFile(fileScopedPath);
+        const blockPartial = await blockStyle.generatePartialClass({ fileName: 'OrderService.Place.cs', methods: ['Place'] }, 'Shop.Orders', 'block');
+        check('Block namespace written', blockPartial.includes('namespace Shop.Orders\n{\n    public partial class OrderService\n    {'));
+        check('Members re-indented', blockPartial.includes('\n        public void Place()\n        {\n            var sql'));
+        check('Verbatim string lines untouched', blockPartial.includes('\nFROM Orders";'));
+
+        // Test 3: Several namespaces in one file
+        console.log('\nTest 3: Multiple namespaces...');
+        const multiplePath = path.join(tempDir, 'Multiple.cs');
+        await fs.writeFile(multiplePath, multipleNamespacesSource);
+
+        const multiple = new CSharpRefactorer();
+        await multiple.parseSourceFile(multiplePath, 'Worker');
+        check('Namespace tracked per type', multiple.availableClasses.map(c => c.namespace).join('|') === 'First.Area|Second.Area.Inner');
+        check('Target namespace used', multiple.oldNamespace === 'Second.Area.Inner');
+
+        const workerPartial = await multiple.generatePartialClass({ fileName: 'Worker.Rest.cs', methods: ['Rest'] }, 'Second.Area.Jobs');
+        check('Nested declarations collapse into one block', workerPartial.includes('namespace Second.Area.Jobs\n{\n    public partial class Worker\n    {\n        public void Rest() { }\n    }\n}'));
+
+        const workerMain = multiple.generateMainPartialClass('Second.Area.Jobs', 'Worker.Core.cs');
+        check('Only the target namespace is renamed', workerMain.includes('namespace First.Area') && workerMain.includes('namespace Jobs') &&
+            workerMain.includes('namespace Second.Area\n'));
+
+        let renameError = '';
+        try {
+            multiple.generateMainPartialClass('Other.Place', 'Worker.Core.cs');
+        } catch (error) {
+            renameError = error.message;
+        }
+        check('Unrelated namespace for a nested declaration is rejected', renameError.includes("must start with 'Second.Area.'"));
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    // Print summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 TEST SUMMARY');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${total}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${total - passed}`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+}
+
+// Run the tests
+if (require.main === module) {
+    runNamespaceTests();
+}
+
+module.exports = { runNamespaceTests };
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for overload-aware member selection ("Save(User)", "Save(Order, bool)")
+ * in split configurations and get_method_body.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { CSharpRefactorer, ProcessSplitCSharpclassSimple } = require('../csharp_refactorer.js');
+
+const overloadsSource = `namespace Shop
+{
+    public class Repository
+    {
+        public void Save(User user) { }
+
+        public void Save(Order order, bool flush = false) { }
+
+        public void Save(ref Models.Invoice invoice) { }
+
+        public void Load(Models.Item item) { }
+
+        public void Load(Legacy.Item item) { }
+
+        public int this[int index] => index;
+    }
+}
+`;
+
+async function runOverloadSelectionTests() {
+    console.log('🧪 Running Overload Selection Tests...\n');
+
+    let passed = 0;
+    let total = 0;
+
+    const check = (description, condition) => {
+        total++;
+        if (condition) {
+            console.log(`✅ ${description}`);
+            passed++;
+        } else {
+            console.log(`❌ ${description}`);
+        }
+    };
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'overloads-'));
+    const sourceFile = path.join(tempDir, 'Repository.cs');
+    await fs.writeFile(sourceFile, overloadsSource);
+
+    try {
+        // Test 1: Resolving selectors
+        console.log('Test 1: Resolving selectors...');
+        const refactorer = new CSharpRefactorer();
+        await refactorer.parseSourceFile(sourceFile);
+        const resolve = text => refactorer.resolveMemberSelector(text);
+        check('Bare name selects every overload', resolve('Save').members.length === 3);
+        check('Single parameter type', resolve('Save(User)').members[0].parameters[0].name === 'user');
+        check('Several parameter types', resolve('Save(Order, bool)').members.length === 1);
+        check('Modifier and unqualified type', resolve('Save(ref Invoice)').members.length === 1);
+        check('Indexer selector', resolve('this[int]').members.length === 1);
+        check('Missing overload lists candidates', resolve('Save(Order)').error.includes('Candidates:\n  - Save(User)\n  - Save(Order, bool)\n  - Save(ref Models.Invoice)'));
+        check('Ambiguous signature is reported', resolve('Load(Item)').error.startsWith("'Load(Item)' matches more than one overload"));
+
+        // Test 2: get_method_body selects one overload
+        console.log('\nTest 2: Method body lookup...');
+        check('One overload returned', refactorer.getMethodBody('this', 'Save(User)').methods.length === 1);
+        let bodyError = '';
+        try {
+            refactorer.getMethodBody('this', 'Load(Item)');
+        } catch (error) {
+            bodyError = error.message;
+        }
+        check('Ambiguity error lists candidates', bodyError.includes('Load(Models.Item)') && bodyError.includes('Load(Legacy.Item)'));
+
+        // Test 3: Splitting overloads into different files
+        console.log('\nTest 3: Splitting overloads...');
+        const outputDir = path.join(tempDir, 'out');
+        const configFile = path.join(tempDir, 'config.json');
+        const writeConfig = partialClasses => fs.writeFile(configFile, JSON.stringify({
+            sourceFile, destinationFolder: outputDir, newNamespace: 'Shop', mainPartialClassName: 'Repository.Core.cs', partialClasses
+        }));
+
+        await writeConfig([
+            { fileName: 'Repository.Users.cs', methods: ['Save(User)', 'Load'] },
+            { fileName: 'Repository.Orders.cs', methods: ['Save'] }
+        ]);
+        await ProcessSplitCSharpclassSimple(configFile);
+        const users = await fs.readFile(path.join(outputDir, 'Repository.Users.cs'), 'utf-8');
+        const orders = await fs.readFile(path.join(outputDir, 'Repository.Orders.cs'), 'utf-8');
+        check('Explicit overload goes to its own file', users.includes('Save(User user)') && !users.includes('Save(Order'));
+        check('Bare name takes the remaining overloads', orders.includes('Save(Order order') && orders.includes('Save(ref Models.Invoice') && !orders.includes('Save(User'));
+
+        await writeConfig([
+            { fileName: 'Repository.Users.cs', methods: ['Save(User)', 'Load'] },
+            { fileName: 'Repository.Orders.cs', methods: ['Save(Order, bool)'] }
+        ]);
+        let incomplete = '';
+        try {
+            await ProcessSplitCSharpclassSimple(configFile);
+        } catch (error) {
+            incomplete = error.message;
+        }
+        check('Unassigned overload is reported by signature', incomplete.includes('  - Save(ref Models.Invoice)'));
+
+        await writeConfig([{ fileName: 'Repository.All.cs', methods: ['Save', 'Load(Item)'] }]);
+        let ambiguous = '';
+        try {
+            await ProcessSplitCSharpclassSimple(configFile);
+        } catch (error) {
+            ambiguous = error.message;
+        }
+        check('Ambiguous config entry is rejected', ambiguous.includes("'Load(Item)' matches more than one overload") && ambiguous.includes('(requested in Repository.All.cs)'));
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    // Print summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 TEST SUMMARY');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${total}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${total - passed}`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+}
+
+// Run the tests
+if (require.main === module) {
+    runOverloadSelectionTests();
+}
+
+module.exports = { runOverloadSelectionTests };
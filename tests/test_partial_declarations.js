@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for partial declarations generated when splitting a class.
+ * Modifiers, type parameters, constraints and base lists must survive, and interfaces are merged.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { CSharpRefactorer } = require('../csharp_refactorer.js');
+
+const declarationsSource = `using System;
+
+namespace Data
+{
+    internal sealed class Repo<T> : BaseRepo<T>, IDisposable where T : class, new()
+    {
+        public void Load() { }
+
+        public void Dispose() { }
+    }
+
+    public static class Helpers
+    {
+        public static void Help() { }
+    }
+
+    public abstract class Shape
+    {
+        public abstract double Area();
+    }
+
+    public record Person(string Name) : Entity(Name)
+    {
+        public string Greet() => Name;
+    }
+}
+`;
+
+async function runPartialDeclarationTests() {
+    console.log('🧪 Running Partial Declaration Tests...\n');
+
+    let passed = 0;
+    let total = 0;
+
+    const check = (description, condition) => {
+        total++;
+        if (condition) {
+            console.log(`✅ ${description}`);
+            passed++;
+        } else {
+            console.log(`❌ ${description}`);
+        }
+    };
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'partial-declarations-'));
+    const sourceFile = path.join(tempDir, 'Declarations.cs');
+    await fs.writeFile(sourceFile, declarationsSource);
+
+    const split = async (targetClassName, methods, partialInterface, mainInterface) => {
+        const refactorer = new CSharpRefactorer();
+        await refactorer.parseSourceFile(sourceFile, targetClassName);
+        const partial = await refactorer.generatePartialClass({ fileName: 'Part.cs', methods, interface: partialInterface }, 'Data');
+        const main = refactorer.generateMainPartialClass('Data', 'Main.cs', mainInterface);
+        return { refactorer, partial, main };
+    };
+
+    try {
+        // Test 1: Parsed declaration parts
+        console.log('Test 1: Parsing declarations...');
+        const { refactorer } = await split('Repo', ['Load'], '', '');
+        const repo = refactorer.targetClass;
+        check('Type parameters parsed', repo.typeParameters === '<T>');
+        check('Base list parsed', repo.baseTypes.map(b => b.name).join('|') === 'BaseRepo<T>|IDisposable');
+        check('Constraints parsed', repo.constraints === 'where T : class, new()');
+
+        // Test 2: Generic class with base list and constraints
+        console.log('\nTest 2: Generic sealed internal class...');
+        const generic = await split('Repo', ['Load'], 'ILoader, IDisposable', 'IRepo<T>');
+        check('Partial keeps modifiers, generics, base list and constraints',
+            generic.partial.includes('internal sealed partial class Repo<T> : BaseRepo<T>, IDisposable, ILoader where T : class, new()'));
+        check('Main interface merged into the existing base list',
+            generic.main.includes('internal sealed partial class Repo<T> : BaseRepo<T>, IDisposable, IRepo<T> where T : class, new()'));
+
+        // Test 3: Static and abstract classes without a base list
+        console.log('\nTest 3: Static and abstract classes...');
+        const helpers = await split('Helpers', ['Help'], 'IHelper', 'IHelper');
+        check('Static partial declaration', helpers.partial.includes('public static partial class Helpers : IHelper\n'));
+        check('Base list added after the name', helpers.main.includes('public static partial class Helpers : IHelper\n'));
+        const shape = await split('Shape', ['Area'], '', '');
+        check('Abstract partial declaration', shape.partial.includes('public abstract partial class Shape\n'));
+
+        // Test 4: Records keep primary constructor and base arguments on one part only
+        console.log('\nTest 4: Records...');
+        const person = await split('Person', ['Greet'], '', 'IPerson');
+        check('Partial part omits parameters and base arguments', person.partial.includes('public partial record Person : Entity\n'));
+        check('Main part keeps them', person.main.includes('public partial record Person(string Name) : Entity(Name), IPerson'));
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    // Print summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 TEST SUMMARY');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${total}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${total - passed}`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+}
+
+// Run the tests
+if (require.main === module) {
+    runPartialDeclarationTests();
+}
+
+module.exports = { runPartialDeclarationTests };
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for preprocessor directives when splitting classes.
+ * Moved members keep their #if/#else and #region sections; unbalanced splits are rejected.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { CSharpRefactorer, ProcessSplitCSharpclassSimple } = require('../csharp_refactorer.js');
+
+const directivesSource = `namespace Diagnostics
+{
+    public class Tracer
+    {
+        #region Tracing
+
+        public void Start() { }
+
+        public void Stop() { }
+
+        #endregion
+
+#if DEBUG
+        public void Dump() { }
+
+        public void Verify() { }
+#else
+        public void Dump() { /* release */ }
+#endif
+
+        [Obsolete]
+#if NET6_0
+        public void Legacy() { }
+#endif
+    }
+}
+`;
+
+async function runPreprocessorDirectiveTests() {
+    console.log('🧪 Running Preprocessor Directive Tests...\n');
+
+    let passed = 0;
+    let total = 0;
+
+    const check = (description, condition) => {
+        total++;
+        if (condition) {
+            console.log(`✅ ${description}`);
+            passed++;
+        } else {
+            console.log(`❌ ${description}`);
+        }
+    };
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'directives-'));
+    const sourceFile = path.join(tempDir, 'Tracer.cs');
+    await fs.writeFile(sourceFile, directivesSource);
+
+    try {
+        // Test 1: Directive structure
+        console.log('Test 1: Parsing directive sections...');
+        const refactorer = new CSharpRefactorer();
+        await refactorer.parseSourceFile(sourceFile);
+        check('Region and conditional sections found', refactorer.directiveBlocks.map(b => b.kind).join(',') === 'region,if,if');
+        check('Branches recorded', refactorer.directiveBlocks[1].branches.map(b => b.text).join(',') === '#if DEBUG,#else');
+        check('Unbalanced text reported', refactorer.parseDirectiveBlocks('#if A\n#region R\n#endif').error.startsWith('#endif on line 3 has no matching #if'));
+
+        // Test 2: Moved members keep their sections
+        console.log('\nTest 2: Wrapping moved members...');
+        const partial = await refactorer.generatePartialClass({ fileName: 'Tracer.Debug.cs', methods: ['Start', 'Dump'] }, 'Diagnostics');
+        check('Region rebuilt around a moved member', partial.includes('        #region Tracing\n        public void Start() { }\n        #endregion'));
+        check('Both branches of one #if kept together',
+            partial.includes('#if DEBUG\n        public void Dump() { }\n#else\n        public void Dump() { /* release */ }\n#endif'));
+        check('Regions are no longer commented out', !partial.includes('//#region'));
+
+        const main = refactorer.generateMainPartialClass('Diagnostics', 'Tracer.Core.cs');
+        check('Remaining member keeps its section in the main file', main.includes('#if DEBUG\n        public void Verify() { }\n#else\n#endif'));
+        check('Remaining region kept', main.includes('#region Tracing\n\n        public void Stop() { }'));
+
+        // Test 3: Emptied sections are removed
+        console.log('\nTest 3: Emptied sections...');
+        const emptied = new CSharpRefactorer();
+        await emptied.parseSourceFile(sourceFile);
+        await emptied.generatePartialClass({ fileName: 'Tracer.Trace.cs', methods: ['Start', 'Stop', 'Dump', 'Verify'] }, 'Diagnostics');
+        const emptiedMain = emptied.generateMainPartialClass('Diagnostics', 'Tracer.Core.cs');
+        check('Empty region and #if removed', !emptiedMain.includes('#region') && !emptiedMain.includes('#if DEBUG'));
+        check('Unrelated section kept', emptiedMain.includes('#if NET6_0'));
+
+        // Test 4: Unbalanced splits are rejected
+        console.log('\nTest 4: Rejecting unbalanced splits...');
+        const configFile = path.join(tempDir, 'config.json');
+        await fs.writeFile(configFile, JSON.stringify({
+            sourceFile, destinationFolder: path.join(tempDir, 'out'), newNamespace: 'Diagnostics', mainPartialClassName: 'Tracer.Core.cs',
+            partialClasses: [{ fileName: 'Tracer.All.cs', methods: ['Start', 'Stop', 'Dump', 'Verify', 'Legacy'] }]
+        }));
+        let splitError = '';
+        try {
+            await ProcessSplitCSharpclassSimple(configFile);
+        } catch (error) {
+            splitError = error.message;
+        }
+        check('Member cutting through #if is rejected', splitError.includes("Member 'Legacy' cannot be moved") && splitError.includes('#if NET6_0'));
+        const outputExists = await fs.access(path.join(tempDir, 'out', 'Tracer.All.cs')).then(() => true, () => false);
+        check('No files written', !outputExists);
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    // Print summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 TEST SUMMARY');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${total}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${total - passed}`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+}
+
+// Run the tests
+if (require.main === module) {
+    runPreprocessorDirectiveTests();
+}
+
+module.exports = { runPreprocessorDirectiveTests };
@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for rename_member: a member is renamed in all partial files of its class and at the uses
+ * found in a directory, while matches that can't be tied to the class are listed, not renamed.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { renameMember, rollbackSplitSimple } = require('../csharp_refactorer.js');
+
+const projectFiles = {
+    'Store.cs': `namespace Shop
+{
+    public partial class Store : IStore
+    {
+        private int _count;
+
+        public int Count => _count;
+
+        public void Save(string key)
+        {
+            Save(key, true);
+        }
+
+        public void Save(string key, bool flush) { this.Log(key); }
+
+        protected virtual void Log(string key) { }
+
+        public override string ToString() => "Save";
+    }
+}
+`,
+    'Store.Batch.cs': `namespace Shop
+{
+    public partial class Store
+    {
+        public void SaveAll(string[] keys)
+        {
+            foreach (var key in keys) Save(key);
+        }
+    }
+}
+`,
+    'IStore.cs': `namespace Shop
+{
+    public interface IStore
+    {
+        void Save(string key);
+    }
+}
+`,
+    'Clients/Client.cs': `namespace Shop.Clients
+{
+    public class Client
+    {
+        private readonly Store _store = new Store();
+
+        public void Run(Store other, Cache cache)
+        {
+            _store.Save("a");
+            other?.Save("b");
+            cache.Save("c");
+            var store = new Store { };
+            store.Save("d");
+            GetStore().Save("e");
+            Invoke("Save");
+        }
+    }
+
+    public class BigStore : Store
+    {
+        public void Flush()
+        {
+            Save("x");
+            base.Save("y", false);
+        }
+
+        protected override void Log(string key) { }
+    }
+}
+`,
+    'bin/Generated.cs': `class Generated { void Run(Store store) { store.Save("z"); } }
+`,
+};
+
+async function runRenameMemberTests() {
+    console.log('🧪 Running Rename Member Tests...\n');
+
+    let passed = 0;
+    let total = 0;
+
+    const check = (description, condition) => {
+        total++;
+        if (condition) {
+            console.log(`✅ ${description}`);
+            passed++;
+        } else {
+            console.log(`❌ ${description}`);
+        }
+    };
+
+    const rejects = promise => promise.then(() => null, error => error.message);
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rename-member-'));
+    try {
+        const read = fileName => fs.readFile(path.join(tempDir, fileName), 'utf-8');
+        const sourceFile = path.join(tempDir, 'Store.cs');
+        for (const [fileName, content] of Object.entries(projectFiles)) {
+            await fs.mkdir(path.dirname(path.join(tempDir, fileName)), { recursive: true });
+            await fs.writeFile(path.join(tempDir, fileName), content);
+        }
+
+        // Test 1: Renaming across a directory
+        console.log('Test 1: Renaming across a directory...');
+        const result = (await renameMember({
+            source_file: sourceFile, member_name: 'Save', new_name: 'Persist', search_directory: tempDir,
+        })).content[0].text;
+        const store = await read('Store.cs');
+        const client = await read('Clients/Client.cs');
+        check('All overloads and calls in the class renamed', store.includes('public void Persist(string key)\n') &&
+            store.includes('            Persist(key, true);') && store.includes('public void Persist(string key, bool flush)'));
+        check('Calls in other partial files renamed', (await read('Store.Batch.cs')).includes('foreach (var key in keys) Persist(key);'));
+        check('Calls through the class type renamed in other files', ['_store.Persist("a")', 'other?.Persist("b")', 'store.Persist("d")']
+            .every(text => client.includes(text)));
+        check('Inherited calls in derived classes renamed', client.includes('            Persist("x");\n            base.Persist("y", false);'));
+        check('Other and unknown receivers left alone and listed', client.includes('cache.Save("c")') && client.includes('GetStore().Save("e")') &&
+            result.includes('Clients/Client.cs:11:19 cache.Save("c"); (receiver declared as Cache)') && result.includes('(receiver type unknown)'));
+        check('Interface members and string literals listed, not renamed', (await read('IStore.cs')).includes('void Save(string key);') &&
+            result.includes('IStore.cs:5:14 void Save(string key); (Store implements IStore, which declares Save too)') &&
+            result.includes('Invoke("Save"); (string literal') && store.includes('=> "Save";'));
+        check('Build output folders are not searched', (await read('bin/Generated.cs')) === projectFiles['bin/Generated.cs']);
+        check('Result counts the changes and shows the diff', result.includes('Store.Save renamed to Persist: 9 occurrences in 3 files (4 files searched)') &&
+            result.includes('-            Save(key, true);\n+            Persist(key, true);'));
+
+        // Test 2: Rollback
+        console.log('\nTest 2: Rollback...');
+        await rollbackSplitSimple(tempDir);
+        check('Rollback restores every changed file', (await read('Store.cs')) === projectFiles['Store.cs'] &&
+            (await read('Clients/Client.cs')) === projectFiles['Clients/Client.cs']);
+
+        // Test 3: Without a search directory, overrides
+        console.log('\nTest 3: Partial files only...');
+        const preview = (await renameMember({ source_file: sourceFile, member_name: 'Log', new_name: 'Trace', dry_run: true })).content[0].text;
+        check('Only the partial files next to the source are searched', preview.includes('2 occurrences in 1 files (2 files searched)') &&
+            preview.includes('+        public void Save(string key, bool flush) { this.Trace(key); }'));
+        const derived = (await renameMember({
+            source_file: sourceFile, member_name: 'Log', new_name: 'Trace', search_directory: tempDir, dry_run: true,
+        })).content[0].text;
+        check('Overrides in derived classes renamed with the member', derived.includes('+        protected override void Trace(string key) { }'));
+        check('Dry run writes nothing', preview.startsWith('Dry run') && (await read('Store.cs')) === projectFiles['Store.cs']);
+
+        // Test 4: Refused renames
+        console.log('\nTest 4: Refused renames...');
+        const clash = await rejects(renameMember({ source_file: sourceFile, member_name: 'Count', new_name: '_count' }));
+        check('Clash with another member reported', clash && clash.includes('Store already has a field _count (Store.cs:5)'));
+        const overload = await renameMember({ source_file: sourceFile, member_name: 'SaveAll', new_name: 'Save', dry_run: true });
+        check('Overload with other parameters is no clash', overload.content[0].text.includes('+        public void Save(string[] keys)'));
+        const sameParameters = await rejects(renameMember({ source_file: sourceFile, member_name: 'Log', new_name: 'Save' }));
+        check('Overload with the same parameters is a clash', sameParameters && sameParameters.includes('already has a method Save'));
+        const missing = await rejects(renameMember({ source_file: sourceFile, member_name: 'Load', new_name: 'Fetch' }));
+        check('Unknown member reported', missing && missing.includes("Member 'Load' not found in Store"));
+
+        // Test 5: Locals hide the member only in their own scope
+        console.log('\nTest 5: Scoped locals...');
+        const counterFile = path.join(tempDir, 'scoped', 'Counter.cs');
+        await fs.mkdir(path.dirname(counterFile));
+        await fs.writeFile(counterFile, `class Counter
+{
+    private int count;
+
+    public int Next() { var f = (int count) => count + 1; return f(count); }
+
+    public int Loop() { foreach (var count in new[] { 1 }) { } return count; }
+}
+`);
+        await renameMember({ source_file: counterFile, member_name: 'count', new_name: '_count' });
+        const counter = await fs.readFile(counterFile, 'utf-8');
+        check('Field used after a lambda with a same-named parameter renamed',
+            counter.includes('public int Next() { var f = (int count) => count + 1; return f(_count); }'));
+        check('Field used after a foreach with a same-named variable renamed',
+            counter.includes('public int Loop() { foreach (var count in new[] { 1 }) { } return _count; }'));
+
+        // Test 6: A field declaring several names
+        console.log('\nTest 6: Several declarators...');
+        const pairFile = path.join(tempDir, 'scoped', 'Pair.cs');
+        await fs.writeFile(pairFile, 'class Pair\n{\n    private int _a, _b;\n\n    public int Sum() => _a + _b;\n}\n');
+        await renameMember({ source_file: pairFile, member_name: '_b', new_name: '_second' });
+        check('A later declarator and its uses renamed', (await fs.readFile(pairFile, 'utf-8')) ===
+            'class Pair\n{\n    private int _a, _second;\n\n    public int Sum() => _a + _second;\n}\n');
+        const declaratorClash = await rejects(renameMember({ source_file: pairFile, member_name: '_a', new_name: '_second' }));
+        check('Clash with another declarator of the same field reported', declaratorClash && declaratorClash.includes('Pair already has a field _second'));
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    // Print summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 TEST SUMMARY');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${total}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${total - passed}`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+}
+
+// Run the tests
+if (require.main === module) {
+    runRenameMemberTests();
+}
+
+module.exports = { runRenameMemberTests };
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for re-splitting: split_csharp_class on a class already split into its destination
+ * folder moves only the members the new configuration places elsewhere.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ProcessSplitCSharpclassSimple, rollbackSplitSimple } = require('../csharp_refactorer.js');
+
+const invoiceSource = `using System;
+using System.Linq;
+
+namespace Billing
+{
+    public class Invoice
+    {
+        private decimal _total;
+
+        public void Add(decimal amount) { _total += amount; }
+
+        public decimal Total() { return _total; }
+
+        public decimal Sum(decimal[] amounts) => amounts.Sum();
+
+        public void Print() { Console.WriteLine(_total); }
+
+        public void Save(string path) { }
+
+        public void Save(string path, bool overwrite) { }
+
+#if DEBUG
+        public void Dump() { }
+#endif
+    }
+}
+`;
+
+async function runResplitTests() {
+    console.log('🧪 Running Re-split Tests...\n');
+
+    let passed = 0;
+    let total = 0;
+
+    const check = (description, condition) => {
+        total++;
+        if (condition) {
+            console.log(`✅ ${description}`);
+            passed++;
+        } else {
+            console.log(`❌ ${description}`);
+        }
+    };
+
+    const rejects = promise => promise.then(() => null, error => error.message);
+    const exists = filePath => fs.access(filePath).then(() => true, () => false);
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'resplit-'));
+    try {
+        const sourceFile = path.join(tempDir, 'Invoice.cs');
+        const outputDir = path.join(tempDir, 'out');
+        const configFile = path.join(tempDir, 'config.json');
+        const read = fileName => fs.readFile(path.join(outputDir, fileName), 'utf-8');
+        const snapshot = async () => {
+            const files = {};
+            for (const name of (await fs.readdir(outputDir)).filter(candidate => candidate.endsWith('.cs'))) {
+                files[name] = await read(name);
+            }
+            return files;
+        };
+        const split = async (partialClasses, options = {}, dryRun = false) => {
+            await fs.writeFile(configFile, JSON.stringify({
+                sourceFile, destinationFolder: outputDir, newNamespace: 'Billing', mainPartialClassName: 'Invoice.Core.cs', ...options, partialClasses
+            }));
+            return (await ProcessSplitCSharpclassSimple(configFile, dryRun)).content[0].text;
+        };
+        const rebalanced = [
+            { fileName: 'Invoice.Amounts.cs', methods: ['Add', 'Total'] },
+            { fileName: 'Invoice.Output.cs', methods: ['Print', 'Sum', 'Dump', 'Save(string)'] },
+            { fileName: 'Invoice.Reports.cs', methods: ['Save(string, bool)'] },
+        ];
+        await fs.writeFile(sourceFile, invoiceSource);
+        await split([
+            { fileName: 'Invoice.Amounts.cs', methods: ['Add', 'Total', 'Sum'] },
+            { fileName: 'Invoice.Output.cs', methods: ['Print', 'Dump'] },
+            { fileName: 'Invoice.Storage.cs', methods: ['Save'] },
+        ]);
+        const firstSplit = await snapshot();
+
+        // Test 1: A new configuration becomes member moves
+        console.log('Test 1: Applying a new configuration...');
+        const result = await split(rebalanced);
+        const output = await read('Invoice.Output.cs');
+        check('Moves reported per member', result.includes('the configuration was applied as 3 member moves') &&
+            result.includes('  - Sum(decimal[]): Invoice.Amounts.cs -> Invoice.Output.cs') &&
+            result.includes('  - Save(string, bool): Invoice.Storage.cs -> Invoice.Reports.cs'));
+        check('Unchanged files stay byte-identical', (await read('Invoice.Core.cs')) === firstSplit['Invoice.Core.cs'] &&
+            result.includes('Unchanged: Invoice.Core.cs'));
+        check('Members appended to their new file with the usings they need', output.startsWith('using System;\nusing System.Linq;\n') &&
+            output.includes('#endif\n\n        public decimal Sum(decimal[] amounts) => amounts.Sum();\n\n        public void Save(string path) { }\n    }'));
+        check('Source files lose the members and usings only they needed',
+            (await read('Invoice.Amounts.cs')) === firstSplit['Invoice.Amounts.cs'].replace('using System.Linq;\n\n', '').replace('\n\n        public decimal Sum(decimal[] amounts) => amounts.Sum();', ''));
+        check('New partial file created for a new group', (await read('Invoice.Reports.cs')).includes('        public void Save(string path, bool overwrite) { }'));
+        check('Emptied partial file deleted', !(await exists(path.join(outputDir, 'Invoice.Storage.cs'))) &&
+            result.includes('Invoice.Storage.cs (deleted, no members left)'));
+        check('The original source file is not read', result.includes(`The source file ${sourceFile} was not read`));
+
+        // Test 2: Rollback and dry run
+        console.log('\nTest 2: Rollback and dry run...');
+        await rollbackSplitSimple(outputDir);
+        const restored = await snapshot();
+        check('Rollback restores the previous layout', JSON.stringify(restored) === JSON.stringify(firstSplit));
+        const preview = await split(rebalanced, {}, true);
+        check('Dry run shows diffs and new files, writes nothing', preview.startsWith('Dry run') && preview.includes('+++ /dev/null') &&
+            preview.includes('New file (Invoice.Reports.cs):') && JSON.stringify(await snapshot()) === JSON.stringify(firstSplit));
+        const same = await split([
+            { fileName: 'Invoice.Amounts.cs', methods: ['Add', 'Total', 'Sum'] },
+            { fileName: 'Invoice.Output.cs', methods: ['Print', 'Dump'] },
+            { fileName: 'Invoice.Storage.cs', methods: ['Save'] },
+        ]);
+        check('A matching configuration changes nothing', same.includes('they match the configuration. No files were changed.') &&
+            JSON.stringify(await snapshot()) === JSON.stringify(firstSplit));
+
+        // Test 3: Refused re-splits
+        console.log('\nTest 3: Refused re-splits...');
+        const incomplete = await rejects(split(rebalanced.slice(0, 2)));
+        check('Every method must still be assigned', incomplete && incomplete.includes('Configuration is incomplete') && incomplete.includes('  - Save(string, bool)'));
+        const missing = await rejects(split([...rebalanced, { fileName: 'Invoice.Extra.cs', methods: ['Load'] }]));
+        check('Unknown methods reported', missing && missing.includes("Method 'Load' not found in the partial files (requested in Invoice.Extra.cs)"));
+        const limited = await rejects(split(rebalanced, { maxLinesPerFile: 15 }));
+        check('Line limit enforced on changed files', limited && limited.includes('Invoice.Output.cs would have 18 lines, over its 15-line limit'));
+        const renamed = await rejects(split(rebalanced, { newNamespace: 'Billing.Core' }));
+        check('A new namespace needs a fresh split', renamed && renamed.includes('already split in') && renamed.includes('but newNamespace is Billing.Core'));
+        check('Nothing written when refused', JSON.stringify(await snapshot()) === JSON.stringify(firstSplit));
+
+        // Test 4: Regenerating from the source file
+        console.log('\nTest 4: Regenerating...');
+        const regenerated = await split(rebalanced, { regenerate: true });
+        check('regenerate splits the source file again', regenerated.startsWith('Successfully split C# class into partial files') &&
+            (await exists(path.join(outputDir, 'Invoice.Storage.cs'))) && (await read('Invoice.Reports.cs')).includes('Save(string path, bool overwrite)'));
+
+        // Test 5: A designer file next to the class is not an earlier split
+        console.log('\nTest 5: Designer files...');
+        const formDir = path.join(tempDir, 'form');
+        const formFile = path.join(formDir, 'Form1.cs');
+        const designerFile = path.join(formDir, 'Form1.Designer.cs');
+        const designerSource = 'namespace Billing\n{\n    partial class Form1\n    {\n        private Button _ok;\n\n        private void InitializeComponent() { }\n    }\n}\n';
+        await fs.mkdir(formDir);
+        await fs.writeFile(designerFile, designerSource);
+        await fs.writeFile(formFile, 'namespace Billing\n{\n    public partial class Form1 : Form\n    {\n        public Form1() { InitializeComponent(); }\n\n' +
+            '        private void OnOk() { }\n\n        private void OnCancel() { }\n    }\n}\n');
+        const splitForm = async partialClasses => {
+            await fs.writeFile(configFile, JSON.stringify({ sourceFile: formFile, destinationFolder: formDir, newNamespace: 'Billing', mainPartialClassName: 'Form1.cs', partialClasses }));
+            return (await ProcessSplitCSharpclassSimple(configFile)).content[0].text;
+        };
+        const firstForm = await splitForm([{ fileName: 'Form1.Events.cs', methods: ['OnOk', 'OnCancel'] }]);
+        check('First split beside a designer file splits the source file', firstForm.startsWith('Successfully split C# class into partial files') &&
+            (await fs.readFile(path.join(formDir, 'Form1.Events.cs'), 'utf-8')).includes('private void OnCancel() { }'));
+        const resplitForm = await splitForm([{ fileName: 'Form1.Events.cs', methods: ['OnOk'] }, { fileName: 'Form1.Cancel.cs', methods: ['OnCancel'] }]);
+        check('Re-split leaves the designer file out', resplitForm.includes('applied as 1 member moves') && !resplitForm.includes('Designer') &&
+            (await fs.readFile(designerFile, 'utf-8')) === designerSource);
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    // Print summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 TEST SUMMARY');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${total}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${total - passed}`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+}
+
+// Run the tests
+if (require.main === module) {
+    runResplitTests();
+}
+
+module.exports = { runResplitTests };
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for suggest_split_config: call graph and state usage of a class, clustering of
+ * methods into groups under a line limit, and the split configuration it emits.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { CSharpRefactorer, ProcessSplitCSharpclassSimple, suggestSplitConfig } = require('../csharp_refactorer.js');
+const { subjectWords } = require('../split_suggester.js');
+
+const suggestionSource = `using System;
+
+namespace Shop
+{
+    public class ShopService
+    {
+        private readonly List<Order> _orders = new();
+        private int _reportCount;
+        private int _reportLimit = _reportCount + 10;
+        public int Version = 1;
+
+        public void PlaceOrder(Order order) { ValidateOrder(order); _orders.Add(order); NotifyCustomer(order); }
+
+        private void ValidateOrder(Order order) { if (order == null) throw new ArgumentNullException(); }
+
+        private void NotifyCustomer(Order order) { Console.WriteLine(Version); }
+
+        public Order FindOrder(int id) { return this._orders.Find(o => o.Id == id); }
+
+        public string BuildReport() { _reportCount++; return RenderReport(); }
+
+        private string RenderReport() { return $"{_reportCount}/{_reportLimit}"; }
+
+        public string FormatCurrency(decimal amount) { return amount.ToString("C"); }
+
+        public string FormatCurrencyShort(decimal amount) { return amount.ToString("C0"); }
+
+        public static int Clamp(int value) { return Math.Max(0, value); }
+    }
+}
+`;
+
+async function runSplitSuggestionTests() {
+    console.log('🧪 Running Split Suggestion Tests...\n');
+
+    let passed = 0;
+    let total = 0;
+
+    const check = (description, condition) => {
+        total++;
+        if (condition) {
+            console.log(`✅ ${description}`);
+            passed++;
+        } else {
+            console.log(`❌ ${description}`);
+        }
+    };
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'split-suggestions-'));
+    try {
+        const sourceFile = path.join(tempDir, 'ShopService.cs');
+        await fs.writeFile(sourceFile, suggestionSource);
+
+        // Test 1: Call graph and state usage
+        console.log('Test 1: Building the class graph...');
+        const refactorer = new CSharpRefactorer();
+        await refactorer.parseSourceFile(sourceFile);
+        const { methods, state } = refactorer.buildClassGraph();
+        const byName = Object.fromEntries(methods.map(method => [method.name, method]));
+        check('Intra-class calls found', [...byName['PlaceOrder'].calls].sort().join(',') === 'NotifyCustomer,ValidateOrder');
+        check('Calls to other types ignored', byName['FormatCurrency'].calls.size === 0);
+        check('State used by name and through this.', byName['PlaceOrder'].state.has('_orders') && byName['FindOrder'].state.has('_orders'));
+        check('State referenced by other state', state.find(item => item.name === '_reportLimit').references.has('_reportCount'));
+        check('Subject words skip the action', subjectWords('GetUserByIdAsync').join(',') === 'user,id');
+
+        // Test 2: Suggested groups
+        console.log('\nTest 2: Suggesting groups...');
+        const output = (await suggestSplitConfig(sourceFile)).content[0].text;
+        const config = JSON.parse(output.match(/```json\n([\s\S]*?)\n```/)[1]);
+        const fileOf = name => config.partialClasses.find(partialClass => partialClass.methods.includes(name))?.fileName;
+        check('Linked methods grouped together', ['ValidateOrder', 'NotifyCustomer', 'FindOrder'].every(name => fileOf(name) === fileOf('PlaceOrder')));
+        check('Report methods in their own group', fileOf('BuildReport') === fileOf('RenderReport') && fileOf('BuildReport') !== fileOf('PlaceOrder'));
+        check('Lone methods grouped by name subject', fileOf('FormatCurrency') === fileOf('FormatCurrencyShort') && fileOf('FormatCurrency') === 'ShopService.Currency.cs');
+        check('Unlinked methods packed into helpers', fileOf('Clamp') === 'ShopService.Helpers.cs');
+        check('Every method assigned once', config.partialClasses.flatMap(partialClass => partialClass.methods).sort().join(',') === methods.map(method => method.name).sort().join(','));
+        const orders = config.partialClasses.find(partialClass => partialClass.methods.includes('PlaceOrder'));
+        check('Private state used by one group moves with it', orders.members && orders.members.join(',') === '_orders');
+        const reports = config.partialClasses.find(partialClass => partialClass.methods.includes('BuildReport'));
+        check('Public state and state linked by initializers stay', !reports.members &&
+            !config.partialClasses.some(partialClass => partialClass.members?.includes('Version')));
+        check('Each group has a rationale', config.partialClasses.every(partialClass => partialClass.rationale) &&
+            orders.rationale.includes('calls inside the group (PlaceOrder → ValidateOrder'));
+        check('Config points at the source', config.sourceFile === sourceFile && config.newNamespace === 'Shop' &&
+            config.mainPartialClassName === 'ShopService.Core.cs' && config.destinationFolder === path.join(tempDir, 'ShopService'));
+
+        // Test 3: Line limit
+        console.log('\nTest 3: Line limit...');
+        const limited = JSON.parse((await suggestSplitConfig(sourceFile, null, 12)).content[0].text.match(/```json\n([\s\S]*?)\n```/)[1]);
+        check('Groups split to stay under the limit', limited.partialClasses.length > config.partialClasses.length);
+        const invalid = await suggestSplitConfig(sourceFile, null, 0).then(() => null, error => error.message);
+        check('Invalid limit rejected', invalid && invalid.includes('max_lines_per_file must be a positive whole number'));
+
+        // Test 4: The suggested config can be used as is
+        console.log('\nTest 4: Using the suggestion...');
+        const configFile = path.join(tempDir, 'suggested.json');
+        await fs.writeFile(configFile, JSON.stringify(config));
+        const preview = (await ProcessSplitCSharpclassSimple(configFile, true)).content[0].text;
+        check('Suggested config passes validation', preview.startsWith('Dry run: no files were written.') && preview.includes('ShopService.Currency.cs'));
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    // Print summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 TEST SUMMARY');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${total}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${total - passed}`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+}
+
+// Run the tests
+if (require.main === module) {
+    runSplitSuggestionTests();
+}
+
+module.exports = { runSplitSuggestionTests };
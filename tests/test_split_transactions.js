@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for transactional splits and rollback_split.
+ * A split writes all of its files or none, and a rollback restores the destination folder
+ * and the source file exactly.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ProcessSplitCSharpclassSimple, rollbackSplitSimple } = require('../csharp_refactorer.js');
+const { JOURNAL_FOLDER, listTransactions, rollbackSplit } = require('../split_journal.js');
+
+const transactionSource = `namespace Billing
+{
+    public class Invoice
+    {
+        private decimal _total;
+
+        public void Add(decimal amount) { _total += amount; }
+
+        public decimal Total() { return _total; }
+
+        public void Print() { }
+    }
+}
+`;
+
+async function runSplitTransactionTests() {
+    console.log('🧪 Running Split Transaction Tests...\n');
+
+    let passed = 0;
+    let total = 0;
+
+    const check = (description, condition) => {
+        total++;
+        if (condition) {
+            console.log(`✅ ${description}`);
+            passed++;
+        } else {
+            console.log(`❌ ${description}`);
+        }
+    };
+
+    const exists = target => fs.access(target).then(() => true, () => false);
+    const rejects = promise => promise.then(() => null, error => error.message);
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'split-transactions-'));
+    try {
+        const sourceFile = path.join(tempDir, 'Invoice.cs');
+        const outputDir = path.join(tempDir, 'out', 'Invoice');
+        const configFile = path.join(tempDir, 'config.json');
+        const amountsFile = path.join(outputDir, 'Invoice.Amounts.cs');
+        const outputFile = path.join(outputDir, 'Invoice.Output.cs');
+        await fs.writeFile(sourceFile, transactionSource);
+        const writeConfig = (amounts, output) => fs.writeFile(configFile, JSON.stringify({
+            sourceFile, destinationFolder: outputDir, newNamespace: 'Billing', mainPartialClassName: 'Invoice.Core.cs', regenerate: true,
+            partialClasses: [{ fileName: 'Invoice.Amounts.cs', methods: amounts }, { fileName: 'Invoice.Output.cs', methods: output }]
+        }));
+
+        // Test 1: A split is journaled
+        console.log('Test 1: Journaling a split...');
+        await writeConfig(['Add', 'Total'], ['Print']);
+        const first = (await ProcessSplitCSharpclassSimple(configFile)).content[0].text;
+        const files = (await fs.readdir(outputDir)).sort();
+        check('All files written, no staged files left', files.join(',') === `${JOURNAL_FOLDER},Invoice.Amounts.cs,Invoice.Core.cs,Invoice.Output.cs`);
+        const [firstSplit] = await listTransactions(outputDir);
+        check('Transaction committed and reported', firstSplit && firstSplit.status === 'committed' && first.includes(`Split journaled as '${firstSplit.id}'`));
+        check('Source file backed up', firstSplit.files.some(entry => entry.path === sourceFile && entry.backup && entry.written === null));
+
+        // Test 2: A second split backs up the files it overwrites
+        console.log('\nTest 2: Overwriting files...');
+        const firstAmounts = await fs.readFile(amountsFile, 'utf-8');
+        const firstOutput = await fs.readFile(outputFile, 'utf-8');
+        await writeConfig(['Add'], ['Total', 'Print']);
+        await ProcessSplitCSharpclassSimple(configFile);
+        const transactions = await listTransactions(outputDir);
+        check('Second transaction journaled', transactions.length === 2 &&
+            transactions[1].files.filter(entry => entry.backup).length === 4);
+        check('Only the latest split can be rolled back',
+            (await rejects(rollbackSplit(outputDir, { transactionId: firstSplit.id }))).includes('Roll back the newer splits first'));
+
+        // Test 3: Rolling back restores the previous files
+        console.log('\nTest 3: Rolling back...');
+        const rolledBack = (await rollbackSplitSimple(outputDir)).content[0].text;
+        check('Overwritten files restored', await fs.readFile(amountsFile, 'utf-8') === firstAmounts &&
+            await fs.readFile(outputFile, 'utf-8') === firstOutput);
+        check('Rollback reports restored files and earlier splits', rolledBack.includes(`  - ${amountsFile}`) &&
+            rolledBack.includes(`Earlier splits that can still be rolled back: ${firstSplit.id}`));
+
+        // Test 4: Files changed after the split are protected
+        console.log('\nTest 4: Changed files...');
+        await fs.writeFile(outputFile, firstOutput.replace('Print', 'PrintAll'));
+        await fs.rm(sourceFile);
+        const refused = await rejects(rollbackSplit(outputDir));
+        check('Rollback refuses to overwrite edits', refused && refused.includes(outputFile) && !refused.includes(sourceFile));
+        check('Nothing touched by the refused rollback', !await exists(sourceFile) && await exists(amountsFile));
+        await rollbackSplit(outputDir, { force: true });
+        check('Forced rollback removes created folders', !await exists(path.join(tempDir, 'out')));
+        check('Deleted source file restored', await fs.readFile(sourceFile, 'utf-8') === transactionSource);
+        check('No split left to roll back', (await rejects(rollbackSplit(outputDir))).startsWith('No split to roll back'));
+
+        // Test 5: A failed split leaves no partial output
+        console.log('\nTest 5: Failing before files are replaced...');
+        await writeConfig(['Add', 'Total'], ['Print']);
+        await fs.mkdir(outputFile, { recursive: true });
+        const failed = await rejects(ProcessSplitCSharpclassSimple(configFile));
+        check('Split reports the failure', failed && failed.includes('nothing was written'));
+        check('Destination left as it was', (await fs.readdir(outputDir)).join(',') === 'Invoice.Output.cs');
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    // Print summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 TEST SUMMARY');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${total}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${total - passed}`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+}
+
+// Run the tests
+if (require.main === module) {
+    runSplitTransactionTests();
+}
+
+module.exports = { runSplitTransactionTests };
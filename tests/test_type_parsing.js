@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for parseAllClasses type discovery and qualified-name targeting.
+ * Covers every type kind and accessibility level, nesting, and splitting a nested type.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { CSharpRefactorer } = require('../csharp_refactorer.js');
+
+const typesSource = `namespace Types
+{
+    internal class Outer<T> where T : class, new()
+    {
+        public int Top() { return 1; }
+
+        private struct Inner { public void M() { } }
+        public record Point(int X, int Y);
+        protected internal record struct Pair(int A) { public int B => A; }
+        public interface IShape { void Draw(); }
+        enum Color { Red, Green }
+
+        internal sealed class Worker : IDisposable
+        {
+            private int _count;
+
+            public void Run() { Step(); }
+
+            private void Step() { _count++; }
+
+            public void Dispose() { }
+        }
+    }
+
+    public sealed partial class Visible { }
+    file class Hidden { }
+}`;
+
+async function runTypeParsingTests() {
+    console.log('🧪 Running Type Parsing Tests...\n');
+
+    let passed = 0;
+    let total = 0;
+
+    const check = (description, condition) => {
+        total++;
+        if (condition) {
+            console.log(`✅ ${description}`);
+            passed++;
+        } else {
+            console.log(`❌ ${description}`);
+        }
+    };
+
+    const refactorer = new CSharpRefactorer();
+    const types = refactorer.parseAllClasses(typesSource);
+    const byName = Object.fromEntries(types.map(type => [type.qualifiedName, type]));
+
+    // Test 1: Every type kind and accessibility is found
+    console.log('Test 1: Type kinds...');
+    check('Internal generic class with constraints', byName['Outer'] && byName['Outer'].kind === 'class' && byName['Outer'].accessibility === 'internal');
+    check('Nested struct defaults to private', byName['Outer.Inner'] && byName['Outer.Inner'].kind === 'struct' && byName['Outer.Inner'].accessibility === 'private');
+    check('Record without a body', byName['Outer.Point'] && byName['Outer.Point'].kind === 'record');
+    check('Record struct listed once', byName['Outer.Pair'] && byName['Outer.Pair'].kind === 'record struct' && !byName['Outer.Pair.Pair']);
+    check('Interface and enum', byName['Outer.IShape'].kind === 'interface' && byName['Outer.Color'].kind === 'enum');
+    check('File-local and partial classes', byName['Hidden'].accessibility === 'file' && byName['Visible'].modifiers.includes('partial'));
+    check('Constraint keywords are not types', types.length === 9);
+
+    // Test 2: Targeting by qualified and simple name
+    console.log('\nTest 2: Qualified names...');
+    check('Parent recorded for nested types', byName['Outer.Worker'].parent === 'Outer' && byName['Outer'].parent === null);
+    refactorer.availableClasses = types;
+    check('Qualified name lookup', refactorer.findClass('Outer.Worker') === byName['Outer.Worker']);
+    check('Unique simple name lookup', refactorer.findClass('Worker') === byName['Outer.Worker']);
+    let notFound = '';
+    try {
+        refactorer.findClass('Missing');
+    } catch (error) {
+        notFound = error.message;
+    }
+    check('Unknown type lists qualified names', notFound.includes('Outer.Worker'));
+
+    // Test 3: Splitting a nested type keeps its containers
+    console.log('\nTest 3: Splitting a nested type...');
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'type-parsing-'));
+    try {
+        const sourceFile = path.join(tempDir, 'Outer.cs');
+        await fs.writeFile(sourceFile, typesSource);
+
+        const splitter = new CSharpRefactorer();
+        await splitter.parseSourceFile(sourceFile, 'Outer.Worker');
+        check('Members of the nested type parsed', ['_count', 'Run', 'Step', 'Dispose'].every(n => splitter.methodsByName[n]) && !splitter.methodsByName['Top']);
+
+        const partial = await splitter.generatePartialClass({ fileName: 'Worker.Run.cs', methods: ['Run', 'Step'] }, 'Types');
+        check('Partial file is wrapped in the containing type', partial.includes('internal partial class Outer<T> where T : class, new()') &&
+            partial.includes('internal sealed partial class Worker : IDisposable'));
+
+        const main = splitter.generateMainPartialClass('Types', 'Worker.Core.cs');
+        check('Main file makes the type and its container partial', main.includes('internal partial class Outer<T>') &&
+            main.includes('internal sealed partial class Worker') && !main.includes('Step()'));
+        check('Sibling types are left alone', main.includes('private struct Inner') && main.includes('public sealed partial class Visible'));
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    // Print summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 TEST SUMMARY');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${total}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${total - passed}`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+}
+
+// Run the tests
+if (require.main === module) {
+    runTypeParsingTests();
+}
+
+module.exports = { runTypeParsingTests };
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for using directive pruning: each generated partial file gets only the usings its
+ * members reference, with aliases, static and in-namespace usings handled and the result
+ * sorted the way dotnet format orders them.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ProcessSplitCSharpclassSimple } = require('../csharp_refactorer.js');
+const { tokenize, significantTokens } = require('../csharp_lexer.js');
+const { parseUsingDirectives, sortUsingDirectives } = require('../csharp_usings.js');
+
+const usingsSource = `extern alias Legacy;
+global using System.Net;
+using System.Text;
+using System.Linq;
+using Acme.Storage;
+using System;
+using System.Collections.Generic;
+using static System.Math;
+using Json = System.Text.Json.JsonSerializer;
+
+namespace Reports
+{
+    using System.Text.RegularExpressions;
+    using Acme.Formatting;
+
+    public class Report
+    {
+        private readonly List<string> _lines = new List<string>();
+
+        public string Render()
+        {
+            var builder = new StringBuilder();
+            foreach (var line in _lines) builder.AppendLine(line);
+            return builder.ToString();
+        }
+
+        public int Count() => _lines.Where(line => line.Length > 0).Count();
+
+        public IEnumerable<string> Query() => from line in _lines select line;
+
+        public bool IsCode(string text) => Regex.IsMatch(text, "^[A-Z]+$");
+
+        public double Scale(double value) => Sqrt(value);
+
+        public string Export() => Json.Serialize(_lines);
+
+        public Legacy::Old.Report ToLegacy() => null;
+
+        public void Save() => Repository.Store(_lines);
+
+        public int Total(int a, int b) => a + b;
+    }
+}
+`;
+
+const lookalikeSource = `using System.Timers;
+using MyApp.Domain;
+
+namespace MyApp
+{
+    public class Scheduler
+    {
+        public Activity Latest() => new Activity();
+
+        public Range Window() => new Range(1, 2);
+
+        public Timer Every() => new Timer(100);
+
+        public Key Primary() => Key.Default;
+    }
+}
+`;
+
+async function runUsingPruningTests() {
+    console.log('🧪 Running Using Pruning Tests...\n');
+
+    let passed = 0;
+    let total = 0;
+
+    const check = (description, condition) => {
+        total++;
+        if (condition) {
+            console.log(`✅ ${description}`);
+            passed++;
+        } else {
+            console.log(`❌ ${description}`);
+        }
+    };
+
+    const usingsOf = content => content.split('\n').filter(line => /^\s*(using|extern alias) /.test(line)).map(line => line.trim());
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'using-pruning-'));
+    try {
+        const sourceFile = path.join(tempDir, 'Report.cs');
+        const outputDir = path.join(tempDir, 'out');
+        const configFile = path.join(tempDir, 'config.json');
+        await fs.writeFile(sourceFile, usingsSource);
+        await fs.writeFile(configFile, JSON.stringify({
+            sourceFile, destinationFolder: outputDir, newNamespace: 'Reports', mainPartialClassName: 'Report.Core.cs',
+            partialClasses: [
+                { fileName: 'Report.Render.cs', members: ['_lines'], methods: ['Render'] },
+                { fileName: 'Report.Linq.cs', methods: ['Count', 'Query'] },
+                { fileName: 'Report.Regex.cs', methods: ['IsCode'] },
+                { fileName: 'Report.Math.cs', methods: ['Scale'] },
+                { fileName: 'Report.Export.cs', methods: ['Export', 'ToLegacy'] },
+                { fileName: 'Report.Storage.cs', methods: ['Save'] },
+                { fileName: 'Report.Plain.cs', methods: ['Total'] }
+            ]
+        }));
+        await ProcessSplitCSharpclassSimple(configFile);
+        const read = async fileName => fs.readFile(path.join(outputDir, fileName), 'utf-8');
+
+        // Test 1: Namespace usings follow the names the members reference
+        console.log('Test 1: Namespace usings...');
+        const render = usingsOf(await read('Report.Render.cs'));
+        check('Type references keep their namespaces', render.join('|') === 'using System.Collections.Generic;|using System.Text;');
+        const linq = usingsOf(await read('Report.Linq.cs'));
+        check('Extension methods and query syntax keep System.Linq', linq.join('|') === 'using System.Collections.Generic;|using System.Linq;');
+        const plain = await read('Report.Plain.cs');
+        check('Members referencing nothing get no usings', usingsOf(plain).length === 0 && plain.startsWith('namespace Reports'));
+
+        // Test 2: In-namespace usings stay inside the namespace
+        console.log('\nTest 2: In-namespace usings...');
+        const regex = await read('Report.Regex.cs');
+        check('In-namespace using written inside the namespace', usingsOf(regex).join('|') === 'using System.Text.RegularExpressions;' &&
+            regex.includes('{\n    using System.Text.RegularExpressions;\n\n    public partial class Report'));
+
+        // Test 3: Static, alias and extern alias directives
+        console.log('\nTest 3: Static and alias usings...');
+        check('Unqualified call to an imported static member keeps the static using', usingsOf(await read('Report.Math.cs')).includes('using static System.Math;'));
+        const exportUsings = usingsOf(await read('Report.Export.cs'));
+        check('Used alias kept, extern alias first', exportUsings[0] === 'extern alias Legacy;' && exportUsings.includes('using Json = System.Text.Json.JsonSerializer;'));
+        check('Unused aliases and static usings dropped', !render.some(line => line.includes('Json') || line.includes('static')));
+
+        // Test 4: Unknown namespaces are kept while a referenced name is unexplained
+        console.log('\nTest 4: Unknown namespaces...');
+        const storage = usingsOf(await read('Report.Storage.cs'));
+        check('Unresolved name keeps project namespaces', storage.includes('using Acme.Storage;') && storage.includes('using Acme.Formatting;'));
+        check('Global usings are never copied', ![render, linq, storage, exportUsings].some(list => list.some(line => line.includes('System.Net'))));
+
+        // Test 5: Project types named like framework types
+        console.log('\nTest 5: Framework-like names...');
+        const lookalikeFile = path.join(tempDir, 'Scheduler.cs');
+        const lookalikeDir = path.join(tempDir, 'scheduler');
+        await fs.writeFile(lookalikeFile, lookalikeSource);
+        await fs.writeFile(configFile, JSON.stringify({
+            sourceFile: lookalikeFile, destinationFolder: lookalikeDir, newNamespace: 'MyApp', mainPartialClassName: 'Scheduler.Core.cs',
+            partialClasses: [
+                { fileName: 'Scheduler.Domain.cs', methods: ['Latest', 'Window'] },
+                { fileName: 'Scheduler.Timing.cs', methods: ['Every', 'Primary'] }
+            ]
+        }));
+        await ProcessSplitCSharpclassSimple(configFile);
+        const lookalike = fileName => fs.readFile(path.join(lookalikeDir, fileName), 'utf-8').then(usingsOf);
+        check('A well-known name whose namespace is not imported keeps project usings',
+            (await lookalike('Scheduler.Domain.cs')).includes('using MyApp.Domain;'));
+        const timing = await lookalike('Scheduler.Timing.cs');
+        check('Namespaces missing from the known list are kept for unexplained names',
+            timing.includes('using System.Timers;') && timing.includes('using MyApp.Domain;'));
+
+        // Test 6: dotnet format ordering
+        console.log('\nTest 6: Ordering...');
+        const sorted = sortUsingDirectives(parseUsingDirectives(usingsSource, significantTokens(tokenize(usingsSource)))).map(d => d.text);
+        check('Directives sorted like dotnet format', sorted.join('|') === [
+            'extern alias Legacy;', 'global using System.Net;', 'using System;', 'using System.Collections.Generic;',
+            'using System.Linq;', 'using System.Text;', 'using Acme.Storage;', 'using static System.Math;',
+            'using Json = System.Text.Json.JsonSerializer;'
+        ].join('|'));
+        const statements = `using System;\nusing (var stream = Open()) { }`;
+        check('using statements are not directives', parseUsingDirectives(statements, significantTokens(tokenize(statements))).length === 1);
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    // Print summary
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 TEST SUMMARY');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${total}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${total - passed}`);
+
+    if (passed !== total) {
+        process.exitCode = 1;
+    }
+}
+
+// Run the tests
+if (require.main === module) {
+    runUsingPruningTests();
+}
+
+module.exports = { runUsingPruningTests };
@@ -0,0 +1,221 @@
+/**
+ * Text Diff
+ * Line-based diffing used to preview refactorings before they touch any file.
+ * Produces unified diffs (the format of `git diff` and `diff -u`) from two versions of a text.
+ */
+
+/**
+ * Compute the shortest edit script between two line arrays (Myers' algorithm).
+ * Common leading and trailing lines are matched up front so only the changed middle is searched.
+ * @param {string[]} oldLines - Lines of the original text
+ * @param {string[]} newLines - Lines of the new text
+ * @returns {Array} Operations in order: { type: ' ' | '-' | '+', line }
+ */
+function diffLines(oldLines, newLines) {
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  const same = line => ({ type: ' ', line });
+  const middle = diffMiddle(oldLines.slice(prefix, oldLines.length - suffix), newLines.slice(prefix, newLines.length - suffix));
+  return [
+    ...oldLines.slice(0, prefix).map(same),
+    ...middle,
+    ...oldLines.slice(oldLines.length - suffix).map(same),
+  ];
+}
+
+/**
+ * Myers' linear-space variant: the middle snake of the shortest edit script is found by
+ * searching from both ends at once, and the parts before and after it are diffed the same way.
+ * Memory grows with the number of lines, not with the number of edits, so large rewrites of a
+ * god class can be previewed.
+ * @param {string[]} oldLines - Lines of the original text
+ * @param {string[]} newLines - Lines of the new text
+ * @returns {Array} Operations in order
+ */
+function diffMiddle(oldLines, newLines) {
+  // Compare numbers instead of strings
+  const ids = new Map();
+  const intern = lines => Int32Array.from(lines, line => {
+    if (!ids.has(line)) {
+      ids.set(line, ids.size);
+    }
+    return ids.get(line);
+  });
+  const a = intern(oldLines);
+  const b = intern(newLines);
+  const size = a.length + b.length + 2;
+  const forward = new Int32Array(2 * size + 1);
+  const backward = new Int32Array(2 * size + 1);
+  const operations = [];
+
+  // The snake where the searches from both ends meet: { x, y, u, v } relative to the range
+  const middleSnake = (aLo, aHi, bLo, bHi) => {
+    const n = aHi - aLo;
+    const m = bHi - bLo;
+    const delta = n - m;
+    const odd = (delta & 1) !== 0;
+    forward[size + 1] = 0;
+    backward[size + 1] = 0;
+    for (let d = 0; d <= Math.ceil((n + m) / 2); d++) {
+      for (let k = -d; k <= d; k += 2) {
+        let x = k === -d || (k !== d && forward[size + k - 1] < forward[size + k + 1])
+          ? forward[size + k + 1]
+          : forward[size + k - 1] + 1;
+        let y = x - k;
+        const startX = x;
+        const startY = y;
+        while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+          x++;
+          y++;
+        }
+        forward[size + k] = x;
+        if (odd && delta - k >= -(d - 1) && delta - k <= d - 1 && x + backward[size + delta - k] >= n) {
+          return { x: startX, y: startY, u: x, v: y };
+        }
+      }
+      for (let k = -d; k <= d; k += 2) {
+        let x = k === -d || (k !== d && backward[size + k - 1] < backward[size + k + 1])
+          ? backward[size + k + 1]
+          : backward[size + k - 1] + 1;
+        let y = x - k;
+        const startX = x;
+        const startY = y;
+        while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) {
+          x++;
+          y++;
+        }
+        backward[size + k] = x;
+        if (!odd && delta - k >= -d && delta - k <= d && x + forward[size + delta - k] >= n) {
+          return { x: n - x, y: m - y, u: n - startX, v: m - startY };
+        }
+      }
+    }
+    throw new Error('No middle snake found');
+  };
+
+  const diffRange = (aLo, aHi, bLo, bHi) => {
+    const prefix = [];
+    while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) {
+      prefix.push(aLo++);
+      bLo++;
+    }
+    let suffix = 0;
+    while (aLo < aHi && bLo < bHi && a[aHi - 1] === b[bHi - 1]) {
+      aHi--;
+      bHi--;
+      suffix++;
+    }
+    prefix.forEach(index => operations.push({ type: ' ', line: oldLines[index] }));
+
+    if (aLo === aHi) {
+      for (let j = bLo; j < bHi; j++) operations.push({ type: '+', line: newLines[j] });
+    } else if (bLo === bHi) {
+      for (let i = aLo; i < aHi; i++) operations.push({ type: '-', line: oldLines[i] });
+    } else {
+      // With equal ends trimmed, both halves around the snake hold fewer edits than the range
+      const { x, y, u, v } = middleSnake(aLo, aHi, bLo, bHi);
+      diffRange(aLo, aLo + x, bLo, bLo + y);
+      for (let i = aLo + x; i < aLo + u; i++) operations.push({ type: ' ', line: oldLines[i] });
+      diffRange(aLo + u, aHi, bLo + v, bHi);
+    }
+
+    for (let i = aHi; i < aHi + suffix; i++) operations.push({ type: ' ', line: oldLines[i] });
+  };
+  diffRange(0, a.length, 0, b.length);
+
+  // Within each run of changes, removed lines come before added ones
+  const ordered = [];
+  for (let i = 0; i < operations.length;) {
+    if (operations[i].type === ' ') {
+      ordered.push(operations[i++]);
+      continue;
+    }
+    let end = i;
+    while (end < operations.length && operations[end].type !== ' ') end++;
+    const run = operations.slice(i, end);
+    ordered.push(...run.filter(operation => operation.type === '-'), ...run.filter(operation => operation.type === '+'));
+    i = end;
+  }
+  return ordered;
+}
+
+/**
+ * Create a unified diff between two texts.
+ * @param {string} oldText - Original text ('' for a new file)
+ * @param {string} newText - New text
+ * @param {string} oldLabel - Name shown on the '---' line
+ * @param {string} newLabel - Name shown on the '+++' line
+ * @param {number} context - Unchanged lines shown around each change
+ * @returns {string} The diff, or '' when the texts are identical
+ */
+function createUnifiedDiff(oldText, newText, oldLabel, newLabel, context = 3) {
+  if (oldText === newText) {
+    return '';
+  }
+
+  // A final line without a line break carries the diff marker for it, which also
+  // makes it differ from the same line with a break
+  const split = text => {
+    const lines = text.replace(/\r\n/g, '\n').split('\n');
+    if (lines[lines.length - 1] === '') {
+      lines.pop();
+    } else {
+      lines[lines.length - 1] += '\n\\ No newline at end of file';
+    }
+    return lines;
+  };
+  const operations = diffLines(split(oldText), split(newText));
+
+  // Line numbers of each operation in the old and new text
+  let oldLine = 0;
+  let newLine = 0;
+  const numbered = operations.map(operation => {
+    const entry = { ...operation, oldLine, newLine };
+    if (operation.type !== '+') oldLine++;
+    if (operation.type !== '-') newLine++;
+    return entry;
+  });
+
+  // Group changes that are within 2 * context lines of each other into hunks
+  const hunks = [];
+  let current = null;
+  numbered.forEach((operation, index) => {
+    if (operation.type === ' ') {
+      return;
+    }
+    const start = Math.max(0, index - context);
+    const end = Math.min(numbered.length, index + context + 1);
+    if (current && start <= current.end) {
+      current.end = end;
+    } else {
+      current = { start, end };
+      hunks.push(current);
+    }
+  });
+
+  const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  for (const hunk of hunks) {
+    const lines = numbered.slice(hunk.start, hunk.end);
+    const oldCount = lines.filter(line => line.type !== '+').length;
+    const newCount = lines.filter(line => line.type !== '-').length;
+    const oldStart = oldCount === 0 ? lines[0].oldLine : lines[0].oldLine + 1;
+    const newStart = newCount === 0 ? lines[0].newLine : lines[0].newLine + 1;
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    lines.forEach(line => output.push(`${line.type}${line.line}`));
+  }
+
+  return output.join('\n');
+}
+
+module.exports = {
+  diffLines,
+  createUnifiedDiff,
+};